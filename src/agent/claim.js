@@ -0,0 +1,214 @@
+/**
+ * Ticket claims via a JIRA "in-flight" label
+ *
+ * Before any work starts, the run adds a label to the ticket:
+ *   <triggerLabel>-inflight_<host>_<epochSeconds>_<runId>
+ * then re-reads the ticket's labels. The earliest live claim wins; a run that
+ * lost the race removes its own label and skips the ticket. Claims older than
+ * jira.claimTtlMinutes are treated as abandoned (crashed agent) and removed.
+ *
+ * A working run renews its label (same run, current time) every third of the
+ * TTL, so long runs keep their claim. A parked run's label is dated at its
+ * resumeAt, so the TTL only starts counting once the run is due to resume.
+ *
+ * Works across machines (unlike the local lock files in daemon.js) because the
+ * ticket itself carries the claim.
+ */
+
+import os from 'os';
+import { getTicketLabels } from '../services/jira.js';
+import { addLabel, removeLabel } from '../services/jira-transitions.js';
+import { log, warn } from '../logger.js';
+
+function getClaimPrefix(config) {
+  return `${config.JIRA_LABEL}-inflight_`;
+}
+
+/**
+ * Host name safe for a JIRA label segment (no spaces, no `_` separators)
+ */
+function getHostTag() {
+  return os.hostname().replace(/[^a-zA-Z0-9.-]+/g, '-');
+}
+
+/**
+ * Build the claim label for a run
+ */
+export function buildClaimLabel(config, runId, now = Date.now()) {
+  return `${getClaimPrefix(config)}${getHostTag()}_${Math.floor(now / 1000)}_${runId}`;
+}
+
+/**
+ * Parse a claim label. Returns null for labels that are not claims.
+ *
+ * @returns {{ label: string, host: string, claimedAt: number, runId: string }|null}
+ */
+export function parseClaimLabel(config, label) {
+  const prefix = getClaimPrefix(config);
+  if (!label?.startsWith(prefix)) return null;
+
+  const [host, epoch, ...runIdParts] = label.substring(prefix.length).split('_');
+  const claimedAt = parseInt(epoch, 10) * 1000;
+  if (!host || Number.isNaN(claimedAt) || runIdParts.length === 0) return null;
+
+  return { label, host, claimedAt, runId: runIdParts.join('_') };
+}
+
+function isExpired(config, claim, now = Date.now()) {
+  return now - claim.claimedAt > config.JIRA_CLAIM_TTL_MINUTES * 60 * 1000;
+}
+
+/**
+ * Read the live (non-expired) claims on a ticket, removing expired ones.
+ * Returns null when the labels cannot be read.
+ */
+async function readLiveClaims(config, ticketKey) {
+  const labels = await getTicketLabels(config, ticketKey);
+  if (!labels) return null;
+
+  const live = [];
+  for (const claim of labels.map((l) => parseClaimLabel(config, l)).filter(Boolean)) {
+    if (isExpired(config, claim)) {
+      warn(`Removing expired claim on ${ticketKey}: ${claim.label} (older than ${config.JIRA_CLAIM_TTL_MINUTES}m)`);
+      await removeLabel(config, ticketKey, claim.label);
+    } else {
+      live.push(claim);
+    }
+  }
+
+  // Earliest claim wins; label order breaks ties deterministically
+  return live.sort((a, b) => a.claimedAt - b.claimedAt || a.label.localeCompare(b.label));
+}
+
+/**
+ * Claim a ticket for a run.
+ *
+ * Claims left by earlier runs of the same work (ownRunIds — e.g. the run being
+ * resumed) are replaced rather than treated as foreign.
+ *
+ * Non-blocking when JIRA is unreachable: warns and proceeds unclaimed
+ * ({ claimed: true, label: null }), the same way other label writes behave.
+ *
+ * @returns {Promise<{ claimed: boolean, label: string|null, holder?: object }>}
+ */
+export async function claimTicket(config, ticketKey, runId, ownRunIds = []) {
+  if (!config.JIRA_CLAIM_ENABLED) {
+    return { claimed: true, label: null };
+  }
+
+  const ownIds = new Set([runId, ...ownRunIds].filter(Boolean));
+  const existing = await readLiveClaims(config, ticketKey);
+  if (!existing) {
+    warn(`Could not read labels of ${ticketKey} — proceeding without an in-flight claim`);
+    return { claimed: true, label: null };
+  }
+
+  const foreign = existing.find((c) => !ownIds.has(c.runId));
+  if (foreign) {
+    log(`${ticketKey} is already claimed by ${foreign.host} (run ${foreign.runId}, since ${new Date(foreign.claimedAt).toISOString()}) — skipping`);
+    return { claimed: false, label: null, holder: foreign };
+  }
+
+  for (const own of existing) {
+    await removeLabel(config, ticketKey, own.label);
+  }
+
+  const label = buildClaimLabel(config, runId);
+  if (!(await addLabel(config, ticketKey, label))) {
+    warn(`Could not add in-flight label to ${ticketKey} — proceeding without a claim`);
+    return { claimed: true, label: null };
+  }
+
+  // Re-read to confirm: another agent may have claimed between our read and write
+  const claims = await readLiveClaims(config, ticketKey);
+  if (!claims) {
+    warn(`Could not confirm claim on ${ticketKey} — proceeding`);
+    return { claimed: true, label };
+  }
+
+  const winner = claims[0];
+  if (winner && winner.label !== label) {
+    log(`${ticketKey} was claimed first by ${winner.host} (run ${winner.runId}) — releasing our claim`);
+    await removeLabel(config, ticketKey, label);
+    return { claimed: false, label: null, holder: winner };
+  }
+
+  log(`Claimed ${ticketKey}: ${label}`);
+  return { claimed: true, label };
+}
+
+/**
+ * Replace a claim label with one dated `at` (default now). Adds the new label
+ * before removing the old one, so the ticket is never unclaimed in between.
+ * Non-blocking: keeps the old label when the new one cannot be added.
+ *
+ * @returns {Promise<string|null>} the label now holding the claim
+ */
+export async function renewClaim(config, ticketKey, runId, label, at = Date.now()) {
+  if (!label) return null;
+
+  const renewed = buildClaimLabel(config, runId, at);
+  if (renewed === label) return label;
+
+  if (!(await addLabel(config, ticketKey, renewed))) {
+    warn(`Could not renew the in-flight claim on ${ticketKey} — keeping ${label}`);
+    return label;
+  }
+  await removeLabel(config, ticketKey, label);
+  return renewed;
+}
+
+/**
+ * Renew a claim every third of jira.claimTtlMinutes while a run works.
+ * `onRenew` gets each new label; `stop` waits for a renewal in flight.
+ *
+ * @returns {{ stop: () => Promise<void> }}
+ */
+export function keepClaimAlive(config, ticketKey, runId, label, onRenew = () => {}) {
+  if (!label) return { stop: async () => {} };
+
+  let current = label;
+  let pending = null;
+  const intervalMs = Math.max(60 * 1000, (config.JIRA_CLAIM_TTL_MINUTES * 60 * 1000) / 3);
+  const timer = setInterval(() => {
+    if (pending) return;
+    pending = renewClaim(config, ticketKey, runId, current)
+      .then((renewed) => {
+        current = renewed;
+        onRenew(renewed);
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }, intervalMs);
+  timer.unref();
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      if (pending) await pending;
+    },
+  };
+}
+
+/**
+ * Remove a claim label. Non-blocking; a no-op for a null label.
+ */
+export async function releaseClaim(config, ticketKey, label) {
+  if (!label) return;
+
+  if (await removeLabel(config, ticketKey, label)) {
+    log(`Released claim on ${ticketKey}`);
+  } else {
+    warn(`Could not remove in-flight label ${label} from ${ticketKey} — it expires after ${config.JIRA_CLAIM_TTL_MINUTES}m`);
+  }
+}
+
+export default {
+  buildClaimLabel,
+  parseClaimLabel,
+  claimTicket,
+  renewClaim,
+  keepClaimAlive,
+  releaseClaim,
+};
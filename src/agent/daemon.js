@@ -0,0 +1,189 @@
+/**
+ * Daemon lifecycle helpers
+ *
+ * - Daemon lock file:  one daemon per state directory (<stateDir>/daemon.lock)
+ * - Ticket lock files: one process per ticket on this machine (<stateDir>/locks/<KEY>.lock),
+ *                      shared by daemon, single and resume
+ * - Heartbeat file:    <stateDir>/heartbeat.json, rewritten periodically with the
+ *                      daemon's current status for external tooling to watch
+ *
+ * Lock files hold { pid, host, startedAt }. A lock whose pid is no longer alive
+ * is considered stale and is taken over.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { log, warn } from '../logger.js';
+
+function getLockPath(config) {
+  return path.join(config.STATE_DIR || './state', 'daemon.lock');
+}
+
+function getTicketLockPath(config, ticketKey) {
+  return path.join(config.STATE_DIR || './state', 'locks', `${ticketKey}.lock`);
+}
+
+function getHeartbeatPath(config) {
+  return path.join(config.STATE_DIR || './state', 'heartbeat.json');
+}
+
+/**
+ * Check whether a process with the given pid is alive
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a lock file exclusively. Takes over a stale lock (dead pid on this host).
+ * Returns { acquired: true } or { acquired: false, holder }.
+ */
+function acquireLockFile(lockPath, details = {}) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const payload = JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString(), ...details }, null, 2);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, payload, { flag: 'wx' });
+      return { acquired: true };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const holder = readLock(lockPath);
+      const sameHost = !holder?.host || holder.host === os.hostname();
+      if (holder && holder.pid === process.pid) {
+        return { acquired: true };
+      }
+      if (holder && (!sameHost || isProcessAlive(holder.pid))) {
+        return { acquired: false, holder };
+      }
+
+      warn(`Removing stale lock ${lockPath} (pid ${holder?.pid ?? 'unknown'} is gone)`);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return { acquired: false, holder: readLock(lockPath) };
+}
+
+/**
+ * Remove a lock file, but only if this process holds it
+ */
+function releaseLockFile(lockPath) {
+  const holder = readLock(lockPath);
+  if (holder && holder.pid === process.pid) {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Take the daemon lock. Returns { acquired, holder }.
+ */
+export function acquireDaemonLock(config) {
+  return acquireLockFile(getLockPath(config));
+}
+
+export function releaseDaemonLock(config) {
+  releaseLockFile(getLockPath(config));
+}
+
+/**
+ * Claim a ticket for this process. Returns { acquired, holder }.
+ */
+export function acquireTicketLock(config, ticketKey, details = {}) {
+  return acquireLockFile(getTicketLockPath(config, ticketKey), { ticketKey, ...details });
+}
+
+export function releaseTicketLock(config, ticketKey) {
+  releaseLockFile(getTicketLockPath(config, ticketKey));
+}
+
+/**
+ * Run fn while holding the ticket lock. Returns fn's result, or null (with a
+ * warning) when another process on this machine is already working on the ticket.
+ */
+export async function withTicketLock(config, ticketKey, fn) {
+  const lock = acquireTicketLock(config, ticketKey);
+  if (!lock.acquired) {
+    warn(`${ticketKey} is already being processed by pid ${lock.holder?.pid} on ${lock.holder?.host} (since ${lock.holder?.startedAt}) — skipping`);
+    return null;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    releaseTicketLock(config, ticketKey);
+  }
+}
+
+/**
+ * Write the heartbeat file now.
+ */
+export function writeHeartbeat(config, status = {}) {
+  const heartbeatPath = getHeartbeatPath(config);
+  const payload = {
+    pid: process.pid,
+    host: os.hostname(),
+    ...status,
+    updatedAt: new Date().toISOString(),
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(heartbeatPath), { recursive: true });
+    fs.writeFileSync(`${heartbeatPath}.tmp`, JSON.stringify(payload, null, 2));
+    fs.renameSync(`${heartbeatPath}.tmp`, heartbeatPath);
+  } catch (error) {
+    warn(`Could not write heartbeat: ${error.message}`);
+  }
+}
+
+/**
+ * Rewrite the heartbeat file every intervalSeconds with getStatus().
+ * Returns a stop function. The timer never keeps the process alive on its own.
+ */
+export function startHeartbeat(config, getStatus, intervalSeconds = 30) {
+  writeHeartbeat(config, getStatus());
+  const timer = setInterval(() => writeHeartbeat(config, getStatus()), intervalSeconds * 1000);
+  timer.unref();
+  log(`Heartbeat: ${getHeartbeatPath(config)} (every ${intervalSeconds}s)`);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Poll delay after `idleCycles` consecutive empty (or failed) polls:
+ * pollInterval, 2x, 4x, ... capped at maxPollInterval.
+ */
+export function getBackoffSeconds(config, idleCycles) {
+  const base = config.POLL_INTERVAL;
+  const max = Math.max(base, config.MAX_POLL_INTERVAL || base);
+  if (idleCycles <= 0) return base;
+  return Math.min(base * 2 ** (idleCycles - 1), max);
+}
+
+export default {
+  acquireDaemonLock,
+  releaseDaemonLock,
+  acquireTicketLock,
+  releaseTicketLock,
+  withTicketLock,
+  writeHeartbeat,
+  startHeartbeat,
+  getBackoffSeconds,
+};
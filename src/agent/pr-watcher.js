@@ -0,0 +1,366 @@
+/**
+ * PR watcher
+ *
+ * Follows up on the agent's open PRs (source branch `feature/<KEY>-...`). Each
+ * poll lists the open PRs of every configured service through its SCM adapter
+ * (scm/index.js). A PR that conflicts with its target branch is rebased first
+ * (rebaser.js). Then its review threads are checked for ones a reviewer is
+ * waiting on: open, with a human-written last comment. For a PR with such threads:
+ *
+ *   fresh clone of the feature branch → provider pass with the threads and the
+ *   current diff → follow-up commit and push → reply in every thread, resolving
+ *   the ones whose change was pushed
+ *
+ * The follow-up push leases on the agent's last push to the branch and is
+ * journaled in run state (run-state.js recordPush), so a later run of the ticket
+ * does not take the agent's own follow-up commit for someone else's.
+ *
+ * The last comment handled in each thread is kept in <stateDir>/pr-watch.json,
+ * so a thread is only picked up again when a reviewer adds to it. Likewise a
+ * conflicting PR is rebased once per target-branch commit.
+ *
+ * Services whose adapter has no PR follow-up operations (supportsPrWatch) are
+ * skipped, with a warning the first time each is seen.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as logger from '../logger.js';
+import { getRepoUrl, getServiceConfig } from '../config.js';
+import { getServiceScm, supportsPrWatch } from '../services/scm/index.js';
+import { cloneFeatureBranch, commitAndPush, cleanup } from '../services/git.js';
+import { getCommitSettings, buildCommitMessage } from '../services/commit-message.js';
+import { getReviewDiff } from '../services/reviewer.js';
+import { spawnClaude } from '../services/claude.js';
+import { getProviderSpawnOptions, getProviderLabel } from '../services/ai-provider.js';
+import { checkBudget, describeBudgetTrip } from '../services/budget.js';
+import { withTicketLock } from './daemon.js';
+import { rebasePR } from './rebaser.js';
+import { repoBranchScopes, findLastPushedSha, recordPush } from './run-state.js';
+
+const { log, ok, warn, err, startStep, endStep, initRun, finalizeRun } = logger;
+
+const FEATURE_BRANCH = /^feature\/([A-Z][A-Z0-9_]*-\d+)-.+$/;
+const REPLY_LINE = /^[-*]\s*#(\d+)\s*\[(changed|unchanged)\]\s*:?\s*(.+)$/i;
+
+// Services already warned about as not watchable, per process
+const unwatchedServices = new Set();
+
+function getStatePath(config) {
+  return path.join(config.STATE_DIR || './state', 'pr-watch.json');
+}
+
+/**
+ * { "<repo>#<prId>": { threads: { "<threadId>": <last comment id handled> }, rebaseTarget: <target commit of the last rebase attempt> } }
+ */
+function loadWatchState(config) {
+  try {
+    return JSON.parse(fs.readFileSync(getStatePath(config), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveWatchState(config, state) {
+  const statePath = getStatePath(config);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+/**
+ * Threads a reviewer is waiting on: open, last comment not by the agent, and not
+ * already handled at that comment.
+ */
+function getOpenReviewerThreads(threads, agentId, handled = {}) {
+  return threads.filter((thread) => {
+    if (!thread.open) return false;
+    const last = thread.comments.at(-1);
+    if (!last || last.author.id === agentId) return false;
+    return handled[thread.id] !== last.id;
+  });
+}
+
+/**
+ * Agent PRs of one repository: open, from a feature/<KEY>-... branch
+ */
+async function listAgentPRs(config, scm, serviceConfig) {
+  const prs = await scm.listOpenPullRequests(config, serviceConfig);
+  return prs.flatMap((pr) => {
+    const match = pr.sourceBranch.match(FEATURE_BRANCH);
+    if (!match) return [];
+    return [{
+      pr,
+      featureBranch: pr.sourceBranch,
+      ticketKey: match[1],
+      targetBranch: pr.targetBranch,
+    }];
+  });
+}
+
+function describeThread(thread) {
+  const where = thread.file ? `${thread.file}${thread.line ? `:${thread.line}` : ''}` : 'general comment';
+  const comments = thread.comments
+    .map((c) => `**${c.author.name || 'Reviewer'}:** ${c.content}`)
+    .join('\n\n');
+  return `### Thread #${thread.id} (${where})\n${comments}`;
+}
+
+function buildFeedbackPrompt(ticketKey, pr, threads, diff, maxDiffChars) {
+  const diffText = diff.length > maxDiffChars
+    ? `${diff.substring(0, maxDiffChars)}\n… (diff truncated at ${maxDiffChars} characters — read the files for the rest)`
+    : diff;
+
+  return `You are working on JIRA ticket ${ticketKey}. Its pull request "${pr.title}" is open, and reviewers left the comments below.
+
+## Review Comments
+${threads.map(describeThread).join('\n\n')}
+
+## Current Diff Against ${pr.targetBranch}
+\`\`\`diff
+${diffText || '(no changes)'}
+\`\`\`
+
+Address every review comment above in this working tree. Make only the changes the comments ask for — do not redo or rework anything else. If a comment is a question or asks for something that should not be done, do not change the code for it and explain why instead.
+
+When finished, you MUST end with this exact format, one line per thread:
+**THREAD REPLIES:**
+- #<thread id> [changed]: what you changed (1-2 sentences)
+- #<thread id> [unchanged]: your answer or why nothing changed (1-2 sentences)`;
+}
+
+/**
+ * Parse the THREAD REPLIES block: Map<threadId, { changed: boolean, text: string }>
+ */
+function parseThreadReplies(output) {
+  const replies = new Map();
+  const section = (output || '').split(/\*\*THREAD REPLIES:?\*\*:?/i).pop();
+  for (const line of section.split('\n')) {
+    const match = line.trim().match(REPLY_LINE);
+    if (match) {
+      replies.set(Number(match[1]), { changed: match[2].toLowerCase() === 'changed', text: match[3].trim() });
+    }
+  }
+  return replies;
+}
+
+/**
+ * Reply in each thread; resolve the ones whose change was pushed. Non-blocking per thread.
+ */
+async function replyToThreads(config, scm, serviceConfig, prId, threads, replies, pushedSha) {
+  let resolved = 0;
+  for (const thread of threads) {
+    const reply = replies.get(thread.id);
+    const fixed = Boolean(reply?.changed && pushedSha);
+    let content;
+    if (fixed) {
+      content = `${reply.text}\n\nChanged in \`${pushedSha.slice(0, 7)}\`.`;
+    } else if (reply) {
+      content = reply.text;
+    } else if (pushedSha) {
+      content = `A follow-up commit (\`${pushedSha.slice(0, 7)}\`) was pushed for this review, but it does not say how this comment was addressed — please take a look.`;
+    } else {
+      content = 'I looked at this comment but did not change anything for it — a human needs to follow up.';
+    }
+
+    try {
+      await scm.replyToThread(config, serviceConfig, prId, thread, `**Dr. Asthana:** ${content}`, { resolve: fixed });
+      if (fixed) resolved++;
+    } catch (error) {
+      warn(`Failed to reply to thread #${thread.id} on PR #${prId}: ${error.message}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Tell each thread that its follow-up failed, so the reviewer is not left
+ * waiting on a pass that never happened. Non-blocking per thread.
+ *
+ * @returns {Promise<object[]>} the threads that got the reply
+ */
+async function replyFollowUpFailed(config, scm, serviceConfig, prId, threads, reason) {
+  const replied = [];
+  for (const thread of threads) {
+    try {
+      await scm.replyToThread(config, serviceConfig, prId, thread,
+        `**Dr. Asthana:** I could not address this comment — the follow-up failed (${reason}) and nothing was pushed for it. Reply here to have me try again, or a human needs to follow up.`,
+        { resolve: false });
+      replied.push(thread);
+    } catch (error) {
+      warn(`Failed to reply to thread #${thread.id} on PR #${prId}: ${error.message}`);
+    }
+  }
+  return replied;
+}
+
+/**
+ * Address the open reviewer threads of one PR in its own run. A pass that fails
+ * replies in each thread that it did; `handled` are the threads that got a reply
+ * (a thread whose failure reply could not be posted is tried again next poll).
+ *
+ * @returns {Promise<{ addressed: number, resolved: number, pushed: boolean, handled: object[] }|null>}
+ *          null when the ticket is locked by another process or the budget is used up
+ */
+async function addressPR(config, serviceName, repoName, { pr, featureBranch, ticketKey, targetBranch }, threads) {
+  return withTicketLock(config, ticketKey, async () => {
+    const runId = initRun(ticketKey, config.LOG_DIR);
+    const providerLabel = getProviderLabel(config);
+    log(`PR #${pr.id} (${repoName}, ${featureBranch}): ${threads.length} review thread(s) to address`);
+
+    const trip = checkBudget(config, { ticketKey, service: serviceName });
+    if (trip) {
+      warn(`${describeBudgetTrip(trip)} — leaving PR #${pr.id} for later`);
+      finalizeRun(false, describeBudgetTrip(trip));
+      return null;
+    }
+
+    const serviceConfig = getServiceConfig(config, serviceName);
+    let clone = null;
+    try {
+      startStep(1, `Clone ${repoName} (${featureBranch})`);
+      clone = await cloneFeatureBranch(config, getRepoUrl(config, serviceName), featureBranch, targetBranch);
+      endStep(true, 'Cloned');
+
+      startStep(2, `Run ${providerLabel} on ${threads.length} review thread(s)`);
+      const diff = getReviewDiff(clone.tmpDir, targetBranch, clone.instructionFile) || '';
+      const result = await spawnClaude({
+        tmpDir: clone.tmpDir,
+        prompt: buildFeedbackPrompt(ticketKey, pr, threads, diff, config.REVIEW_MAX_DIFF_CHARS),
+        maxTurns: config.PR_WATCH_MAX_TURNS,
+        timeout: config.PR_WATCH_TIMEOUT_MINUTES * 60 * 1000,
+        label: 'pr-feedback',
+        logDir: config.LOG_DIR,
+        ticketKey,
+        ...getProviderSpawnOptions(config),
+        costContext: { stateDir: config.STATE_DIR, service: serviceName, baseBranch: targetBranch },
+      });
+      if (result.rateLimited) {
+        // Not recorded as handled — the next poll after the reset tries again
+        endStep(false, `Waiting for ${providerLabel} quota${result.resetAt ? ` (resets ${result.resetAt})` : ''}`);
+        finalizeRun(false, 'Rate limited');
+        return null;
+      }
+      endStep(true, `${providerLabel} finished (turns=${result.numTurns})`);
+
+      startStep(3, `Push follow-up to ${featureBranch}`);
+      const summary = `Address review comments on PR #${pr.id}`;
+      const message = buildCommitMessage(getCommitSettings(config, serviceConfig), {
+        key: ticketKey, summary, type: 'fix', service: serviceName, branch: targetBranch, provider: providerLabel,
+      });
+      const scopes = repoBranchScopes(config, repoName, targetBranch);
+      const push = await commitAndPush(clone.tmpDir, featureBranch, ticketKey, summary, clone.serviceHasInstructionFile, clone.instructionFile, {
+        message,
+        lastPushedSha: findLastPushedSha(config, ticketKey, scopes, featureBranch),
+      });
+      if (push.pushed) {
+        recordPush(config, runId, ticketKey, 'pr-feedback', scopes, { featureBranch, previousSha: push.previousSha, sha: push.sha });
+      }
+      endStep(true, push.pushed ? `Pushed ${push.sha.slice(0, 7)}` : 'No changes');
+
+      startStep(4, 'Reply to review threads');
+      const replies = parseThreadReplies(result.output);
+      const resolved = await replyToThreads(config, getServiceScm(serviceConfig), serviceConfig, pr.id, threads, replies, push.pushed ? push.sha : null);
+      endStep(true, `${threads.length} replied, ${resolved} resolved`);
+
+      ok(`PR #${pr.id}: ${threads.length} thread(s) addressed, ${resolved} resolved`);
+      finalizeRun(true, `PR #${pr.id}: ${threads.length} thread(s) addressed, ${resolved} resolved`);
+      return { addressed: threads.length, resolved, pushed: push.pushed, handled: threads };
+    } catch (error) {
+      err(`Failed to address review threads on PR #${pr.id}: ${error.message}`);
+      const handled = await replyFollowUpFailed(config, getServiceScm(serviceConfig), serviceConfig, pr.id, threads, error.message.split('\n')[0]);
+      finalizeRun(false, `Error: ${error.message}`);
+      return { addressed: 0, resolved: 0, pushed: false, handled };
+    } finally {
+      if (clone) await cleanup(clone.tmpDir);
+    }
+  });
+}
+
+/**
+ * One poll over every configured service's repository.
+ *
+ * @param {object} [opts] - { shouldStop: () => boolean } checked between PRs
+ * @returns {Promise<{ prs: number, rebased: number, threads: number, addressed: number, resolved: number }>}
+ */
+export async function pollPullRequests(config, { shouldStop = () => false } = {}) {
+  const totals = { prs: 0, rebased: 0, threads: 0, addressed: 0, resolved: 0 };
+  const watchState = loadWatchState(config);
+  const seenRepos = new Set();
+
+  for (const serviceName of Object.keys(config.SERVICES)) {
+    const serviceConfig = getServiceConfig(config, serviceName);
+    const scm = getServiceScm(serviceConfig);
+    if (!supportsPrWatch(scm)) {
+      if (!unwatchedServices.has(serviceName)) {
+        unwatchedServices.add(serviceName);
+        warn(`watch-prs does not support ${scm.label} yet — not watching the PRs of ${serviceName} (${serviceConfig.repo})`);
+      }
+      continue;
+    }
+    if (seenRepos.has(serviceConfig.repo)) continue;
+    seenRepos.add(serviceConfig.repo);
+
+    let agentPRs;
+    try {
+      agentPRs = await listAgentPRs(config, scm, serviceConfig);
+    } catch (error) {
+      warn(`Could not list PRs of ${serviceConfig.repo}: ${error.message}`);
+      continue;
+    }
+    totals.prs += agentPRs.length;
+
+    // Forget PRs of this repo that are no longer active
+    const activeKeys = new Set(agentPRs.map(({ pr }) => `${serviceConfig.repo}#${pr.id}`));
+    for (const key of Object.keys(watchState)) {
+      if (key.startsWith(`${serviceConfig.repo}#`) && !activeKeys.has(key)) delete watchState[key];
+    }
+
+    for (const agentPR of agentPRs) {
+      if (shouldStop()) return totals;
+
+      const stateKey = `${serviceConfig.repo}#${agentPR.pr.id}`;
+      const entry = watchState[stateKey] || (watchState[stateKey] = { threads: {} });
+
+      // Conflicts with the target branch: one rebase attempt per target-branch commit
+      const rebaseTarget = agentPR.pr.targetSha || 'unknown';
+      if (config.PR_WATCH_AUTO_REBASE && agentPR.pr.conflicts && entry.rebaseTarget !== rebaseTarget) {
+        const rebase = await rebasePR(config, serviceName, serviceConfig.repo, agentPR);
+        if (rebase) {
+          entry.rebaseTarget = rebaseTarget;
+          saveWatchState(config, watchState);
+          if (rebase.rebased) totals.rebased++;
+        }
+        if (shouldStop()) return totals;
+      }
+
+      let threads;
+      try {
+        threads = getOpenReviewerThreads(await scm.listThreads(config, serviceConfig, agentPR.pr.id),
+          agentPR.pr.createdBy?.id, entry.threads);
+      } catch (error) {
+        warn(`Could not read threads of PR #${agentPR.pr.id} (${serviceConfig.repo}): ${error.message}`);
+        continue;
+      }
+      if (threads.length === 0) continue;
+      totals.threads += threads.length;
+
+      const outcome = await addressPR(config, serviceName, serviceConfig.repo, agentPR, threads);
+      if (!outcome) continue;
+
+      // Handled at the comment that triggered it — a failed pass (which said so in the thread)
+      // is not retried until a reviewer adds to it
+      for (const thread of outcome.handled) {
+        entry.threads[thread.id] = thread.comments.at(-1).id;
+      }
+      saveWatchState(config, watchState);
+      totals.addressed += outcome.addressed;
+      totals.resolved += outcome.resolved;
+    }
+  }
+
+  saveWatchState(config, watchState);
+  return totals;
+}
+
+export default { pollPullRequests };
@@ -1,13 +1,24 @@
 /**
  * Main ticket processing workflow
  *
- * Processes each service and branch sequentially:
- *   For each service in ticket.affectedSystems:
- *     For each branch in ticket.targetBranches:
- *       Clone → [Infra if AGENT_RUN_TESTS] → AI provider → [shouldRunTests + Infra + Test if external] → Commit → Push → Base tag → PR
+ * Claims the ticket first (JIRA in-flight label, see claim.js), then
+ * processes every service × branch as an independent task:
+ *   [Master plan per multi-branch service]
+ *   For each service in ticket.affectedSystems × branch in ticket.targetBranches:
+ *     Clone → [Infra if AGENT_RUN_TESTS] → AI provider → Review [→ fix pass] → [shouldRunTests + Infra + Test if external] → Commit → Push → Base tag → PR (+ review comments)
+ *
+ *   Tasks run through a bounded pool (agent.maxParallelBranches, default 1 = sequential),
+ *   each in its own .tmp/ worktree and its own log context.
  *
  *   When AGENT_RUN_TESTS=true:  infra starts once (before first provider run), tests run internally, external test step is skipped.
  *   When AGENT_RUN_TESTS=false: infra starts lazily on first branch where shouldRunTests() detects code changes.
+ *
+ *   Local mode (processLocal) runs one branch of a local repository through the
+ *   same steps, but stops after the commit: no push, base tag, PR or JIRA updates.
+ *
+ *   A provider usage limit does not fail the run: the affected tasks are parked
+ *   (clone kept, pass recorded), the run goes to 'waiting_quota' with a resumeAt
+ *   time, and the daemon resumes it from the same pass once the window reopens.
  */
 
 import fs from 'fs';
@@ -17,18 +28,27 @@ import { fileURLToPath } from 'url';
 import { parseTicket, displayTicketDetails } from './ticket.js';
 import { scoreComplexity } from './complexity.js';
 import { detectAndFilterRetrigger } from './retrigger.js';
-import { getTicketDetails } from '../services/jira.js';
-import { cloneAndBranch, cloneForPlanning, commitAndPush, cleanup } from '../services/git.js';
+import { getTicketDetails, upsertRemoteLink } from '../services/jira.js';
+import { buildFeatureBranchName, cloneAndBranch, cloneFeatureBranch, cloneForPlanning, cloneLocal, commitChanges, commitAndPush, formatPatch, getHeadSha, cleanup } from '../services/git.js';
+import { getCommitSettings, getCommitType, buildCommitMessage } from '../services/commit-message.js';
 import { handleBaseTag } from '../services/base-tagger.js';
-import { runAgentProvider, getProviderLabel } from '../services/ai-provider.js';
-import { spawnClaude, parseMultiBranchPlan, isGarbageOutput } from '../services/claude.js';
+import { runAgentProvider, getProviderLabel, getProvider, getProviderSpawnOptions } from '../services/ai-provider.js';
+import { spawnClaude, parseMultiBranchPlan, isGarbageOutput, isRunCancelled } from '../services/claude.js';
 import { buildMultiBranchPlanPrompt } from '../services/prompt-builder.js';
-import { createPR } from '../services/azure.js';
-import { buildJiraComment, buildPRDescription, buildInProgressComment, buildLeadReviewComment, notifyAllPRs, notifyFailure, uploadLogFile } from '../services/notifications.js';
-import { transitionToInProgress, transitionToLeadReview, postComment, addLabel, removeLabel } from '../services/jira-transitions.js';
+import { createPR, decidePRDraft, addPRComments } from '../services/pull-requests.js';
+import { getServiceScm } from '../services/scm/index.js';
+import { buildJiraComment, buildPRDescription, buildInProgressComment, buildLeadReviewComment, buildPausedComment, buildBudgetComment, buildPushRefusedComment, notifyAllPRs, notifyFailure, notifyPaused, uploadLogFile } from '../services/notifications.js';
+import { runMilestone, postComment, addLabel, removeLabel } from '../services/jira-transitions.js';
 import { startServices, stopServices } from '../services/infra.js';
 import { runTests, formatTestResults, shouldRunTests } from '../services/test-runner.js';
-import { getServiceConfig } from '../config.js';
+import { getRepoUrl, getServiceConfig } from '../config.js';
+import { resolveResumeAt } from '../services/rate-limit.js';
+import { summarizeRunCosts } from '../services/cost-ledger.js';
+import { checkBudget, describeBudgetTrip } from '../services/budget.js';
+import { runReview, formatFinding } from '../services/reviewer.js';
+import { runPool } from './worker-pool.js';
+import { claimTicket, renewClaim, keepClaimAlive, releaseClaim } from './claim.js';
+import { TICKET_SCOPE, branchScope, serviceScope, createRunState, loadRunState, findLastPushedSha, findPostedFindings, repoBranchScopes, getStep, markStep, resetScope, setRunStatus, markResumed } from './run-state.js';
 import * as logger from '../logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -142,6 +162,36 @@ function injectAgentRules(tmpDir, config, nodeVersion = null) {
   log(`Injected agent rules (${rulesFile}${nodeVersion ? `, node=${nodeVersion}` : ''}) into ${instructionPath}`);
 }
 
+/**
+ * Run IDs whose spend belongs to this ticket run: the run itself and every
+ * attempt that resumed it
+ */
+function getRunIds(runState) {
+  return runState ? [runState.runId, ...runState.resumedBy.map((r) => r.runId)] : [];
+}
+
+/**
+ * Config for one ticket run: turn limits and timeouts scaled UP from the baseline
+ * by the ticket's complexity (never down), phases switched on for complex tickets
+ */
+function buildEffectiveConfig(config, complexity) {
+  return config.AGENT_COMPLEXITY_SCALING
+    ? {
+        ...config,
+        AGENT_MAX_TURNS: Math.max(config.AGENT_MAX_TURNS, complexity.recommendedMaxTurns),
+        AGENT_PLAN_TURNS: Math.max(config.AGENT_PLAN_TURNS, complexity.recommendedPlanTurns),
+        AGENT_PLAN_TIMEOUT_MINUTES: Math.max(config.AGENT_PLAN_TIMEOUT_MINUTES, complexity.recommendedPlanTimeoutMinutes),
+        AGENT_MAX_CONTINUATIONS: Math.max(config.AGENT_MAX_CONTINUATIONS || 0, complexity.recommendedMaxContinuations),
+        AGENT_ENABLE_PHASES: complexity.enablePhases,
+        CLAUDE_MAX_TURNS: Math.max(config.AGENT_MAX_TURNS, complexity.recommendedMaxTurns),
+        CLAUDE_PLAN_TURNS: Math.max(config.AGENT_PLAN_TURNS, complexity.recommendedPlanTurns),
+        CLAUDE_PLAN_TIMEOUT_MINUTES: Math.max(config.AGENT_PLAN_TIMEOUT_MINUTES, complexity.recommendedPlanTimeoutMinutes),
+        CLAUDE_MAX_CONTINUATIONS: Math.max(config.AGENT_MAX_CONTINUATIONS || 0, complexity.recommendedMaxContinuations),
+        CLAUDE_ENABLE_PHASES: complexity.enablePhases,
+      }
+    : { ...config, AGENT_ENABLE_PHASES: false, CLAUDE_ENABLE_PHASES: false };
+}
+
 /**
  * Validate ticket has required fields for processing
  */
@@ -170,15 +220,18 @@ function validateTicket(config, ticket) {
 /**
  * Process a single ticket through the full pipeline.
  *
- * Loops over all affected services, processes each one sequentially,
+ * Runs all affected services × branches through the worker pool,
  * then sends a single JIRA comment and Slack notification with all results.
+ *
+ * Every completed step is journaled to the run state (see run-state.js).
+ * Pass options.resumeRunId to pick up a previous run from its last completed step.
  */
-export async function processTicket(config, ticketOrKey) {
+export async function processTicket(config, ticketOrKey, options = {}) {
   let ticketKey = typeof ticketOrKey === 'string' ? ticketOrKey : ticketOrKey.key;
 
   // Infrastructure is started lazily — only when tests are actually needed.
   // Declared outside try so finally can always access it for cleanup.
-  const runCtx = { infraStarted: false };
+  const runCtx = { infraStarted: false, infraPromise: null, runState: null, claimLabel: null, claimRenewal: null, keepClaim: false };
 
   // Initialize run logging
   const runId = initRun(ticketKey, config.LOG_DIR);
@@ -188,6 +241,39 @@ export async function processTicket(config, ticketOrKey) {
   log(`Run ID: ${runId}`);
   log(`${'═'.repeat(60)}`);
 
+  let resumedState = null;
+  if (options.resumeRunId) {
+    resumedState = loadRunState(config, options.resumeRunId);
+    if (!resumedState) {
+      err(`No run state found for ${options.resumeRunId}`);
+      finalizeRun(false, 'Run state not found');
+      return { success: false, reason: 'run_state_not_found' };
+    }
+  }
+
+  // Claim the ticket in JIRA before doing anything else. Claims left behind by
+  // earlier attempts of the run being resumed count as ours.
+  const ownRunIds = resumedState ? [resumedState.runId, ...resumedState.resumedBy.map((r) => r.runId)] : [];
+  const claim = await claimTicket(config, ticketKey, runId, ownRunIds);
+  if (!claim.claimed) {
+    finalizeRun(false, `Already claimed by ${claim.holder.host} (run ${claim.holder.runId})`);
+    return { success: false, reason: 'claimed', holder: claim.holder };
+  }
+  runCtx.claimLabel = claim.label;
+  // Long runs would otherwise outlive jira.claimTtlMinutes and lose the claim to another agent
+  runCtx.claimRenewal = keepClaimAlive(config, ticketKey, runId, claim.label, (label) => {
+    runCtx.claimLabel = label;
+  });
+
+  if (resumedState) {
+    runCtx.runState = resumedState;
+    markResumed(runCtx.runState, runId);
+    log(`Resuming run ${options.resumeRunId} (state: ${runCtx.runState.filePath})`);
+  } else {
+    runCtx.runState = createRunState(config, runId, ticketKey);
+  }
+  const { runState } = runCtx;
+
   try {
     // Step 1: Fetch and parse ticket details
     startStep(1, 'Fetch and parse ticket details');
@@ -213,21 +299,7 @@ export async function processTicket(config, ticketOrKey) {
     });
     log(`Complexity: ${complexity.level} (score=${complexity.score}, phases=${complexity.enablePhases})`);
 
-    const effectiveConfig = config.AGENT_COMPLEXITY_SCALING
-      ? {
-          ...config,
-          AGENT_MAX_TURNS: Math.max(config.AGENT_MAX_TURNS, complexity.recommendedMaxTurns),
-          AGENT_PLAN_TURNS: Math.max(config.AGENT_PLAN_TURNS, complexity.recommendedPlanTurns),
-          AGENT_PLAN_TIMEOUT_MINUTES: Math.max(config.AGENT_PLAN_TIMEOUT_MINUTES, complexity.recommendedPlanTimeoutMinutes),
-          AGENT_MAX_CONTINUATIONS: Math.max(config.AGENT_MAX_CONTINUATIONS || 0, complexity.recommendedMaxContinuations),
-          AGENT_ENABLE_PHASES: complexity.enablePhases,
-          CLAUDE_MAX_TURNS: Math.max(config.AGENT_MAX_TURNS, complexity.recommendedMaxTurns),
-          CLAUDE_PLAN_TURNS: Math.max(config.AGENT_PLAN_TURNS, complexity.recommendedPlanTurns),
-          CLAUDE_PLAN_TIMEOUT_MINUTES: Math.max(config.AGENT_PLAN_TIMEOUT_MINUTES, complexity.recommendedPlanTimeoutMinutes),
-          CLAUDE_MAX_CONTINUATIONS: Math.max(config.AGENT_MAX_CONTINUATIONS || 0, complexity.recommendedMaxContinuations),
-          CLAUDE_ENABLE_PHASES: complexity.enablePhases,
-        }
-      : { ...config, AGENT_ENABLE_PHASES: false, CLAUDE_ENABLE_PHASES: false };
+    const effectiveConfig = buildEffectiveConfig(config, complexity);
 
     // Step 2: Validate ticket
     startStep(2, 'Validate ticket fields');
@@ -236,30 +308,47 @@ export async function processTicket(config, ticketOrKey) {
       for (const error of validationErrors) {
         warn(`Validation failed: ${error}`);
       }
-      await postComment(ticketKey, `Dr. Asthana: Cannot process ticket.\n\nValidation errors:\n${validationErrors.map(e => '- ' + e).join('\n')}`);
+      await postComment(config, ticketKey, `Dr. Asthana: Cannot process ticket.\n\nValidation errors:\n${validationErrors.map(e => '- ' + e).join('\n')}`);
+      await runMilestone(config, ticketKey, 'needsInfo');
       endStep(false, `Validation failed: ${validationErrors.join(', ')}`);
+      setRunStatus(runState, 'failed', { reason: 'validation_failed' });
       finalizeRun(false, 'Validation failed');
       return { success: false, reason: 'validation_failed', errors: validationErrors };
     }
     endStep(true, 'All required fields present');
 
-    // Step 2.5: Transition to In-Progress + detailed comment
-    try {
-      const transitioned = await transitionToInProgress(config, ticketKey);
-      if (transitioned) {
-        const inProgressComment = buildInProgressComment(config, ticket);
-        await postComment(ticketKey, inProgressComment);
-        log(`In-Progress transition and comment posted for ${ticketKey}`);
+    // Step 2.5: Workflow "started" transitions + detailed comment
+    if (getStep(runState, TICKET_SCOPE, 'inProgress')) {
+      log('In-Progress transition already done in a previous attempt — skipping');
+    } else {
+      try {
+        const started = await runMilestone(config, ticketKey, 'started');
+        if (started.done) {
+          const inProgressComment = buildInProgressComment(config, ticket);
+          await postComment(config, ticketKey, inProgressComment);
+          log(`In-Progress transition and comment posted for ${ticketKey}`);
+        }
+      } catch (transitionError) {
+        warn(`In-Progress transition failed (non-blocking): ${transitionError.message}`);
       }
-    } catch (transitionError) {
-      warn(`In-Progress transition failed (non-blocking): ${transitionError.message}`);
+      markStep(runState, TICKET_SCOPE, 'inProgress');
     }
 
     // Step 3: Check for re-trigger
     startStep(3, 'Check for re-trigger');
-    const retrigger = await detectAndFilterRetrigger(config, ticket);
-
-    if (retrigger.isRetrigger) {
+    const recordedRetrigger = getStep(runState, TICKET_SCOPE, 'retrigger');
+    const retrigger = recordedRetrigger
+      ? { isRetrigger: false }
+      : await detectAndFilterRetrigger(config, ticket);
+
+    if (recordedRetrigger) {
+      // Done labels were already removed by the original attempt, so re-running
+      // detection now would wrongly look like a first run.
+      ticket.targetBranches = recordedRetrigger.targetBranches;
+      ticket.targetBranch = recordedRetrigger.targetBranch;
+      log(`Re-trigger decision restored from run state: ${ticket.targetBranches.map(tb => tb.branch).join(', ') || ticket.targetBranch}`);
+      endStep(true, 'Restored from run state');
+    } else if (retrigger.isRetrigger) {
       log(`Re-trigger detected — done labels: ${retrigger.doneLabels?.join(', ') || config.JIRA_LABEL_PROCESSED}`);
 
       if (retrigger.filteredBranches) {
@@ -280,11 +369,11 @@ export async function processTicket(config, ticketOrKey) {
           const versionedLabel = `${config.JIRA_LABEL_PROCESSED}-${tb.version}`;
           if (ticket.labels.includes(versionedLabel)) {
             log(`Removing done label: ${versionedLabel}`);
-            await removeLabel(ticket.key, versionedLabel);
+            await removeLabel(config, ticket.key, versionedLabel);
           }
           // Also remove bare done label if present
           if (ticket.labels.includes(config.JIRA_LABEL_PROCESSED)) {
-            await removeLabel(ticket.key, config.JIRA_LABEL_PROCESSED);
+            await removeLabel(config, ticket.key, config.JIRA_LABEL_PROCESSED);
           }
         }
 
@@ -301,7 +390,7 @@ export async function processTicket(config, ticketOrKey) {
         for (const label of (ticket.labels || [])) {
           if (label === config.JIRA_LABEL_PROCESSED || label.startsWith(config.JIRA_LABEL_PROCESSED + '-')) {
             log(`Removing done label: ${label}`);
-            await removeLabel(ticket.key, label);
+            await removeLabel(config, ticket.key, label);
           }
         }
         endStep(true, 'Re-trigger: processing all versions (fallback)');
@@ -311,59 +400,163 @@ export async function processTicket(config, ticketOrKey) {
       endStep(true, 'First run');
     }
 
-    // Process each service sequentially
-    const allPRs = [];       // { service, prId, prUrl, baseBranch, version }
+    if (!recordedRetrigger) {
+      markStep(runState, TICKET_SCOPE, 'retrigger', {
+        isRetrigger: retrigger.isRetrigger,
+        targetBranches: ticket.targetBranches,
+        targetBranch: ticket.targetBranch,
+      });
+    }
+
+    // Build one task per service × branch. Multi-branch services first get a
+    // master plan (master plans run through the same bounded pool).
+    const allPRs = [];       // { service, prId, prUrl, baseBranch, version, reviewers }
     const allFailures = [];  // { service, baseBranch, error }
     let firstClaudeSummary = '';
     let firstPlanOutput = '';
 
-    for (const serviceName of ticket.affectedSystems) {
+    const maxParallel = config.MAX_PARALLEL_BRANCHES || 1;
+    const services = ticket.affectedSystems.map((serviceName) => {
       const serviceConfig = getServiceConfig(config, serviceName);
-      const repoUrl = `${config.AZDO_REPO_BASE_URL}/${serviceConfig.repo}`;
+      return {
+        serviceName,
+        serviceConfig,
+        repoUrl: getRepoUrl(config, serviceConfig.name),
+      };
+    });
 
-      log(`\n${'─'.repeat(60)}`);
-      log(`Service: ${serviceConfig.name} (${serviceConfig.repo})`);
-      log(`${'─'.repeat(60)}`);
+    const isMultiBranch = ticket.targetBranches && ticket.targetBranches.length > 1;
+    const masterPlans = isMultiBranch
+      ? await runPool(services, maxParallel, (svc) =>
+          logger.runWithLogContext(`${svc.serviceConfig.repo}@master-plan`, () =>
+            buildMasterPlan(effectiveConfig, ticket, svc.serviceConfig, svc.repoUrl, ticketKey, runCtx)))
+      : [];
+
+    // A master plan cut short by the usage limit parks the whole ticket — its
+    // branches would otherwise fall back to per-branch planning on the same quota
+    const parkedPlans = services
+      .map((svc, i) => ({ svc, outcome: masterPlans[i] }))
+      .filter(({ outcome }) => outcome?.status === 'fulfilled' && outcome.value.rateLimited)
+      .map(({ svc, outcome }) => ({ service: svc.serviceName, baseBranch: null, resetAt: outcome.value.resetAt }));
+    if (parkedPlans.length > 0) {
+      return await parkRun(config, runCtx, ticket, parkedPlans);
+    }
 
-      try {
-        let result;
-        if (ticket.targetBranches && ticket.targetBranches.length > 1) {
-          result = await processServiceMultiBranch(effectiveConfig, ticket, serviceConfig, repoUrl, ticketKey, runCtx);
-        } else {
-          result = await processServiceSingleBranch(effectiveConfig, ticket, serviceConfig, repoUrl, ticketKey, runCtx);
-        }
+    const tasks = [];
+    services.forEach((svc, i) => {
+      if (!isMultiBranch) {
+        tasks.push({ ...svc, baseBranch: ticket.targetBranch, version: null, externalPlan: null });
+        return;
+      }
 
-        if (result.claudeSummary && !firstClaudeSummary) {
-          firstClaudeSummary = result.claudeSummary;
-        }
-        if (result.planOutput && !firstPlanOutput) {
-          firstPlanOutput = result.planOutput;
-        }
+      const masterPlan = masterPlans[i].status === 'fulfilled'
+        ? masterPlans[i].value
+        : { branchPlans: null, planOutput: '' };
+      if (masterPlan.planOutput && !firstPlanOutput) {
+        firstPlanOutput = masterPlan.planOutput;
+      }
 
-        for (const pr of (result.prs || [])) {
-          allPRs.push({ service: serviceName, ...pr });
-        }
-        for (const failure of (result.failures || [])) {
-          allFailures.push({ service: serviceName, ...failure });
+      for (const branchInfo of ticket.targetBranches) {
+        // Look up this branch's plan section from master plan (null = fall back to per-branch planning)
+        const branchPlan = masterPlan.branchPlans ? (masterPlan.branchPlans.get(branchInfo.branch) || null) : null;
+        if (branchPlan) {
+          log(`${svc.serviceConfig.repo} / ${branchInfo.branch}: using master plan section (${branchPlan.length} chars)`);
+        } else if (masterPlan.branchPlans) {
+          log(`${svc.serviceConfig.repo} / ${branchInfo.branch}: no master plan section — using per-branch planning`);
         }
-      } catch (serviceError) {
-        err(`Failed to process service ${serviceName}: ${serviceError.message}`);
-        allFailures.push({ service: serviceName, baseBranch: 'all', error: serviceError.message });
+        tasks.push({ ...svc, baseBranch: branchInfo.branch, version: branchInfo.version, externalPlan: branchPlan });
+      }
+    });
+
+    log(`\n${'─'.repeat(60)}`);
+    log(`Processing ${tasks.length} service × branch task(s), up to ${maxParallel} in parallel`);
+    for (const task of tasks) {
+      log(`  ${task.serviceConfig.name} (${task.serviceConfig.repo}) → ${task.baseBranch}`);
+    }
+    log(`${'─'.repeat(60)}`);
+
+    // Each task runs in its own log context: separate step counter and log stream
+    const settled = await runPool(tasks, maxParallel, (task) =>
+      logger.runWithLogContext(`${task.serviceConfig.repo}@${task.baseBranch}`, () =>
+        processBranch(
+          effectiveConfig, ticket, task.serviceConfig, task.repoUrl, ticketKey,
+          task.baseBranch, task.version, runCtx, task.externalPlan
+        )));
+
+    if (isRunCancelled(logger.getRunId())) {
+      warn(`Run cancelled — stopping ${ticketKey} without PR/JIRA updates (resume with: resume ${runState.runId})`);
+      setRunStatus(runState, 'cancelled');
+      finalizeRun(false, 'Cancelled');
+      return { success: false, reason: 'cancelled' };
+    }
+
+    const parkedTasks = [];  // { service, baseBranch, resetAt }
+    const budgetTrips = [];  // { service, baseBranch, trip }
+    settled.forEach((outcome, i) => {
+      const task = tasks[i];
+      if (outcome.status === 'rejected') {
+        err(`Failed to process ${task.serviceName}/${task.baseBranch}: ${outcome.reason.message}`);
+        allFailures.push({ service: task.serviceName, baseBranch: task.baseBranch, error: outcome.reason.message });
+        return;
+      }
+
+      const result = outcome.value;
+      if (result.parked) {
+        parkedTasks.push({ service: task.serviceName, baseBranch: task.baseBranch, resetAt: result.parked.resetAt });
+      } else if (result.pr) {
+        allPRs.push({ service: task.serviceName, ...result.pr });
+      } else if (result.error) {
+        allFailures.push({ service: task.serviceName, baseBranch: task.baseBranch, error: result.error });
+      }
+      if (result.budgetExceeded) {
+        budgetTrips.push({ service: task.serviceName, baseBranch: task.baseBranch, trip: result.budgetExceeded });
+      }
+      if (result.claudeSummary && !firstClaudeSummary) {
+        firstClaudeSummary = result.claudeSummary;
+      }
+      if (result.planOutput && !firstPlanOutput) {
+        firstPlanOutput = result.planOutput;
+      }
+    });
+
+    // Finished branches keep their journaled PRs; reporting waits until the parked ones are done too
+    if (parkedTasks.length > 0) {
+      return await parkRun(config, runCtx, ticket, parkedTasks);
+    }
+
+    // A spend budget ran out: say which one. A per-ticket or per-service budget takes the
+    // trigger label off so the ticket is not picked up again until someone re-adds it; when
+    // only the daily budget ran out the label stays, and the daemon runs the ticket again
+    // once that budget resets at midnight.
+    const keepTriggerLabel = budgetTrips.length > 0 && budgetTrips.every(({ trip }) => trip.budget === 'day');
+    if (budgetTrips.length > 0) {
+      warn(`Spend budget reached on ${budgetTrips.length} task(s): ${describeBudgetTrip(budgetTrips[0].trip)}`);
+      await postComment(config, ticketKey, buildBudgetComment(budgetTrips, runState.runId, config.JIRA_LABEL, { labelKept: keepTriggerLabel }));
+      if (!keepTriggerLabel) {
+        await removeLabel(config, ticketKey, config.JIRA_LABEL);
+      }
+
+      if (allPRs.length === 0) {
+        await runMilestone(config, ticketKey, 'failed');
+        setRunStatus(runState, 'failed', { reason: 'budget_exceeded', budget: budgetTrips[0].trip });
+        finalizeRun(false, describeBudgetTrip(budgetTrips[0].trip));
+        return { success: false, reason: 'budget_exceeded', budget: budgetTrips[0].trip };
       }
     }
 
-    // Step 8.5: Transition to LEAD REVIEW + detailed comment (only if PRs exist)
-    if (allPRs.length > 0) {
+    // Step 8.5: Workflow "implemented" transitions (LEAD REVIEW) + detailed comment (only if PRs exist)
+    if (allPRs.length > 0 && !getStep(runState, TICKET_SCOPE, 'leadReview')) {
       try {
-        const transitionResult = await transitionToLeadReview(config, ticketKey);
-        if (transitionResult.emReviewDone) {
+        const implemented = await runMilestone(config, ticketKey, 'implemented');
+        if (implemented.done) {
           const reviewComment = buildLeadReviewComment(config, allPRs, firstClaudeSummary, firstPlanOutput);
-          await postComment(ticketKey, reviewComment);
+          await postComment(config, ticketKey, reviewComment);
           log(`LEAD REVIEW transition and comment posted for ${ticketKey}`);
         }
       } catch (transitionError) {
         warn(`LEAD REVIEW transition failed (non-blocking): ${transitionError.message}`);
       }
+      markStep(runState, TICKET_SCOPE, 'leadReview');
     }
 
     // Aggregate results and report
@@ -373,7 +566,9 @@ export async function processTicket(config, ticketOrKey) {
       const noPrMsg = logUrl
         ? `Dr. Asthana: No PRs created. Manual implementation may be needed.\n\nRun Log: ${logUrl}`
         : 'Dr. Asthana: No PRs created. Manual implementation may be needed.';
-      await postComment(ticketKey, noPrMsg);
+      await postComment(config, ticketKey, noPrMsg);
+      await runMilestone(config, ticketKey, 'failed');
+      setRunStatus(runState, 'failed', { reason: 'no_prs_created' });
       finalizeRun(false, 'No PRs created');
       return { success: false, reason: 'no_prs_created' };
     }
@@ -383,11 +578,21 @@ export async function processTicket(config, ticketOrKey) {
 
     const logUrl = uploadLogFile(getRunLogPath());
 
-    const jiraComment = buildJiraComment(config, allPRs, allFailures, firstClaudeSummary, logUrl);
-    await postComment(ticketKey, jiraComment);
+    // Spend of this run and every attempt it was resumed from
+    const costs = summarizeRunCosts(config, getRunIds(runState));
+    if (costs) {
+      log(`Provider spend: ${costs.total.costKnown ? `$${costs.total.costUsd.toFixed(2)}` : 'unknown'}, ${costs.total.numTurns} turns over ${costs.total.passes} pass(es)`);
+    }
+
+    await linkPRsToTicket(config, ticketKey, allPRs);
+
+    const jiraComment = buildJiraComment(config, allPRs, allFailures, firstClaudeSummary, logUrl, costs);
+    await postComment(config, ticketKey, jiraComment);
 
     // Update labels
-    await removeLabel(ticketKey, config.JIRA_LABEL);
+    if (!keepTriggerLabel) {
+      await removeLabel(config, ticketKey, config.JIRA_LABEL);
+    }
     const addedLabels = new Set();
     for (const pr of allPRs) {
       const versionMatch = pr.baseBranch.match(/version\/(.+)/);
@@ -395,7 +600,7 @@ export async function processTicket(config, ticketOrKey) {
         ? `${config.JIRA_LABEL_PROCESSED}-${versionMatch[1]}`
         : config.JIRA_LABEL_PROCESSED;
       if (!addedLabels.has(processedLabel)) {
-        await addLabel(ticketKey, processedLabel);
+        await addLabel(config, ticketKey, processedLabel);
         addedLabels.add(processedLabel);
       }
     }
@@ -406,6 +611,7 @@ export async function processTicket(config, ticketOrKey) {
 
     const allPrIds = allPRs.map(pr => pr.prId);
     ok(`Successfully processed ${ticketKey} — ${allPRs.length} PR(s) created: ${allPrIds.join(', ')}`);
+    setRunStatus(runState, 'completed', { prIds: allPrIds });
     finalizeRun(true, `${allPRs.length} PR(s) created: ${allPrIds.join(', ')}`);
 
     return {
@@ -422,11 +628,13 @@ export async function processTicket(config, ticketOrKey) {
       const failMsg = logUrl
         ? `Dr. Asthana failed: ${error.message}\n\nRun Log: ${logUrl}`
         : `Dr. Asthana failed: ${error.message}`;
-      await postComment(ticketKey, failMsg);
+      await postComment(config, ticketKey, failMsg);
+      await runMilestone(config, ticketKey, 'failed');
       await notifyFailure(config, ticketKey, ticketOrKey.fields?.summary || ticketKey, error.message, logUrl);
     } catch (commentError) {
       err(`Failed to add error comment: ${commentError.message}`);
     }
+    setRunStatus(runState, 'failed', { reason: 'error', error: error.message });
     finalizeRun(false, `Error: ${error.message}`);
     return { success: false, reason: 'error', error: error.message };
 
@@ -434,6 +642,241 @@ export async function processTicket(config, ticketOrKey) {
     if (runCtx.infraStarted) {
       await stopServices(config);
     }
+    await runCtx.claimRenewal?.stop();
+    // A parked run keeps its claim so no other agent starts the ticket while it waits
+    if (!runCtx.keepClaim) {
+      await releaseClaim(config, ticketKey, runCtx.claimLabel);
+    }
+  }
+}
+
+/**
+ * Service config for a local repository: the configured service whose repo has
+ * the same name, else the ticket's first known affected system, else a bare
+ * service named after the directory
+ */
+function resolveLocalService(config, ticket, repoPath) {
+  const repoName = path.basename(path.resolve(repoPath)).replace(/\.git$/, '');
+  const byRepo = Object.entries(config.SERVICES).find(([, service]) => service.repo === repoName);
+  if (byRepo) return getServiceConfig(config, byRepo[0]);
+
+  for (const system of ticket.affectedSystems) {
+    const serviceConfig = getServiceConfig(config, system);
+    if (serviceConfig) return serviceConfig;
+  }
+  return { name: repoName, repo: repoName };
+}
+
+/**
+ * Write the local run's results next to its clone: the commits as a patch file
+ * and a summary (provider summary, tests, open review findings)
+ */
+function writeLocalOutput(outputDir, ticket, serviceConfig, result, providerLabel) {
+  const { featureBranch, baseBranch, startSha, sha, testResults, review } = result.local;
+  const repoDir = path.join(outputDir, 'repo');
+  const patchFile = path.join(outputDir, `${ticket.key}.patch`);
+  fs.writeFileSync(patchFile, formatPatch(repoDir, startSha));
+
+  const findings = review?.findings || [];
+  const summary = [
+    `# ${ticket.key}: ${ticket.summary}`,
+    '',
+    `- Service: ${serviceConfig.name}`,
+    `- Branch: \`${featureBranch}\` (from \`${baseBranch}\` at \`${startSha.slice(0, 7)}\`), head \`${sha.slice(0, 7)}\``,
+    `- Clone: \`repo/\``,
+    `- Patch: \`${path.basename(patchFile)}\``,
+    '',
+    `## ${providerLabel} Summary`,
+    '',
+    buildPRDescription(result.claudeSummary, testResults),
+  ];
+  if (findings.length > 0) {
+    summary.push('', '## Open Review Findings', '', ...findings.map((f) => `- ${formatFinding(f)}`));
+  }
+  if (result.planOutput) {
+    summary.push('', '## Plan', '', result.planOutput);
+  }
+  const summaryFile = path.join(outputDir, 'summary.md');
+  fs.writeFileSync(summaryFile, summary.join('\n') + '\n');
+  return { patchFile, summaryFile };
+}
+
+/**
+ * Run a ticket against a local repository (a checkout or a bare repo) without
+ * touching any remote: fetch the ticket → processBranch in local mode → output
+ * folder. JIRA is only read — no claim, transitions, comments, labels or Slack.
+ *
+ * The output folder (<agent.localOutputDir>/<RUN-ID>/) holds the clone with the
+ * finished feature branch in `repo/`, `<KEY>.patch` and `summary.md`.
+ *
+ * @param {object} options - { repoPath, branch: base branch (default: the ticket's target branch) }
+ * @returns {Promise<{ success: boolean, outputDir?: string, featureBranch?: string, reason?: string, error?: string }>}
+ */
+export async function processLocal(config, ticketKey, { repoPath, branch = null }) {
+  const runId = initRun(ticketKey, config.LOG_DIR);
+  const outputDir = path.resolve(config.LOCAL_OUTPUT_DIR, runId);
+  const runCtx = { infraStarted: false, infraPromise: null, runState: null, local: { repoPath, outputDir } };
+  const providerLabel = getProviderLabel(config);
+
+  log(`\n${'═'.repeat(60)}`);
+  log(`Processing locally: ${ticketKey} against ${path.resolve(repoPath)}`);
+  log(`Run ID: ${runId}`);
+  log(`${'═'.repeat(60)}`);
+
+  try {
+    startStep(1, 'Fetch and parse ticket details');
+    const ticket = parseTicket(config, await getTicketDetails(config, ticketKey));
+    displayTicketDetails(ticket, logger);
+    endStep(true, `Ticket fetched: ${ticket.summary.substring(0, 50)}...`);
+
+    const complexity = scoreComplexity(ticket, config);
+    log(`Complexity: ${complexity.level} (score=${complexity.score}, phases=${complexity.enablePhases})`);
+    const effectiveConfig = buildEffectiveConfig(config, complexity);
+
+    const baseBranch = branch || ticket.targetBranch;
+    if (!baseBranch) {
+      err('The ticket has no Fix Version — pass --branch <base branch>');
+      finalizeRun(false, 'No base branch');
+      return { success: false, reason: 'no_branch' };
+    }
+    const version = (ticket.targetBranches?.length > 1 && ticket.targetBranches.find((tb) => tb.branch === baseBranch)?.version) || null;
+    const serviceConfig = resolveLocalService(config, ticket, repoPath);
+    log(`Service: ${serviceConfig.name}, base branch: ${baseBranch}, output: ${outputDir}`);
+
+    const result = await logger.runWithLogContext(`${serviceConfig.repo}@${baseBranch}`, () =>
+      processBranch(effectiveConfig, ticket, serviceConfig, null, ticketKey, baseBranch, version, runCtx));
+
+    if (!result.local) {
+      const reason = result.parked ? `${providerLabel} usage limit reached` : result.error;
+      err(`Local run of ${ticketKey} failed: ${reason}`);
+      if (fs.existsSync(outputDir)) log(`Partial work left in ${outputDir}`);
+      finalizeRun(false, reason);
+      return { success: false, reason: result.parked ? 'waiting_quota' : 'error', error: reason, outputDir };
+    }
+
+    const { patchFile, summaryFile } = writeLocalOutput(outputDir, ticket, serviceConfig, result, providerLabel);
+    ok(`${ticketKey} finished locally on ${result.local.featureBranch}`);
+    log(`  Clone:   ${path.join(outputDir, 'repo')}`);
+    log(`  Patch:   ${patchFile}`);
+    log(`  Summary: ${summaryFile}`);
+    finalizeRun(true, `Local branch ${result.local.featureBranch} in ${outputDir}`);
+    return { success: true, outputDir, featureBranch: result.local.featureBranch };
+
+  } catch (error) {
+    err(`Error processing ${ticketKey} locally: ${error.message}`);
+    finalizeRun(false, `Error: ${error.message}`);
+    return { success: false, reason: 'error', error: error.message };
+
+  } finally {
+    if (runCtx.infraStarted) {
+      await stopServices(config);
+    }
+  }
+}
+
+/**
+ * Park a run whose provider hit its usage limit: status 'waiting_quota' with the
+ * latest reset time of the parked tasks, plus a JIRA comment and Slack notice
+ * saying the run is paused rather than failed.
+ *
+ * @param {Array<{service: string, baseBranch: string|null, resetAt: string|null}>} parkedTasks
+ */
+async function parkRun(config, runCtx, ticket, parkedTasks) {
+  const { runState } = runCtx;
+  const providerLabel = getProviderLabel(config);
+  const resumeAt = parkedTasks
+    .map((task) => resolveResumeAt(config, task.resetAt))
+    .sort()
+    .at(-1);
+
+  warn(`${providerLabel} usage limit reached — parking ${ticket.key} until ${resumeAt} (run ${runState.runId})`);
+  setRunStatus(runState, 'waiting_quota', { resumeAt });
+
+  // Nothing renews the claim while the run waits: date it at resumeAt, so it
+  // stays live until the run is due back plus jira.claimTtlMinutes
+  runCtx.keepClaim = true;
+  await runCtx.claimRenewal?.stop();
+  runCtx.claimLabel = await renewClaim(config, ticket.key, logger.getRunId(), runCtx.claimLabel, new Date(resumeAt).getTime());
+
+  await postComment(config, ticket.key, buildPausedComment(providerLabel, resumeAt, runState.runId, parkedTasks));
+  await notifyPaused(config, ticket.key, ticket.summary, providerLabel, resumeAt, runState.runId);
+
+  finalizeRun(false, `Waiting for ${providerLabel} quota until ${resumeAt}`);
+  return { success: false, reason: 'waiting_quota', resumeAt, runId: runState.runId };
+}
+
+/**
+ * Add a JIRA remote link for every PR. Links are keyed by service and base branch,
+ * so a re-run updates the existing link (new PR id, draft state) instead of adding one.
+ */
+async function linkPRsToTicket(config, ticketKey, allPRs) {
+  let linked = 0;
+  for (const pr of allPRs) {
+    const linkId = await upsertRemoteLink(config, ticketKey, {
+      globalId: `dr-asthana:${pr.service}:${pr.baseBranch}`,
+      url: pr.prUrl,
+      title: `PR #${pr.prId}: ${pr.service} → ${pr.baseBranch}${pr.draft ? ' (draft)' : ''}`,
+      summary: `Dr. Asthana pull request for ${pr.service} on ${pr.baseBranch}`,
+      application: getServiceScm(getServiceConfig(config, pr.service)).remoteLinkApplication,
+      relationship: 'pull request',
+    });
+    if (linkId != null) linked++;
+  }
+  log(`Linked ${linked}/${allPRs.length} PR(s) on ${ticketKey}`);
+}
+
+/**
+ * Start infrastructure once per ticket run. Concurrent branches share the same
+ * startup promise, so the start script never runs twice.
+ */
+function ensureInfraStarted(config, runCtx, stepName) {
+  if (!runCtx.infraPromise) {
+    runCtx.infraStarted = true;
+    runCtx.infraPromise = (async () => {
+      startStep(4.5, stepName);
+      const started = await startServices(config);
+      if (started) {
+        endStep(true, 'MongoDB, Redis, Kafka ready');
+      } else {
+        endStep(false, 'Infrastructure start failed (continuing anyway)');
+      }
+      return started;
+    })();
+  }
+  return runCtx.infraPromise;
+}
+
+/**
+ * Strip raw test output before journaling — only what the PR description needs is kept.
+ */
+function compactTestResults(testResults) {
+  return {
+    ...testResults,
+    results: (testResults.results || []).map(({ name, cmd, success, error, exitCode, duration }) => ({
+      name, cmd, success, error, exitCode, duration,
+    })),
+  };
+}
+
+/**
+ * Commit one finished phase of a phase-based run (commits.perPhase). The injected
+ * agent rules stay in the instructions file for the remaining passes. Non-blocking.
+ */
+function commitPhase(tmpDir, commitSettings, commitFields, ticket, cloneInfo, phase, index, total) {
+  try {
+    const message = buildCommitMessage(
+      commitSettings,
+      { ...commitFields, summary: phase.title },
+      `Phase ${index + 1} of ${total} of ${ticket.key}: ${ticket.summary}`
+    );
+    const sha = commitChanges(tmpDir, message, {
+      serviceHasInstructionFile: cloneInfo.serviceHasInstructionFile,
+      instructionFile: cloneInfo.instructionFile,
+      keepInstructionFile: true,
+    });
+    log(sha ? `Committed phase ${index + 1}/${total}: ${sha.slice(0, 7)}` : `Phase ${index + 1}/${total} changed nothing — no commit`);
+  } catch (error) {
+    warn(`Could not commit phase ${index + 1}: ${error.message.split('\n')[0]}`);
   }
 }
 
@@ -441,88 +884,239 @@ export async function processTicket(config, ticketOrKey) {
  * Process a single branch of a service: Clone → Provider → Test → Commit → Push → Base tag → PR → Cleanup.
  * Each branch gets a completely fresh clone — no shared git state.
  *
- * @returns {{ pr: object|null, error: string|null, claudeSummary: string }}
+ * Steps already recorded in runCtx.runState are skipped: a branch whose PR exists
+ * returns immediately, a branch that was pushed only needs base tag + PR, and a
+ * clone left behind by a crash is reused as long as it still exists on disk.
+ *
+ * A branch whose provider hits the usage limit is parked: the clone is kept and
+ * the pass to restart from is journaled as 'waitingQuota'.
+ *
+ * With runCtx.local ({ repoPath, outputDir }, see processLocal) the branch is cloned
+ * from a local repository into the output folder and stops after the commit.
+ *
+ * @returns {{ pr: object|null, error: string|null, parked?: { resetAt: string|null }, budgetExceeded?: object, local?: object, claudeSummary: string }}
  */
 async function processBranch(config, ticket, serviceConfig, repoUrl, ticketKey, baseBranch, version = null, runCtx = {}, externalPlan = null) {
   let tmpDir = null;
+  let parked = false;
   const providerLabel = getProviderLabel(config);
+  const { runState } = runCtx;
+  const scope = branchScope(serviceConfig.name, baseBranch);
+  const commitSettings = getCommitSettings(config, serviceConfig);
+  const commitFields = { key: ticketKey, type: getCommitType(ticket.type), service: serviceConfig.name, branch: baseBranch, provider: providerLabel };
+
+  const recordedPR = getStep(runState, scope, 'prCreated');
+  if (recordedPR) {
+    const recordedProvider = getStep(runState, scope, 'provider') || {};
+    log(`PR #${recordedPR.prId} already created for ${serviceConfig.repo}/${baseBranch} in a previous attempt — skipping`);
+    return {
+      pr: { prId: recordedPR.prId, prUrl: recordedPR.prUrl, baseBranch, version, draft: Boolean(recordedPR.draft), reviewers: recordedPR.reviewers || [] },
+      claudeSummary: recordedProvider.claudeSummary || '',
+      planOutput: recordedProvider.planOutput || '',
+    };
+  }
+
+  if (isRunCancelled(logger.getRunId())) {
+    return { pr: null, error: 'Cancelled', claudeSummary: '', planOutput: '' };
+  }
 
   try {
-    // Clone and create feature branch
+    // Clone and create feature branch (or pick up the clone/branch from a previous attempt)
     startStep(4, `Clone ${serviceConfig.repo} (${baseBranch})`);
-    const { tmpDir: dir, featureBranch, serviceHasInstructionFile, instructionFile } = await cloneAndBranch(
-      config,
-      repoUrl,
-      baseBranch,
-      ticketKey,
-      ticket.summary,
-      version
-    );
-    tmpDir = dir;
+    const recordedClone = getStep(runState, scope, 'cloned');
+    const recordedPush = getStep(runState, scope, 'pushed');
+    let cloneInfo;
+    let freshClone = false;
+
+    if (runCtx.local) {
+      cloneInfo = await cloneLocal(config, runCtx.local.repoPath, path.join(runCtx.local.outputDir, 'repo'), baseBranch, ticketKey, ticket.summary, version);
+      freshClone = true;
+    } else if (recordedClone && fs.existsSync(recordedClone.tmpDir)) {
+      cloneInfo = recordedClone;
+      log(`Reusing clone from previous attempt: ${cloneInfo.tmpDir}`);
+    } else if (recordedClone && recordedPush) {
+      cloneInfo = await cloneFeatureBranch(config, repoUrl, recordedClone.featureBranch, baseBranch);
+      markStep(runState, scope, 'cloned', cloneInfo);
+    } else {
+      resetScope(runState, scope);
+      // Build on the remote feature branch unless it still holds the agent's own last push
+      const lastPushedSha = findLastPushedSha(config, ticketKey, scope, buildFeatureBranchName(ticketKey, ticket.summary, version));
+      cloneInfo = await cloneAndBranch(
+        config,
+        repoUrl,
+        baseBranch,
+        ticketKey,
+        ticket.summary,
+        version,
+        { lastPushedSha }
+      );
+      freshClone = true;
+    }
+    const { featureBranch, serviceHasInstructionFile, instructionFile, builtOnRemote = false, startSha = null } = cloneInfo;
+    tmpDir = cloneInfo.tmpDir;
     log(`Feature branch: ${featureBranch}`);
-    endStep(true, `Branch created: ${featureBranch}`);
+    endStep(true, `Branch ready: ${featureBranch}`);
 
     // Detect target Node.js version for nvm
     const nodeVersion = detectTargetNodeVersion(tmpDir, ticket);
     const nvmBinDir = nodeVersion ? getNvmBinDir(nodeVersion) : null;
 
-    // Inject agent standing rules into the clone's provider instructions file
-    injectAgentRules(tmpDir, config, nodeVersion);
+    // Inject agent standing rules into the clone's provider instructions file.
+    // A reused clone already has them — injecting twice would duplicate the rules.
+    if (freshClone) {
+      injectAgentRules(tmpDir, config, nodeVersion);
+      markStep(runState, scope, 'cloned', {
+        tmpDir,
+        featureBranch,
+        baseBranch,
+        serviceHasInstructionFile,
+        instructionFile,
+        builtOnRemote,
+        startSha,
+      });
+    }
 
-    // When provider runs tests internally, it needs infra up before it starts.
-    // Start infra lazily (once across all branches) before the first provider run.
-    if (config.AGENT_RUN_TESTS && !runCtx.infraStarted) {
-      startStep(4.5, `Start infrastructure services (${providerLabel} will run tests)`);
-      const started = await startServices(config);
-      runCtx.infraStarted = true;
-      if (started) {
-        endStep(true, 'MongoDB, Redis, Kafka ready');
-      } else {
-        endStep(false, 'Infrastructure start failed (continuing anyway)');
+    const recordedProvider = getStep(runState, scope, 'provider');
+    let claudeResult;
+    let claudeSummary;
+    let planOutput;
+
+    if (recordedProvider) {
+      log(`${providerLabel} already ran on ${serviceConfig.repo}/${baseBranch} in a previous attempt — reusing its output`);
+      claudeResult = recordedProvider;
+      claudeSummary = recordedProvider.claudeSummary;
+      planOutput = recordedProvider.planOutput || '';
+    } else {
+      // When provider runs tests internally, it needs infra up before it starts.
+      // Start infra lazily (once across all branches) before the first provider run.
+      if (config.AGENT_RUN_TESTS) {
+        await ensureInfraStarted(config, runCtx, `Start infrastructure services (${providerLabel} will run tests)`);
       }
-    }
 
-    // Run selected AI provider
-    startStep(5, `Run ${providerLabel} on ${serviceConfig.repo}/${baseBranch}`);
-    const claudeResult = await runAgentProvider(
-      config,
-      tmpDir,
-      ticketKey,
-      ticket.summary,
-      ticket.description,
-      ticket.comments,
-      { nvmBinDir, instructionFile, externalPlan }
-    );
-    const claudeSummary = claudeResult.output;
-    const planOutput = claudeResult.planOutput || '';
+      // A clone parked on the usage limit picks up at the pass that was cut short
+      const recordedWait = freshClone ? null : getStep(runState, scope, 'waitingQuota');
+      if (recordedWait) {
+        log(`Resuming ${providerLabel} at the ${recordedWait.resumeFrom.pass} pass (parked until ${recordedWait.resetAt || 'unknown'})`);
+      }
 
-    if (!claudeSummary || claudeSummary.trim() === '') {
-      warn(`${providerLabel} produced no output on ${serviceConfig.repo}/${baseBranch}`);
-      endStep(false, `No output from ${providerLabel}`);
-      return { pr: null, error: `No ${providerLabel} output`, claudeSummary: '', planOutput };
-    }
+      // Run selected AI provider
+      startStep(5, `Run ${providerLabel} on ${serviceConfig.repo}/${baseBranch}`);
+      claudeResult = await runAgentProvider(
+        config,
+        tmpDir,
+        ticketKey,
+        ticket.summary,
+        ticket.description,
+        ticket.comments,
+        {
+          nvmBinDir,
+          instructionFile,
+          externalPlan,
+          resumeFrom: recordedWait?.resumeFrom || null,
+          service: serviceConfig.name,
+          baseBranch,
+          onPhaseComplete: commitSettings.perPhase
+            ? (phase, index, total) => commitPhase(tmpDir, commitSettings, commitFields, ticket, cloneInfo, phase, index, total)
+            : null,
+        }
+      );
+      claudeSummary = claudeResult.output;
+      planOutput = claudeResult.planOutput || '';
 
-    if (claudeResult.rateLimited) {
-      warn(`${providerLabel} hit API rate limit on ${serviceConfig.repo}/${baseBranch}`);
-    }
-    if (claudeResult.maxTurnsReached) {
-      warn(`${providerLabel} hit max turns (${claudeResult.numTurns}) — output may be incomplete`);
+      // A cancelled pass was killed mid-way — never journal or push its output
+      if (isRunCancelled(logger.getRunId())) {
+        endStep(false, 'Cancelled');
+        return { pr: null, error: 'Cancelled', claudeSummary: '', planOutput };
+      }
+
+      // Budget used up — stop without committing; the provider step is not journaled,
+      // so a resume (after raising the budget) runs the provider again
+      if (claudeResult.budgetExceeded) {
+        const reason = describeBudgetTrip(claudeResult.budgetExceeded);
+        endStep(false, reason);
+        return { pr: null, error: `Budget exceeded: ${reason}`, budgetExceeded: claudeResult.budgetExceeded, claudeSummary: '', planOutput };
+      }
+
+      // Usage limit — never commit half-done work; keep the clone for the resume
+      if (claudeResult.rateLimited) {
+        warn(`${providerLabel} hit API rate limit on ${serviceConfig.repo}/${baseBranch} — parking at the ${claudeResult.resumeFrom.pass} pass`);
+        markStep(runState, scope, 'waitingQuota', { resetAt: claudeResult.resetAt, resumeFrom: claudeResult.resumeFrom });
+        endStep(false, `Waiting for ${providerLabel} quota${claudeResult.resetAt ? ` (resets ${claudeResult.resetAt})` : ''}`);
+        parked = true;
+        return { pr: null, parked: { resetAt: claudeResult.resetAt }, claudeSummary: '', planOutput };
+      }
+
+      if (!claudeSummary || claudeSummary.trim() === '') {
+        warn(`${providerLabel} produced no output on ${serviceConfig.repo}/${baseBranch}`);
+        endStep(false, `No output from ${providerLabel}`);
+        return { pr: null, error: `No ${providerLabel} output`, claudeSummary: '', planOutput };
+      }
+
+      if (claudeResult.maxTurnsReached) {
+        warn(`${providerLabel} hit max turns (${claudeResult.numTurns}) — output may be incomplete`);
+      }
+
+      logData(`${providerLabel} summary`, claudeSummary.substring(0, 1000));
+      endStep(true, claudeResult.completedNormally ? `${providerLabel} completed` : `${providerLabel} finished (exit=${claudeResult.exitCode}, turns=${claudeResult.numTurns})`);
+
+      markStep(runState, scope, 'provider', {
+        claudeSummary,
+        planOutput,
+        completedNormally: claudeResult.completedNormally,
+        maxTurnsReached: claudeResult.maxTurnsReached,
+        numTurns: claudeResult.numTurns,
+        exitCode: claudeResult.exitCode,
+      });
     }
 
-    logData(`${providerLabel} summary`, claudeSummary.substring(0, 1000));
-    endStep(true, claudeResult.completedNormally ? `${providerLabel} completed` : `${providerLabel} finished (exit=${claudeResult.exitCode}, turns=${claudeResult.numTurns})`);
+    // Read-only review of the diff against the base branch; blocking findings get one fix pass
+    let review = getStep(runState, scope, 'review');
+    if (review) {
+      log(`Review already ran on ${serviceConfig.repo}/${baseBranch} in a previous attempt — ${review.findings.length} finding(s) open`);
+    } else if (config.REVIEW_ENABLED && !getStep(runState, scope, 'pushed')) {
+      startStep(5.5, `Review changes on ${serviceConfig.repo}/${baseBranch}`);
+      review = await runReview(config, tmpDir, ticket, {
+        baseBranch,
+        instructionFile,
+        nvmBinDir,
+        service: serviceConfig.name,
+      });
+
+      if (isRunCancelled(logger.getRunId())) {
+        endStep(false, 'Cancelled');
+        return { pr: null, error: 'Cancelled', claudeSummary: '', planOutput };
+      }
+
+      for (const finding of review.findings) {
+        if (finding.severity === 'blocking') {
+          warn(`Review: ${formatFinding(finding)}`);
+        } else {
+          log(`Review: ${formatFinding(finding)}`);
+        }
+      }
+      const blocking = review.findings.filter((f) => f.severity === 'blocking').length;
+      const fixNote = review.fixPass ? `, fix pass resolved ${review.fixed}` : '';
+      endStep(blocking === 0, `${review.findings.length} finding(s) open, ${blocking} blocking${fixNote}`);
+      markStep(runState, scope, 'review', review);
+    }
 
     // Run external tests — only trust provider's internal tests when it completed normally
-    let testResults;
-    if (config.AGENT_RUN_TESTS && claudeResult.completedNormally) {
+    // and no review fix pass changed the code afterwards
+    const reviewFixed = Boolean(review?.fixPass);
+    let testResults = getStep(runState, scope, 'tests')?.testResults || null;
+    if (testResults) {
+      log('Test results restored from previous attempt');
+    } else if (config.AGENT_RUN_TESTS && claudeResult.completedNormally && !reviewFixed) {
       log(`Skipping external test step — ${providerLabel} completed and ran tests internally`);
       testResults = { passed: true, skipped: true, results: [], source: config.AGENT_PROVIDER || 'provider' };
     } else {
       if (config.AGENT_RUN_TESTS && !claudeResult.completedNormally) {
         warn(`${providerLabel} did not complete normally — falling back to external test validation`);
+      } else if (config.AGENT_RUN_TESTS && reviewFixed) {
+        warn('Review fix pass changed the code — running external test validation');
       }
       startStep(6, `Run tests on ${serviceConfig.repo}/${baseBranch}`);
-      const testCheck = shouldRunTests(tmpDir);
+      const testCheck = shouldRunTests(tmpDir, startSha || 'HEAD');
       if (!testCheck.needed) {
         log(`Skipping tests: ${testCheck.reason}`);
         testResults = { passed: true, skipped: true, results: [], source: 'none' };
@@ -531,16 +1125,7 @@ async function processBranch(config, ticket, serviceConfig, repoUrl, ticketKey,
         log(`Tests needed: ${testCheck.reason}`);
 
         // Start infrastructure on first branch that actually needs tests (lazy)
-        if (!runCtx.infraStarted) {
-          startStep(3, 'Start infrastructure services');
-          const started = await startServices(config);
-          runCtx.infraStarted = true;
-          if (started) {
-            endStep(true, 'MongoDB, Redis, Kafka ready');
-          } else {
-            endStep(false, 'Infrastructure start failed (continuing anyway)');
-          }
-        }
+        await ensureInfraStarted(config, runCtx, 'Start infrastructure services');
 
         testResults = await runTests(tmpDir, { nvmBinDir, instructionFile: config.AGENT_INSTRUCTIONS_FILE });
         log(formatTestResults(testResults));
@@ -553,46 +1138,112 @@ async function processBranch(config, ticket, serviceConfig, repoUrl, ticketKey,
         }
       }
     }
+    if (!getStep(runState, scope, 'tests')) {
+      markStep(runState, scope, 'tests', { testResults: compactTestResults(testResults) });
+    }
+
+    // Local mode ends with a commit on the feature branch in the output folder
+    if (runCtx.local) {
+      startStep(7, `Commit ${serviceConfig.repo}/${baseBranch} locally`);
+      commitChanges(tmpDir, buildCommitMessage(commitSettings, { ...commitFields, summary: ticket.summary }), { serviceHasInstructionFile, instructionFile });
+      const sha = getHeadSha(tmpDir);
+      if (sha === startSha) {
+        warn('No changes to commit');
+        endStep(false, 'No changes');
+        return { pr: null, error: 'No changes', claudeSummary, planOutput };
+      }
+      // Drop the copied default instruction file so the clone is left clean
+      if (!serviceHasInstructionFile) {
+        fs.rmSync(path.join(tmpDir, instructionFile), { force: true });
+      }
+      endStep(true, `Committed ${sha.slice(0, 7)} on ${featureBranch}`);
+      return { pr: null, local: { featureBranch, baseBranch, startSha, sha, testResults, review }, claudeSummary, planOutput };
+    }
 
     // Commit and push
-    startStep(7, `Commit and push ${serviceConfig.repo}/${baseBranch}`);
-    const { pushed } = await commitAndPush(tmpDir, featureBranch, ticketKey, ticket.summary, serviceHasInstructionFile, instructionFile);
-    if (!pushed) {
-      warn('No changes to commit');
-      endStep(false, 'No changes');
-      return { pr: null, error: 'No changes', claudeSummary, planOutput };
+    if (getStep(runState, scope, 'pushed')) {
+      log(`${featureBranch} already pushed in a previous attempt — skipping commit/push`);
+    } else {
+      startStep(7, `Commit and push ${serviceConfig.repo}/${baseBranch}`);
+      let push;
+      try {
+        push = await commitAndPush(tmpDir, featureBranch, ticketKey, ticket.summary, serviceHasInstructionFile, instructionFile, {
+          message: buildCommitMessage(commitSettings, { ...commitFields, summary: ticket.summary }),
+          startSha,
+          lastPushedSha: findLastPushedSha(config, ticketKey, scope, featureBranch),
+        });
+      } catch (pushError) {
+        if (pushError.code !== 'PUSH_REFUSED') throw pushError;
+        warn(pushError.message);
+        endStep(false, 'Push refused');
+        await postComment(config, ticketKey, buildPushRefusedComment(serviceConfig.name, baseBranch, featureBranch, pushError, logger.getRunId(), config.JIRA_LABEL));
+        return { pr: null, error: pushError.message, claudeSummary, planOutput };
+      }
+      const { pushed, previousSha, sha, changes } = push;
+      if (!pushed) {
+        warn('No changes to commit');
+        endStep(false, 'No changes');
+        return { pr: null, error: 'No changes', claudeSummary, planOutput };
+      }
+      markStep(runState, scope, 'pushed', { featureBranch, previousSha, sha, changes, builtOnRemote });
+      endStep(true, push.forced ? 'Pushed (replaced the previous run\'s push)' : 'Pushed');
     }
-    endStep(true, 'Pushed');
 
     // Handle base tag
-    try {
-      const baseTagResult = handleBaseTag(tmpDir, baseBranch, serviceConfig.repo);
-      if (baseTagResult.tagged) {
-        log(`Base tag created: ${baseTagResult.tag}`);
-        await commitAndPush(tmpDir, featureBranch, ticketKey, `Update base image tag to ${baseTagResult.tag}`, serviceHasInstructionFile, instructionFile);
+    if (!getStep(runState, scope, 'baseTagged')) {
+      try {
+        const baseTagResult = await handleBaseTag(tmpDir, baseBranch, serviceConfig.repo);
+        let tagPush = null;
+        if (baseTagResult.tagged) {
+          log(`Base tag created: ${baseTagResult.tag}`);
+          tagPush = await commitAndPush(tmpDir, featureBranch, ticketKey, `Update base image tag to ${baseTagResult.tag}`, serviceHasInstructionFile, instructionFile, {
+            message: buildCommitMessage(commitSettings, { ...commitFields, type: 'chore', summary: `Update base image tag to ${baseTagResult.tag}` }),
+            lastPushedSha: getStep(runState, scope, 'pushed').sha,
+          });
+        }
+        markStep(runState, scope, 'baseTagged', { tag: baseTagResult.tag || null, sha: tagPush?.pushed ? tagPush.sha : null });
+      } catch (baseTagError) {
+        warn(`Base tag handling failed: ${baseTagError.message}`);
       }
-    } catch (baseTagError) {
-      warn(`Base tag handling failed: ${baseTagError.message}`);
     }
 
-    // Create PR
+    // Create PR — a draft unless the PR policy allows publishing it
     startStep(8, `Create PR for ${serviceConfig.repo}/${baseBranch}`);
     const prDescription = buildPRDescription(claudeSummary, testResults);
+    const { draft, reason: draftReason } = decidePRDraft(config, serviceConfig, {
+      testResults,
+      review,
+      maxTurnsReached: Boolean(claudeResult.maxTurnsReached),
+    });
     const prResult = await createPR(
       config,
-      tmpDir,
+      serviceConfig,
       featureBranch,
       baseBranch,
       ticketKey,
       ticket.summary,
-      prDescription
+      prDescription,
+      { push: getStep(runState, scope, 'pushed'), draft, draftReason }
     );
 
     if (prResult?.prId) {
-      const action = prResult.alreadyExists ? 'updated' : 'created';
+      let action = prResult.alreadyExists ? 'updated' : 'created';
+      if (prResult.rerun) action += `, re-run #${prResult.rerun}`;
+      if (prResult.draft) action += ', draft';
+      markStep(runState, scope, 'prCreated', { prId: prResult.prId, prUrl: prResult.prUrl, alreadyExists: !!prResult.alreadyExists, rerun: prResult.rerun || null, draft: prResult.draft, reviewers: prResult.reviewers || [] });
       log(`PR #${prResult.prId} ${action}`);
+      if (review?.findings.length > 0) {
+        // Services sharing the repo share the PR — skip what any run already posted on it
+        const alreadyPosted = findPostedFindings(config, ticketKey, repoBranchScopes(config, serviceConfig.repo, baseBranch), prResult.prId);
+        const posted = await addPRComments(config, serviceConfig, prResult.prId, review.findings, config.REVIEW_MAX_PR_COMMENTS, { alreadyPosted });
+        if (posted.length > 0) {
+          const previous = getStep(runState, scope, 'prComments');
+          const earlier = String(previous?.prId) === String(prResult.prId) ? previous.findings : [];
+          markStep(runState, scope, 'prComments', { prId: prResult.prId, findings: [...earlier, ...posted] });
+        }
+      }
       endStep(true, `PR #${prResult.prId} (${action})`);
-      return { pr: { prId: prResult.prId, prUrl: prResult.prUrl, baseBranch, version }, claudeSummary, planOutput };
+      return { pr: { prId: prResult.prId, prUrl: prResult.prUrl, baseBranch, version, draft: prResult.draft, reviewers: prResult.reviewers || [] }, claudeSummary, planOutput };
     }
 
     warn('PR creation failed');
@@ -600,42 +1251,25 @@ async function processBranch(config, ticket, serviceConfig, repoUrl, ticketKey,
     return { pr: null, error: 'PR creation failed', claudeSummary, planOutput };
 
   } finally {
-    if (tmpDir) {
-      cleanup(tmpDir);
+    if (tmpDir && !parked && !runCtx.local) {
+      await cleanup(tmpDir);
     }
   }
 }
 
 /**
- * Process a single service with a single target branch.
+ * Run a single planning session across all target branches of a service, so each
+ * branch's implementation pass can start from its own section of one master plan.
  *
- * Returns { prs: [...], failures: [...], claudeSummary }
+ * Returns { branchPlans: Map<branch, plan>|null, planOutput } — branchPlans is null
+ * when the master plan failed and every branch should fall back to per-branch planning.
+ * A master plan cut short by the usage limit returns { rateLimited: true, resetAt } instead.
  */
-async function processServiceSingleBranch(config, ticket, serviceConfig, repoUrl, ticketKey, runCtx = {}) {
-  const result = await processBranch(config, ticket, serviceConfig, repoUrl, ticketKey, ticket.targetBranch, null, runCtx);
-  return {
-    prs: result.pr ? [result.pr] : [],
-    failures: result.error ? [{ baseBranch: ticket.targetBranch, error: result.error }] : [],
-    claudeSummary: result.claudeSummary || '',
-    planOutput: result.planOutput || '',
-  };
-}
-
-/**
- * Process a single service with multiple target branches.
- * Each branch gets a fresh clone, fully processes, and cleans up before the next starts.
- *
- * Returns { prs: [...], failures: [...], claudeSummary }
- */
-async function processServiceMultiBranch(config, ticket, serviceConfig, repoUrl, ticketKey, runCtx = {}) {
-  const prs = [];
-  const failures = [];
-  let claudeSummary = '';
+async function buildMasterPlan(config, ticket, serviceConfig, repoUrl, ticketKey, runCtx = {}) {
   let planOutput = '';
 
   const allBranches = ticket.targetBranches.map(tb => tb.branch);
   const branchCount = allBranches.length;
-  const providerLabel = getProviderLabel(config);
 
   // ── Master plan phase ──────────────────────────────────────────────
   // Run a single planning session across all branches, then distribute
@@ -645,108 +1279,89 @@ async function processServiceMultiBranch(config, ticket, serviceConfig, repoUrl,
   log(`\n  Master plan for ${serviceConfig.repo} (${branchCount} branches: ${allBranches.join(', ')})`);
 
   let planDir = null;
+  const recordedMasterPlan = getStep(runCtx.runState, serviceScope(serviceConfig.name), 'masterPlan');
   try {
-    // 1. Clone with all branches available as remote refs
-    const planClone = await cloneForPlanning(repoUrl, allBranches);
-    planDir = planClone.tmpDir;
+    if (recordedMasterPlan) {
+      log('  Master plan restored from previous attempt');
+      branchPlans = parseMultiBranchPlan(recordedMasterPlan.planOutput);
+      planOutput = recordedMasterPlan.planOutput;
+    } else {
+      // 0. No master plan once a budget is used up — the branches stop at their own budget check
+      const trip = checkBudget(config, { ticketKey, service: serviceConfig.name });
+      if (trip) {
+        warn(`Master plan skipped: ${describeBudgetTrip(trip)}`);
+        return { branchPlans: null, planOutput: '' };
+      }
 
-    // 2. Inject agent rules (no-test rules for planning)
-    injectAgentRules(planDir, { ...config, AGENT_RUN_TESTS: false });
+      // 1. Clone with all branches available as remote refs
+      const planClone = await cloneForPlanning(repoUrl, allBranches);
+      planDir = planClone.tmpDir;
 
-    // 3. Scale budget for branch count
-    const basePlanTurns = config.CLAUDE_PLAN_TURNS || config.AGENT_PLAN_TURNS || 40;
-    const basePlanTimeoutMin = config.CLAUDE_PLAN_TIMEOUT_MINUTES || config.AGENT_PLAN_TIMEOUT_MINUTES || 30;
-    const masterPlanTurns = Math.min(basePlanTurns + (branchCount - 1) * 15, 80);
-    const masterPlanTimeout = Math.min(basePlanTimeoutMin + (branchCount - 1) * 10, 60);
+      // 2. Inject agent rules (no-test rules for planning)
+      injectAgentRules(planDir, { ...config, AGENT_RUN_TESTS: false });
 
-    log(`  Master plan budget: ${masterPlanTurns} turns, ${masterPlanTimeout} min timeout`);
+      // 3. Scale budget for branch count
+      const basePlanTurns = config.CLAUDE_PLAN_TURNS || config.AGENT_PLAN_TURNS || 40;
+      const basePlanTimeoutMin = config.CLAUDE_PLAN_TIMEOUT_MINUTES || config.AGENT_PLAN_TIMEOUT_MINUTES || 30;
+      const masterPlanTurns = Math.min(basePlanTurns + (branchCount - 1) * 15, 80);
+      const masterPlanTimeout = Math.min(basePlanTimeoutMin + (branchCount - 1) * 10, 60);
 
-    // 4. Build multi-branch prompt and run Claude
-    const masterPrompt = buildMultiBranchPlanPrompt(
-      ticketKey,
-      ticket.summary,
-      ticket.description,
-      ticket.comments,
-      allBranches
-    );
+      log(`  Master plan budget: ${masterPlanTurns} turns, ${masterPlanTimeout} min timeout`);
 
-    const masterResult = await spawnClaude({
-      tmpDir: planDir,
-      prompt: masterPrompt,
-      maxTurns: masterPlanTurns,
-      timeout: masterPlanTimeout * 60 * 1000,
-      label: 'master-plan',
-      logDir: config.LOG_DIR,
-      ticketKey,
-      cliCommand: config.AGENT_CLI_COMMAND || 'claude',
-      providerLabel,
-    });
+      // 4. Build multi-branch prompt and run Claude
+      const masterPrompt = buildMultiBranchPlanPrompt(
+        ticketKey,
+        ticket.summary,
+        ticket.description,
+        ticket.comments,
+        allBranches
+      );
 
-    // 5. Validate result
-    if (masterResult.rateLimited) {
-      warn('Master plan: rate limited. All branches fall back to per-branch planning.');
-    } else if (isGarbageOutput(masterResult.output)) {
-      warn(`Master plan: garbage output (${(masterResult.output || '').length} chars). Falling back.`);
-    } else {
-      // 6. Parse per-branch sections
-      branchPlans = parseMultiBranchPlan(masterResult.output);
-      planOutput = masterResult.output;
-
-      if (branchPlans) {
-        const covered = allBranches.filter(b => branchPlans.has(b));
-        const missing = allBranches.filter(b => !branchPlans.has(b));
-        log(`  Master plan parsed successfully: ${covered.length}/${branchCount} branches covered`);
-        if (covered.length > 0) log(`    Covered: ${covered.join(', ')}`);
-        if (missing.length > 0) warn(`    Missing (will fall back): ${missing.join(', ')}`);
+      const masterResult = await spawnClaude({
+        tmpDir: planDir,
+        prompt: masterPrompt,
+        maxTurns: masterPlanTurns,
+        timeout: masterPlanTimeout * 60 * 1000,
+        label: 'master-plan',
+        logDir: config.LOG_DIR,
+        ticketKey,
+        ...getProviderSpawnOptions(config),
+        costContext: { stateDir: config.STATE_DIR, service: serviceConfig.name, baseBranch: null },
+      });
+
+      // 5. Validate result
+      if (masterResult.rateLimited) {
+        warn('Master plan: rate limited. Parking the ticket until the usage limit resets.');
+        return { branchPlans: null, planOutput: '', rateLimited: true, resetAt: masterResult.resetAt };
+      } else if (isGarbageOutput(masterResult.output, getProvider(config))) {
+        warn(`Master plan: garbage output (${(masterResult.output || '').length} chars). Falling back.`);
       } else {
-        warn('Master plan: could not parse per-branch sections (< 2 BRANCH: headers). Falling back.');
+        // 6. Parse per-branch sections
+        branchPlans = parseMultiBranchPlan(masterResult.output);
+        planOutput = masterResult.output;
+
+        if (branchPlans) {
+          const covered = allBranches.filter(b => branchPlans.has(b));
+          const missing = allBranches.filter(b => !branchPlans.has(b));
+          log(`  Master plan parsed successfully: ${covered.length}/${branchCount} branches covered`);
+          if (covered.length > 0) log(`    Covered: ${covered.join(', ')}`);
+          if (missing.length > 0) warn(`    Missing (will fall back): ${missing.join(', ')}`);
+          markStep(runCtx.runState, serviceScope(serviceConfig.name), 'masterPlan', { planOutput });
+        } else {
+          warn('Master plan: could not parse per-branch sections (< 2 BRANCH: headers). Falling back.');
+        }
       }
     }
   } catch (masterPlanError) {
     warn(`Master plan failed: ${masterPlanError.message}. All branches fall back to per-branch planning.`);
   } finally {
     if (planDir) {
-      cleanup(planDir);
+      await cleanup(planDir);
       planDir = null;
     }
   }
 
-  // ── Per-branch implementation ──────────────────────────────────────
-  for (const branchInfo of ticket.targetBranches) {
-    log(`\n  Processing ${serviceConfig.repo} / ${branchInfo.branch}`);
-
-    // Look up this branch's plan section from master plan (null = fall back to per-branch planning)
-    const branchPlan = branchPlans ? (branchPlans.get(branchInfo.branch) || null) : null;
-    if (branchPlan) {
-      log(`    Using master plan section (${branchPlan.length} chars)`);
-    } else if (branchPlans) {
-      log(`    No master plan section for this branch — using per-branch planning`);
-    }
-
-    try {
-      const result = await processBranch(
-        config, ticket, serviceConfig, repoUrl, ticketKey, branchInfo.branch, branchInfo.version, runCtx, branchPlan
-      );
-
-      if (result.pr) {
-        prs.push(result.pr);
-      } else if (result.error) {
-        failures.push({ baseBranch: branchInfo.branch, error: result.error });
-      }
-
-      if (result.claudeSummary && !claudeSummary) {
-        claudeSummary = result.claudeSummary;
-      }
-      if (result.planOutput && !planOutput) {
-        planOutput = result.planOutput;
-      }
-    } catch (branchError) {
-      err(`Failed to process ${branchInfo.branch}: ${branchError.message}`);
-      failures.push({ baseBranch: branchInfo.branch, error: branchError.message });
-    }
-  }
-
-  return { prs, failures, claudeSummary, planOutput };
+  return { branchPlans, planOutput };
 }
 
-export default { processTicket };
+export default { processTicket, processLocal };
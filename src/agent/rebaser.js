@@ -0,0 +1,202 @@
+/**
+ * Rebaser
+ *
+ * Brings an agent PR whose feature branch conflicts with its target branch back
+ * up to date (called from the PR watcher for PRs that conflict with their target):
+ *
+ *   fresh clone of the feature branch → rebase onto the target branch →
+ *   [constrained conflict-resolution pass per stopped commit] → tests →
+ *   push with lease → outcome on the PR and the JIRA ticket
+ *
+ * The push only replaces the branch if it still points at the commit that was
+ * rebased, so anything pushed in the meantime is never overwritten. It is
+ * journaled in run state like any other agent push (run-state.js recordPush). Failing
+ * tests, leftover conflict markers or too many stops leave the branch untouched.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as logger from '../logger.js';
+import { getRepoUrl, getServiceConfig } from '../config.js';
+import { getServiceScm } from '../services/scm/index.js';
+import { postComment } from '../services/jira-transitions.js';
+import { cloneFeatureBranch, getHeadSha, rebaseOnto, continueRebase, abortRebase, pushWithLease, cleanup } from '../services/git.js';
+import { runTests, formatTestResults } from '../services/test-runner.js';
+import { spawnClaude } from '../services/claude.js';
+import { getProviderSpawnOptions, getProviderLabel } from '../services/ai-provider.js';
+import { checkBudget, describeBudgetTrip } from '../services/budget.js';
+import { withTicketLock } from './daemon.js';
+import { repoBranchScopes, recordPush } from './run-state.js';
+
+const { log, ok, warn, err, startStep, endStep, initRun, finalizeRun } = logger;
+
+const MAX_REBASE_STOPS = 10;
+const CONFLICT_MARKER = /^(<{7}|={7}|>{7})( |$)/m;
+
+/**
+ * Conflicted files that still contain conflict markers
+ */
+function findConflictMarkers(tmpDir, files) {
+  return files.filter((file) => {
+    try {
+      return CONFLICT_MARKER.test(fs.readFileSync(path.join(tmpDir, file), 'utf-8'));
+    } catch {
+      return false; // deleted while resolving
+    }
+  });
+}
+
+function buildConflictPrompt(ticketKey, featureBranch, targetBranch, conflicts) {
+  return `You are resolving merge conflicts for JIRA ticket ${ticketKey}.
+
+The branch \`${featureBranch}\` is being rebased onto \`${targetBranch}\`, and the rebase stopped on the commit shown by \`git show REBASE_HEAD\`. These files contain conflict markers:
+${conflicts.map((f) => `- ${f}`).join('\n')}
+
+Resolve the conflicts in exactly these files:
+- Keep the intent of both sides: the changes already on \`${targetBranch}\` and the change the commit makes.
+- Remove every conflict marker (<<<<<<<, =======, >>>>>>>).
+- Do NOT edit any other file, refactor, or make unrelated changes.
+- Do NOT run git commands that change history or the index (no add, commit, rebase, checkout, reset or stash) — the agent continues the rebase itself.
+
+When finished, you MUST end with this exact format:
+**FILES CHANGED:** list of files
+**SUMMARY:** how the conflicts were resolved (1-2 sentences)`;
+}
+
+/**
+ * Post the outcome on the PR (through the service's SCM adapter) and the ticket. Non-blocking.
+ */
+async function reportOutcome(config, serviceName, prId, ticketKey, featureBranch, targetBranch, outcome) {
+  const serviceConfig = getServiceConfig(config, serviceName);
+  const lines = outcome.rebased
+    ? [`**Dr. Asthana — rebased onto \`${targetBranch}\`**`, '', `\`${featureBranch}\` had merge conflicts with \`${targetBranch}\` and was rebased: \`${outcome.beforeSha.slice(0, 7)}\` → \`${outcome.sha.slice(0, 7)}\`.`]
+    : [`**Dr. Asthana — automatic rebase onto \`${targetBranch}\` failed**`, '', `\`${featureBranch}\` has merge conflicts with \`${targetBranch}\`: ${outcome.reason}. The branch was left unchanged — it needs a manual rebase.`];
+  if (outcome.resolved.length > 0) {
+    lines.push('', `Conflicts resolved by a ${outcome.providerLabel} pass:`, ...outcome.resolved.map((f) => `- ${f}`));
+  }
+  if (outcome.conflicts.length > 0) {
+    lines.push('', 'Unresolved conflicts:', ...outcome.conflicts.map((f) => `- ${f}`));
+  }
+  if (outcome.testResults) {
+    lines.push('', formatTestResults(outcome.testResults));
+  }
+  const content = lines.join('\n');
+
+  try {
+    await getServiceScm(serviceConfig).addComment(config, serviceConfig, prId, content, { resolved: outcome.rebased });
+  } catch (error) {
+    warn(`Failed to post rebase outcome on PR #${prId}: ${error.message}`);
+  }
+  await postComment(config, ticketKey, `${content}\n\nPR: #${prId} (${serviceConfig.repo})`);
+}
+
+/**
+ * Rebase one agent PR onto its target branch in its own run.
+ *
+ * @param {object} agentPR - { pr, featureBranch, ticketKey, targetBranch } (pr-watcher.js)
+ * @returns {Promise<{ rebased: boolean, reason?: string }|null>} null when the ticket is
+ *          locked, the budget is used up or the provider hit its usage limit — try again later
+ */
+export async function rebasePR(config, serviceName, repoName, { pr, featureBranch, ticketKey, targetBranch }) {
+  return withTicketLock(config, ticketKey, async () => {
+    const runId = initRun(ticketKey, config.LOG_DIR);
+    const providerLabel = getProviderLabel(config);
+    log(`PR #${pr.id} (${repoName}): ${featureBranch} conflicts with ${targetBranch} — rebasing`);
+
+    const outcome = { rebased: false, reason: null, beforeSha: null, sha: null, resolved: [], conflicts: [], testResults: null, providerLabel };
+    let clone = null;
+    try {
+      startStep(1, `Clone ${repoName} (${featureBranch})`);
+      clone = await cloneFeatureBranch(config, getRepoUrl(config, serviceName), featureBranch, targetBranch);
+      outcome.beforeSha = getHeadSha(clone.tmpDir);
+      endStep(true, `Cloned at ${outcome.beforeSha.slice(0, 7)}`);
+
+      startStep(2, `Rebase onto ${targetBranch}`);
+      let step = await rebaseOnto(clone.tmpDir, targetBranch);
+      for (let stops = 0; !step.clean; stops++) {
+        if (stops >= MAX_REBASE_STOPS) {
+          outcome.reason = `the rebase stopped on conflicts more than ${MAX_REBASE_STOPS} times`;
+          outcome.conflicts = step.conflicts;
+          break;
+        }
+
+        const trip = checkBudget(config, { ticketKey, service: serviceName });
+        if (trip) {
+          warn(`${describeBudgetTrip(trip)} — leaving PR #${pr.id} for later`);
+          abortRebase(clone.tmpDir);
+          endStep(false, describeBudgetTrip(trip));
+          finalizeRun(false, describeBudgetTrip(trip));
+          return null;
+        }
+
+        log(`Conflicts in ${step.conflicts.length} file(s): ${step.conflicts.join(', ')}`);
+        const result = await spawnClaude({
+          tmpDir: clone.tmpDir,
+          prompt: buildConflictPrompt(ticketKey, featureBranch, targetBranch, step.conflicts),
+          maxTurns: config.PR_WATCH_CONFLICT_TURNS,
+          timeout: config.PR_WATCH_TIMEOUT_MINUTES * 60 * 1000,
+          label: 'conflict-resolution',
+          logDir: config.LOG_DIR,
+          ticketKey,
+          ...getProviderSpawnOptions(config),
+          costContext: { stateDir: config.STATE_DIR, service: serviceName, baseBranch: targetBranch },
+        });
+        if (result.rateLimited) {
+          abortRebase(clone.tmpDir);
+          endStep(false, `Waiting for ${providerLabel} quota`);
+          finalizeRun(false, 'Rate limited');
+          return null;
+        }
+
+        const unresolved = findConflictMarkers(clone.tmpDir, step.conflicts);
+        if (unresolved.length > 0) {
+          outcome.reason = `${providerLabel} left conflict markers in ${unresolved.length} file(s)`;
+          outcome.conflicts = unresolved;
+          break;
+        }
+        outcome.resolved.push(...step.conflicts.filter((f) => !outcome.resolved.includes(f)));
+        step = continueRebase(clone.tmpDir);
+      }
+
+      if (!step.clean || outcome.reason) {
+        abortRebase(clone.tmpDir);
+        endStep(false, outcome.reason);
+      } else {
+        endStep(true, outcome.resolved.length > 0 ? `Resolved conflicts in ${outcome.resolved.length} file(s)` : 'Clean rebase');
+
+        startStep(3, 'Run tests on the rebased branch');
+        outcome.testResults = await runTests(clone.tmpDir, { instructionFile: clone.instructionFile });
+        log(formatTestResults(outcome.testResults));
+        if (!outcome.testResults.skipped && !outcome.testResults.passed) {
+          outcome.reason = 'tests failed on the rebased branch';
+          endStep(false, 'Some tests failed — not pushing');
+        } else {
+          endStep(true, outcome.testResults.skipped ? 'No test commands found' : 'All tests passed');
+
+          startStep(4, `Push ${featureBranch}`);
+          outcome.sha = await pushWithLease(clone.tmpDir, featureBranch, outcome.beforeSha);
+          outcome.rebased = true;
+          recordPush(config, runId, ticketKey, 'rebase', repoBranchScopes(config, repoName, targetBranch),
+            { featureBranch, previousSha: outcome.beforeSha, sha: outcome.sha });
+          endStep(true, `Pushed ${outcome.sha.slice(0, 7)}`);
+        }
+      }
+    } catch (error) {
+      err(`Rebase of PR #${pr.id} failed: ${error.message}`);
+      outcome.reason = error.message.split('\n')[0];
+    } finally {
+      if (clone) await cleanup(clone.tmpDir);
+    }
+
+    await reportOutcome(config, serviceName, pr.id, ticketKey, featureBranch, targetBranch, outcome);
+    if (outcome.rebased) {
+      ok(`PR #${pr.id} rebased onto ${targetBranch}`);
+      finalizeRun(true, `PR #${pr.id} rebased onto ${targetBranch}`);
+    } else {
+      finalizeRun(false, `Rebase failed: ${outcome.reason}`);
+    }
+    return { rebased: outcome.rebased, reason: outcome.reason };
+  });
+}
+
+export default { rebasePR };
@@ -2,13 +2,13 @@
  * Re-trigger Detection and Analysis
  *
  * Detects when a ticket has been re-triggered (done labels exist) and uses
- * a lightweight Claude call to determine which versions need rework.
+ * a lightweight call to the configured AI provider to determine which versions need rework.
  */
 
-import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import { log, warn, debug } from '../logger.js';
+import { log, warn } from '../logger.js';
+import { runProviderQuery } from '../services/ai-provider.js';
 
 /**
  * Ensure logs directory exists
@@ -23,7 +23,7 @@ function ensureLogDir(logDir) {
  * Detect if a ticket is a re-trigger and determine which branches to process.
  *
  * Detection: checks for existing done labels (versioned or bare) matching config.JIRA_LABEL_PROCESSED.
- * If re-triggered, analyzes comments with a lightweight Claude call to determine which
+ * If re-triggered, analyzes comments with a lightweight provider call to determine which
  * versions need rework. Falls back to processing all versions on any failure.
  *
  * @param {object} config - Configuration object
@@ -106,7 +106,7 @@ export async function detectAndFilterRetrigger(config, ticket) {
 /**
  * Analyze a re-triggered ticket's comments to determine which versions need rework.
  *
- * Uses a lightweight Claude CLI call (1 turn, no tools, 60s timeout) to parse
+ * Uses a lightweight provider CLI call (one-shot, no tools, 60s timeout) to parse
  * natural-language comments and return the versions that should be re-processed.
  *
  * @param {object} config - Configuration object
@@ -146,58 +146,12 @@ The versionsToProcess array must only contain values from this list: ${JSON.stri
   log(`Running re-trigger analysis for ${ticketKey}...`);
   log(`Prompt length: ${prompt.length} characters`);
 
-  const args = [
-    '-p', prompt,
-    '--max-turns', '1',
-    '--output-format', 'text',
-    '--permission-mode', 'default',
-    '--strict-mcp-config',
-  ];
-
-  const RETRIGGER_TIMEOUT = 60_000; // 60 seconds
-  const startTime = Date.now();
-
   try {
-    const result = await new Promise((resolve, reject) => {
-      let rawOutput = '';
-
-      const proc = spawn('claude', args, {
-        cwd: process.cwd(),
-        env: { ...process.env },
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      proc.stdin.end();
-
-      proc.stdout.on('data', (data) => {
-        rawOutput += data.toString();
-      });
-
-      proc.stderr.on('data', (data) => {
-        debug(`Re-trigger analysis stderr: ${data.toString().trim().substring(0, 200)}`);
-      });
-
-      const timeoutId = setTimeout(() => {
-        proc.kill('SIGTERM');
-        reject(new Error('Re-trigger analysis timed out after 60s'));
-      }, RETRIGGER_TIMEOUT);
-
-      proc.on('close', (code) => {
-        clearTimeout(timeoutId);
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        log(`Re-trigger analysis finished: exit=${code}, duration=${elapsed}s`);
-
-        if (code !== 0) {
-          reject(new Error(`Re-trigger analysis exited with code ${code}`));
-          return;
-        }
-        resolve(rawOutput);
-      });
-
-      proc.on('error', (error) => {
-        clearTimeout(timeoutId);
-        reject(new Error(`Failed to spawn Claude for re-trigger analysis: ${error.message}`));
-      });
+    const { text: result } = await runProviderQuery(config, {
+      prompt,
+      label: 'retrigger-analysis',
+      timeoutMs: 60_000,
+      ticketKey,
     });
 
     log(`Re-trigger analysis response: ${result.substring(0, 500)}`);
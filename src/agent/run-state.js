@@ -0,0 +1,329 @@
+/**
+ * Run-state journal
+ *
+ * File-backed record of every pipeline step of a ticket run, so a run that
+ * crashed half-way can be resumed from the last completed step instead of
+ * re-invoking the AI provider for work that is already pushed.
+ *
+ * One JSON file per run: <stateDir>/runs/<RUN-ID>.json
+ *   {
+ *     runId, ticketKey, status, createdAt, updatedAt, resumedBy: [],
+ *     scopes: {
+ *       "ticket":                  { steps: { inProgress, retrigger, ... } },
+ *       "service:<name>":          { steps: { masterPlan } },
+ *       "branch:<service>::<base>": { steps: { cloned, waitingQuota, provider, review, tests, pushed, baseTagged, prCreated } }
+ *     }
+ *   }
+ *
+ * A run parked on a provider usage limit has status 'waiting_quota' and a
+ * `resumeAt` timestamp; the daemon resumes it once that time has passed.
+ *
+ * Pushes the PR watcher makes to an open PR (review follow-ups, rebases) are
+ * journaled too, as completed runs with a `kind` ('pr-feedback' | 'rebase') and
+ * only a `pushed` step, so the next push to the branch leases on them.
+ *
+ * Every mutation is flushed to disk immediately (write + rename), so the file
+ * always reflects the last step that actually finished.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { warn } from '../logger.js';
+
+export const TICKET_SCOPE = 'ticket';
+
+// Runs currently executing in this process (runId → state)
+const activeRuns = new Map();
+
+/**
+ * Directory holding run-state files
+ */
+function getRunsDir(config) {
+  return path.join(config.STATE_DIR || './state', 'runs');
+}
+
+// Run IDs as logger.initRun makes them: <YYYY-MM-DD>_<HH-MM-SS>_<ticket key or 'batch'>
+const RUN_ID_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}_[A-Za-z0-9_-]+$/;
+
+/**
+ * Whether a string has the shape of a run ID (so no `/`, `\` or `..`)
+ */
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+function getRunStatePath(config, runId) {
+  // The run ID becomes a file name; one from the CLI or the status API must not name another file
+  if (!isValidRunId(runId)) {
+    throw new Error(`Invalid run ID: ${runId}`);
+  }
+  return path.join(getRunsDir(config), `${runId}.json`);
+}
+
+/**
+ * Persist state atomically — a crash mid-write must never leave a truncated journal.
+ */
+function persist(state) {
+  if (!state?.filePath) return;
+
+  state.updatedAt = new Date().toISOString();
+  const { filePath, ...data } = state;
+  const tmpPath = `${filePath}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    warn(`Could not persist run state ${state.runId}: ${error.message}`);
+  }
+}
+
+/**
+ * Scope key for one service × branch unit of work
+ */
+export function branchScope(serviceName, baseBranch) {
+  return `branch:${serviceName}::${baseBranch}`;
+}
+
+/**
+ * Scope key for service-level work shared by all of its branches (e.g. master plan)
+ */
+export function serviceScope(serviceName) {
+  return `service:${serviceName}`;
+}
+
+/**
+ * Create and persist a fresh run-state journal
+ */
+export function createRunState(config, runId, ticketKey) {
+  const now = new Date().toISOString();
+  const state = {
+    filePath: getRunStatePath(config, runId),
+    runId,
+    ticketKey,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    resumedBy: [],
+    scopes: {},
+  };
+  persist(state);
+  activeRuns.set(runId, state);
+  return state;
+}
+
+/**
+ * Load a run-state journal by run ID. Returns null if it does not exist or is unreadable,
+ * and throws for a string that is not a run ID.
+ */
+export function loadRunState(config, runId) {
+  const filePath = getRunStatePath(config, runId);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return { ...data, filePath, scopes: data.scopes || {}, resumedBy: data.resumedBy || [] };
+  } catch (error) {
+    warn(`Could not read run state ${runId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List all recorded runs, newest first.
+ *
+ * @returns {Array<{runId: string, ticketKey: string, status: string, createdAt: string, updatedAt: string}>}
+ */
+export function listRunStates(config) {
+  const runsDir = getRunsDir(config);
+  if (!fs.existsSync(runsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(runsDir)
+    .filter(f => f.endsWith('.json') && isValidRunId(f.replace(/\.json$/, '')))
+    .map(f => loadRunState(config, f.replace(/\.json$/, '')))
+    .filter(Boolean)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Branch scopes of every service in a repository — services sharing a repo push
+ * to the same feature branches.
+ */
+export function repoBranchScopes(config, repoName, baseBranch) {
+  return Object.entries(config.SERVICES || {})
+    .filter(([, serviceConfig]) => serviceConfig.repo === repoName)
+    .map(([serviceName]) => branchScope(serviceName, baseBranch));
+}
+
+/**
+ * The SHA the agent last pushed to a feature branch, across every recorded run of
+ * the ticket (the base-tag push if there was one, else the main push) and every
+ * scope given. Null when no run has pushed the branch.
+ *
+ * @param {string|string[]} scope - one scope key, or several
+ */
+export function findLastPushedSha(config, ticketKey, scope, featureBranch) {
+  const scopes = [].concat(scope);
+  let last = null;
+  for (const state of listRunStates(config)) {
+    if (state.ticketKey !== ticketKey) continue;
+    for (const key of scopes) {
+      const steps = state.scopes[key]?.steps || {};
+      if (!steps.pushed?.sha || steps.pushed.featureBranch !== featureBranch) continue;
+
+      const push = steps.baseTagged?.sha ? steps.baseTagged : steps.pushed;
+      if (!last || push.at > last.at) {
+        last = push;
+      }
+    }
+  }
+  return last?.sha || null;
+}
+
+/**
+ * Keys (findingKey) of the review findings already posted on a PR, across every
+ * recorded run of the ticket and every scope given (their `prComments` steps)
+ *
+ * @param {string|string[]} scope - one scope key, or several
+ * @returns {Set<string>}
+ */
+export function findPostedFindings(config, ticketKey, scope, prId) {
+  const posted = new Set();
+  for (const state of listRunStates(config)) {
+    if (state.ticketKey !== ticketKey) continue;
+    for (const key of [].concat(scope)) {
+      const step = state.scopes[key]?.steps?.prComments;
+      if (step && String(step.prId) === String(prId)) {
+        for (const finding of step.findings || []) posted.add(finding);
+      }
+    }
+  }
+  return posted;
+}
+
+/**
+ * Journal a push made outside a ticket run as a completed run of its own `kind`
+ * with a `pushed` step in each scope. Nothing resumes such a run.
+ *
+ * @param {string[]} scopes - branch scopes the push belongs to (repoBranchScopes)
+ * @param {object} push - { featureBranch, previousSha, sha }
+ */
+export function recordPush(config, runId, ticketKey, kind, scopes, push) {
+  const now = new Date().toISOString();
+  const state = loadRunState(config, runId) || {
+    filePath: getRunStatePath(config, runId),
+    runId,
+    ticketKey,
+    kind,
+    status: 'completed',
+    createdAt: now,
+    updatedAt: now,
+    resumedBy: [],
+    scopes: {},
+  };
+  for (const scope of scopes) {
+    markStep(state, scope, 'pushed', push);
+  }
+}
+
+/**
+ * Runs parked on a provider usage limit, soonest resumeAt first
+ */
+export function getWaitingRunStates(config) {
+  return listRunStates(config)
+    .filter(state => state.status === 'waiting_quota')
+    .sort((a, b) => (a.resumeAt || '').localeCompare(b.resumeAt || ''));
+}
+
+/**
+ * Get the recorded data for a completed step, or null if the step has not completed.
+ * Safe to call with a null state (always returns null).
+ */
+export function getStep(state, scope, step) {
+  return state?.scopes?.[scope]?.steps?.[step] || null;
+}
+
+/**
+ * Record a step as completed and flush to disk.
+ * Safe to call with a null state (no-op).
+ */
+export function markStep(state, scope, step, data = {}) {
+  if (!state) return;
+
+  if (!state.scopes[scope]) {
+    state.scopes[scope] = { steps: {} };
+  }
+  state.scopes[scope].steps[step] = { ...data, at: new Date().toISOString() };
+  persist(state);
+}
+
+/**
+ * Forget every step recorded for a scope — used when the work it describes is
+ * gone (e.g. the clone a half-finished branch was using no longer exists).
+ */
+export function resetScope(state, scope) {
+  if (!state?.scopes?.[scope]) return;
+
+  delete state.scopes[scope];
+  persist(state);
+}
+
+/**
+ * Update the overall run status (running | completed | failed | interrupted | cancelled | waiting_quota) and flush to disk.
+ */
+export function setRunStatus(state, status, details = {}) {
+  if (!state) return;
+
+  state.status = status;
+  Object.assign(state, details);
+  persist(state);
+
+  if (status !== 'running') {
+    activeRuns.delete(state.runId);
+  }
+}
+
+/**
+ * Record that a later invocation picked this run up again
+ */
+export function markResumed(state, resumingRunId) {
+  if (!state) return;
+
+  state.resumedBy.push({ runId: resumingRunId, at: new Date().toISOString() });
+  state.status = 'running';
+  persist(state);
+  activeRuns.set(state.runId, state);
+}
+
+/**
+ * Run states currently executing in this process
+ */
+export function getActiveRunStates() {
+  return [...activeRuns.values()];
+}
+
+export default {
+  TICKET_SCOPE,
+  branchScope,
+  serviceScope,
+  isValidRunId,
+  createRunState,
+  loadRunState,
+  listRunStates,
+  repoBranchScopes,
+  findLastPushedSha,
+  findPostedFindings,
+  recordPush,
+  getWaitingRunStates,
+  getStep,
+  markStep,
+  resetScope,
+  setRunStatus,
+  markResumed,
+  getActiveRunStates,
+};
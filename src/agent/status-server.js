@@ -0,0 +1,145 @@
+/**
+ * Embedded HTTP status / control API for the daemon (Node http, no framework)
+ *
+ * Routes:
+ *   GET  /status              daemon state + current ticket, step and elapsed time
+ *   GET  /runs                run history from the run-state journal (?limit=, default 50)
+ *   GET  /runs/:id            full run-state journal for one run
+ *   POST /tickets/:key/run    queue a ticket for the daemon's next cycle
+ *   POST /runs/:id/cancel     kill the run's provider processes and stop the run
+ *
+ * Binds to 127.0.0.1 by default. When agent.statusServer.token is set, every
+ * request must send `Authorization: Bearer <token>`. Without a token the POST
+ * routes only accept requests addressed to a loopback host name and sent
+ * without an Origin header, so a web page (directly or through DNS rebinding)
+ * cannot queue or cancel runs.
+ */
+
+import http from 'http';
+import { getActivity, log, warn } from '../logger.js';
+import { isValidRunId, listRunStates, loadRunState, getActiveRunStates } from './run-state.js';
+import { cancelRunProcesses } from '../services/claude.js';
+
+const TICKET_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Whether an unauthenticated request may use a control route: addressed to a
+ * loopback host name (a rebound DNS name is not) and not sent by a browser page
+ */
+function isLocalControlRequest(req) {
+  const host = (req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+  return LOOPBACK_HOSTS.has(host) && !req.headers.origin;
+}
+
+/**
+ * Run-state summary for listings (drops the per-step detail)
+ */
+function summariseRun(state) {
+  const { filePath, scopes, ...summary } = state;
+  return summary;
+}
+
+/**
+ * Find the in-process run a run ID refers to — either the journal's own ID or
+ * the ID of the invocation that resumed it.
+ */
+function findActiveRun(runId) {
+  return getActiveRunStates().find((state) =>
+    state.runId === runId || state.resumedBy.some((r) => r.runId === runId)
+  ) || null;
+}
+
+function cancelRun(runId) {
+  const state = findActiveRun(runId);
+  if (!state) return null;
+
+  // Provider processes are tagged with the logger run ID of the current invocation
+  const activity = getActivity();
+  const liveRunId = activity?.runId || state.runId;
+  const killed = cancelRunProcesses(liveRunId);
+  warn(`Cancel requested for run ${state.runId} (${state.ticketKey}) — ${killed} provider process(es) terminated`);
+  return { runId: state.runId, ticketKey: state.ticketKey, processesTerminated: killed };
+}
+
+/**
+ * Start the status server.
+ *
+ * @param {object} config
+ * @param {object} handlers
+ * @param {Function} handlers.getStatus     - () => daemon status object
+ * @param {Function} handlers.enqueueTicket - (key) => { queued: boolean, position: number, reason?: string }
+ * @returns {http.Server}
+ */
+export function startStatusServer(config, { getStatus, enqueueTicket }) {
+  const server = http.createServer((req, res) => {
+    try {
+      if (config.STATUS_SERVER_TOKEN && req.headers.authorization !== `Bearer ${config.STATUS_SERVER_TOKEN}`) {
+        return sendJson(res, 401, { error: 'Unauthorized' });
+      }
+
+      if (!config.STATUS_SERVER_TOKEN && req.method === 'POST' && !isLocalControlRequest(req)) {
+        return sendJson(res, 403, { error: 'Control routes need agent.statusServer.token, or a local request without an Origin header' });
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (parts[0] === 'runs' && parts.length >= 2 && !isValidRunId(parts[1])) {
+        return sendJson(res, 400, { error: `Invalid run ID: ${parts[1]}` });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/status') {
+        return sendJson(res, 200, { daemon: getStatus(), activity: getActivity() });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/runs') {
+        const limit = Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 50);
+        return sendJson(res, 200, { runs: listRunStates(config).slice(0, limit).map(summariseRun) });
+      }
+
+      if (req.method === 'GET' && parts.length === 2 && parts[0] === 'runs') {
+        const state = loadRunState(config, parts[1]);
+        if (!state) return sendJson(res, 404, { error: `No run state for ${parts[1]}` });
+        const { filePath, ...data } = state;
+        return sendJson(res, 200, data);
+      }
+
+      if (req.method === 'POST' && parts.length === 3 && parts[0] === 'tickets' && parts[2] === 'run') {
+        const ticketKey = parts[1].toUpperCase();
+        if (!TICKET_KEY_PATTERN.test(ticketKey)) {
+          return sendJson(res, 400, { error: `Invalid ticket key: ${parts[1]}` });
+        }
+        const result = enqueueTicket(ticketKey);
+        return sendJson(res, result.queued ? 202 : 409, { ticketKey, ...result });
+      }
+
+      if (req.method === 'POST' && parts.length === 3 && parts[0] === 'runs' && parts[2] === 'cancel') {
+        const result = cancelRun(parts[1]);
+        if (!result) return sendJson(res, 404, { error: `Run ${parts[1]} is not active in this process` });
+        return sendJson(res, 202, { cancelled: true, ...result });
+      }
+
+      return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    } catch (error) {
+      warn(`Status server error on ${req.method} ${req.url}: ${error.message}`);
+      return sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  server.on('error', (error) => {
+    warn(`Status server failed: ${error.message} (daemon keeps running without it)`);
+  });
+
+  server.listen(config.STATUS_SERVER_PORT, config.STATUS_SERVER_HOST, () => {
+    log(`Status API: http://${config.STATUS_SERVER_HOST}:${config.STATUS_SERVER_PORT}/status`);
+  });
+
+  return server;
+}
+
+export default { startStatusServer };
@@ -0,0 +1,35 @@
+/**
+ * Bounded worker pool
+ *
+ * Runs an async worker over a list of items with at most `limit` in flight.
+ * Results come back in input order with Promise.allSettled semantics, so one
+ * failing item never aborts its siblings.
+ */
+
+/**
+ * @param {Array}    items  - Work items
+ * @param {number}   limit  - Max concurrent workers (values < 1 are treated as 1)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array<{status: 'fulfilled', value: any}|{status: 'rejected', reason: Error}>>}
+ */
+export async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  const concurrency = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  async function drain() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, drain));
+  return results;
+}
+
+export default { runPool };
@@ -6,6 +6,8 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { err } from './logger.js';
+import { PROVIDERS } from './services/providers/index.js';
+import { SCM_PROVIDERS, getServiceScm } from './services/scm/index.js';
 
 const CONFIG_PATH = path.join(process.cwd(), 'config.json');
 
@@ -14,11 +16,18 @@ const REQUIRED_FIELDS = [
   'jira.email',
   'jira.apiToken',
   'jira.label',
-  'azureDevOps.org',
-  'azureDevOps.project',
-  'azureDevOps.repoBaseUrl',
 ];
-const SUPPORTED_PROVIDERS = ['claude'];
+const SUPPORTED_PROVIDERS = Object.keys(PROVIDERS);
+
+// Pipeline milestones a JIRA workflow maps to transition chains, and the chains
+// used when neither the project nor `default` configures one
+const WORKFLOW_MILESTONES = ['started', 'implemented', 'failed', 'needsInfo'];
+const DEFAULT_WORKFLOW = {
+  started: ['Dev Started'],
+  implemented: ['Dev Testing', 'EM Review'],
+  failed: [],
+  needsInfo: [],
+};
 
 /**
  * Get a nested property from an object using dot notation
@@ -27,6 +36,65 @@ function getNestedValue(obj, path) {
   return path.split('.').reduce((acc, part) => acc?.[part], obj);
 }
 
+/**
+ * Identity service URL for an organization URL: dev.azure.com/<org> and
+ * <org>.visualstudio.com live on a separate vssps host; anything else
+ * (Azure DevOps Server, a local fake) serves identities itself.
+ */
+function getIdentityUrl(orgUrl) {
+  const url = orgUrl.replace(/\/$/, '');
+  if (/^https:\/\/dev\.azure\.com\//.test(url)) {
+    return url.replace('https://dev.azure.com/', 'https://vssps.dev.azure.com/');
+  }
+  if (/^https:\/\/[^/.]+\.visualstudio\.com/.test(url)) {
+    return url.replace('.visualstudio.com', '.vssps.visualstudio.com');
+  }
+  return url;
+}
+
+/**
+ * Normalize `jira.workflows` ({ default, <PROJECT>: { <milestone>: [step] } }) into
+ * complete workflows whose steps are { transition, status, fields }. A step is a
+ * transition name or an object with `transition` and optional `status` (the status
+ * to wait for) and `fields`. Milestones a project leaves out come from `default`,
+ * then from the built-in chains.
+ *
+ * @returns {{ workflows: object, errors: string[] }}
+ */
+function normalizeWorkflows(rawWorkflows = {}) {
+  const errors = [];
+
+  const normalizeChain = (where, chain) => {
+    if (!Array.isArray(chain)) {
+      errors.push(`${where} must be a list of transitions`);
+      return [];
+    }
+    return chain.map((step, i) => {
+      const transition = typeof step === 'string' ? step : step?.transition;
+      if (typeof transition !== 'string' || !transition.trim()) {
+        errors.push(`${where}[${i}] needs a transition name`);
+      }
+      return { transition, status: step?.status || null, fields: step?.fields || {} };
+    });
+  };
+
+  const normalizeWorkflow = (name, workflow, base) => {
+    const unknown = Object.keys(workflow || {}).filter((milestone) => !WORKFLOW_MILESTONES.includes(milestone));
+    unknown.forEach((milestone) => errors.push(`jira.workflows.${name}: unknown milestone "${milestone}" (supported: ${WORKFLOW_MILESTONES.join(', ')})`));
+    return Object.fromEntries(WORKFLOW_MILESTONES.map((milestone) => [
+      milestone,
+      workflow?.[milestone] !== undefined ? normalizeChain(`jira.workflows.${name}.${milestone}`, workflow[milestone]) : base[milestone],
+    ]));
+  };
+
+  const builtIn = normalizeWorkflow('(built-in)', DEFAULT_WORKFLOW, {});
+  const workflows = { default: normalizeWorkflow('default', rawWorkflows.default, builtIn) };
+  for (const [project, workflow] of Object.entries(rawWorkflows)) {
+    if (project !== 'default') workflows[project.toUpperCase()] = normalizeWorkflow(project, workflow, workflows.default);
+  }
+  return { workflows, errors };
+}
+
 export function loadConfig() {
   // Load config.json
   if (!fs.existsSync(CONFIG_PATH)) {
@@ -56,6 +124,23 @@ export function loadConfig() {
     process.exit(1);
   }
 
+  // Each service's SCM (default azure) needs its own section
+  const services = rawConfig.services || {};
+  const unknownScm = Object.entries(services).filter(([, service]) => !SCM_PROVIDERS[String(service.scm || 'azure').toLowerCase()]);
+  if (unknownScm.length > 0) {
+    unknownScm.forEach(([name, service]) => err(`Unsupported scm "${service.scm}" for service ${name}. Supported: ${Object.keys(SCM_PROVIDERS).join(', ')}`));
+    process.exit(1);
+  }
+  const usedScms = new Set(Object.values(services).map((service) => String(service.scm || 'azure').toLowerCase()));
+  if (usedScms.size === 0) usedScms.add('azure');
+  const missingScm = [...usedScms].flatMap((name) => SCM_PROVIDERS[name].requiredConfig)
+    .filter((field) => !getNestedValue(rawConfig, field));
+  if (missingScm.length > 0) {
+    err('Missing required configuration fields:');
+    missingScm.forEach((field) => err(`  - ${field}`));
+    process.exit(1);
+  }
+
   // Provider selection
   const provider = String(rawConfig.provider || 'claude').toLowerCase().trim();
   if (!SUPPORTED_PROVIDERS.includes(provider)) {
@@ -63,17 +148,32 @@ export function loadConfig() {
     process.exit(1);
   }
 
+  // Per-project JIRA workflows
+  const { workflows, errors: workflowErrors } = normalizeWorkflows(rawConfig.jira.workflows);
+  if (workflowErrors.length > 0) {
+    err('Invalid JIRA workflow configuration:');
+    workflowErrors.forEach((error) => err(`  - ${error}`));
+    process.exit(1);
+  }
+
+  const adapter = PROVIDERS[provider];
   const providerSection = rawConfig[provider] || {};
   const fallbackSection = rawConfig.claude || {};
+  const azureDevOps = rawConfig.azureDevOps || {};
+  const github = rawConfig.github || {};
+  const gitlab = rawConfig.gitlab || {};
+  const githubApiUrl = (github.apiUrl || 'https://api.github.com').replace(/\/$/, '');
+  const gitlabApiUrl = (gitlab.apiUrl || 'https://gitlab.com/api/v4').replace(/\/$/, '');
 
   // Flatten config to the format used throughout the app
   const config = {
     // AI provider switch (top-level)
     PROVIDER: provider,
     AGENT_PROVIDER: provider,
-    AGENT_PROVIDER_LABEL: 'Claude',
-    AGENT_INSTRUCTIONS_FILE: 'CLAUDE.md',
-    AGENT_CLI_COMMAND: providerSection.command || provider,
+    AGENT_PROVIDER_LABEL: providerSection.label || adapter.label,
+    AGENT_INSTRUCTIONS_FILE: providerSection.instructionsFile || adapter.instructionsFile,
+    AGENT_CLI_COMMAND: providerSection.command || adapter.defaultCommand,
+    AGENT_MODEL: providerSection.model || null,
     AGENT_MAX_TURNS: providerSection.maxTurns || fallbackSection.maxTurns || 250,
     AGENT_ALLOWED_TOOLS: providerSection.allowedTools || fallbackSection.allowedTools || 'Read,Write,Edit,Bash,Glob,Grep',
     AGENT_TIMEOUT_MINUTES: providerSection.timeoutMinutes || fallbackSection.timeoutMinutes || 30,
@@ -93,15 +193,41 @@ export function loadConfig() {
     JIRA_LABEL: rawConfig.jira.label,
     JIRA_LABEL_PROCESSED: rawConfig.jira.labelProcessed || `${rawConfig.jira.label}-done`,
     JIRA_MAX_COMMENTS: rawConfig.jira?.maxComments || 100,
+    JIRA_CLAIM_ENABLED: rawConfig.jira?.claimTickets ?? true,
+    JIRA_CLAIM_TTL_MINUTES: rawConfig.jira?.claimTtlMinutes || 240,
+    JIRA_TRANSITION_FIELDS: rawConfig.jira?.transitionFields || {},
+    JIRA_WORKFLOWS: workflows,
+    JIRA_STATUS_POLL_TIMEOUT_SECONDS: rawConfig.jira?.statusPollTimeoutSeconds || 30,
+    JIRA_STATUS_POLL_INTERVAL_SECONDS: rawConfig.jira?.statusPollIntervalSeconds || 2,
     JIRA_FIELDS: rawConfig.jira.fields || {
       affectedSystems: 'customfield_10056',
       fixVersions: 'fixVersions',
     },
 
-    // Azure DevOps
-    AZDO_ORG: rawConfig.azureDevOps.org,
-    AZDO_PROJECT: rawConfig.azureDevOps.project,
-    AZDO_REPO_BASE_URL: rawConfig.azureDevOps.repoBaseUrl,
+    // Azure DevOps (services with scm "azure", the default)
+    AZDO_ORG: azureDevOps.org || null,
+    AZDO_PROJECT: azureDevOps.project || null,
+    AZDO_REPO_BASE_URL: azureDevOps.repoBaseUrl || null,
+    AZDO_PAT: azureDevOps.pat || process.env.AZDO_PAT || null,
+    AZDO_API_URL: (azureDevOps.apiUrl || azureDevOps.org || '').replace(/\/$/, ''),
+    AZDO_API_VERSION: azureDevOps.apiVersion || '7.1',
+    AZDO_PR_POLICY: azureDevOps.prPolicy || 'auto',
+    AZDO_IDENTITY_URL: azureDevOps.identityUrl || getIdentityUrl(azureDevOps.apiUrl || azureDevOps.org || ''),
+
+    // GitHub (scm "github", scm/github.js)
+    GITHUB_API_URL: githubApiUrl,
+    GITHUB_GRAPHQL_URL: github.graphqlUrl || (githubApiUrl === 'https://api.github.com'
+      ? 'https://api.github.com/graphql'
+      : githubApiUrl.replace(/\/v3$/, '') + '/graphql'),
+    GITHUB_TOKEN: github.token || process.env.GITHUB_TOKEN || null,
+    GITHUB_OWNER: github.owner || null,
+    GITHUB_REPO_BASE_URL: (github.repoBaseUrl || `git@github.com:${github.owner}`).replace(/\/$/, ''),
+
+    // GitLab (scm "gitlab", scm/gitlab.js)
+    GITLAB_API_URL: gitlabApiUrl,
+    GITLAB_TOKEN: gitlab.token || process.env.GITLAB_TOKEN || null,
+    GITLAB_GROUP: gitlab.group || null,
+    GITLAB_REPO_BASE_URL: (gitlab.repoBaseUrl || `git@${new URL(gitlabApiUrl).hostname}:${gitlab.group}`).replace(/\/$/, ''),
 
     // Services mapping
     SERVICES: rawConfig.services || {},
@@ -112,21 +238,58 @@ export function loadConfig() {
 
     // Agent behavior
     POLL_INTERVAL: rawConfig.agent?.pollInterval || 300,
+    MAX_POLL_INTERVAL: rawConfig.agent?.maxPollInterval || 1800,
+    HEARTBEAT_INTERVAL: rawConfig.agent?.heartbeatInterval || 30,
+    FAILED_TICKET_COOLDOWN: rawConfig.agent?.failedTicketCooldown || 3600,
+    RATE_LIMIT_DEFAULT_WAIT_MINUTES: rawConfig.agent?.rateLimitDefaultWaitMinutes || 60,
     MAX_TICKETS_PER_CYCLE: rawConfig.agent?.maxTicketsPerCycle || 1,
+    MAX_PARALLEL_BRANCHES: rawConfig.agent?.maxParallelBranches || 1,
     LOG_DIR: rawConfig.agent?.logDir || './logs',
+    STATE_DIR: rawConfig.agent?.stateDir || './state',
+    LOCAL_OUTPUT_DIR: rawConfig.agent?.localOutputDir || './local-runs',
+    STATUS_SERVER_ENABLED: rawConfig.agent?.statusServer?.enabled ?? false,
+    STATUS_SERVER_HOST: rawConfig.agent?.statusServer?.host || '127.0.0.1',
+    STATUS_SERVER_PORT: rawConfig.agent?.statusServer?.port || 8787,
+    STATUS_SERVER_TOKEN: rawConfig.agent?.statusServer?.token || null,
+
+    // Pass engine settings read by claude.js — taken from the selected provider's
+    // section (falling back to `claude`), same as the AGENT_* values above
+    CLAUDE_MAX_TURNS: providerSection.maxTurns || fallbackSection.maxTurns || 250,
+    CLAUDE_ALLOWED_TOOLS: providerSection.allowedTools || fallbackSection.allowedTools || 'Read,Write,Edit,Bash,Glob,Grep',
+    CLAUDE_TIMEOUT_MINUTES: providerSection.timeoutMinutes || fallbackSection.timeoutMinutes || 30,
+    CLAUDE_RUN_TESTS: providerSection.runTests ?? fallbackSection.runTests ?? true,
+    CLAUDE_PLAN_TURNS: providerSection.planTurns || fallbackSection.planTurns || 20,
+    CLAUDE_PLAN_TIMEOUT_MINUTES: providerSection.planTimeoutMinutes || fallbackSection.planTimeoutMinutes || 10,
+    CLAUDE_VALIDATION_TURNS: providerSection.validationTurns || fallbackSection.validationTurns || 30,
+    CLAUDE_CONTINUATION_TURNS: providerSection.continuationTurns || fallbackSection.continuationTurns || null,
+    CLAUDE_MAX_CONTINUATIONS: providerSection.maxContinuations || fallbackSection.maxContinuations || 0,
+    CLAUDE_CONTINUATION_TIMEOUT_MINUTES: providerSection.continuationTimeoutMinutes || fallbackSection.continuationTimeoutMinutes || null,
+    CLAUDE_COMPLEXITY_SCALING: providerSection.complexityScaling ?? fallbackSection.complexityScaling ?? true,
+
+    // Spend budgets in USD (null = unlimited), checked before every provider pass
+    BUDGET_MAX_USD_PER_TICKET: rawConfig.budgets?.maxUsdPerTicket ?? null,
+    BUDGET_MAX_USD_PER_SERVICE: rawConfig.budgets?.maxUsdPerService ?? null,
+    BUDGET_MAX_USD_PER_DAY: rawConfig.budgets?.maxUsdPerDay ?? null,
+
+    // Pre-PR review of the clone's diff (reviewer.js)
+    REVIEW_ENABLED: rawConfig.review?.enabled ?? true,
+    REVIEW_FIX_PASS: rawConfig.review?.fixPass ?? true,
+    REVIEW_FIX_TURNS: rawConfig.review?.fixTurns || 30,
+    REVIEW_TIMEOUT_MINUTES: rawConfig.review?.timeoutMinutes || 10,
+    REVIEW_MAX_DIFF_CHARS: rawConfig.review?.maxDiffChars || 60000,
+    REVIEW_MAX_PR_COMMENTS: rawConfig.review?.maxPrComments || 20,
+
+    // Commit messages (commit-message.js); services can override each key under `commits`
+    COMMIT_TEMPLATE: rawConfig.commits?.template || 'ID:{key}; {summary}',
+    COMMIT_TRAILERS: rawConfig.commits?.trailers || {},
+    COMMIT_PER_PHASE: rawConfig.commits?.perPhase ?? false,
 
-    // Claude Code
-    CLAUDE_MAX_TURNS: rawConfig.claude?.maxTurns || 250,
-    CLAUDE_ALLOWED_TOOLS: rawConfig.claude?.allowedTools || 'Read,Write,Edit,Bash,Glob,Grep',
-    CLAUDE_TIMEOUT_MINUTES: rawConfig.claude?.timeoutMinutes || 30,
-    CLAUDE_RUN_TESTS: rawConfig.claude?.runTests ?? true,
-    CLAUDE_PLAN_TURNS: rawConfig.claude?.planTurns || 20,
-    CLAUDE_PLAN_TIMEOUT_MINUTES: rawConfig.claude?.planTimeoutMinutes || 10,
-    CLAUDE_VALIDATION_TURNS: rawConfig.claude?.validationTurns || 30,
-    CLAUDE_CONTINUATION_TURNS: rawConfig.claude?.continuationTurns || null,
-    CLAUDE_MAX_CONTINUATIONS: rawConfig.claude?.maxContinuations || 0,
-    CLAUDE_CONTINUATION_TIMEOUT_MINUTES: rawConfig.claude?.continuationTimeoutMinutes || null,
-    CLAUDE_COMPLEXITY_SCALING: rawConfig.claude?.complexityScaling ?? true,
+    // Follow-ups on open PRs: reviewer comments and conflict rebases (watch-prs, pr-watcher.js)
+    PR_WATCH_POLL_INTERVAL: rawConfig.prWatch?.pollInterval || 300,
+    PR_WATCH_MAX_TURNS: rawConfig.prWatch?.maxTurns || 40,
+    PR_WATCH_TIMEOUT_MINUTES: rawConfig.prWatch?.timeoutMinutes || 20,
+    PR_WATCH_AUTO_REBASE: rawConfig.prWatch?.autoRebase ?? true,
+    PR_WATCH_CONFLICT_TURNS: rawConfig.prWatch?.conflictTurns || 20,
 
     // Infrastructure
     INFRA_ENABLED: rawConfig.infra?.enabled ?? true,
@@ -143,14 +306,14 @@ export function getAuthHeader(config) {
 }
 
 /**
- * Get repo URL for a service
+ * Get repo URL for a service: its `repoUrl`, or the clone URL of its SCM
  */
 export function getRepoUrl(config, serviceName) {
   const service = config.SERVICES[serviceName];
   if (!service) {
     return null;
   }
-  return `${config.AZDO_REPO_BASE_URL}/${service.repo}`;
+  return service.repoUrl || getServiceScm(service).getRepoUrl(config, service);
 }
 
 /**
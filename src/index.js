@@ -4,40 +4,201 @@
  * Dr. Asthana - CLI Entry Point
  *
  * Commands:
- *   daemon          Run the poll loop continuously
- *   single <KEY>    Process one specific ticket
+ *   daemon          Run the poll loop continuously (never exits on an empty queue;
+ *                   SIGINT/SIGTERM finishes the current ticket, a second signal
+ *                   checkpoints it as interrupted and exits; runs parked on a
+ *                   provider usage limit are resumed once the limit resets)
+ *   single <KEY>    Process one specific ticket (SIGINT/SIGTERM terminates the
+ *                   provider and checkpoints the run as interrupted; so do local and resume)
+ *   local <KEY> --repo <path> [--branch <b>]
+ *                   Run one ticket against a local repository without pushing: the
+ *                   finished branch, a patch and the summary go to an output folder
  *   dry-run         Poll once, log what would happen, don't execute
+ *   resume <RUN-ID> Resume a crashed/failed run from its last completed step
+ *   costs           Report provider spend from the cost ledger (by ticket, service, week)
+ *   watch-prs       Poll the agent's open PRs: rebase the ones that conflict with their
+ *                   target branch, address reviewer comments in follow-up commits
+ *                   (--once: a single poll)
  */
 
 import { loadConfig } from './config.js';
 import { getTicketDetails } from './services/jira.js';
 import { searchTickets } from './services/jira-transitions.js';
-import { processTicket } from './agent/processor.js';
+import { processTicket, processLocal } from './agent/processor.js';
+import { terminateActiveProcesses } from './services/claude.js';
 import { parseTicket, displayTicketDetails } from './agent/ticket.js';
+import { isValidRunId, loadRunState, getActiveRunStates, getWaitingRunStates, setRunStatus } from './agent/run-state.js';
+import {
+  acquireDaemonLock,
+  releaseDaemonLock,
+  releaseTicketLock,
+  withTicketLock,
+  writeHeartbeat,
+  startHeartbeat,
+  getBackoffSeconds,
+} from './agent/daemon.js';
+import { startStatusServer } from './agent/status-server.js';
+import { pollPullRequests } from './agent/pr-watcher.js';
+import { readCostLedger, aggregateCosts, isoWeek, formatUsd } from './services/cost-ledger.js';
+import { checkDailyBudget, describeBudgetTrip } from './services/budget.js';
 import { log, ok, warn, err } from './logger.js';
 import * as logger from './logger.js';
 
+// Set by the daemon's signal handler to cut a pending sleep short
+let wakeSleep = null;
+
 /**
- * Sleep for a given number of seconds
+ * Sleep for a given number of seconds (interruptible via wakeSleep)
  */
 function sleep(seconds) {
-  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, seconds * 1000);
+    function done() {
+      clearTimeout(timer);
+      wakeSleep = null;
+      resolve();
+    }
+    wakeSleep = done;
+  });
+}
+
+/**
+ * Explain how a run parked on a usage limit continues
+ */
+function logParkedRun(result) {
+  warn(`Run ${result.runId} is waiting for provider quota until ${result.resumeAt} — a running daemon resumes it automatically, or run: node src/index.js resume ${result.runId}`);
+}
+
+/**
+ * Mark every run still executing in this process as interrupted and print how to resume it
+ */
+function checkpointActiveRuns() {
+  for (const runState of getActiveRunStates()) {
+    setRunStatus(runState, 'interrupted', { interruptedAt: new Date().toISOString() });
+    warn(`Run ${runState.runId} (${runState.ticketKey}) interrupted — resume with: node src/index.js resume ${runState.runId}`);
+  }
+}
+
+/**
+ * SIGINT/SIGTERM handler for the commands that work on one ticket and exit
+ * (single, local, resume): terminate the provider processes — SIGKILL after a
+ * grace period, so none outlives the agent in its own process group —
+ * checkpoint the run as interrupted, release the ticket lock and exit.
+ */
+function installShutdownHandler(config, ticketKey = null) {
+  let stopping = false;
+
+  async function onSignal(signal) {
+    if (stopping) return;
+    stopping = true;
+    warn(`${signal} received — interrupting`);
+    const killed = await terminateActiveProcesses();
+    if (killed > 0) {
+      warn(`Terminated ${killed} provider process(es)`);
+    }
+    checkpointActiveRuns();
+    if (ticketKey) {
+      releaseTicketLock(config, ticketKey);
+    }
+    process.exit(130);
+  }
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
 }
 
 /**
  * Run a single ticket by key
  */
 async function runSingle(config, ticketKey) {
+  installShutdownHandler(config, ticketKey);
   log(`Fetching ticket ${ticketKey}...`);
 
   try {
-    await processTicket(config, ticketKey);
+    const result = await withTicketLock(config, ticketKey, () => processTicket(config, ticketKey));
+    if (result === null || result.reason === 'claimed') {
+      process.exit(1);
+    }
+    if (result.reason === 'waiting_quota') {
+      logParkedRun(result);
+    }
   } catch (error) {
     err(`Failed to process ${ticketKey}: ${error.message}`);
     process.exit(1);
   }
 }
 
+/**
+ * Run a single ticket against a local repository (see processLocal)
+ */
+async function runLocal(config, ticketKey, args) {
+  const optionValue = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : null;
+  };
+
+  const repoPath = optionValue('--repo');
+  if (!repoPath) {
+    err('Missing repository path. Usage: local <TICKET-KEY> --repo <path> [--branch <branch>]');
+    process.exit(1);
+  }
+
+  installShutdownHandler(config);
+  try {
+    // No ticket lock: a local run never touches JIRA state or a remote
+    const result = await processLocal(config, ticketKey, { repoPath, branch: optionValue('--branch') });
+    if (!result.success) {
+      process.exit(1);
+    }
+  } catch (error) {
+    err(`Failed to process ${ticketKey} locally: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resume a previous run from its run-state journal
+ */
+async function runResume(config, runId) {
+  if (!isValidRunId(runId)) {
+    err(`Invalid run ID: ${runId} (expected e.g. 2025-01-31_14-02-11_JCP-123)`);
+    process.exit(1);
+  }
+
+  const runState = loadRunState(config, runId);
+  if (!runState) {
+    err(`No run state found for ${runId} in ${config.STATE_DIR}`);
+    process.exit(1);
+  }
+
+  if (runState.status === 'completed') {
+    ok(`Run ${runId} (${runState.ticketKey}) already completed — nothing to resume`);
+    return;
+  }
+
+  if (runState.status === 'waiting_quota' && new Date(runState.resumeAt) > new Date()) {
+    warn(`Run ${runId} is parked until ${runState.resumeAt} — resuming early, the provider may still be rate limited`);
+  }
+
+  log(`Resuming run ${runId} for ${runState.ticketKey} (last status: ${runState.status})...`);
+  installShutdownHandler(config, runState.ticketKey);
+
+  try {
+    const result = await withTicketLock(config, runState.ticketKey, () =>
+      processTicket(config, runState.ticketKey, { resumeRunId: runId })
+    );
+    if (result === null || result.reason === 'claimed') {
+      process.exit(1);
+    }
+    if (result.reason === 'waiting_quota') {
+      logParkedRun(result);
+    }
+  } catch (error) {
+    err(`Failed to resume ${runId}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Dry run - poll once and log what would happen
  */
@@ -48,7 +209,7 @@ async function runDryRun(config) {
   try {
     const jql = `labels = "${config.JIRA_LABEL}" ORDER BY priority DESC`;
     const fields = ['summary', 'description', 'comment', 'issuetype', 'priority', 'status', 'labels', config.JIRA_FIELDS.affectedSystems, config.JIRA_FIELDS.fixVersions];
-    const tickets = await searchTickets(jql, config.MAX_TICKETS_PER_CYCLE, fields);
+    const tickets = await searchTickets(config, jql, config.MAX_TICKETS_PER_CYCLE, fields);
 
     if (tickets.length === 0) {
       log('No tickets found matching criteria');
@@ -68,46 +229,339 @@ async function runDryRun(config) {
   }
 }
 
+const COST_GROUPINGS = {
+  ticket: (e) => e.ticketKey || '(none)',
+  service: (e) => e.service || '(ticket-level)',
+  week: (e) => isoWeek(e.at),
+};
+
+/**
+ * Report provider spend from the cost ledger.
+ * Options: --by ticket|service|week (default: all three), --since YYYY-MM-DD
+ */
+function runCosts(config, args) {
+  const optionValue = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : null;
+  };
+
+  const by = optionValue('--by');
+  if (by && !COST_GROUPINGS[by]) {
+    err(`Unknown grouping: ${by}. Use one of: ${Object.keys(COST_GROUPINGS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const sinceArg = optionValue('--since');
+  const since = sinceArg ? new Date(sinceArg) : null;
+  if (since && Number.isNaN(since.getTime())) {
+    err(`Invalid --since date: ${sinceArg}`);
+    process.exit(1);
+  }
+
+  const entries = readCostLedger(config, { since });
+  if (entries.length === 0) {
+    log(`No provider passes recorded${since ? ` since ${sinceArg}` : ''} (ledger: ${config.STATE_DIR}/costs.jsonl)`);
+    return;
+  }
+
+  const row = (cols) => cols.map((c, i) => (i === 0 ? String(c).padEnd(28) : String(c).padStart(12))).join(' ');
+  const groupings = by ? [by] : Object.keys(COST_GROUPINGS);
+
+  for (const grouping of groupings) {
+    const groups = aggregateCosts(entries, COST_GROUPINGS[grouping]);
+    if (grouping === 'week') {
+      groups.sort((a, b) => a.key.localeCompare(b.key));
+    } else {
+      groups.sort((a, b) => b.costUsd - a.costUsd);
+    }
+
+    console.log(`\nBy ${grouping}:`);
+    console.log(row([grouping, 'passes', 'turns', 'tokens in', 'tokens out', 'cost']));
+    for (const g of groups) {
+      console.log(row([g.key, g.passes, g.numTurns, g.inputTokens, g.outputTokens, formatUsd(g)]));
+    }
+  }
+
+  const [total] = aggregateCosts(entries, () => 'total');
+  console.log(`\n${row(['Total', total.passes, total.numTurns, total.inputTokens, total.outputTokens, formatUsd(total)])}\n`);
+}
+
+/**
+ * Watch the agent's open PRs for reviewer comments (see pr-watcher.js).
+ * Polls every prWatch.pollInterval seconds; --once polls a single time.
+ * SIGINT/SIGTERM stops after the current PR, a second signal interrupts it.
+ */
+async function runWatchPRs(config, args) {
+  const once = args.includes('--once');
+  let stopRequested = false;
+
+  async function onSignal(signal) {
+    if (!stopRequested) {
+      stopRequested = true;
+      warn(`${signal} received — stopping after the current PR (send again to interrupt now)`);
+      if (wakeSleep) wakeSleep();
+      return;
+    }
+    warn(`${signal} received again — interrupting`);
+    await terminateActiveProcesses();
+    process.exit(130);
+  }
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  log(`Watching PRs of ${Object.keys(config.SERVICES).join(', ')}${once ? ' (single poll)' : ` every ${config.PR_WATCH_POLL_INTERVAL}s`}`);
+
+  while (!stopRequested) {
+    try {
+      const totals = await pollPullRequests(config, { shouldStop: () => stopRequested });
+      log(`PR poll done — ${totals.prs} open agent PR(s), ${totals.rebased} rebased, ${totals.threads} thread(s) waiting, ${totals.addressed} addressed, ${totals.resolved} resolved`);
+    } catch (error) {
+      err(`PR poll failed: ${error.message}`);
+    }
+
+    if (once || stopRequested) break;
+    await sleep(config.PR_WATCH_POLL_INTERVAL);
+  }
+
+  ok('PR watcher stopped');
+}
+
 /**
  * Run the daemon loop
+ *
+ * Keeps polling forever. Empty polls and failed polls back off exponentially
+ * (pollInterval → maxPollInterval); any processed ticket resets the interval.
+ * Tickets that just failed are skipped until failedTicketCooldown has passed so
+ * a broken ticket is not retried every cycle.
+ *
+ * Runs parked on a provider usage limit (status waiting_quota) are resumed
+ * first once their resumeAt has passed; until then their tickets are left
+ * alone and the loop never sleeps past the earliest resumeAt.
+ *
+ * Once budgets.maxUsdPerDay is used up, no ticket is started until midnight.
  */
 async function runDaemon(config) {
+  const lock = acquireDaemonLock(config);
+  if (!lock.acquired) {
+    err(`Another daemon is already running (pid ${lock.holder?.pid} on ${lock.holder?.host}, since ${lock.holder?.startedAt})`);
+    process.exit(1);
+  }
+
   log('╔════════════════════════════════════════════════════════════╗');
   log('║            Dr. Asthana                                     ║');
   log('╚════════════════════════════════════════════════════════════╝');
   log('');
-  log(`Poll interval:    ${config.POLL_INTERVAL}s`);
+  log(`PID:              ${process.pid}`);
+  log(`Poll interval:    ${config.POLL_INTERVAL}s (backoff up to ${config.MAX_POLL_INTERVAL}s)`);
   log(`Max per cycle:    ${config.MAX_TICKETS_PER_CYCLE}`);
   log(`AI provider:      ${config.AGENT_PROVIDER_LABEL || config.PROVIDER || 'claude'}`);
   log(`Label:            ${config.JIRA_LABEL}`);
   log(`Services:         ${Object.keys(config.SERVICES).join(', ')}`);
+  log(`State dir:        ${config.STATE_DIR}`);
+  log(`Status API:       ${config.STATUS_SERVER_ENABLED ? `${config.STATUS_SERVER_HOST}:${config.STATUS_SERVER_PORT}` : 'disabled'}`);
   log('');
 
-  let cycleCount = 0;
+  const status = {
+    state: 'starting',
+    startedAt: new Date().toISOString(),
+    cycle: 0,
+    currentTicket: null,
+    lastPollAt: null,
+    nextPollAt: null,
+    ticketsProcessed: 0,
+    ticketsFailed: 0,
+    queue: [],
+    waitingForQuota: [],
+    budgetExceeded: null,
+  };
+  const getStatus = () => ({ ...status, queue: [...status.queue], waitingForQuota: [...status.waitingForQuota], activeRuns: getActiveRunStates().map((r) => r.runId) });
+  const stopHeartbeat = startHeartbeat(config, getStatus, config.HEARTBEAT_INTERVAL);
+
+  // Ticket key → epoch ms until which it is skipped after a failure
+  const cooldowns = new Map();
+  let idleCycles = 0;
+  let stopRequested = false;
+
+  /**
+   * Queue a ticket for the next cycle (status API). Wakes the loop if it is sleeping.
+   */
+  function enqueueTicket(ticketKey) {
+    if (stopRequested) {
+      return { queued: false, reason: 'Daemon is stopping' };
+    }
+    if (status.currentTicket === ticketKey) {
+      return { queued: false, reason: 'Ticket is being processed right now' };
+    }
+    if (!status.queue.includes(ticketKey)) {
+      status.queue.push(ticketKey);
+      log(`${ticketKey} queued via status API`);
+    }
+    if (wakeSleep) wakeSleep();
+    return { queued: true, position: status.queue.indexOf(ticketKey) + 1 };
+  }
+
+  const statusServer = config.STATUS_SERVER_ENABLED
+    ? startStatusServer(config, { getStatus, enqueueTicket })
+    : null;
+
+  function shutdown(code) {
+    stopHeartbeat();
+    statusServer?.close();
+    status.state = 'stopped';
+    status.currentTicket = null;
+    status.nextPollAt = null;
+    writeHeartbeat(config, getStatus());
+    releaseDaemonLock(config);
+    process.exit(code);
+  }
+
+  async function onSignal(signal) {
+    if (!stopRequested) {
+      stopRequested = true;
+      status.state = 'stopping';
+      if (status.currentTicket) {
+        warn(`${signal} received — finishing ${status.currentTicket} before stopping (send again to interrupt now)`);
+      } else {
+        warn(`${signal} received — stopping`);
+      }
+      if (wakeSleep) wakeSleep();
+      return;
+    }
+
+    warn(`${signal} received again — interrupting`);
+    const killed = await terminateActiveProcesses();
+    if (killed > 0) {
+      warn(`Terminated ${killed} provider process(es)`);
+    }
+    checkpointActiveRuns();
+    if (status.currentTicket) {
+      releaseTicketLock(config, status.currentTicket);
+    }
+    shutdown(130);
+  }
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  while (!stopRequested) {
+    status.cycle++;
+    status.state = 'polling';
+    status.lastPollAt = new Date().toISOString();
+    let processedCount = 0;
 
-  while (true) {
-    cycleCount++;
     try {
-      log(`Checking for new patients (cycle ${cycleCount})...`);
-      const jql = `labels = "${config.JIRA_LABEL}" ORDER BY priority DESC`;
-      const fields = ['summary', 'description', 'comment', 'issuetype', 'priority', 'status', 'labels', config.JIRA_FIELDS.affectedSystems, config.JIRA_FIELDS.fixVersions];
-      const tickets = await searchTickets(jql, config.MAX_TICKETS_PER_CYCLE, fields);
-
-      if (tickets.length === 0) {
-        log('No patients waiting. Shutting down.');
-        break;
+      // Parked runs whose usage limit has reset go first, resumed from the pass they stopped at
+      const waiting = getWaitingRunStates(config);
+      const waitingByKey = new Map(waiting.map((r) => [r.ticketKey, r]));
+      const due = waiting
+        .filter((r) => !r.resumeAt || new Date(r.resumeAt).getTime() <= Date.now())
+        .map((r) => ({ key: r.ticketKey, resumeRunId: r.runId }));
+
+      // Tickets queued through the status API skip the failure cooldown; a queued
+      // ticket with a parked run resumes that run instead of starting over
+      const queued = status.queue.splice(0)
+        .filter((key) => !due.some((d) => d.key === key))
+        .map((key) => ({ key, queued: true, resumeRunId: waitingByKey.get(key)?.runId }));
+      let polled = [];
+
+      try {
+        log(`Checking for new patients (cycle ${status.cycle})...`);
+        const jql = `labels = "${config.JIRA_LABEL}" ORDER BY priority DESC`;
+        const fields = ['summary', 'description', 'comment', 'issuetype', 'priority', 'status', 'labels', config.JIRA_FIELDS.affectedSystems, config.JIRA_FIELDS.fixVersions];
+        polled = await searchTickets(config, jql, config.MAX_TICKETS_PER_CYCLE, fields);
+      } catch (pollError) {
+        err(`Poll failed: ${pollError.message}`);
+        status.lastError = pollError.message;
       }
 
-      for (const ticket of tickets) {
-        await processTicket(config, ticket);
+      // Daily budget used up — leave every ticket (and the queue) for tomorrow
+      status.budgetExceeded = checkDailyBudget(config);
+      if (status.budgetExceeded) {
+        warn(`${describeBudgetTrip(status.budgetExceeded)} — not starting any ticket until midnight`);
+        status.queue.unshift(...queued.map((q) => q.key));
+        due.length = 0;
+        queued.length = 0;
+        polled = [];
+      }
+
+      const now = Date.now();
+      const ready = [...due, ...queued, ...polled.filter((ticket) => {
+        if (due.some((d) => d.key === ticket.key) || queued.some((q) => q.key === ticket.key)) return false;
+        const parked = waitingByKey.get(ticket.key);
+        if (parked) {
+          log(`Skipping ${ticket.key} — run ${parked.runId} waiting for provider quota until ${parked.resumeAt}`);
+          return false;
+        }
+        const until = cooldowns.get(ticket.key);
+        if (until && until > now) {
+          log(`Skipping ${ticket.key} — failed recently, retry after ${new Date(until).toISOString()}`);
+          return false;
+        }
+        cooldowns.delete(ticket.key);
+        return true;
+      })];
+
+      if (ready.length === 0) {
+        log('No patients waiting.');
+      }
+
+      for (const ticket of ready) {
+        if (stopRequested) break;
+
+        status.state = 'processing';
+        status.currentTicket = ticket.key;
+        if (ticket.resumeRunId) {
+          log(`Resuming ${ticket.key} (run ${ticket.resumeRunId}) after provider usage limit`);
+        }
+        const result = await withTicketLock(config, ticket.key, () => (ticket.resumeRunId
+          ? processTicket(config, ticket.key, { resumeRunId: ticket.resumeRunId })
+          : processTicket(config, ticket.queued ? ticket.key : ticket)
+        ));
+        status.currentTicket = null;
+
+        // null: locked by another local process; claimed: another agent owns it in JIRA
+        if (result === null || result.reason === 'claimed') continue;
+
+        // Parked on the usage limit — not a failure, resumed once the limit resets
+        if (result.reason === 'waiting_quota') continue;
+
+        processedCount++;
+        if (result?.success) {
+          status.ticketsProcessed++;
+        } else {
+          status.ticketsFailed++;
+          cooldowns.set(ticket.key, Date.now() + config.FAILED_TICKET_COOLDOWN * 1000);
+        }
       }
     } catch (error) {
       err(`Poll cycle failed: ${error.message}`);
+      status.lastError = error.message;
+    }
+
+    if (stopRequested) break;
+
+    idleCycles = processedCount > 0 ? 0 : idleCycles + 1;
+    let delay = getBackoffSeconds(config, idleCycles);
+
+    // Wake up in time for the earliest parked run
+    const waiting = getWaitingRunStates(config);
+    status.waitingForQuota = waiting.map((r) => ({ ticketKey: r.ticketKey, runId: r.runId, resumeAt: r.resumeAt }));
+    const nextResume = waiting.find((r) => r.resumeAt && new Date(r.resumeAt).getTime() > Date.now());
+    if (nextResume) {
+      const untilResume = Math.ceil((new Date(nextResume.resumeAt).getTime() - Date.now()) / 1000);
+      delay = Math.max(1, Math.min(delay, untilResume));
     }
 
-    log(`\nCycle ${cycleCount} done. Checking again in ${config.POLL_INTERVAL}s...\n`);
-    await sleep(config.POLL_INTERVAL);
+    status.state = 'sleeping';
+    status.nextPollAt = new Date(Date.now() + delay * 1000).toISOString();
+
+    log(`\nCycle ${status.cycle} done. Checking again in ${delay}s...\n`);
+    await sleep(delay);
+    status.nextPollAt = null;
   }
+
+  ok('Daemon stopped');
+  shutdown(0);
 }
 
 /**
@@ -123,9 +577,22 @@ Usage:
   node src/index.js <command> [options]
 
 Commands:
-  daemon          Run the poll loop continuously
+  daemon          Run the poll loop continuously (Ctrl+C once: finish current
+                  ticket and stop; twice: interrupt, resume later with 'resume')
   single <KEY>    Process one specific ticket (e.g., single JCP-123)
+  local <KEY> --repo <path> [--branch <b>]
+                  Run one ticket against a local checkout or bare repo: no push,
+                  PR or JIRA updates; the branch, a patch and the summary are
+                  left in agent.localOutputDir (./local-runs)
   dry-run         Poll once, show ticket details, don't execute
+  resume <RUN-ID> Resume a previous run from its last completed step
+                  (run IDs are printed at run start and stored under state/runs/;
+                  runs paused on a provider usage limit resume in the daemon)
+  costs           Report provider spend by ticket, service and week
+                  (--by ticket|service|week, --since YYYY-MM-DD)
+  watch-prs       Poll the agent's open PRs: rebase conflicting ones, address
+                  reviewer comments in follow-up commits and resolve the
+                  threads (--once: poll once)
 
 Configuration:
   Edit config.json in the project root.
@@ -165,10 +632,38 @@ async function main() {
       break;
     }
 
+    case 'local': {
+      const ticketKey = args[1];
+      if (!ticketKey || ticketKey.startsWith('--')) {
+        err('Missing ticket key. Usage: local <TICKET-KEY> --repo <path> [--branch <branch>]');
+        process.exit(1);
+      }
+      await runLocal(config, ticketKey, args.slice(2));
+      break;
+    }
+
     case 'dry-run':
       await runDryRun(config);
       break;
 
+    case 'resume': {
+      const runId = args[1];
+      if (!runId) {
+        err('Missing run ID. Usage: resume <RUN-ID>');
+        process.exit(1);
+      }
+      await runResume(config, runId);
+      break;
+    }
+
+    case 'costs':
+      runCosts(config, args.slice(1));
+      break;
+
+    case 'watch-prs':
+      await runWatchPRs(config, args.slice(1));
+      break;
+
     default:
       err(`Unknown command: ${command}`);
       printUsage();
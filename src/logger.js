@@ -7,10 +7,13 @@
  * - Step tracking with durations
  * - Separate error log file
  * - Detailed debug mode
+ * - Per-branch log streams (runWithLogContext) so concurrent branches keep
+ *   their own step tracking and their own log file
  */
 
 import fs from 'fs';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 
 const COLORS = {
   reset: '\x1b[0m',
@@ -35,14 +38,28 @@ const COLORS = {
 // Global state
 let currentRunId = null;
 let currentTicketKey = null;
-let currentStep = null;
-let stepStartTime = null;
 let runStartTime = null;
 let logDir = './logs';
 let runLogPath = null;
 let errorLogPath = null;
 let debugMode = true;
 
+// Step tracking for code running outside any log context (ticket-level steps)
+const globalStepState = { currentStep: null, stepName: null, stepStartTime: null };
+
+// Per-branch context: { label, logPath, currentStep, stepName, stepStartTime }
+const logContext = new AsyncLocalStorage();
+
+// Contexts currently executing, for getActivity()
+const activeContexts = new Set();
+
+/**
+ * Step state for the caller — the active branch context, or the global one
+ */
+function getStepState() {
+  return logContext.getStore() || globalStepState;
+}
+
 /**
  * Initialize a new run
  */
@@ -104,6 +121,68 @@ export function getRunLogPath() {
   return runLogPath;
 }
 
+/**
+ * Run fn inside a named log context (e.g. "my-service@version/1.10.6").
+ *
+ * Everything logged from fn — including async callbacks it schedules — is
+ * prefixed with the label, gets its own step counter, and is also written to
+ * a dedicated stream next to the run log: <runId>.<label>.log
+ */
+export function runWithLogContext(label, fn) {
+  let logPath = null;
+  if (runLogPath) {
+    const safeLabel = label.replace(/[^a-zA-Z0-9@._-]+/g, '-');
+    logPath = path.join(path.dirname(runLogPath), `${currentRunId}.${safeLabel}.log`);
+  }
+
+  const ctx = { label, logPath, currentStep: null, stepName: null, stepStartTime: null };
+  activeContexts.add(ctx);
+  const release = () => activeContexts.delete(ctx);
+
+  try {
+    const result = logContext.run(ctx, fn);
+    if (result && typeof result.finally === 'function') {
+      return result.finally(release);
+    }
+    release();
+    return result;
+  } catch (error) {
+    release();
+    throw error;
+  }
+}
+
+/**
+ * Describe a step state for getActivity()
+ */
+function describeStep(state) {
+  if (!state.currentStep) return null;
+  return {
+    number: state.currentStep,
+    name: state.stepName,
+    startedAt: new Date(state.stepStartTime).toISOString(),
+    elapsedSeconds: Math.floor((Date.now() - state.stepStartTime) / 1000),
+  };
+}
+
+/**
+ * Snapshot of what the current run is doing: ticket, elapsed time, the
+ * ticket-level step and the step of every active branch context.
+ * Returns null when no run is in progress.
+ */
+export function getActivity() {
+  if (!currentRunId) return null;
+
+  return {
+    runId: currentRunId,
+    ticketKey: currentTicketKey,
+    startedAt: runStartTime.toISOString(),
+    elapsedSeconds: Math.floor((Date.now() - runStartTime.getTime()) / 1000),
+    step: describeStep(globalStepState),
+    branches: [...activeContexts].map((ctx) => ({ label: ctx.label, step: describeStep(ctx) })),
+  };
+}
+
 /**
  * Enable/disable debug mode for verbose logging
  */
@@ -143,13 +222,20 @@ function stripColors(text) {
 function writeToFile(level, message, isError = false) {
   if (!runLogPath) return;
 
+  const ctx = logContext.getStore();
+  const { currentStep } = getStepState();
   const timestamp = getTimestamp();
+  const contextInfo = ctx ? `[${ctx.label}]` : '';
   const stepInfo = currentStep ? `[Step ${currentStep}]` : '';
-  const line = `[${timestamp}] [${level}] ${stepInfo} ${stripColors(message)}\n`;
+  const line = `[${timestamp}] [${level}] ${contextInfo}${stepInfo} ${stripColors(message)}\n`;
 
   try {
     fs.appendFileSync(runLogPath, line);
 
+    if (ctx?.logPath) {
+      fs.appendFileSync(ctx.logPath, line);
+    }
+
     // Also write errors to error log
     if (isError && errorLogPath) {
       fs.appendFileSync(errorLogPath, line);
@@ -163,28 +249,36 @@ function writeToFile(level, message, isError = false) {
  * Format console message with colors
  */
 function formatConsole(color, prefix, ...args) {
+  const ctx = logContext.getStore();
+  const { currentStep } = getStepState();
   const timestamp = `${COLORS.dim}${getShortTimestamp()}${COLORS.reset}`;
+  const contextInfo = ctx ? `${COLORS.magenta}[${ctx.label}]${COLORS.reset}` : '';
   const stepInfo = currentStep ? `${COLORS.cyan}${COLORS.bold}[S${currentStep}]${COLORS.reset}` : '';
   const coloredPrefix = `${color}${COLORS.bold}${prefix}${COLORS.reset}`;
   const message = args.map(a => `${color}${a}${COLORS.reset}`);
-  return [timestamp, stepInfo, coloredPrefix, ...message].filter(Boolean);
+  return [timestamp, contextInfo, stepInfo, coloredPrefix, ...message].filter(Boolean);
 }
 
 /**
  * Start a new step
  */
 export function startStep(stepNumber, stepName) {
+  const state = getStepState();
+  const ctx = logContext.getStore();
+
   // End previous step if any
-  if (currentStep && stepStartTime) {
-    const duration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
-    writeToFile('STEP', `Step ${currentStep} completed in ${duration}s`);
+  if (state.currentStep && state.stepStartTime) {
+    const duration = ((Date.now() - state.stepStartTime) / 1000).toFixed(2);
+    writeToFile('STEP', `Step ${state.currentStep} completed in ${duration}s`);
   }
 
-  currentStep = stepNumber;
-  stepStartTime = Date.now();
+  state.currentStep = stepNumber;
+  state.stepName = stepName;
+  state.stepStartTime = Date.now();
 
+  const contextInfo = ctx ? ` ${COLORS.dim}[${ctx.label}]${COLORS.reset}` : '';
   console.log('');
-  console.log(`${COLORS.bgMagenta}${COLORS.bold}${COLORS.white} STEP ${stepNumber} ${COLORS.reset} ${COLORS.magenta}${COLORS.bold}${stepName}${COLORS.reset}`);
+  console.log(`${COLORS.bgMagenta}${COLORS.bold}${COLORS.white} STEP ${stepNumber} ${COLORS.reset} ${COLORS.magenta}${COLORS.bold}${stepName}${COLORS.reset}${contextInfo}`);
   console.log(`${COLORS.magenta}${'─'.repeat(60)}${COLORS.reset}`);
   writeToFile('STEP', `Starting: ${stepName}`);
 }
@@ -193,17 +287,21 @@ export function startStep(stepNumber, stepName) {
  * End current step with result
  */
 export function endStep(success = true, message = '') {
-  if (!currentStep || !stepStartTime) return;
+  const state = getStepState();
+  if (!state.currentStep || !state.stepStartTime) return;
 
-  const duration = ((Date.now() - stepStartTime) / 1000).toFixed(2);
+  const ctx = logContext.getStore();
+  const duration = ((Date.now() - state.stepStartTime) / 1000).toFixed(2);
   const status = success ? 'PASS' : 'FAIL';
   const bg = success ? COLORS.bgGreen : COLORS.bgRed;
+  const contextInfo = ctx ? `[${ctx.label}] ` : '';
 
-  console.log(`${bg}${COLORS.bold}${COLORS.white} ${status} ${COLORS.reset} ${COLORS.dim}S${currentStep} ${duration}s${COLORS.reset} ${message}`);
+  console.log(`${bg}${COLORS.bold}${COLORS.white} ${status} ${COLORS.reset} ${COLORS.dim}${contextInfo}S${state.currentStep} ${duration}s${COLORS.reset} ${message}`);
   writeToFile('STEP', `${status}: ${message} (${duration}s)`, !success);
 
-  currentStep = null;
-  stepStartTime = null;
+  state.currentStep = null;
+  state.stepName = null;
+  state.stepStartTime = null;
 }
 
 /**
@@ -247,6 +345,9 @@ export function finalizeRun(success = true, summary = '') {
   runStartTime = null;
   runLogPath = null;
   errorLogPath = null;
+  globalStepState.currentStep = null;
+  globalStepState.stepName = null;
+  globalStepState.stepStartTime = null;
 }
 
 /**
@@ -350,6 +451,8 @@ export default {
   initRun,
   getRunId,
   getRunLogPath,
+  runWithLogContext,
+  getActivity,
   setDebugMode,
   startStep,
   endStep,
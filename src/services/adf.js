@@ -0,0 +1,242 @@
+/**
+ * Markdown → Atlassian Document Format (ADF)
+ *
+ * JIRA Cloud's v3 API only takes rich text as ADF. The comment builders in
+ * notifications.js write Markdown; this converts the subset they (and the
+ * provider summaries they embed) use:
+ *   blocks - headings, paragraphs (single line breaks kept), bullet / ordered
+ *            lists (nested by indentation), tables (header row when followed by
+ *            a `| --- |` row), fenced code blocks, blockquotes, `---` rules and
+ *            `:::info|note|warning|success|error ... :::` panels
+ *   inline - **bold**, *italic* / _italic_, ~~strike~~, `code`, [text](url)
+ * Anything else is kept as plain text.
+ */
+
+const PANEL_TYPES = ['info', 'note', 'warning', 'success', 'error'];
+
+const FENCE = /^\s*```\s*([\w+-]*)\s*$/;
+const PANEL_OPEN = /^:::\s*(\w+)\s*$/;
+const PANEL_CLOSE = /^:::\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_ROW = /^\s*\|/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+// code, link, bold, strike, *italic*, _italic_ — the earliest match wins
+const INLINE = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|~~(.+?)~~|(?<![\w*])\*(?!\s)(.+?)(?<!\s)\*(?![\w*])|(?<![\w_])_(?!\s)(.+?)(?<!\s)_(?![\w_])/g;
+
+function textNode(text, marks) {
+  return marks.length > 0 ? { type: 'text', text, marks } : { type: 'text', text };
+}
+
+/**
+ * Inline Markdown → ADF text nodes
+ */
+function parseInline(text, marks = []) {
+  const nodes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(new RegExp(INLINE.source, 'g'))) {
+    if (match.index > last) nodes.push(textNode(text.slice(last, match.index), marks));
+    const [, code, linkText, href, bold, strike, starItalic, underscoreItalic] = match;
+
+    if (code !== undefined) {
+      // ADF only allows a link next to the code mark
+      nodes.push(textNode(code, [...marks.filter((m) => m.type === 'link'), { type: 'code' }]));
+    } else if (linkText !== undefined) {
+      nodes.push(...parseInline(linkText, [...marks, { type: 'link', attrs: { href } }]));
+    } else if (bold !== undefined) {
+      nodes.push(...parseInline(bold, [...marks, { type: 'strong' }]));
+    } else if (strike !== undefined) {
+      nodes.push(...parseInline(strike, [...marks, { type: 'strike' }]));
+    } else {
+      nodes.push(...parseInline(starItalic ?? underscoreItalic, [...marks, { type: 'em' }]));
+    }
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) nodes.push(textNode(text.slice(last), marks));
+  return nodes.filter((node) => node.text);
+}
+
+/**
+ * Lines of a paragraph → one paragraph node, line breaks kept as hardBreaks
+ */
+function paragraph(lines) {
+  const content = [];
+  lines.forEach((line, i) => {
+    if (i > 0) content.push({ type: 'hardBreak' });
+    content.push(...parseInline(line.trim()));
+  });
+  return { type: 'paragraph', content };
+}
+
+function splitRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/);
+  return cells.map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function table(lines) {
+  const hasHeader = lines.length > 1 && TABLE_SEPARATOR.test(lines[1]);
+  const rows = lines.filter((line, i) => !(hasHeader && i === 1)).map(splitRow);
+  const width = Math.max(...rows.map((cells) => cells.length));
+
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: rows.map((cells, rowIndex) => ({
+      type: 'tableRow',
+      content: Array.from({ length: width }, (_, i) => ({
+        type: hasHeader && rowIndex === 0 ? 'tableHeader' : 'tableCell',
+        attrs: {},
+        content: [{ type: 'paragraph', content: parseInline(cells[i] || '') }],
+      })),
+    })),
+  };
+}
+
+function isBlockStart(line) {
+  return FENCE.test(line) || PANEL_OPEN.test(line) || HEADING.test(line) || RULE.test(line)
+    || LIST_ITEM.test(line) || TABLE_ROW.test(line) || QUOTE.test(line);
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * A list starting at lines[start]: items at its indentation, deeper items nested
+ * under the previous one. Returns the list node and the index after it.
+ */
+function parseList(lines, start) {
+  const indent = indentOf(lines[start]);
+  const ordered = /\d/.test(lines[start].match(LIST_ITEM)[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match) {
+      // A continuation line of the previous item
+      if (lines[i].trim() && indentOf(lines[i]) > indent && items.length > 0) {
+        const last = items[items.length - 1].content[0];
+        last.content.push({ type: 'hardBreak' }, ...parseInline(lines[i].trim()));
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    const itemIndent = indentOf(lines[i]);
+    if (itemIndent < indent) break;
+    if (itemIndent > indent && items.length > 0) {
+      const nested = parseList(lines, i);
+      items[items.length - 1].content.push(nested.node);
+      i = nested.next;
+      continue;
+    }
+    if (/\d/.test(match[2]) !== ordered) break;
+
+    items.push({ type: 'listItem', content: [{ type: 'paragraph', content: parseInline(match[3]) }] });
+    i++;
+  }
+
+  return { node: { type: ordered ? 'orderedList' : 'bulletList', content: items }, next: i };
+}
+
+/**
+ * Markdown lines → ADF block nodes
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) body.push(lines[i++]);
+      i++;
+      blocks.push({
+        type: 'codeBlock',
+        ...(fence[1] ? { attrs: { language: fence[1] } } : {}),
+        content: body.length > 0 ? [{ type: 'text', text: body.join('\n') }] : [],
+      });
+      continue;
+    }
+
+    const panel = line.match(PANEL_OPEN);
+    if (panel) {
+      const body = [];
+      i++;
+      while (i < lines.length && !PANEL_CLOSE.test(lines[i])) body.push(lines[i++]);
+      i++;
+      const panelType = PANEL_TYPES.includes(panel[1].toLowerCase()) ? panel[1].toLowerCase() : 'info';
+      blocks.push({ type: 'panel', attrs: { panelType }, content: parseBlocks(body) });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', attrs: { level: heading[1].length }, content: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (TABLE_ROW.test(line)) {
+      const rows = [];
+      while (i < lines.length && TABLE_ROW.test(lines[i])) rows.push(lines[i++]);
+      blocks.push(table(rows));
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].match(QUOTE)[1]);
+      blocks.push({ type: 'blockquote', content: parseBlocks(body) });
+      continue;
+    }
+
+    const body = [];
+    while (i < lines.length && lines[i].trim() && (body.length === 0 || !isBlockStart(lines[i]))) body.push(lines[i++]);
+    blocks.push(paragraph(body));
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert Markdown to an ADF document
+ *
+ * @param {string} markdown
+ * @returns {{ type: 'doc', version: 1, content: object[] }}
+ */
+export function markdownToAdf(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  return { type: 'doc', version: 1, content: parseBlocks(lines) };
+}
+
+export default { markdownToAdf };
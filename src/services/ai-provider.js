@@ -1,41 +1,150 @@
 /**
  * Top-level AI provider switch.
- * Exposes one execution API and provider metadata.
+ * Exposes one execution API and provider metadata. Provider adapters live in
+ * providers/ — adding a CLI means adding an adapter there.
  */
 
-import { runClaude } from './claude.js';
-
-const SUPPORTED_PROVIDERS = new Set(['claude']);
+import { spawn } from 'child_process';
+import { runClaude, trackProcess, terminateProcessGroup, isRunCancelled, STDERR_TAIL_LENGTH } from './claude.js';
+import { PROVIDERS, getProviderAdapter } from './providers/index.js';
+import { recordCost } from './cost-ledger.js';
+import { log, debug, getRunId } from '../logger.js';
 
 export function getProviderName(config) {
   return String(config.AGENT_PROVIDER || config.PROVIDER || 'claude').toLowerCase();
 }
 
 export function getProviderLabel(config) {
-  return 'Claude';
+  return config.AGENT_PROVIDER_LABEL || getProvider(config).label;
 }
 
-export function validateProvider(config) {
-  const provider = getProviderName(config);
-  if (!SUPPORTED_PROVIDERS.has(provider)) {
-    throw new Error(`Unsupported AI provider: ${provider}`);
+/**
+ * Adapter for the configured provider. Throws for unknown providers.
+ */
+export function getProvider(config) {
+  const provider = getProviderAdapter(getProviderName(config));
+  if (!provider) {
+    throw new Error(`Unsupported AI provider: ${getProviderName(config)}. Supported: ${Object.keys(PROVIDERS).join(', ')}`);
   }
   return provider;
 }
 
-export async function runAgentProvider(config, tmpDir, ticketKey, ticketSummary, ticketDescription, ticketComments = [], options = {}) {
-  validateProvider(config);
+export function validateProvider(config) {
+  return getProvider(config).name;
+}
 
+/**
+ * Spawn options shared by every pass of the configured provider
+ */
+export function getProviderSpawnOptions(config) {
+  const provider = getProvider(config);
+  return {
+    provider,
+    model: config.AGENT_MODEL || null,
+    cliCommand: config.AGENT_CLI_COMMAND || provider.defaultCommand,
+    providerLabel: getProviderLabel(config),
+  };
+}
+
+export async function runAgentProvider(config, tmpDir, ticketKey, ticketSummary, ticketDescription, ticketComments = [], options = {}) {
   return runClaude(config, tmpDir, ticketKey, ticketSummary, ticketDescription, ticketComments, {
     ...options,
-    cliCommand: config.AGENT_CLI_COMMAND || 'claude',
-    providerLabel: 'Claude',
+    ...getProviderSpawnOptions(config),
+  });
+}
+
+/**
+ * One-shot, tool-less provider call (buildQueryArgs). The call is recorded in the
+ * cost ledger under `label`.
+ *
+ * @param {object} config
+ * @param {object} opts - { prompt, label, timeoutMs, ticketKey, service, baseBranch, cwd }
+ * @returns {Promise<{ text: string, result: object|null, rateLimited: boolean }>}
+ *          rejects on spawn failure, non-zero exit or timeout
+ */
+export async function runProviderQuery(config, { prompt, label, timeoutMs = 60_000, ticketKey = null, service = null, baseBranch = null, cwd = process.cwd() }) {
+  const { provider, model, cliCommand, providerLabel } = getProviderSpawnOptions(config);
+  const args = provider.buildQueryArgs({ prompt, model });
+  const runId = getRunId();
+  if (isRunCancelled(runId)) {
+    throw new Error(`${label} not started — ${runId ? `run ${runId} was cancelled` : 'shutting down'}`);
+  }
+  const startTime = Date.now();
+
+  let stderrTail = '';
+  const stdout = await new Promise((resolve, reject) => {
+    let rawOutput = '';
+
+    const proc = spawn(cliCommand, args, {
+      cwd,
+      env: { ...process.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true,
+    });
+    // Registered under the run so POST /runs/:id/cancel stops a review or query too
+    trackProcess(proc, runId);
+
+    proc.stdin.end();
+
+    proc.stdout.on('data', (data) => {
+      rawOutput += data.toString();
+    });
+
+    proc.stderr.on('data', (data) => {
+      stderrTail = (stderrTail + data.toString()).slice(-STDERR_TAIL_LENGTH);
+      debug(`${label} stderr: ${data.toString().trim().substring(0, 200)}`);
+    });
+
+    const timeoutId = setTimeout(() => {
+      terminateProcessGroup(proc);
+      reject(new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    proc.on('close', (code) => {
+      clearTimeout(timeoutId);
+      const elapsed = Math.floor((Date.now() - startTime) / 1000);
+      log(`${label} finished: exit=${code}, duration=${elapsed}s`);
+
+      if (code !== 0) {
+        reject(new Error(`${label} exited with code ${code}`));
+        return;
+      }
+      resolve(rawOutput);
+    });
+
+    proc.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(new Error(`Failed to spawn ${providerLabel} for ${label}: ${error.message}`));
+    });
   });
+
+  const { text, result } = provider.parseQueryOutput(stdout);
+  const rateLimited = provider.isRateLimited(text, { failed: result?.isError === true, stderr: stderrTail });
+  recordCost(config.STATE_DIR, {
+    runId,
+    ticketKey,
+    service,
+    baseBranch,
+    pass: label,
+    provider: provider.name,
+    model,
+    costUsd: result?.costUsd ?? null,
+    ...(result?.usage || { inputTokens: null, outputTokens: null, cacheReadTokens: null, cacheWriteTokens: null }),
+    numTurns: result?.numTurns ?? null,
+    durationMs: Date.now() - startTime,
+    exitCode: 0,
+    rateLimited,
+  });
+
+  return { text, result, rateLimited };
 }
 
 export default {
   getProviderName,
   getProviderLabel,
+  getProvider,
   validateProvider,
+  getProviderSpawnOptions,
   runAgentProvider,
+  runProviderQuery,
 };
@@ -0,0 +1,267 @@
+/**
+ * Azure DevOps REST client
+ *
+ * Pull requests, reviewers, labels, properties and comment threads over the Git
+ * REST API, plus the identity and team lookups needed to turn configured reviewer
+ * names into ids.
+ * Authenticated with a personal access token (azureDevOps.pat, or the AZDO_PAT
+ * environment variable). Every call goes through logApi.
+ *
+ * Failed calls throw an Error carrying `status` (HTTP status) and `typeKey`
+ * (Azure's exception type, e.g. GitPullRequestExistsException) next to the
+ * server's own message.
+ */
+
+import { logApi } from '../logger.js';
+
+const REQUEST_TIMEOUT = 60 * 1000;
+
+function getAuthHeader(config) {
+  return `Basic ${Buffer.from(`:${config.AZDO_PAT}`).toString('base64')}`;
+}
+
+function repoPath(config, repoName) {
+  return `${encodeURIComponent(config.AZDO_PROJECT)}/_apis/git/repositories/${encodeURIComponent(repoName)}`;
+}
+
+/**
+ * `refs/heads/<branch>` for a bare branch name
+ */
+export function toRefName(branch) {
+  return branch.startsWith('refs/') ? branch : `refs/heads/${branch}`;
+}
+
+/**
+ * Web URL of a PR
+ */
+export function getPullRequestUrl(config, repoName, prId) {
+  return `${config.AZDO_API_URL}/${encodeURIComponent(config.AZDO_PROJECT)}/_git/${encodeURIComponent(repoName)}/pullrequest/${prId}`;
+}
+
+/**
+ * Send one REST request. `path` is relative to the organization URL (or to
+ * `baseUrl`, e.g. the identity service).
+ *
+ * @returns {Promise<object|null>} parsed JSON body (null for empty responses)
+ */
+export async function azdoRequest(config, method, path, { query = {}, body, baseUrl = config.AZDO_API_URL, contentType = 'application/json' } = {}) {
+  if (!config.AZDO_PAT) {
+    throw new Error('Azure DevOps PAT is not configured (azureDevOps.pat or AZDO_PAT)');
+  }
+
+  const url = new URL(`${baseUrl}/${path}`);
+  for (const [key, value] of Object.entries({ ...query, 'api-version': config.AZDO_API_VERSION })) {
+    if (value != null) url.searchParams.set(key, value);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: getAuthHeader(config),
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': contentType } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+  } catch (error) {
+    logApi(method, url.pathname, 0, Date.now() - startTime);
+    throw new Error(`Azure DevOps ${method} ${url.pathname} failed: ${error.message}`);
+  }
+  logApi(method, url.pathname, response.status, Date.now() - startTime);
+
+  const text = await response.text();
+  let data = null;
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = null;
+    }
+  }
+
+  if (!response.ok) {
+    const message = data?.message || text.substring(0, 300) || response.statusText;
+    const error = new Error(`Azure DevOps ${method} ${url.pathname} (${response.status}): ${message}`);
+    error.status = response.status;
+    error.typeKey = data?.typeKey || null;
+    throw error;
+  }
+  // A rejected PAT can be answered with the HTML sign-in page instead of a 401
+  if (text && data === null) {
+    const error = new Error(`Azure DevOps ${method} ${url.pathname} returned a non-JSON response (${response.status}) — check the PAT`);
+    error.status = response.status;
+    error.typeKey = null;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create a PR
+ *
+ * @param {object} pr - { sourceBranch, targetBranch, title, description, isDraft,
+ *                       reviewers: [{ id, isRequired }], workItemIds: [number|string] }
+ */
+export async function createPullRequest(config, repoName, { sourceBranch, targetBranch, title, description, isDraft = false, reviewers = [], workItemIds = [] }) {
+  return azdoRequest(config, 'POST', `${repoPath(config, repoName)}/pullrequests`, {
+    body: {
+      sourceRefName: toRefName(sourceBranch),
+      targetRefName: toRefName(targetBranch),
+      title,
+      description,
+      isDraft,
+      reviewers: reviewers.map(({ id, isRequired }) => ({ id, isRequired: Boolean(isRequired) })),
+      workItemRefs: workItemIds.map((id) => ({ id: String(id) })),
+    },
+  });
+}
+
+/**
+ * Get a PR by id
+ */
+export async function getPullRequest(config, repoName, prId) {
+  return azdoRequest(config, 'GET', `${repoPath(config, repoName)}/pullrequests/${prId}`);
+}
+
+/**
+ * Update a PR (title, description, status, isDraft, completionOptions, ...)
+ */
+export async function updatePullRequest(config, repoName, prId, changes) {
+  return azdoRequest(config, 'PATCH', `${repoPath(config, repoName)}/pullrequests/${prId}`, { body: changes });
+}
+
+/**
+ * PRs of a repository
+ *
+ * @param {object} [criteria] - { sourceBranch, status: active | completed | abandoned | all, top }
+ */
+export async function listPullRequests(config, repoName, { sourceBranch = null, status = 'active', top = null } = {}) {
+  const data = await azdoRequest(config, 'GET', `${repoPath(config, repoName)}/pullrequests`, {
+    query: {
+      'searchCriteria.sourceRefName': sourceBranch ? toRefName(sourceBranch) : null,
+      'searchCriteria.status': status,
+      $top: top,
+    },
+  });
+  return data?.value || [];
+}
+
+/**
+ * PRs opened from a source branch
+ *
+ * @param {string} [status] - active | completed | abandoned | all
+ */
+export async function listPullRequestsBySourceBranch(config, repoName, sourceBranch, status = 'active') {
+  return listPullRequests(config, repoName, { sourceBranch, status });
+}
+
+/**
+ * Add a reviewer (user or team id) to a PR without casting a vote
+ */
+export async function addReviewer(config, repoName, prId, reviewerId, isRequired = false) {
+  return azdoRequest(config, 'PUT', `${repoPath(config, repoName)}/pullrequests/${prId}/reviewers/${encodeURIComponent(reviewerId)}`, {
+    body: { vote: 0, isRequired: Boolean(isRequired) },
+  });
+}
+
+/**
+ * Add a label (tag) to a PR. Adding a label the PR already has is a no-op.
+ */
+export async function addPullRequestLabel(config, repoName, prId, name) {
+  return azdoRequest(config, 'POST', `${repoPath(config, repoName)}/pullrequests/${prId}/labels`, { body: { name } });
+}
+
+/**
+ * Set custom properties on a PR (added or replaced)
+ *
+ * @param {object} properties - { name: value }
+ */
+export async function setPullRequestProperties(config, repoName, prId, properties) {
+  return azdoRequest(config, 'PATCH', `${repoPath(config, repoName)}/pullrequests/${prId}/properties`, {
+    body: Object.entries(properties).map(([name, value]) => ({ op: 'add', path: `/${name}`, value })),
+    contentType: 'application/json-patch+json',
+  });
+}
+
+/**
+ * Look up a user by email, unique name or display name (identity service).
+ *
+ * @returns {Promise<{ id: string, displayName: string }|null>} null when nobody matches
+ */
+export async function findIdentity(config, name) {
+  const data = await azdoRequest(config, 'GET', '_apis/identities', {
+    baseUrl: config.AZDO_IDENTITY_URL,
+    query: { searchFilter: 'General', filterValue: name, queryMembership: 'None' },
+  });
+  const identity = data?.value?.[0];
+  if (!identity) return null;
+  return { id: identity.id, displayName: identity.customDisplayName || identity.providerDisplayName || name };
+}
+
+/**
+ * Look up a team of the configured project by name or id.
+ *
+ * @returns {Promise<{ id: string, name: string }>} throws 404 for unknown teams
+ */
+export async function getTeam(config, teamName) {
+  const team = await azdoRequest(config, 'GET', `_apis/projects/${encodeURIComponent(config.AZDO_PROJECT)}/teams/${encodeURIComponent(teamName)}`);
+  return { id: team.id, name: team.name };
+}
+
+/**
+ * Add a comment thread to a PR
+ *
+ * @param {object} thread - { comments: [{ parentCommentId, content, commentType }], status, threadContext? }
+ */
+export async function createThread(config, repoName, prId, thread) {
+  return azdoRequest(config, 'POST', `${repoPath(config, repoName)}/pullrequests/${prId}/threads`, { body: thread });
+}
+
+/**
+ * Reply in a comment thread
+ *
+ * @param {object} comment - { parentCommentId, content, commentType }
+ */
+export async function addThreadComment(config, repoName, prId, threadId, comment) {
+  return azdoRequest(config, 'POST', `${repoPath(config, repoName)}/pullrequests/${prId}/threads/${threadId}/comments`, { body: comment });
+}
+
+/**
+ * Update a comment thread (e.g. { status: 2 } to mark it fixed)
+ */
+export async function updateThread(config, repoName, prId, threadId, changes) {
+  return azdoRequest(config, 'PATCH', `${repoPath(config, repoName)}/pullrequests/${prId}/threads/${threadId}`, { body: changes });
+}
+
+/**
+ * Comment threads of a PR
+ */
+export async function listThreads(config, repoName, prId) {
+  const data = await azdoRequest(config, 'GET', `${repoPath(config, repoName)}/pullrequests/${prId}/threads`);
+  return data?.value || [];
+}
+
+export default {
+  toRefName,
+  getPullRequestUrl,
+  azdoRequest,
+  createPullRequest,
+  getPullRequest,
+  updatePullRequest,
+  listPullRequests,
+  listPullRequestsBySourceBranch,
+  addReviewer,
+  addPullRequestLabel,
+  setPullRequestProperties,
+  findIdentity,
+  getTeam,
+  createThread,
+  addThreadComment,
+  updateThread,
+  listThreads,
+};
@@ -9,6 +9,7 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { log, warn } from '../logger.js';
+import { withWorktreeLock } from './git.js';
 
 const CMD_TIMEOUT = 10 * 60 * 1000; // 10 minutes
 
@@ -48,9 +49,12 @@ function execGit(cmd, cwd, timeout = CMD_TIMEOUT) {
  * @param {string} tmpDir - Working directory (feature branch, already committed+pushed)
  * @param {string} baseBranch - The base branch name (e.g. version/1.10.6)
  * @param {string} repoName - The repo/service name
- * @returns {{ tagged: boolean, tag?: string }} result
+ * The tag fetch, tag creation and push write to the shared mirror, so they run
+ * under its lock.
+ *
+ * @returns {Promise<{ tagged: boolean, tag?: string }>} result
  */
-export function handleBaseTag(tmpDir, baseBranch, repoName) {
+export async function handleBaseTag(tmpDir, baseBranch, repoName) {
   // Pre-flight: repo must have Dockerfile, Dockerfile.base, and azure-pipelines.yml
   const dockerfilePath = path.join(tmpDir, 'Dockerfile');
   const dockerfileBasePath = path.join(tmpDir, 'Dockerfile.base');
@@ -104,7 +108,7 @@ export function handleBaseTag(tmpDir, baseBranch, repoName) {
   const versionSlug = 'v' + versionMatch[1].replace(/\./g, '-');
 
   // Fetch tags to find highest build number
-  execGit('git fetch origin --tags', tmpDir);
+  await withWorktreeLock(tmpDir, () => execGit('git fetch origin --tags', tmpDir));
 
   // Tag format: deploy.base.v1-10-5-1 (hyphen before build number)
   const tagPattern = `${tagPrefix}.${versionSlug}-`;
@@ -135,11 +139,11 @@ export function handleBaseTag(tmpDir, baseBranch, repoName) {
   const newTag = `${tagPrefix}.${versionSlug}-${nextBuild}`;
   log(`Creating base tag: ${newTag}`);
 
-  // Tag HEAD — the feature branch commit that already has dep changes committed+pushed
-  execGit(`git tag -a "${newTag}" HEAD -m "Base image tag for ${baseBranch}"`, tmpDir);
-
-  // Push the tag
-  execGit(`git push origin "${newTag}"`, tmpDir);
+  // Tag HEAD — the feature branch commit that already has dep changes committed+pushed — and push the tag
+  await withWorktreeLock(tmpDir, () => {
+    execGit(`git tag -a "${newTag}" HEAD -m "Base image tag for ${baseBranch}"`, tmpDir);
+    execGit(`git push origin "${newTag}"`, tmpDir);
+  });
   log(`Base tag pushed: ${newTag}`);
 
   // Update Dockerfile FROM line
@@ -0,0 +1,101 @@
+/**
+ * Spend budgets
+ *
+ * Guards provider spend against the cost ledger (cost-ledger.js) before every pass:
+ *   budgets.maxUsdPerTicket  - everything recorded for the ticket: every run, re-trigger and
+ *                              resume, and the watch-prs / rebase passes on its PRs
+ *   budgets.maxUsdPerService - the same, for one service of the ticket
+ *   budgets.maxUsdPerDay     - everything recorded since local midnight
+ *
+ * A budget that is not configured is unlimited. Passes whose provider reports no
+ * cost (Codex) count as $0.
+ */
+
+import { readCostLedger } from './cost-ledger.js';
+
+function startOfDay(now = new Date()) {
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function sumCost(entries) {
+  return entries.reduce((sum, e) => sum + (e.costUsd || 0), 0);
+}
+
+/**
+ * Whether any budget is configured
+ */
+export function hasBudgets(config) {
+  return config.BUDGET_MAX_USD_PER_TICKET != null
+    || config.BUDGET_MAX_USD_PER_SERVICE != null
+    || config.BUDGET_MAX_USD_PER_DAY != null;
+}
+
+/**
+ * Check the daily budget only (used by the daemon before starting new tickets).
+ *
+ * @returns {{ budget: 'day', limitUsd: number, spentUsd: number }|null} null when within budget
+ */
+export function checkDailyBudget(config, now = new Date()) {
+  const limitUsd = config.BUDGET_MAX_USD_PER_DAY;
+  if (limitUsd == null) return null;
+
+  const spentUsd = sumCost(readCostLedger(config, { since: startOfDay(now) }));
+  return spentUsd >= limitUsd ? { budget: 'day', limitUsd, spentUsd } : null;
+}
+
+/**
+ * Check every budget that applies to the next pass.
+ *
+ * @param {object} config
+ * @param {object} scope - { ticketKey: string, service: string|null }
+ * @returns {{ budget: 'day'|'ticket'|'service', limitUsd: number, spentUsd: number, service?: string }|null}
+ *          the first budget that is used up, or null when the pass may run
+ */
+export function checkBudget(config, { ticketKey, service = null } = {}) {
+  if (!hasBudgets(config)) return null;
+
+  const daily = checkDailyBudget(config);
+  if (daily) return daily;
+
+  // All of the ticket's spend, not just this run's: a re-trigger or follow-up run must not start from $0
+  const ticketEntries = readCostLedger(config, { ticketKey });
+
+  const ticketLimit = config.BUDGET_MAX_USD_PER_TICKET;
+  if (ticketLimit != null) {
+    const spentUsd = sumCost(ticketEntries);
+    if (spentUsd >= ticketLimit) {
+      return { budget: 'ticket', limitUsd: ticketLimit, spentUsd };
+    }
+  }
+
+  const serviceLimit = config.BUDGET_MAX_USD_PER_SERVICE;
+  if (serviceLimit != null && service) {
+    const spentUsd = sumCost(ticketEntries.filter((e) => e.service === service));
+    if (spentUsd >= serviceLimit) {
+      return { budget: 'service', limitUsd: serviceLimit, spentUsd, service };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * One-line description of a tripped budget
+ */
+export function describeBudgetTrip(trip) {
+  const scope = {
+    day: 'Daily budget',
+    ticket: 'Per-ticket budget',
+    service: `Per-service budget${trip.service ? ` (${trip.service})` : ''}`,
+  }[trip.budget];
+  return `${scope} of $${trip.limitUsd.toFixed(2)} reached — $${trip.spentUsd.toFixed(2)} spent`;
+}
+
+export default {
+  hasBudgets,
+  checkDailyBudget,
+  checkBudget,
+  describeBudgetTrip,
+};
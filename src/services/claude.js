@@ -1,5 +1,9 @@
 /**
- * Claude Code headless mode integration
+ * Agent CLI execution engine (Claude Code by default)
+ *
+ * Provider-specific details — argv, stream event format, rate-limit messages —
+ * come from the adapter in providers/ passed as `provider`; the pass flow below
+ * is the same for every provider.
  *
  * Two-pass approach:
  *   Pass 1 (Plan)      — explore codebase, produce implementation plan (~20 turns)
@@ -13,24 +17,37 @@
 import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import { log, warn, debug, logData } from '../logger.js';
+import { log, warn, debug, logData, getRunId } from '../logger.js';
 import { buildPrompt } from './prompt-builder.js';
 import { summariseText } from './summariser.js';
+import { claudeProvider } from './providers/claude.js';
+import { parseResetTime } from './rate-limit.js';
+import { recordCost } from './cost-ledger.js';
+import { checkBudget, describeBudgetTrip } from './budget.js';
 
-/**
- * Check if output contains a Claude API rate-limit message.
- */
-function isRateLimited(text) {
-  if (!text) return false;
-  return text.includes("You've hit your limit") || text.includes('resets ');
-}
+// Provider processes currently running, proc → runId (spawned in their own process
+// group so a terminal Ctrl+C aimed at the daemon does not kill an in-flight pass)
+const activeProcesses = new Map();
+
+// Runs whose provider work was cancelled — no further passes are spawned for them
+const cancelledRuns = new Set();
+
+// Set when every provider process is terminated (shutdown) — no further pass is spawned at all
+let shuttingDown = false;
+
+// How much of a provider's stderr is kept for rate-limit detection
+export const STDERR_TAIL_LENGTH = 8000;
+
+// How long a terminated provider's process group gets to exit before it is SIGKILLed
+const KILL_GRACE_MS = 10 * 1000;
+const KILL_POLL_MS = 200;
 
 /**
  * Check if output looks like a rate-limit or error message rather than real content.
  */
-export function isGarbageOutput(text) {
+export function isGarbageOutput(text, provider = claudeProvider) {
   if (!text || text.trim().length === 0) return true;
-  if (isRateLimited(text)) return true;
+  if (provider.isRateLimited(text)) return true;
   if (text.trim().length < 50) return true; // Suspiciously short
   return false;
 }
@@ -40,7 +57,7 @@ export function isGarbageOutput(text) {
  * Prefers structured output (contains FILES CHANGED / SUMMARY / RISKS).
  * Skips garbage (rate limit errors, too-short responses).
  */
-function pickBestOutput(validationOutput, implOutput, planOutput) {
+function pickBestOutput(validationOutput, implOutput, planOutput, provider = claudeProvider) {
   const candidates = [validationOutput, implOutput, planOutput];
 
   // First: prefer any candidate that has a structured summary
@@ -52,7 +69,7 @@ function pickBestOutput(validationOutput, implOutput, planOutput) {
 
   // Second: pick the first non-garbage candidate
   for (const candidate of candidates) {
-    if (!isGarbageOutput(candidate)) {
+    if (!isGarbageOutput(candidate, provider)) {
       return candidate;
     }
   }
@@ -71,7 +88,7 @@ function ensureLogDir(logDir) {
 }
 
 /**
- * Low-level: spawn Claude Code, stream events, return structured result.
+ * Low-level: spawn the provider CLI, stream events, return structured result.
  *
  * @param {object}  opts
  * @param {string}  opts.tmpDir   - Working directory (cloned repo)
@@ -82,21 +99,27 @@ function ensureLogDir(logDir) {
  * @param {string}  opts.logDir   - Directory for log files
  * @param {string}  opts.ticketKey - JIRA ticket key for log filenames
  * @param {string}  [opts.nvmBinDir] - nvm bin directory to prepend to PATH (for target Node version)
- * @returns {Promise<{output: string, completedNormally: boolean, maxTurnsReached: boolean, numTurns: number|null, exitCode: number}>}
+ * @param {object}  [opts.provider] - Provider adapter (providers/index.js), defaults to Claude
+ * @param {string}  [opts.model]    - Model override passed to the CLI
+ * @param {object}  [opts.costContext] - { stateDir, service, baseBranch } — when set, the pass is appended to the cost ledger
+ * @returns {Promise<{output: string, completedNormally: boolean, maxTurnsReached: boolean, rateLimited: boolean, resetAt: string|null, numTurns: number|null, costUsd: number|null, usage: object|null, durationMs: number, exitCode: number}>}
  */
-export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir, ticketKey, nvmBinDir, cliCommand = 'claude', providerLabel = 'Claude' }) {
-  log(`[${label}] Running ${providerLabel} Code (maxTurns=${maxTurns}, timeout=${timeout / 60000}min)...`);
+export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir, ticketKey, nvmBinDir, provider = claudeProvider, model = null, cliCommand = provider.defaultCommand, providerLabel = provider.label, costContext = null }) {
+  const turnsInfo = provider.supportsMaxTurns ? `maxTurns=${maxTurns}` : 'no turn limit';
+  log(`[${label}] Running ${providerLabel} (${turnsInfo}, timeout=${timeout / 60000}min)...`);
   log(`[${label}] Prompt length: ${prompt.length} characters`);
   debug(`[${label}] Working directory: ${tmpDir}`);
   logData(`${providerLabel} prompt (${label})`, prompt);
 
-  const args = [
-    '-p', prompt,
-    '--max-turns', String(maxTurns),
-    '--output-format', 'stream-json',
-    '--verbose',
-    '--dangerously-skip-permissions',
-  ];
+  const args = provider.buildArgs({ prompt, maxTurns, model });
+
+  const runId = getRunId();
+  if (shuttingDown) {
+    return Promise.reject(new Error(`${providerLabel} (${label}) not started — shutting down`));
+  }
+  if (runId && cancelledRuns.has(runId)) {
+    return Promise.reject(new Error(`${providerLabel} (${label}) not started — run ${runId} was cancelled`));
+  }
 
   const startTime = Date.now();
   let eventCount = 0;
@@ -113,6 +136,11 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
     let stdoutBuffer = '';
     let resultEventReceived = false;
     let numTurns = null;
+    let costUsd = null;
+    let usage = null;
+    let cliError = false;
+    let errorText = '';
+    let stderrTail = '';
 
     const spawnEnv = { ...process.env };
     if (nvmBinDir) {
@@ -125,14 +153,16 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
       cwd: tmpDir,
       env: spawnEnv,
       stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true,
     });
+    activeProcesses.set(proc, runId);
 
     // Close stdin immediately — headless mode doesn't need it
     proc.stdin.end();
 
     log(`[${label}] ${providerLabel} process spawned (PID: ${proc.pid})`);
 
-    // Parse stream-json events from stdout (newline-delimited JSON)
+    // Parse JSON events from stdout (newline-delimited), normalized by the adapter
     proc.stdout.on('data', (data) => {
       stdoutBuffer += data.toString();
       const lines = stdoutBuffer.split('\n');
@@ -149,28 +179,51 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
           continue;
         }
         eventCount++;
+        handleEvent(event);
+      }
+    });
 
-        if (event.type === 'assistant' && event.message?.content) {
-          for (const block of event.message.content) {
-            if (block.type === 'text') {
-              lastAssistantText = block.text;
-              debug(`[${label}] Response text: ${block.text.substring(0, 200)}...`);
-            } else if (block.type === 'tool_use') {
-              log(`[${label}] Tool: ${block.name}${block.input?.command ? ` — ${block.input.command.substring(0, 80)}` : ''}`);
-            }
-          }
-        } else if (event.type === 'result') {
+    function handleEvent(event) {
+      for (const ev of provider.parseEvent(event)) {
+        if (ev.type === 'text') {
+          lastAssistantText = ev.text;
+          debug(`[${label}] Response text: ${ev.text.substring(0, 200)}...`);
+        } else if (ev.type === 'error') {
+          // Reported like text (it is the pass's last word), but kept apart for rate-limit detection
+          cliError = true;
+          errorText += `${ev.text}\n`;
+          lastAssistantText = ev.text;
+          warn(`[${label}] ${providerLabel} error: ${ev.text.substring(0, 200)}`);
+        } else if (ev.type === 'tool') {
+          log(`[${label}] Tool: ${ev.name}${ev.detail ? ` — ${ev.detail.substring(0, 80)}` : ''}`);
+        } else if (ev.type === 'result') {
           resultEventReceived = true;
-          if (event.result) {
-            resultEventText = event.result;
+          // null text: the provider's result event carries no text — use the last message
+          const text = ev.text ?? lastAssistantText;
+          if (text) {
+            resultEventText = text;
+          }
+          numTurns = ev.numTurns ?? null;
+          if (ev.isError) {
+            cliError = true;
           }
-          numTurns = event.num_turns ?? null;
-          debug(`[${label}] Result event: cost=$${event.cost_usd ?? '?'}, duration=${event.duration_ms ?? '?'}ms, turns=${event.num_turns ?? '?'}`);
+          // Some providers emit one result per turn — sum cost and tokens across them
+          if (ev.costUsd != null) {
+            costUsd = (costUsd || 0) + ev.costUsd;
+          }
+          if (ev.usage) {
+            usage = usage || { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+            for (const key of Object.keys(usage)) {
+              usage[key] += ev.usage[key] || 0;
+            }
+          }
+          debug(`[${label}] Result event: cost=$${ev.costUsd ?? '?'}, duration=${ev.durationMs ?? '?'}ms, turns=${ev.numTurns ?? '?'}`);
         }
       }
-    });
+    }
 
     proc.stderr.on('data', (data) => {
+      stderrTail = (stderrTail + data.toString()).slice(-STDERR_TAIL_LENGTH);
       const chunk = data.toString().trim();
       if (chunk) {
         debug(`[${label}:stderr] ${chunk.substring(0, 300)}`);
@@ -181,30 +234,25 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
       clearInterval(heartbeat);
       const elapsed = Math.floor((Date.now() - startTime) / 1000);
       log(`[${label}] ${providerLabel} timed out after ${elapsed}s (${eventCount} events)`);
-      proc.kill('SIGTERM');
+      terminateProcessGroup(proc);
       reject(new Error(`${providerLabel} (${label}) timed out after ${elapsed}s`));
     }, timeout);
 
     proc.on('close', (code) => {
+      activeProcesses.delete(proc);
       clearTimeout(timeoutId);
       clearInterval(heartbeat);
 
       // Process any remaining buffered data
       if (stdoutBuffer.trim()) {
         try {
-          const event = JSON.parse(stdoutBuffer.trim());
-          if (event.type === 'result') {
-            resultEventReceived = true;
-            if (event.result) {
-              resultEventText = event.result;
-            }
-            numTurns = event.num_turns ?? numTurns;
-          }
+          handleEvent(JSON.parse(stdoutBuffer.trim()));
         } catch { /* ignore incomplete JSON */ }
       }
 
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      log(`[${label}] ${providerLabel} finished: exit=${code}, duration=${elapsed}s, events=${eventCount}`);
+      const durationMs = Date.now() - startTime;
+      const elapsed = Math.floor(durationMs / 1000);
+      log(`[${label}] ${providerLabel} finished: exit=${code}, duration=${elapsed}s, events=${eventCount}${costUsd != null ? `, cost=$${costUsd.toFixed(4)}` : ''}`);
 
       // Authoritative output: result event text wins, fall back to last assistant text
       const output = resultEventText || lastAssistantText || '';
@@ -221,6 +269,8 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
         `Duration: ${elapsed}s`,
         `Events: ${eventCount}`,
         `Turns: ${numTurns ?? 'unknown'}`,
+        `Cost: ${costUsd != null ? `$${costUsd.toFixed(4)}` : 'unknown'}`,
+        `Tokens: ${usage ? `${usage.inputTokens} in (+${usage.cacheReadTokens} cache read, +${usage.cacheWriteTokens} cache write), ${usage.outputTokens} out` : 'unknown'}`,
         `Timestamp: ${new Date().toISOString()}`,
         ``,
         `=== PROMPT ===`,
@@ -241,10 +291,29 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
 
       const maxTurnsReached = numTurns !== null && numTurns >= maxTurns;
       const completedNormally = code === 0 && resultEventReceived && resultEventText.length > 0;
-      const rateLimited = isRateLimited(output);
+      const rateLimited = provider.isRateLimited(output, { failed: code !== 0 || cliError, errors: errorText, stderr: stderrTail });
+      const resetAt = rateLimited ? (parseResetTime(`${output}\n${errorText}\n${stderrTail}`)?.toISOString() || null) : null;
 
       if (rateLimited) {
-        warn(`[${label}] ${providerLabel} hit API rate limit: "${output.substring(0, 100)}"`);
+        warn(`[${label}] ${providerLabel} hit API rate limit${resetAt ? ` (resets ${resetAt})` : ''}: "${output.substring(0, 100)}"`);
+      }
+
+      if (costContext) {
+        recordCost(costContext.stateDir, {
+          runId,
+          ticketKey,
+          service: costContext.service || null,
+          baseBranch: costContext.baseBranch || null,
+          pass: label,
+          provider: provider.name,
+          model,
+          costUsd,
+          ...(usage || { inputTokens: null, outputTokens: null, cacheReadTokens: null, cacheWriteTokens: null }),
+          numTurns,
+          durationMs,
+          exitCode: code,
+          rateLimited,
+        });
       }
 
       resolve({
@@ -252,12 +321,17 @@ export function spawnClaude({ tmpDir, prompt, maxTurns, timeout, label, logDir,
         completedNormally,
         maxTurnsReached,
         rateLimited,
+        resetAt,
         numTurns,
+        costUsd,
+        usage,
+        durationMs,
         exitCode: code,
       });
     });
 
     proc.on('error', (error) => {
+      activeProcesses.delete(proc);
       clearTimeout(timeoutId);
       clearInterval(heartbeat);
       log(`[${label}] ${providerLabel} spawn error: ${error.message}`);
@@ -301,6 +375,109 @@ function parsePhases(planOutput) {
   return phases.length >= 2 ? phases : null;
 }
 
+/**
+ * Register a provider process spawned outside spawnClaude (one-shot queries)
+ * under its run, so cancelling the run or shutting down terminates it too
+ */
+export function trackProcess(proc, runId = getRunId()) {
+  activeProcesses.set(proc, runId);
+  const untrack = () => activeProcesses.delete(proc);
+  proc.on('close', untrack);
+  proc.on('error', untrack);
+}
+
+/**
+ * Signal a detached provider process and its process group, so the CLI's own
+ * children (test runners, dev servers) go with it
+ */
+export function signalProcessGroup(proc, signal) {
+  try {
+    process.kill(-proc.pid, signal);
+  } catch {
+    proc.kill(signal);
+  }
+}
+
+/**
+ * Whether anything in a provider's process group (or the provider itself, when
+ * it has no group) is still running
+ */
+function isProcessGroupAlive(proc) {
+  try {
+    process.kill(-proc.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM' || (proc.exitCode === null && proc.signalCode === null);
+  }
+}
+
+/**
+ * SIGTERM a provider's process group, then SIGKILL whatever is left of it after
+ * KILL_GRACE_MS — a CLI or test runner that ignores SIGTERM must not outlive
+ * its pass. Never rejects.
+ * @returns {Promise<void>} settles once the group is gone or was SIGKILLed
+ */
+export function terminateProcessGroup(proc, graceMs = KILL_GRACE_MS) {
+  signalProcessGroup(proc, 'SIGTERM');
+  const deadline = Date.now() + graceMs;
+
+  return new Promise((resolve) => {
+    const poll = setInterval(() => {
+      if (!isProcessGroupAlive(proc)) {
+        clearInterval(poll);
+        resolve();
+      } else if (Date.now() >= deadline) {
+        clearInterval(poll);
+        warn(`Provider process ${proc.pid} still running ${Math.round(graceMs / 1000)}s after SIGTERM — sending SIGKILL`);
+        signalProcessGroup(proc, 'SIGKILL');
+        resolve();
+      }
+    }, KILL_POLL_MS);
+  });
+}
+
+/**
+ * Running provider processes — all of them, or only those spawned by one run
+ */
+function listActiveProcesses(runId = null) {
+  return [...activeProcesses].filter(([, procRunId]) => !runId || procRunId === runId).map(([proc]) => proc);
+}
+
+/**
+ * Terminate running provider processes (and their tool subprocesses) — all of
+ * them, or only those spawned by one run — escalating to SIGKILL after the
+ * grace period. Terminating all of them is a shutdown: no pass is spawned after.
+ * @returns {Promise<number>} Number of processes terminated, once all are gone
+ */
+export async function terminateActiveProcesses(runId = null) {
+  if (!runId) shuttingDown = true;
+  const procs = listActiveProcesses(runId);
+  await Promise.all(procs.map((proc) => terminateProcessGroup(proc)));
+  return procs.length;
+}
+
+/**
+ * Cancel all provider work for a run: kill its running passes (in the
+ * background, SIGKILL after the grace period) and refuse to spawn any further
+ * pass for it.
+ * @returns {number} Number of processes signalled
+ */
+export function cancelRunProcesses(runId) {
+  cancelledRuns.add(runId);
+  const procs = listActiveProcesses(runId);
+  for (const proc of procs) {
+    terminateProcessGroup(proc);
+  }
+  return procs.length;
+}
+
+/**
+ * Whether cancelRunProcesses() was called for a run, or every run is being shut down
+ */
+export function isRunCancelled(runId) {
+  return shuttingDown || cancelledRuns.has(runId);
+}
+
 /**
  * Parse a multi-branch master plan into per-branch sections.
  * Looks for `### BRANCH: <name>` headers and extracts text between them.
@@ -452,7 +629,7 @@ async function runValidation(config, commonOpts, basePrompt, lastOutput, planOut
 
     if (validationResult.rateLimited) {
       warn('Rate limited during validate pass.');
-    } else if (isGarbageOutput(validationResult.output)) {
+    } else if (isGarbageOutput(validationResult.output, commonOpts.provider)) {
       warn(`Validate pass produced garbage output: "${(validationResult.output || '').substring(0, 100)}"`);
     }
 
@@ -463,6 +640,10 @@ async function runValidation(config, commonOpts, basePrompt, lastOutput, planOut
   }
 }
 
+// Appended to a pass that is re-run after a usage limit cut it short
+const RESUME_NOTE = '\n\nA previous attempt at this step was interrupted by a usage limit. ' +
+  'Check the current state first (git status, git diff) and continue from there. Do NOT redo completed work.';
+
 /**
  * Run Claude Code with multi-pass approach:
  *   Plan → [Phase execution | Single implement + continuations] → Validate
@@ -473,32 +654,85 @@ async function runValidation(config, commonOpts, basePrompt, lastOutput, planOut
  *
  * For simple tickets, the existing two-pass behavior is preserved.
  *
+ * The flow is provider-agnostic: options.provider (see providers/index.js)
+ * decides which CLI runs each pass.
+ *
+ * When a pass hits the provider's usage limit, the remaining passes are skipped
+ * and the result carries `rateLimited`, `resetAt` and `resumeFrom`. Passing that
+ * `resumeFrom` back as options.resumeFrom (same clone) restarts at the pass that
+ * was cut short instead of from the plan.
+ *
+ * Spend budgets (budget.js) are checked before every pass. When one is used up,
+ * no further pass runs and the result carries `budgetExceeded` (the tripped budget).
+ *
  * @param {object} config - Configuration object (may include effectiveConfig overrides)
  * @param {string} tmpDir - Temporary directory with cloned repo
  * @param {string} ticketKey - JIRA ticket key (e.g., JCP-1234)
  * @param {string} ticketSummary - Ticket title/summary
  * @param {string} ticketDescription - Ticket description text
  * @param {Array}  ticketComments - Array of { author, text } comment objects
+ * @param {object} options - { nvmBinDir, provider, model, cliCommand, externalPlan, resumeFrom, service, baseBranch, onPhaseComplete }
+ *                           (service/baseBranch label the passes in the cost ledger and scope the
+ *                           per-service budget; onPhaseComplete(phase, index, total) runs after each finished phase, e.g. to commit it)
  */
 export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticketDescription, ticketComments = [], options = {}) {
   const basePrompt = buildPrompt(ticketKey, ticketSummary, ticketDescription, ticketComments);
-  const { nvmBinDir, cliCommand = 'claude', providerLabel = 'Claude', externalPlan = null } = options;
-  const commonOpts = { tmpDir, logDir: config.LOG_DIR, ticketKey, nvmBinDir, cliCommand, providerLabel };
+  const { nvmBinDir, provider = claudeProvider, model = null, cliCommand = provider.defaultCommand, providerLabel = provider.label, externalPlan = null, resumeFrom = null, service = null, baseBranch = null, onPhaseComplete = null } = options;
+  const costContext = { stateDir: config.STATE_DIR, service, baseBranch };
+  const commonOpts = { tmpDir, logDir: config.LOG_DIR, ticketKey, nvmBinDir, provider, model, cliCommand, providerLabel, costContext };
   const enablePhases = config.CLAUDE_ENABLE_PHASES || false;
   const maxContinuations = config.CLAUDE_MAX_CONTINUATIONS || 0;
+  const resumePass = resumeFrom?.pass || null;
 
   // ── Pass 1: Plan ──────────────────────────────────────────────────
   let planOutput = '';
   let planOk = false;
 
+  // Result for a pass that hit the usage limit — everything after it is skipped
+  const rateLimitedAt = (result, resume, numTurns = result.numTurns) => ({
+    output: '',
+    completedNormally: false,
+    maxTurnsReached: false,
+    rateLimited: true,
+    resetAt: result.resetAt || null,
+    resumeFrom: { planOutput, planOk, ...resume },
+    numTurns,
+    exitCode: result.exitCode,
+    planOutput,
+  });
+
+  // Result when a budget is used up before `pass` — nothing after it runs
+  const budgetStop = (pass, numTurns = 0) => {
+    const trip = checkBudget(config, { ticketKey, service });
+    if (!trip) return null;
+    warn(`${describeBudgetTrip(trip)}. Skipping the ${pass} pass and everything after it.`);
+    return {
+      output: '',
+      completedNormally: false,
+      maxTurnsReached: false,
+      rateLimited: false,
+      budgetExceeded: trip,
+      numTurns,
+      exitCode: null,
+      planOutput,
+    };
+  };
+
   if (externalPlan) {
     log('═══ Pass 1: Plan (EXTERNAL — skipped) ═══');
     planOutput = externalPlan;
     planOk = true;
     log(`Using external plan (${externalPlan.length} chars). Skipping plan pass.`);
+  } else if (resumePass && resumePass !== 'plan') {
+    log(`═══ Pass 1: Plan (RESUMED — skipped, continuing at ${resumePass}) ═══`);
+    planOutput = resumeFrom.planOutput || '';
+    planOk = Boolean(resumeFrom.planOk && planOutput);
   } else {
 
   log('═══ Pass 1: Plan ═══');
+  const planBudgetStop = budgetStop('plan');
+  if (planBudgetStop) return planBudgetStop;
+
   try {
     let planPrompt = basePrompt +
       '\n\nYour task: explore the codebase and produce a detailed implementation plan for the ticket above. Do NOT make any code changes.' +
@@ -529,14 +763,14 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
       label: 'plan',
     });
 
-    planOutput = planResult.output;
-
     // Rate limit on plan pass — skip all subsequent passes
     if (planResult.rateLimited) {
-      warn('Rate limited during plan pass. Aborting — no code changes made.');
-      return { output: '', completedNormally: false, maxTurnsReached: false, rateLimited: true, numTurns: planResult.numTurns, exitCode: planResult.exitCode, planOutput };
+      warn('Rate limited during plan pass. Stopping — no code changes made.');
+      return rateLimitedAt(planResult, { pass: 'plan' });
     }
 
+    planOutput = planResult.output;
+
     // Validate plan quality — reject suspiciously short or generic plans
     const uselessPlanPatterns = /plan is (complete|ready)|ready to proceed|no changes needed/i;
     const planTooShort = (planOutput || '').trim().length < 200;
@@ -559,37 +793,48 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
   } // end externalPlan else
 
   // ── Phase execution (complex tickets with good plan) ──────────────
-  if (enablePhases && planOk) {
+  const phasesPending = !resumePass || resumePass === 'plan' || resumePass === 'phase';
+  if (enablePhases && planOk && phasesPending) {
     log('Attempting phase-based execution...');
 
-    // Try regex parsing first, fall back to Claude parsing
-    let phases = parsePhases(planOutput);
+    // A resumed run keeps the phases it was parsed into — the Claude fallback may not split the same way twice
+    let phases = resumePass === 'phase' ? resumeFrom.phases || null : null;
     if (phases) {
-      log(`Parsed ${phases.length} phases via regex`);
+      log(`Resuming ${phases.length} phases from phase ${(resumeFrom.phaseIndex || 0) + 1}`);
     } else {
-      log('Regex phase parsing failed, trying Claude fallback...');
-      phases = await parsePhasesWithClaude(commonOpts, planOutput);
+      // Try regex parsing first, fall back to Claude parsing
+      phases = parsePhases(planOutput);
       if (phases) {
-        log(`Parsed ${phases.length} phases via Claude fallback`);
+        log(`Parsed ${phases.length} phases via regex`);
+      } else {
+        log('Regex phase parsing failed, trying Claude fallback...');
+        phases = await parsePhasesWithClaude(commonOpts, planOutput);
+        if (phases) {
+          log(`Parsed ${phases.length} phases via Claude fallback`);
+        }
       }
     }
 
     if (phases) {
+      const startPhase = resumePass === 'phase' && phases === resumeFrom.phases ? resumeFrom.phaseIndex || 0 : 0;
       let lastResult = null;
       let totalTurns = 0;
-      let anyRateLimited = false;
 
-      for (let i = 0; i < phases.length; i++) {
+      for (let i = startPhase; i < phases.length; i++) {
         const phase = phases[i];
         log(`\n═══ Phase ${i + 1} of ${phases.length}: ${phase.title} ═══`);
 
+        const phaseBudgetStop = budgetStop(`phase-${i + 1}`, totalTurns);
+        if (phaseBudgetStop) return phaseBudgetStop;
+
         const phasePrompt = basePrompt +
           '\n\n## Implementation Plan (full)\n' + planOutput +
           '\n\n## Current Phase\n' +
           `You are executing Phase ${i + 1}: ${phase.title}\n\n` +
           phase.description +
           '\n\nFocus ONLY on this phase. Files from previous phases are already in place.' +
-          '\n\nDo NOT work on later phases.';
+          '\n\nDo NOT work on later phases.' +
+          (resumePass === 'phase' && i === startPhase ? RESUME_NOTE : '');
 
         const phaseResult = await spawnClaude({
           ...commonOpts,
@@ -600,36 +845,50 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
         });
 
         totalTurns += phaseResult.numTurns || 0;
+
+        // If rate limited, stop all phases — a resume re-runs this phase
+        if (phaseResult.rateLimited) {
+          warn(`Rate limited during phase ${i + 1}. Stopping phase execution.`);
+          return rateLimitedAt(phaseResult, { pass: 'phase', phaseIndex: i, phases }, totalTurns);
+        }
         lastResult = phaseResult;
 
         // If phase didn't complete, try one continuation within this phase
         if (!phaseResult.completedNormally || phaseResult.maxTurnsReached) {
           log(`Phase ${i + 1} incomplete — running continuation...`);
+          const contBudgetStop = budgetStop(`phase-${i + 1}-cont`, totalTurns);
+          if (contBudgetStop) return contBudgetStop;
           const contResult = await runContinuation(config, commonOpts, basePrompt, phaseResult, `phase-${i + 1}-cont`);
+          if (contResult?.rateLimited) {
+            warn(`Rate limited during phase ${i + 1} continuation. Stopping phase execution.`);
+            return rateLimitedAt(contResult, { pass: 'phase', phaseIndex: i, phases }, totalTurns);
+          }
           if (contResult) {
             totalTurns += contResult.numTurns || 0;
             lastResult = contResult;
           }
         }
 
-        // If rate limited, stop all phases
-        if (phaseResult.rateLimited) {
-          warn(`Rate limited during phase ${i + 1}. Stopping phase execution.`);
-          anyRateLimited = true;
-          break;
+        if (onPhaseComplete) {
+          await onPhaseComplete(phase, i, phases.length);
         }
       }
 
       // Run validate if last phase didn't complete normally
-      if (lastResult && (!lastResult.completedNormally || lastResult.maxTurnsReached) && !anyRateLimited) {
+      if (lastResult && (!lastResult.completedNormally || lastResult.maxTurnsReached)) {
+        const validateBudgetStop = budgetStop('validate', totalTurns);
+        if (validateBudgetStop) return validateBudgetStop;
         const validationResult = await runValidation(config, commonOpts, basePrompt, lastResult.output, planOutput);
+        if (validationResult?.rateLimited) {
+          return rateLimitedAt(validationResult, { pass: 'validate', lastOutput: lastResult.output }, totalTurns);
+        }
         if (validationResult) {
-          const bestOutput = pickBestOutput(validationResult.output, lastResult.output, planOutput);
+          const bestOutput = pickBestOutput(validationResult.output, lastResult.output, planOutput, provider);
           return {
             output: bestOutput,
             completedNormally: validationResult.completedNormally,
             maxTurnsReached: validationResult.maxTurnsReached,
-            rateLimited: validationResult.rateLimited || false,
+            rateLimited: false,
             numTurns: totalTurns + (validationResult.numTurns || 0),
             exitCode: validationResult.exitCode,
             planOutput,
@@ -637,12 +896,12 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
         }
       }
 
-      const bestOutput = pickBestOutput(null, lastResult?.output, planOutput);
+      const bestOutput = pickBestOutput(null, lastResult?.output, planOutput, provider);
       return {
         output: bestOutput,
         completedNormally: lastResult?.completedNormally || false,
         maxTurnsReached: lastResult?.maxTurnsReached || false,
-        rateLimited: anyRateLimited,
+        rateLimited: false,
         numTurns: totalTurns,
         exitCode: lastResult?.exitCode ?? 1,
         planOutput,
@@ -654,51 +913,68 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
   }
 
   // ── Standard implement path (simple tickets or phase parsing failure) ──
-  log('═══ Pass 2: Implement ═══');
-  let implPrompt;
-  if (planOk) {
-    implPrompt = basePrompt +
-      '\n\n## Implementation Plan (from analysis pass)\n' + planOutput +
-      '\n\nImplement this plan now.';
+  let lastResult;
+  let totalTurns = 0;
+
+  if (resumePass === 'continuation' || resumePass === 'validate') {
+    log(`═══ Pass 2: Implement (RESUMED — skipped, continuing at ${resumePass}) ═══`);
+    lastResult = { output: resumeFrom.lastOutput || '', completedNormally: false, maxTurnsReached: false, numTurns: 0, exitCode: null };
   } else {
-    // Graceful degradation — just the ticket context
-    implPrompt = basePrompt +
-      '\n\nExplore the codebase, understand the relevant files and patterns, then implement the required changes.';
-  }
+    log('═══ Pass 2: Implement ═══');
+    let implPrompt;
+    if (planOk) {
+      implPrompt = basePrompt +
+        '\n\n## Implementation Plan (from analysis pass)\n' + planOutput +
+        '\n\nImplement this plan now.';
+    } else {
+      // Graceful degradation — just the ticket context
+      implPrompt = basePrompt +
+        '\n\nExplore the codebase, understand the relevant files and patterns, then implement the required changes.';
+    }
+    if (resumePass === 'implement') {
+      implPrompt += RESUME_NOTE;
+    }
 
-  const implResult = await spawnClaude({
-    ...commonOpts,
-    prompt: implPrompt,
-    maxTurns: config.CLAUDE_MAX_TURNS,
-    timeout: (config.CLAUDE_TIMEOUT_MINUTES || 30) * 60 * 1000,
-    label: 'implement',
-  });
+    const implBudgetStop = budgetStop('implement');
+    if (implBudgetStop) return implBudgetStop;
 
-  // Rate limit on implement pass — return best available output, skip everything
-  if (implResult.rateLimited) {
-    warn('Rate limited during implement pass. Skipping validation.');
-    const bestOutput = pickBestOutput(null, implResult.output, planOutput);
-    return { output: bestOutput, completedNormally: false, maxTurnsReached: false, rateLimited: true, numTurns: implResult.numTurns, exitCode: implResult.exitCode, planOutput };
+    const implResult = await spawnClaude({
+      ...commonOpts,
+      prompt: implPrompt,
+      maxTurns: config.CLAUDE_MAX_TURNS,
+      timeout: (config.CLAUDE_TIMEOUT_MINUTES || 30) * 60 * 1000,
+      label: 'implement',
+    });
+
+    // Rate limit on implement pass — skip everything after it
+    if (implResult.rateLimited) {
+      warn('Rate limited during implement pass. Skipping continuations and validation.');
+      return rateLimitedAt(implResult, { pass: 'implement' });
+    }
+
+    lastResult = implResult;
+    totalTurns = implResult.numTurns || 0;
   }
 
   // ── Continuation passes (if implement didn't complete and continuations enabled) ──
-  let lastResult = implResult;
-  let totalTurns = implResult.numTurns || 0;
-
-  if (maxContinuations > 0 && (!implResult.completedNormally || implResult.maxTurnsReached)) {
-    for (let i = 0; i < maxContinuations; i++) {
+  if (resumePass !== 'validate' && maxContinuations > 0 && (!lastResult.completedNormally || lastResult.maxTurnsReached)) {
+    const startContinuation = resumePass === 'continuation' ? resumeFrom.continuationIndex || 0 : 0;
+    for (let i = startContinuation; i < maxContinuations; i++) {
       log(`═══ Continuation ${i + 1} of ${maxContinuations} ═══`);
+      const contBudgetStop = budgetStop(`continuation-${i + 1}`, totalTurns);
+      if (contBudgetStop) return contBudgetStop;
       const contResult = await runContinuation(config, commonOpts, basePrompt, lastResult, `continuation-${i + 1}`);
 
       if (!contResult) break;
-      totalTurns += contResult.numTurns || 0;
-      lastResult = contResult;
 
       if (contResult.rateLimited) {
         warn(`Rate limited during continuation ${i + 1}. Stopping.`);
-        break;
+        return rateLimitedAt(contResult, { pass: 'continuation', continuationIndex: i, lastOutput: lastResult.output }, totalTurns);
       }
 
+      totalTurns += contResult.numTurns || 0;
+      lastResult = contResult;
+
       // If this continuation completed normally, no need for more
       if (contResult.completedNormally && !contResult.maxTurnsReached) {
         log(`Continuation ${i + 1} completed normally. No more continuations needed.`);
@@ -709,14 +985,19 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
 
   // ── Validate (if last pass didn't complete normally) ────
   if (!lastResult.completedNormally || lastResult.maxTurnsReached) {
+    const validateBudgetStop = budgetStop('validate', totalTurns);
+    if (validateBudgetStop) return validateBudgetStop;
     const validationResult = await runValidation(config, commonOpts, basePrompt, lastResult.output, planOutput);
+    if (validationResult?.rateLimited) {
+      return rateLimitedAt(validationResult, { pass: 'validate', lastOutput: lastResult.output }, totalTurns);
+    }
     if (validationResult) {
-      const bestOutput = pickBestOutput(validationResult.output, lastResult.output, planOutput);
+      const bestOutput = pickBestOutput(validationResult.output, lastResult.output, planOutput, provider);
       return {
         output: bestOutput,
         completedNormally: validationResult.completedNormally,
         maxTurnsReached: validationResult.maxTurnsReached,
-        rateLimited: validationResult.rateLimited || false,
+        rateLimited: false,
         numTurns: totalTurns + (validationResult.numTurns || 0),
         exitCode: validationResult.exitCode,
         planOutput,
@@ -731,4 +1012,15 @@ export async function runClaude(config, tmpDir, ticketKey, ticketSummary, ticket
   };
 }
 
-export default { runClaude, spawnClaude, isGarbageOutput, parseMultiBranchPlan };
+export default {
+  runClaude,
+  spawnClaude,
+  isGarbageOutput,
+  parseMultiBranchPlan,
+  terminateActiveProcesses,
+  cancelRunProcesses,
+  isRunCancelled,
+  trackProcess,
+  signalProcessGroup,
+  terminateProcessGroup,
+};
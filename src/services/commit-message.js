@@ -0,0 +1,61 @@
+/**
+ * Commit Messages
+ *
+ * Renders the agent's commit messages from the `commits` config section, with a
+ * service's own `commits` section overriding it:
+ *
+ *   template  - subject line, default `ID:{key}; {summary}`
+ *   trailers  - { "<Trailer>": "<value template>" } appended after a blank line
+ *               (a service can drop a global trailer by setting it to null)
+ *   perPhase  - one commit per phase of a phase-based run (claude.js)
+ *
+ * Placeholders: {key} ticket key, {summary} what the commit does (ticket summary,
+ * phase title, ...), {type} conventional-commit type (feat, fix or chore),
+ * {service}, {branch} base branch, {provider} provider label.
+ * Unknown placeholders are left as they are.
+ */
+
+export const DEFAULT_COMMIT_TEMPLATE = 'ID:{key}; {summary}';
+
+/**
+ * Effective commit settings for a service
+ *
+ * @returns {{ template: string, trailers: object, perPhase: boolean }}
+ */
+export function getCommitSettings(config, serviceConfig = null) {
+  const own = serviceConfig?.commits || {};
+  return {
+    template: own.template || config.COMMIT_TEMPLATE || DEFAULT_COMMIT_TEMPLATE,
+    trailers: { ...(config.COMMIT_TRAILERS || {}), ...(own.trailers || {}) },
+    perPhase: own.perPhase ?? config.COMMIT_PER_PHASE ?? false,
+  };
+}
+
+/**
+ * Conventional-commit type for a ticket's work: `fix` for bugs, `feat` otherwise
+ */
+export function getCommitType(ticketType) {
+  return /bug|defect|incident/i.test(ticketType || '') ? 'fix' : 'feat';
+}
+
+function fill(template, fields) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (fields[name] != null ? String(fields[name]) : match));
+}
+
+/**
+ * Render a commit message: subject from the template, optional body, trailers.
+ *
+ * @param {object} settings - getCommitSettings() result
+ * @param {object} fields - { key, summary, type, service, branch, provider }
+ * @param {string} [body] - paragraph between the subject and the trailers
+ */
+export function buildCommitMessage(settings, fields, body = '') {
+  const subject = fill(settings.template, fields).replace(/\s+/g, ' ').trim();
+  const trailers = Object.entries(settings.trailers)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([name, value]) => `${name}: ${fill(String(value), fields).trim()}`);
+
+  return [subject, body.trim(), trailers.join('\n')].filter(Boolean).join('\n\n') + '\n';
+}
+
+export default { DEFAULT_COMMIT_TEMPLATE, getCommitSettings, getCommitType, buildCommitMessage };
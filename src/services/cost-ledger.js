@@ -0,0 +1,148 @@
+/**
+ * Cost ledger
+ *
+ * Append-only record of every provider pass: one JSON line per pass in
+ * <stateDir>/costs.jsonl
+ *   { at, runId, ticketKey, service, baseBranch, pass, provider, model,
+ *     costUsd, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens,
+ *     numTurns, durationMs, exitCode, rateLimited }
+ *
+ * `pass` is the spawn label (plan, implement, phase-2, continuation-1, validate,
+ * master-plan, retrigger-analysis, ...). Providers that report no cost (Codex)
+ * are recorded with costUsd null and still count tokens and turns.
+ *
+ * Writes are non-blocking: a ledger that cannot be written only warns.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { warn } from '../logger.js';
+
+function getLedgerPath(stateDir) {
+  return path.join(stateDir || './state', 'costs.jsonl');
+}
+
+/**
+ * Append one pass to the ledger
+ */
+export function recordCost(stateDir, entry) {
+  const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+  try {
+    fs.mkdirSync(stateDir || './state', { recursive: true });
+    fs.appendFileSync(getLedgerPath(stateDir), line + '\n');
+  } catch (error) {
+    warn(`Could not write cost ledger: ${error.message}`);
+  }
+}
+
+/**
+ * Read ledger entries, oldest first.
+ *
+ * @param {object} config
+ * @param {object} [filter] - { runIds: string[], ticketKey: string, since: Date }
+ */
+export function readCostLedger(config, filter = {}) {
+  const ledgerPath = getLedgerPath(config.STATE_DIR);
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+
+  const runIds = filter.runIds ? new Set(filter.runIds) : null;
+  return fs.readFileSync(ledgerPath, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null; // a crash mid-append can leave a partial last line
+      }
+    })
+    .filter(Boolean)
+    .filter((e) => !runIds || runIds.has(e.runId))
+    .filter((e) => !filter.ticketKey || e.ticketKey === filter.ticketKey)
+    .filter((e) => !filter.since || new Date(e.at) >= filter.since);
+}
+
+/**
+ * Pass kind without its index: phase-3 → phase, continuation-1 → continuation,
+ * phase-2-cont → phase-cont
+ */
+export function passKind(pass) {
+  return String(pass || 'unknown').replace(/-\d+/g, '');
+}
+
+/**
+ * ISO week of a timestamp, e.g. "2026-W42"
+ */
+export function isoWeek(timestamp) {
+  const date = new Date(timestamp);
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday); // Thursday decides the year
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Sum entries grouped by a key function, in first-seen order.
+ *
+ * @returns {Array<{ key: string, passes: number, costUsd: number, costKnown: boolean, inputTokens: number, outputTokens: number, numTurns: number, durationMs: number }>}
+ */
+export function aggregateCosts(entries, keyFn) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyFn(entry);
+    if (!groups.has(key)) {
+      groups.set(key, { key, passes: 0, costUsd: 0, costKnown: false, inputTokens: 0, outputTokens: 0, numTurns: 0, durationMs: 0 });
+    }
+    const group = groups.get(key);
+    group.passes++;
+    if (entry.costUsd != null) {
+      group.costUsd += entry.costUsd;
+      group.costKnown = true;
+    }
+    group.inputTokens += (entry.inputTokens || 0) + (entry.cacheReadTokens || 0) + (entry.cacheWriteTokens || 0);
+    group.outputTokens += entry.outputTokens || 0;
+    group.numTurns += entry.numTurns || 0;
+    group.durationMs += entry.durationMs || 0;
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Cost/turns breakdown of one ticket run (including the attempts it was resumed from),
+ * grouped by service and pass kind. Returns null when nothing was recorded.
+ *
+ * @returns {{ rows: Array<object>, total: object }|null}
+ */
+export function summarizeRunCosts(config, runIds) {
+  const entries = readCostLedger(config, { runIds });
+  if (entries.length === 0) return null;
+
+  const rows = aggregateCosts(entries, (e) => `${e.service || 'ticket'}\u0000${passKind(e.pass)}`)
+    .map(({ key, ...totals }) => {
+      const [service, pass] = key.split('\u0000');
+      return { service, pass, ...totals };
+    });
+  const [total] = aggregateCosts(entries, () => 'total');
+  return { rows, total };
+}
+
+/**
+ * Format a USD amount, or "n/a" when the provider reported none
+ */
+export function formatUsd(group) {
+  return group.costKnown ? `$${group.costUsd.toFixed(2)}` : 'n/a';
+}
+
+export default {
+  recordCost,
+  readCostLedger,
+  passKind,
+  isoWeek,
+  aggregateCosts,
+  summarizeRunCosts,
+  formatUsd,
+};
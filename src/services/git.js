@@ -1,19 +1,33 @@
 /**
  * Git Service
  * Handles git operations in isolated temp directories:
- * clone, branch, commit, push, and cleanup.
+ * clone, branch, commit, push, rebase, and cleanup.
+ *
+ * Each repository is fetched once into a bare mirror under .tmp/mirrors/ and
+ * refreshed with `git fetch`; every clone is a `git worktree` of that mirror.
+ * Remote branches live under refs/remotes/origin/ as in a normal clone. The
+ * mirrors are shared by every process started from this directory, so every
+ * command that writes to a mirror (fetch, push, worktree add/remove, branch
+ * deletion) holds the mirror's lock file (<mirror>.git.lock). Each worktree
+ * checks out its own local branch, <feature branch>--<worktree dir>, and pushes
+ * it as HEAD:refs/heads/<feature branch>.
  *
  * Base image tagging is in base-tagger.js.
  */
 
 import { execSync } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { log, warn } from '../logger.js';
 
 const CLONE_TIMEOUT = 15 * 60 * 1000; // 15 minutes
 const LOCAL_TMP_BASE = path.join(process.cwd(), '.tmp');
+const MIRROR_BASE = path.join(LOCAL_TMP_BASE, 'mirrors');
 const CMD_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const MIRROR_LOCK_TIMEOUT = CLONE_TIMEOUT + CMD_TIMEOUT; // the holder may be creating the mirror
+const MIRROR_LOCK_POLL = 1000;
 
 /**
  * Sanitize a string for use in branch names
@@ -27,6 +41,16 @@ function sanitizeBranchName(str) {
     .substring(0, 40);
 }
 
+/**
+ * Feature branch name for a ticket (version suffix for multi-branch runs, to avoid collisions)
+ */
+export function buildFeatureBranchName(ticketKey, ticketSummary, version = null) {
+  const sanitizedSummary = sanitizeBranchName(ticketSummary);
+  return version
+    ? `feature/${ticketKey}-${sanitizedSummary}-${version}`
+    : `feature/${ticketKey}-${sanitizedSummary}`;
+}
+
 /**
  * Execute a git command in a directory
  */
@@ -58,51 +82,323 @@ function isTrackedByGit(tmpDir, filePath) {
 }
 
 /**
- * Clone repo, checkout base branch, create feature branch
+ * Bare mirror directory for a repository URL (one per URL)
+ */
+function getMirrorDir(repoUrl) {
+  const name = repoUrl.replace(/\.git$/, '').split(/[/:]/).pop().replace(/[^A-Za-z0-9._-]+/g, '-') || 'repo';
+  const hash = crypto.createHash('sha1').update(repoUrl).digest('hex').slice(0, 8);
+  return path.join(MIRROR_BASE, `${name}-${hash}.git`);
+}
+
+/**
+ * Whether the process holding a lock file is still running. Holders on another
+ * host are assumed alive; a lock this process holds can only be a leftover,
+ * because the work done under it is synchronous.
+ */
+function isLockHolderAlive(holder) {
+  if (!holder?.pid || holder.pid === process.pid) return false;
+  if (holder.host && holder.host !== os.hostname()) return true;
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function readLockHolder(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run `fn` while holding the lock file of the repository's mirror, so the
+ * daemon, watch-prs, single and local runs never init, fetch, push, prune or
+ * add and remove worktrees in the same mirror at once. Waits for a live holder
+ * (up to MIRROR_LOCK_TIMEOUT) and takes over a lock whose process is gone.
+ * `fn` must be synchronous. Returns fn's result.
+ */
+async function withMirrorLock(repoUrl, fn) {
+  return withMirrorDirLock(getMirrorDir(repoUrl), fn);
+}
+
+/**
+ * withMirrorLock for the mirror a worktree belongs to. A standalone clone
+ * (local mode) shares nothing, so `fn` then runs without a lock.
+ */
+export async function withWorktreeLock(tmpDir, fn) {
+  const mirrorDir = getWorktreeMirror(tmpDir);
+  return mirrorDir ? withMirrorDirLock(mirrorDir, fn) : fn();
+}
+
+async function withMirrorDirLock(mirrorDir, fn) {
+  const lockPath = `${mirrorDir}.lock`;
+  fs.mkdirSync(MIRROR_BASE, { recursive: true });
+  const deadline = Date.now() + MIRROR_LOCK_TIMEOUT;
+  let announced = false;
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = readLockHolder(lockPath);
+    if (holder && !isLockHolderAlive(holder)) {
+      warn(`Removing stale mirror lock ${lockPath} (pid ${holder.pid} is gone)`);
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for mirror lock ${lockPath} (held by pid ${holder?.pid ?? 'unknown'})`);
+    }
+    if (!announced) {
+      log(`Waiting for mirror lock held by pid ${holder?.pid ?? 'unknown'}...`);
+      announced = true;
+    }
+    await new Promise(resolve => setTimeout(resolve, MIRROR_LOCK_POLL));
+  }
+
+  try {
+    return fn();
+  } finally {
+    if (readLockHolder(lockPath)?.pid === process.pid) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Create the repository's bare mirror on first use, otherwise refresh it with
+ * `git fetch`. Returns the mirror directory. Call it under withMirrorLock.
+ */
+function ensureMirror(repoUrl) {
+  const mirrorDir = getMirrorDir(repoUrl);
+
+  if (fs.existsSync(path.join(mirrorDir, 'HEAD'))) {
+    log(`Refreshing mirror: ${repoUrl}`);
+    execGit('git worktree prune', mirrorDir);
+    execGit('git fetch --prune origin', mirrorDir, CLONE_TIMEOUT);
+    return mirrorDir;
+  }
+
+  log(`Creating mirror: ${repoUrl}`);
+  fs.mkdirSync(mirrorDir, { recursive: true });
+  try {
+    execGit('git init --bare --quiet', mirrorDir);
+    execGit(`git remote add origin "${repoUrl}"`, mirrorDir);
+    execGit('git fetch origin', mirrorDir, CLONE_TIMEOUT);
+  } catch (error) {
+    fs.rmSync(mirrorDir, { recursive: true, force: true });
+    throw error;
+  }
+  return mirrorDir;
+}
+
+/**
+ * Mirror directory of a worktree, or null when `tmpDir` is not a worktree
+ */
+function getWorktreeMirror(tmpDir) {
+  const gitFile = path.join(tmpDir, '.git');
+  if (!fs.existsSync(gitFile) || !fs.statSync(gitFile).isFile()) return null;
+  return path.resolve(tmpDir, execGit('git rev-parse --git-common-dir', tmpDir).trim());
+}
+
+/**
+ * Local branch a worktree checks out for a feature branch. Unique per worktree,
+ * so two tasks on the same feature branch (services sharing a repository and
+ * base branch) never reset each other's branch in the shared mirror.
+ */
+function getWorktreeBranch(featureBranch, tmpDir) {
+  return `${featureBranch}--${path.basename(tmpDir)}`;
+}
+
+/**
+ * SHA a ref points at, or null when it does not exist
+ */
+function resolveRef(cwd, ref) {
+  try {
+    return execGit(`git rev-parse --verify --quiet "${ref}^{commit}"`, cwd).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create an empty temp directory under .tmp/
  */
-export async function cloneAndBranch(config, repoUrl, baseBranch, ticketKey, ticketSummary, version = null) {
+function makeTmpDir(prefix) {
   if (!fs.existsSync(LOCAL_TMP_BASE)) {
     fs.mkdirSync(LOCAL_TMP_BASE, { recursive: true });
   }
-  const tmpDir = fs.mkdtempSync(path.join(LOCAL_TMP_BASE, 'agent-'));
+  return fs.mkdtempSync(path.join(LOCAL_TMP_BASE, prefix));
+}
+
+/**
+ * Make sure a fresh clone has the provider's instruction file: the service's own
+ * is honored, otherwise the project's default is copied in.
+ *
+ * @returns {{ serviceHasInstructionFile: boolean, instructionFile: string }}
+ */
+function prepareInstructionFile(config, tmpDir) {
+  const instructionFile = config.AGENT_INSTRUCTIONS_FILE || 'CLAUDE.md';
+  const instructionPath = path.join(tmpDir, instructionFile);
+  const serviceHasInstructionFile = fs.existsSync(instructionPath);
+
+  if (serviceHasInstructionFile) {
+    log(`✓ Service has its own ${instructionFile} - honoring it`);
+  } else {
+    // Copy default instruction file from project root.
+    const defaultInstruction = path.join(process.cwd(), instructionFile);
+    const fallbackInstruction = path.join(process.cwd(), 'CLAUDE.md');
+    if (fs.existsSync(defaultInstruction)) {
+      fs.copyFileSync(defaultInstruction, instructionPath);
+      log(`Copied default ${instructionFile} (service has none)`);
+    } else if (instructionFile !== 'CLAUDE.md' && fs.existsSync(fallbackInstruction)) {
+      fs.copyFileSync(fallbackInstruction, instructionPath);
+      log(`Copied fallback CLAUDE.md to ${instructionFile} (service has none)`);
+    }
+  }
+
+  return { serviceHasInstructionFile, instructionFile };
+}
+
+/**
+ * Clone repo, checkout base branch, create feature branch.
+ *
+ * When the feature branch already exists on the remote and does not point at
+ * `options.lastPushedSha` (the agent's own last push, from run state), someone
+ * else committed to it — the new branch then starts from the remote branch so
+ * those commits are kept. Otherwise it starts from the base branch.
+ *
+ * @param {object} [options] - { lastPushedSha }
+ * @returns {Promise<{ tmpDir, featureBranch, baseBranch, serviceHasInstructionFile, instructionFile,
+ *                     remoteSha: string|null, builtOnRemote: boolean, foreignCommits: number|null,
+ *                     startSha: string }>} startSha is the commit the feature branch started from
+ */
+export async function cloneAndBranch(config, repoUrl, baseBranch, ticketKey, ticketSummary, version = null, options = {}) {
+  const { lastPushedSha = null } = options;
+  const tmpDir = makeTmpDir('agent-');
   log(`Created temp directory: ${tmpDir}`);
 
   try {
-    // Clone the repository
+    // Refresh the mirror, then check out a worktree for the feature branch
     log(`Cloning: ${repoUrl}`);
     log(`Branch: ${baseBranch}`);
-    execGit(
-      `git clone --depth=50 --branch "${baseBranch}" "${repoUrl}" .`,
+    const featureBranch = buildFeatureBranchName(ticketKey, ticketSummary, version);
+
+    const { remoteSha, builtOnRemote, foreignCommits } = await withMirrorLock(repoUrl, () => {
+      const mirrorDir = ensureMirror(repoUrl);
+      const remoteSha = resolveRef(mirrorDir, `refs/remotes/origin/${featureBranch}`);
+      const builtOnRemote = Boolean(remoteSha) && remoteSha !== lastPushedSha;
+      let foreignCommits = null;
+
+      if (builtOnRemote) {
+        foreignCommits = countCommitsSince(mirrorDir, lastPushedSha, `origin/${featureBranch}`);
+        warn(lastPushedSha
+          ? `${featureBranch} has ${foreignCommits ?? 'unknown'} commit(s) since the agent's last push (${lastPushedSha.slice(0, 7)}) — building on top of them`
+          : `${featureBranch} already exists on the remote and was not pushed by the agent — building on top of it`);
+      } else {
+        log(`Creating branch: ${featureBranch}`);
+      }
+      const startPoint = builtOnRemote ? `origin/${featureBranch}` : `origin/${baseBranch}`;
+      execGit(`git worktree add --force --quiet --no-track -b "${getWorktreeBranch(featureBranch, tmpDir)}" "${tmpDir}" "${startPoint}"`, mirrorDir);
+      return { remoteSha, builtOnRemote, foreignCommits };
+    });
+
+    const { serviceHasInstructionFile, instructionFile } = prepareInstructionFile(config, tmpDir);
+
+    return {
       tmpDir,
-      CLONE_TIMEOUT
-    );
+      featureBranch,
+      baseBranch,
+      serviceHasInstructionFile,
+      instructionFile,
+      remoteSha,
+      builtOnRemote,
+      foreignCommits,
+      startSha: getHeadSha(tmpDir),
+    };
+  } catch (error) {
+    await cleanup(tmpDir);
+    throw error;
+  }
+}
 
-    // Create feature branch (append version suffix for multi-branch to avoid collisions)
-    const sanitizedSummary = sanitizeBranchName(ticketSummary);
-    const featureBranch = version
-      ? `feature/${ticketKey}-${sanitizedSummary}-${version}`
-      : `feature/${ticketKey}-${sanitizedSummary}`;
-    log(`Creating branch: ${featureBranch}`);
-    execGit(`git checkout -b "${featureBranch}"`, tmpDir);
+/**
+ * Clone a local repository (a checkout or a bare repo) into `targetDir` and create
+ * the feature branch from its base branch — local mode. The clone's push URL is
+ * disabled, so nothing can reach the repository it came from; the clone is left
+ * in place for the caller (cleanup() only removes .tmp/ worktrees).
+ *
+ * @returns {Promise<{ tmpDir, featureBranch, baseBranch, serviceHasInstructionFile, instructionFile,
+ *                     builtOnRemote: false, startSha: string }>}
+ */
+export async function cloneLocal(config, repoPath, targetDir, baseBranch, ticketKey, ticketSummary, version = null) {
+  const source = path.resolve(repoPath);
+  if (!fs.existsSync(source)) {
+    throw new Error(`Local repository not found: ${source}`);
+  }
+  if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+    throw new Error(`Refusing to clone into a non-empty directory: ${targetDir}`);
+  }
 
-    const instructionFile = config.AGENT_INSTRUCTIONS_FILE || 'CLAUDE.md';
-    const instructionPath = path.join(tmpDir, instructionFile);
-    const serviceHasInstructionFile = fs.existsSync(instructionPath);
-
-    if (serviceHasInstructionFile) {
-      log(`✓ Service has its own ${instructionFile} - honoring it`);
-    } else {
-      // Copy default instruction file from project root.
-      const defaultInstruction = path.join(process.cwd(), instructionFile);
-      const fallbackInstruction = path.join(process.cwd(), 'CLAUDE.md');
-      if (fs.existsSync(defaultInstruction)) {
-        fs.copyFileSync(defaultInstruction, instructionPath);
-        log(`Copied default ${instructionFile} (service has none)`);
-      } else if (instructionFile !== 'CLAUDE.md' && fs.existsSync(fallbackInstruction)) {
-        fs.copyFileSync(fallbackInstruction, instructionPath);
-        log(`Copied fallback CLAUDE.md to ${instructionFile} (service has none)`);
+  log(`Cloning local repository: ${source}`);
+  log(`Branch: ${baseBranch}`);
+  fs.mkdirSync(path.dirname(targetDir), { recursive: true });
+  execGit(`git clone --quiet --no-hardlinks --branch "${baseBranch}" "${source}" "${targetDir}"`, process.cwd(), CLONE_TIMEOUT);
+  execGit('git remote set-url --push origin no-push://local-mode', targetDir);
+
+  const featureBranch = buildFeatureBranchName(ticketKey, ticketSummary, version);
+  log(`Creating branch: ${featureBranch}`);
+  execGit(`git checkout --quiet -b "${featureBranch}"`, targetDir);
+
+  const { serviceHasInstructionFile, instructionFile } = prepareInstructionFile(config, targetDir);
+
+  return {
+    tmpDir: targetDir,
+    featureBranch,
+    baseBranch,
+    serviceHasInstructionFile,
+    instructionFile,
+    builtOnRemote: false,
+    startSha: getHeadSha(targetDir),
+  };
+}
+
+/**
+ * Commits since `sinceSha` as an mbox patch (`git format-patch --stdout`),
+ * '' when there are none
+ */
+export function formatPatch(tmpDir, sinceSha) {
+  return execGit(`git format-patch --stdout "${sinceSha}..HEAD"`, tmpDir);
+}
+
+/**
+ * Clone an already-pushed feature branch, with its base branch available as
+ * `origin/<baseBranch>`. Used when resuming a run whose original clone is gone.
+ */
+export async function cloneFeatureBranch(config, repoUrl, featureBranch, baseBranch) {
+  const tmpDir = makeTmpDir('agent-');
+  log(`Created temp directory: ${tmpDir}`);
+
+  try {
+    log(`Cloning existing feature branch: ${featureBranch}`);
+    await withMirrorLock(repoUrl, () => {
+      const mirrorDir = ensureMirror(repoUrl);
+      if (!resolveRef(mirrorDir, `refs/remotes/origin/${baseBranch}`)) {
+        throw new Error(`Base branch ${baseBranch} not found on ${repoUrl}`);
       }
-    }
+      execGit(`git worktree add --force --quiet --no-track -b "${getWorktreeBranch(featureBranch, tmpDir)}" "${tmpDir}" "origin/${featureBranch}"`, mirrorDir);
+    });
+
+    const instructionFile = config.AGENT_INSTRUCTIONS_FILE || 'CLAUDE.md';
+    const serviceHasInstructionFile = isTrackedByGit(tmpDir, instructionFile);
 
     return {
       tmpDir,
@@ -112,13 +408,13 @@ export async function cloneAndBranch(config, repoUrl, baseBranch, ticketKey, tic
       instructionFile,
     };
   } catch (error) {
-    cleanup(tmpDir);
+    await cleanup(tmpDir);
     throw error;
   }
 }
 
 /**
- * Create a planning-only clone with multiple branches available as remote refs.
+ * Create a planning-only worktree (detached at the first branch) with multiple branches available as remote refs.
  * Used for multi-branch master planning — a single Claude session explores all
  * branches via `git show origin/<branch>:<path>` and `git diff origin/A..origin/B`.
  *
@@ -131,52 +427,98 @@ export async function cloneForPlanning(repoUrl, branches) {
     throw new Error('cloneForPlanning requires at least one branch');
   }
 
-  if (!fs.existsSync(LOCAL_TMP_BASE)) {
-    fs.mkdirSync(LOCAL_TMP_BASE, { recursive: true });
-  }
-  const tmpDir = fs.mkdtempSync(path.join(LOCAL_TMP_BASE, 'plan-'));
+  const tmpDir = makeTmpDir('plan-');
   log(`Created planning directory: ${tmpDir}`);
 
   try {
-    // Clone with the first branch as the initial checkout
+    // Check out the first branch; the mirror already has every branch as origin/<branch>
     const primaryBranch = branches[0];
     log(`Planning clone: ${repoUrl} (primary: ${primaryBranch})`);
-    execGit(
-      `git clone --depth=100 --branch "${primaryBranch}" "${repoUrl}" .`,
-      tmpDir,
-      CLONE_TIMEOUT
-    );
-
-    // Fetch remaining branches as remote refs (non-fatal per branch)
-    for (let i = 1; i < branches.length; i++) {
-      const branch = branches[i];
-      try {
-        log(`Fetching additional branch for planning: ${branch}`);
-        execGit(`git fetch origin "${branch}" --depth=100`, tmpDir, CLONE_TIMEOUT);
-      } catch (fetchError) {
-        warn(`Could not fetch branch ${branch} for planning: ${fetchError.message}`);
+    const mirrorDir = await withMirrorLock(repoUrl, () => {
+      const dir = ensureMirror(repoUrl);
+      execGit(`git worktree add --force --quiet --detach "${tmpDir}" "origin/${primaryBranch}"`, dir);
+      return dir;
+    });
+
+    // Missing branches are non-fatal
+    for (const branch of branches.slice(1)) {
+      if (!resolveRef(mirrorDir, `refs/remotes/origin/${branch}`)) {
+        warn(`Could not find branch ${branch} for planning`);
       }
     }
 
     return { tmpDir };
   } catch (error) {
-    cleanup(tmpDir);
+    await cleanup(tmpDir);
     throw error;
   }
 }
 
 /**
- * Stage, commit, and push changes
+ * Fetch a branch from origin and return its SHA, or null when it does not exist
+ * on the remote. Throws when the remote cannot be read — the push that follows
+ * must not take an unreadable branch for a new one.
+ */
+async function fetchRemoteBranchSha(tmpDir, branch) {
+  const remote = execGit(`git ls-remote origin "refs/heads/${branch}"`, tmpDir).trim();
+  if (!remote) return null;
+  await withWorktreeLock(tmpDir, () => {
+    execGit(`git fetch origin "+refs/heads/${branch}:refs/remotes/origin/${branch}"`, tmpDir, CLONE_TIMEOUT);
+  });
+  return remote.split(/\s+/)[0];
+}
+
+/**
+ * Number of commits on `ref` that `sinceSha` does not have. Null when there is
+ * no `sinceSha` or it is not in the (shallow) history.
  */
-export async function commitAndPush(tmpDir, featureBranch, ticketKey, ticketSummary, serviceHasInstructionFile = false, instructionFile = 'CLAUDE.md') {
+function countCommitsSince(tmpDir, sinceSha, ref) {
+  if (!sinceSha) return null;
+  try {
+    return Number(execGit(`git rev-list --count ${sinceSha}..${ref}`, tmpDir).trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files changed between a previous commit and HEAD (tree diff, so unrelated
+ * histories work too). Returns null when the diff cannot be computed.
+ *
+ * @returns {{ shortstat: string, files: Array<{ status: string, path: string }> }|null}
+ */
+function describeChangesSince(tmpDir, previousSha) {
+  try {
+    const shortstat = execGit(`git diff --shortstat ${previousSha} HEAD`, tmpDir).trim();
+    const files = execGit(`git diff --name-status ${previousSha} HEAD`, tmpDir)
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        const [status, ...paths] = line.split('\t');
+        return { status: status[0], path: paths[paths.length - 1] };
+      });
+    return { shortstat: shortstat || 'no file changes', files };
+  } catch (error) {
+    warn(`Could not diff against the previous push: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Stage everything except the provider instructions file and commit it.
+ *
+ * The agent injects rules into the instructions file at runtime — those changes
+ * must never be committed. By default the file is restored to its original state
+ * (tracked: reset to HEAD; untracked copied default: unstaged). `keepInstructionFile`
+ * only unstages it, so the rules stay in place for later passes (phase commits).
+ *
+ * @returns {string|null} SHA of the new commit, or null when there was nothing to commit
+ */
+export function commitChanges(tmpDir, message, { serviceHasInstructionFile = false, instructionFile = 'CLAUDE.md', keepInstructionFile = false } = {}) {
   // Stage all changes
   execGit('git add -A', tmpDir);
 
-  // Always restore provider instructions file to its original state before committing.
-  // The agent injects rules into this file at runtime — those changes
-  // must never be pushed. For tracked files, reset to HEAD; for untracked
-  // files (copied default), unstage them.
-  if (serviceHasInstructionFile) {
+  if (serviceHasInstructionFile && !keepInstructionFile) {
     try {
       execGit(`git checkout HEAD -- "${instructionFile}"`, tmpDir);
     } catch {
@@ -184,7 +526,7 @@ export async function commitAndPush(tmpDir, featureBranch, ticketKey, ticketSumm
     }
   } else {
     try {
-      execGit(`git reset HEAD "${instructionFile}"`, tmpDir);
+      execGit(`git reset -q HEAD -- "${instructionFile}"`, tmpDir);
     } catch {
       // Ignore - file might not be staged
     }
@@ -193,17 +535,13 @@ export async function commitAndPush(tmpDir, featureBranch, ticketKey, ticketSumm
   // Check if there are staged changes
   try {
     execGit('git diff --cached --quiet', tmpDir);
-    log('No changes to commit');
-    return { pushed: false };
+    return null;
   } catch {
     // Exit code non-zero means there are changes - this is expected
   }
 
-  // Commit
-  const commitMessage = `ID:${ticketKey}; ${ticketSummary}`;
-
   const commitMsgFile = path.join(tmpDir, '.commit-msg-tmp');
-  fs.writeFileSync(commitMsgFile, commitMessage);
+  fs.writeFileSync(commitMsgFile, message);
 
   try {
     execGit(`git commit -F "${commitMsgFile}"`, tmpDir);
@@ -212,33 +550,209 @@ export async function commitAndPush(tmpDir, featureBranch, ticketKey, ticketSumm
       fs.unlinkSync(commitMsgFile);
     }
   }
+  return getHeadSha(tmpDir);
+}
 
-  // Push (force push if branch already exists from a previous run)
+/**
+ * Stage, commit, and push changes.
+ *
+ * The commit message is `options.message` (see commit-message.js), or
+ * `ID:<KEY>; <summary>` without one. Commits already made since `options.startSha`
+ * (phase commits) are pushed even when nothing is left to commit.
+ *
+ * A push the remote rejects (the branch moved on) is only forced with a lease on
+ * `options.lastPushedSha` — the SHA the agent itself last pushed to the branch.
+ * Without one, or when the branch has moved past it, nothing is overwritten: the
+ * call throws an Error with `code` 'PUSH_REFUSED', `remoteSha` and `lastPushedSha`.
+ *
+ * @param {object} [options] - { message, startSha, lastPushedSha }
+ * @returns {{ pushed: boolean, previousSha?: string|null, sha?: string, changes?: object|null, forced?: boolean }}
+ *          previousSha is the remote branch before this push (null when it is new),
+ *          changes the describeChangesSince() result against it
+ */
+export async function commitAndPush(tmpDir, featureBranch, ticketKey, ticketSummary, serviceHasInstructionFile = false, instructionFile = 'CLAUDE.md', options = {}) {
+  const { lastPushedSha = null, message = `ID:${ticketKey}; ${ticketSummary}`, startSha = null } = options;
+
+  const committed = commitChanges(tmpDir, message, { serviceHasInstructionFile, instructionFile });
+  if (!committed && (!startSha || getHeadSha(tmpDir) === startSha)) {
+    log('No changes to commit');
+    return { pushed: false };
+  }
+
+  // What the remote branch pointed at before this push — a re-run reports what changed since
+  const previousSha = await fetchRemoteBranchSha(tmpDir, featureBranch);
+  const sha = execGit('git rev-parse HEAD', tmpDir).trim();
+  const changes = previousSha ? describeChangesSince(tmpDir, previousSha) : null;
+
+  // Push — replacing the branch only if it still holds the agent's own last push
   log(`Pushing ${featureBranch}...`);
+  let forced = false;
   try {
-    execGit(`git push -u origin "${featureBranch}"`, tmpDir);
+    await withWorktreeLock(tmpDir, () => execGit(`git push origin "HEAD:refs/heads/${featureBranch}"`, tmpDir));
   } catch (error) {
-    if (error.message.includes('rejected') || error.message.includes('fetch first')) {
-      log('Remote branch exists from previous run, force pushing...');
-      execGit(`git push -u origin "${featureBranch}" --force`, tmpDir);
-    } else {
+    if (!isPushRejection(error)) {
       throw error;
     }
+    if (!lastPushedSha) {
+      throw pushRefused(featureBranch, previousSha, null, 'it has commits the agent did not push');
+    }
+    log(`Remote branch exists from a previous run, pushing with lease on ${lastPushedSha.slice(0, 7)}...`);
+    try {
+      await withWorktreeLock(tmpDir, () => execGit(
+        `git push --force-with-lease="refs/heads/${featureBranch}:${lastPushedSha}" origin "HEAD:refs/heads/${featureBranch}"`, tmpDir));
+    } catch (leaseError) {
+      if (!isPushRejection(leaseError)) {
+        throw leaseError;
+      }
+      throw pushRefused(featureBranch, await fetchRemoteBranchSha(tmpDir, featureBranch), lastPushedSha,
+        `it moved on since the agent last pushed ${lastPushedSha.slice(0, 7)}`);
+    }
+    forced = true;
   }
 
-  return { pushed: true };
+  return { pushed: true, previousSha, sha, changes, forced };
+}
+
+/**
+ * Whether a failed push was rejected because the remote branch moved on
+ * (`! [rejected] … (fetch first)` / `(non-fast-forward)`, or a lease that no
+ * longer holds, `(stale info)`). Anything else — a `[remote rejected]` hook or
+ * branch-protection refusal, an auth failure — is not, and is left to propagate.
+ */
+function isPushRejection(error) {
+  return /^\s*! \[rejected\].*\((?:fetch first|non-fast-forward|stale info)\)/m.test(error.message);
+}
+
+/**
+ * Error for a push that would have overwritten commits the agent did not push
+ */
+function pushRefused(branch, remoteSha, lastPushedSha, why) {
+  const error = new Error(`Refusing to overwrite ${branch}: ${why}`);
+  error.code = 'PUSH_REFUSED';
+  error.remoteSha = remoteSha;
+  error.lastPushedSha = lastPushedSha;
+  return error;
+}
+
+/**
+ * SHA of HEAD
+ */
+export function getHeadSha(tmpDir) {
+  return execGit('git rev-parse HEAD', tmpDir).trim();
+}
+
+/**
+ * Files left unmerged by a stopped rebase
+ */
+function listConflicts(tmpDir) {
+  return execGit('git diff --name-only --diff-filter=U', tmpDir).split('\n').filter(Boolean);
+}
+
+/**
+ * Run a rebase command. A stop on conflicts is returned, not thrown.
+ *
+ * @returns {{ clean: boolean, conflicts: string[] }}
+ */
+function runRebaseStep(tmpDir, cmd) {
+  try {
+    execGit(cmd, tmpDir);
+    return { clean: true, conflicts: [] };
+  } catch (error) {
+    const conflicts = listConflicts(tmpDir);
+    if (conflicts.length === 0) throw error;
+    return { clean: false, conflicts };
+  }
+}
+
+/**
+ * Rebase the checked-out feature branch onto origin/<baseBranch>. A shallow
+ * clone is deepened first so the merge base is available.
+ *
+ * @returns {Promise<{ clean: boolean, conflicts: string[] }>} conflicts of the commit the rebase stopped at
+ */
+export async function rebaseOnto(tmpDir, baseBranch) {
+  await withWorktreeLock(tmpDir, () => {
+    if (execGit('git rev-parse --is-shallow-repository', tmpDir).trim() === 'true') {
+      execGit('git fetch --unshallow origin', tmpDir, CLONE_TIMEOUT);
+    }
+    execGit(`git fetch origin "+refs/heads/${baseBranch}:refs/remotes/origin/${baseBranch}"`, tmpDir, CLONE_TIMEOUT);
+  });
+  log(`Rebasing onto origin/${baseBranch}...`);
+  return runRebaseStep(tmpDir, `git rebase "origin/${baseBranch}"`);
+}
+
+/**
+ * Stage the resolved files and continue a stopped rebase
+ *
+ * @returns {{ clean: boolean, conflicts: string[] }} as rebaseOnto
+ */
+export function continueRebase(tmpDir) {
+  execGit('git add -A', tmpDir);
+  return runRebaseStep(tmpDir, 'git -c core.editor=true rebase --continue');
+}
+
+/**
+ * Abort a stopped rebase (no-op when none is in progress)
+ */
+export function abortRebase(tmpDir) {
+  try {
+    execGit('git rebase --abort', tmpDir);
+  } catch {
+    // No rebase in progress
+  }
+}
+
+/**
+ * Push HEAD to a branch, replacing it only if it still points at `expectedSha`.
+ * Throws when someone else pushed to the branch in the meantime.
+ *
+ * @returns {Promise<string>} the pushed SHA
+ */
+export async function pushWithLease(tmpDir, branch, expectedSha) {
+  log(`Pushing ${branch} (with lease on ${expectedSha.slice(0, 7)})...`);
+  await withWorktreeLock(tmpDir, () => {
+    execGit(`git push --force-with-lease="refs/heads/${branch}:${expectedSha}" origin "HEAD:refs/heads/${branch}"`, tmpDir);
+  });
+  return getHeadSha(tmpDir);
+}
+
+/**
+ * Detach a worktree from its mirror and delete its local branch. Non-blocking:
+ * whatever is left is removed with the directory, and `git worktree prune` on
+ * the next mirror refresh forgets it.
+ */
+async function removeWorktree(tmpDir) {
+  try {
+    const mirrorDir = getWorktreeMirror(tmpDir);
+    if (!mirrorDir) return;
+    let branch = null;
+    try {
+      branch = execGit('git symbolic-ref --quiet --short HEAD', tmpDir).trim();
+    } catch {
+      // Detached (planning worktree)
+    }
+    await withMirrorDirLock(mirrorDir, () => {
+      execGit(`git worktree remove --force "${tmpDir}"`, mirrorDir);
+      if (branch) {
+        execGit(`git branch -D "${branch}"`, mirrorDir);
+      }
+    });
+  } catch (error) {
+    warn(`Could not remove worktree ${tmpDir}: ${error.message.split('\n')[0]}`);
+  }
 }
 
 /**
- * Clean up temp directory
+ * Clean up temp directory (a worktree — its mirror is kept)
  */
-export function cleanup(tmpDir) {
-  if (!tmpDir || !tmpDir.includes(LOCAL_TMP_BASE)) {
+export async function cleanup(tmpDir) {
+  if (!tmpDir || !tmpDir.includes(LOCAL_TMP_BASE) || tmpDir.startsWith(MIRROR_BASE)) {
     warn(`Refusing to clean up suspicious path: ${tmpDir}`);
     return;
   }
 
   try {
+    await removeWorktree(tmpDir);
     fs.rmSync(tmpDir, { recursive: true, force: true });
     log(`Cleaned up: ${tmpDir}`);
   } catch (error) {
@@ -247,8 +761,19 @@ export function cleanup(tmpDir) {
 }
 
 export default {
+  buildFeatureBranchName,
   cloneAndBranch,
+  cloneFeatureBranch,
   cloneForPlanning,
+  cloneLocal,
+  commitChanges,
+  formatPatch,
   commitAndPush,
+  getHeadSha,
+  rebaseOnto,
+  continueRebase,
+  abortRebase,
+  pushWithLease,
+  withWorktreeLock,
   cleanup,
 };
@@ -1,234 +1,167 @@
 /**
- * JIRA CLI Operations
+ * JIRA Workflow Operations
  *
- * Uses jira-cli.mjs for transitions and comments. The CLI handles:
- *   - REST API first (fast path)
- *   - Automatic browser fallback for hasScreen transitions (Dev Testing, etc.)
- *   - QC Report validators, attachment fields, etc.
- *   - Markdown → ADF conversion for comments
+ * The status transitions, label changes, comments and searches the agent makes,
+ * built on the REST client in jira.js.
+ *
+ * Transitions follow the ticket's project workflow (`jira.workflows`, normalized
+ * in config.js): each pipeline milestone (started, implemented, failed, needsInfo)
+ * is an ordered chain of transitions. After each transition the ticket's status
+ * is polled until it shows the new status, so the next transition in the chain
+ * starts from it. Required screen fields come from the step's `fields` over
+ * `jira.transitionFields` for that transition name.
  */
 
-import { spawn } from 'child_process';
-import fs from 'fs/promises';
-import path from 'path';
-import os from 'os';
-import { log, warn, debug } from '../logger.js';
-
-const JIRA_CREATOR_DIR = process.env.JIRA_CREATOR_DIR || path.join(os.homedir(), 'Desktop', 'jira-creator');
-const TRANSITION_TIMEOUT = 2 * 60 * 1000; // 2 minutes per transition
-const COMMENT_TIMEOUT = 60 * 1000; // 1 minute for comments
+import { log, warn } from '../logger.js';
+import { transitionTicket, getTicketStatus, searchIssues, updateLabels, addComment } from './jira.js';
 
 /**
- * Generic runner for jira-cli.mjs commands.
- * Never throws; returns { success, output, exitCode }.
+ * The workflow of a ticket's project, else the default one
  */
-async function runJiraCli(args, label, timeoutMs = COMMENT_TIMEOUT) {
-  log(`[jira-cli:${label}] Running: node jira-cli.mjs ${args.join(' ').substring(0, 80)}...`);
-
-  try {
-    const result = await new Promise((resolve, reject) => {
-      let stdout = '';
-      let stderr = '';
-
-      const proc = spawn('node', ['jira-cli.mjs', ...args], {
-        cwd: JIRA_CREATOR_DIR,
-        env: { ...process.env },
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      proc.stdin.end();
-
-      proc.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      proc.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      const timeoutId = setTimeout(() => {
-        proc.kill('SIGTERM');
-        reject(new Error(`jira-cli (${label}) timed out after ${Math.round(timeoutMs / 1000)}s`));
-      }, timeoutMs);
-
-      proc.on('close', (code) => {
-        clearTimeout(timeoutId);
-        log(`[jira-cli:${label}] finished: exit=${code}`);
-        if (stderr.trim()) {
-          debug(`[jira-cli:${label}:stderr] ${stderr.trim().substring(0, 500)}`);
-        }
-        resolve({ output: stdout, exitCode: code });
-      });
-
-      proc.on('error', (error) => {
-        clearTimeout(timeoutId);
-        reject(new Error(`Failed to spawn jira-cli.mjs (${label}): ${error.message}`));
-      });
-    });
-
-    const success = result.exitCode === 0;
-    if (!success) {
-      warn(`[jira-cli:${label}] exited with code ${result.exitCode}`);
-      debug(`[jira-cli:${label}] Output: ${result.output.substring(0, 500)}`);
-    }
-
-    return { success, output: result.output, exitCode: result.exitCode };
-
-  } catch (error) {
-    warn(`[jira-cli:${label}] Failed: ${error.message}`);
-    return { success: false, output: error.message, exitCode: null };
-  }
+export function getWorkflow(config, ticketKey) {
+  const project = String(ticketKey).split('-')[0].toUpperCase();
+  return config.JIRA_WORKFLOWS[project] || config.JIRA_WORKFLOWS.default;
 }
 
 /**
- * Run a JIRA transition via jira-cli.mjs.
- * Thin wrapper around runJiraCli for transitions.
+ * Poll the ticket until its status is `status` (case-insensitive), for up to
+ * jira.statusPollTimeoutSeconds.
+ *
+ * @returns {Promise<boolean>} true once the status is confirmed
  */
-function runJiraCliTransition(ticketKey, transitionName, label) {
-  return runJiraCli(['transition', ticketKey, transitionName], label, TRANSITION_TIMEOUT);
+async function waitForStatus(config, ticketKey, status) {
+  const deadline = Date.now() + config.JIRA_STATUS_POLL_TIMEOUT_SECONDS * 1000;
+  let current = null;
+
+  while (true) {
+    current = await getTicketStatus(config, ticketKey);
+    if (current?.toLowerCase() === status.toLowerCase()) return true;
+    if (Date.now() >= deadline) break;
+    await new Promise(resolve => setTimeout(resolve, config.JIRA_STATUS_POLL_INTERVAL_SECONDS * 1000));
+  }
+
+  warn(`${ticketKey} did not reach "${status}" within ${config.JIRA_STATUS_POLL_TIMEOUT_SECONDS}s (status: ${current || 'unknown'})`);
+  return false;
 }
 
 /**
- * Transition ticket to In-Progress (via "Dev Started") using jira-cli.mjs.
- *
- * @param {object} config - Configuration object (unused, kept for interface compat)
- * @param {string} ticketKey - e.g. "JCP-1234"
- * @returns {Promise<boolean>} true if transitioned successfully
+ * Run one step of a chain: skip it when the ticket already has the step's
+ * status, else transition and wait for the resulting status.
  */
-export async function transitionToInProgress(config, ticketKey) {
-  log(`Transitioning ${ticketKey} to In-Progress (Dev Started)...`);
-
-  const result = await runJiraCliTransition(ticketKey, 'Dev Started', `in-progress-${ticketKey}`);
-
-  if (result.success) {
-    log(`${ticketKey} transitioned to In-Progress`);
-    return true;
+async function runStep(config, ticketKey, step) {
+  if (step.status) {
+    const current = await getTicketStatus(config, ticketKey);
+    if (current?.toLowerCase() === step.status.toLowerCase()) {
+      log(`${ticketKey} is already in "${current}" — skipping "${step.transition}"`);
+      return true;
+    }
   }
 
-  warn(`Could not transition ${ticketKey} to In-Progress`);
-  return false;
+  const fields = { ...(config.JIRA_TRANSITION_FIELDS?.[step.transition] || {}), ...step.fields };
+  const transition = await transitionTicket(config, ticketKey, step.transition, { fields });
+  if (!transition) return false;
+
+  const expected = step.status || transition.to;
+  return expected ? waitForStatus(config, ticketKey, expected) : true;
 }
 
 /**
- * Transition ticket to LEAD REVIEW via two steps:
- *   Step 1: Dev Testing (jira-cli.mjs handles browser fallback automatically)
- *   Step 2: EM Review (jira-cli.mjs handles API call)
+ * Move a ticket through the transition chain its workflow maps a milestone to.
+ * Stops at the first step that fails. Non-blocking: never throws.
  *
- * @param {object} config - Configuration object (unused, kept for interface compat)
+ * @param {object} config - Configuration object
  * @param {string} ticketKey - e.g. "JCP-1234"
- * @returns {Promise<{devTestingDone: boolean, emReviewDone: boolean}>}
+ * @param {string} milestone - started | implemented | failed | needsInfo
+ * @returns {Promise<{ done: boolean, completed: string[], failedAt: string|null }>}
+ *   done is true when every step of the chain went through (also for an empty chain)
  */
-export async function transitionToLeadReview(config, ticketKey) {
-  log(`Transitioning ${ticketKey} to LEAD REVIEW (Dev Testing → EM Review)...`);
-
-  // Step 1: Dev Testing
-  const devResult = await runJiraCliTransition(ticketKey, 'Dev Testing', `dev-testing-${ticketKey}`);
-
-  if (!devResult.success) {
-    warn(`Dev Testing transition failed for ${ticketKey} — skipping EM Review`);
-    return { devTestingDone: false, emReviewDone: false };
+export async function runMilestone(config, ticketKey, milestone) {
+  const chain = getWorkflow(config, ticketKey)[milestone];
+  const completed = [];
+  if (!chain) {
+    warn(`Unknown workflow milestone "${milestone}" for ${ticketKey}`);
+    return { done: false, completed, failedAt: null };
+  }
+  if (chain.length === 0) {
+    return { done: true, completed, failedAt: null };
   }
 
-  log(`${ticketKey} Dev Testing done, waiting 3s for JIRA to process...`);
-  await new Promise(resolve => setTimeout(resolve, 3000));
-
-  // Step 2: EM Review
-  const emResult = await runJiraCliTransition(ticketKey, 'EM Review', `em-review-${ticketKey}`);
-
-  if (!emResult.success) {
-    warn(`EM Review transition failed for ${ticketKey}`);
-    return { devTestingDone: true, emReviewDone: false };
+  log(`Moving ${ticketKey} to "${milestone}" (${chain.map((step) => step.transition).join(' → ')})...`);
+  for (const step of chain) {
+    let ok = false;
+    try {
+      ok = await runStep(config, ticketKey, step);
+    } catch (error) {
+      warn(`Transition "${step.transition}" failed for ${ticketKey}: ${error.message}`);
+    }
+    if (!ok) {
+      const rest = chain.slice(completed.length + 1).map((s) => s.transition);
+      warn(`Could not move ${ticketKey} to "${milestone}": "${step.transition}" failed${rest.length > 0 ? ` — skipping ${rest.join(', ')}` : ''}`);
+      return { done: false, completed, failedAt: step.transition };
+    }
+    completed.push(step.transition);
   }
 
-  log(`${ticketKey} transitioned to EM Review (LEAD REVIEW)`);
-  return { devTestingDone: true, emReviewDone: true };
+  log(`${ticketKey} reached "${milestone}"`);
+  return { done: true, completed, failedAt: null };
 }
 
 /**
- * Search JIRA tickets via jira-cli.mjs search command.
- * Unlike other CLI wrappers, this THROWS on failure — callers (daemon, dry-run)
+ * Search JIRA tickets with JQL.
+ * Unlike the other helpers, this THROWS on failure — callers (daemon, dry-run)
  * depend on error propagation for control flow.
  *
+ * @param {object} config - Configuration object
  * @param {string} jql - JQL query string
  * @param {number} maxResults - Maximum number of results
  * @param {string[]} fields - Fields to return
  * @returns {Promise<object[]>} Array of issue objects
  */
-export async function searchTickets(jql, maxResults, fields) {
-  const result = await runJiraCli(
-    ['search', '--jql', jql, '--max-results', String(maxResults), '--fields', fields.join(','), '--json'],
-    'search',
-    30000
-  );
-
-  if (!result.success) {
-    throw new Error(`JIRA search failed (exit ${result.exitCode}): ${result.output.substring(0, 500)}`);
+export async function searchTickets(config, jql, maxResults, fields) {
+  try {
+    return await searchIssues(config, jql, { maxResults, fields });
+  } catch (error) {
+    throw new Error(`JIRA search failed: ${error.message}`);
   }
-
-  const data = JSON.parse(result.output);
-  return data.issues || [];
 }
 
 /**
- * Add a label to a JIRA ticket via jira-cli.mjs.
- * Non-blocking: never throws, return value is always discarded by callers.
+ * Add a label to a JIRA ticket.
+ * Non-blocking: never throws. claim.js relies on the result to know whether a
+ * claim label was actually written.
  *
+ * @param {object} config - Configuration object
  * @param {string} ticketKey - e.g. "JCP-1234"
  * @param {string} label - Label to add
  * @returns {Promise<boolean>} true if added successfully
  */
-export async function addLabel(ticketKey, label) {
-  const result = await runJiraCli(
-    ['label', 'add', ticketKey, label],
-    `label-add-${ticketKey}`
-  );
-  return result.success;
+export function addLabel(config, ticketKey, label) {
+  return updateLabels(config, ticketKey, { add: [label] });
 }
 
 /**
- * Remove a label from a JIRA ticket via jira-cli.mjs.
- * Non-blocking: never throws, return value is always discarded by callers.
+ * Remove a label from a JIRA ticket.
+ * Non-blocking: never throws. claim.js checks the result to warn about a claim
+ * label that is left behind.
  *
+ * @param {object} config - Configuration object
  * @param {string} ticketKey - e.g. "JCP-1234"
  * @param {string} label - Label to remove
  * @returns {Promise<boolean>} true if removed successfully
  */
-export async function removeLabel(ticketKey, label) {
-  const result = await runJiraCli(
-    ['label', 'remove', ticketKey, label],
-    `label-remove-${ticketKey}`
-  );
-  return result.success;
+export function removeLabel(config, ticketKey, label) {
+  return updateLabels(config, ticketKey, { remove: [label] });
 }
 
 /**
- * Post a Markdown comment to a JIRA ticket via jira-cli.mjs.
- * Writes markdown to a temp file, passes it with --file flag.
+ * Post a Markdown comment to a JIRA ticket (converted to ADF).
  * Non-blocking: catches all errors, logs warnings, never throws.
  *
+ * @param {object} config - Configuration object
  * @param {string} ticketKey - e.g. "JCP-1234"
  * @param {string} markdownText - Comment body in Markdown
  * @returns {Promise<boolean>} true if posted successfully
  */
-export async function postComment(ticketKey, markdownText) {
-  const tmpFile = path.join(os.tmpdir(), `jira-comment-${ticketKey}-${Date.now()}.md`);
-
-  try {
-    await fs.writeFile(tmpFile, markdownText, 'utf-8');
-
-    const result = await runJiraCli(
-      ['comment', 'add', ticketKey, '--file', tmpFile],
-      `comment-${ticketKey}`,
-      COMMENT_TIMEOUT
-    );
-
-    return result.success;
-  } catch (error) {
-    warn(`Failed to post comment to ${ticketKey}: ${error.message}`);
-    return false;
-  } finally {
-    try {
-      await fs.unlink(tmpFile);
-    } catch { /* temp file cleanup is best-effort */ }
-  }
+export function postComment(config, ticketKey, markdownText) {
+  return addComment(config, ticketKey, markdownText);
 }
@@ -1,10 +1,73 @@
 /**
  * JIRA REST API Service
- * Handles all JIRA API interactions
+ *
+ * Handles all JIRA API interactions: ticket reads, search, labels, comments
+ * (Markdown converted to ADF by adf.js), transitions and remote links.
+ * Every call goes through logApi.
+ *
+ * jiraRequest throws an Error carrying `status` (HTTP status) next to JIRA's
+ * own error messages; the helpers below say per function whether they throw
+ * or warn and return null / false.
  */
 
 import { getAuthHeader } from '../config.js';
-import { log, warn } from '../logger.js';
+import { log, warn, logApi } from '../logger.js';
+import { markdownToAdf } from './adf.js';
+
+const REQUEST_TIMEOUT = 60 * 1000;
+const SEARCH_PAGE_SIZE = 100;
+
+/**
+ * Send one REST request. `path` is relative to `/rest/api/3/`.
+ *
+ * @returns {Promise<object|null>} parsed JSON body (null for empty responses)
+ */
+export async function jiraRequest(config, method, path, { query = {}, body } = {}) {
+  const url = new URL(`${config.JIRA_BASE_URL}/rest/api/3/${path}`);
+  for (const [key, value] of Object.entries(query)) {
+    if (value != null) url.searchParams.set(key, value);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: getAuthHeader(config),
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+  } catch (error) {
+    logApi(method, url.pathname, 0, Date.now() - startTime);
+    throw new Error(`JIRA ${method} ${url.pathname} failed: ${error.message}`);
+  }
+  logApi(method, url.pathname, response.status, Date.now() - startTime);
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok) {
+    // JIRA reports { errorMessages: [...], errors: { field: message } }
+    const messages = [
+      ...(data?.errorMessages || []),
+      ...Object.entries(data?.errors || {}).map(([field, message]) => `${field}: ${message}`),
+    ];
+    const message = messages.join('; ') || text.substring(0, 300) || response.statusText;
+    const error = new Error(`JIRA ${method} ${url.pathname} (${response.status}): ${message}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
 
 /**
  * Fetch all comments for a ticket, paginating through JIRA's API.
@@ -16,24 +79,13 @@ async function fetchAllComments(config, ticketKey, maxComments) {
   const pageSize = 50;
 
   while (startAt < maxComments) {
-    const url = `${config.JIRA_BASE_URL}/rest/api/3/issue/${ticketKey}/comment?startAt=${startAt}&maxResults=${pageSize}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Authorization: getAuthHeader(config),
-        Accept: 'application/json',
-      },
+    const data = await jiraRequest(config, 'GET', `issue/${ticketKey}/comment`, {
+      query: { startAt, maxResults: pageSize },
     });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch comments for ${ticketKey} (${response.status})`);
-    }
-
-    const data = await response.json();
-    const comments = data.comments || [];
+    const comments = data?.comments || [];
     allComments.push(...comments);
 
-    if (startAt + comments.length >= data.total || comments.length === 0) {
+    if (startAt + comments.length >= data?.total || comments.length === 0) {
       break;
     }
     startAt += comments.length;
@@ -43,25 +95,10 @@ async function fetchAllComments(config, ticketKey, maxComments) {
 }
 
 /**
- * Get full ticket details
+ * Get full ticket details. Throws when the ticket cannot be read.
  */
 export async function getTicketDetails(config, ticketKey) {
-  const url = `${config.JIRA_BASE_URL}/rest/api/3/issue/${ticketKey}?expand=renderedFields`;
-
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      Authorization: getAuthHeader(config),
-      Accept: 'application/json',
-    },
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Failed to get ticket ${ticketKey} (${response.status}): ${text}`);
-  }
-
-  const ticket = await response.json();
+  const ticket = await jiraRequest(config, 'GET', `issue/${ticketKey}`, { query: { expand: 'renderedFields' } });
 
   // Replace inline comments with paginated fetch to capture >20 comments
   try {
@@ -83,80 +120,230 @@ export async function getTicketDetails(config, ticketKey) {
  * Get the current status name of a ticket
  */
 export async function getTicketStatus(config, ticketKey) {
-  const url = `${config.JIRA_BASE_URL}/rest/api/3/issue/${ticketKey}?fields=status`;
-
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      Authorization: getAuthHeader(config),
-      Accept: 'application/json',
-    },
-  });
+  try {
+    const data = await jiraRequest(config, 'GET', `issue/${ticketKey}`, { query: { fields: 'status' } });
+    return data?.fields?.status?.name || null;
+  } catch (error) {
+    warn(`Failed to get status for ${ticketKey}: ${error.message}`);
+    return null;
+  }
+}
 
-  if (!response.ok) {
-    warn(`Failed to get status for ${ticketKey}: ${response.status}`);
+/**
+ * Get the current labels of a ticket. Returns null if they cannot be read.
+ */
+export async function getTicketLabels(config, ticketKey) {
+  try {
+    const data = await jiraRequest(config, 'GET', `issue/${ticketKey}`, { query: { fields: 'labels' } });
+    return data?.fields?.labels || [];
+  } catch (error) {
+    warn(`Failed to get labels for ${ticketKey}: ${error.message}`);
     return null;
   }
+}
+
+/**
+ * Search issues with JQL, following `nextPageToken` until `maxResults` issues
+ * are collected or JIRA reports the last page. Throws on failure — the daemon
+ * and dry-run depend on error propagation for control flow.
+ *
+ * @param {string} jql - JQL query string
+ * @param {object} [options] - { maxResults (50), fields (field ids to return) }
+ * @returns {Promise<object[]>} Array of issue objects
+ */
+export async function searchIssues(config, jql, { maxResults = 50, fields = [] } = {}) {
+  const issues = [];
+  let nextPageToken = null;
+
+  do {
+    const data = await jiraRequest(config, 'GET', 'search/jql', {
+      query: {
+        jql,
+        maxResults: Math.min(SEARCH_PAGE_SIZE, maxResults - issues.length),
+        fields: fields.length > 0 ? fields.join(',') : null,
+        nextPageToken,
+      },
+    });
+    issues.push(...(data?.issues || []));
+    nextPageToken = data?.isLast === false ? data.nextPageToken : null;
+  } while (nextPageToken && issues.length < maxResults);
 
-  const data = await response.json();
-  return data.fields?.status?.name || null;
+  return issues.slice(0, maxResults);
 }
 
 /**
- * Transition a ticket to a target status
+ * Add and/or remove labels in one update. Non-blocking: warns and returns false
+ * on failure.
+ *
+ * @param {object} changes - { add: string[], remove: string[] }
+ * @returns {Promise<boolean>} true if the labels were updated
  */
-export async function transitionTicket(config, ticketKey, targetStatusName) {
-  const transitionsUrl = `${config.JIRA_BASE_URL}/rest/api/3/issue/${ticketKey}/transitions`;
-
-  // Get available transitions
-  const transitionsResponse = await fetch(transitionsUrl, {
-    method: 'GET',
-    headers: {
-      Authorization: getAuthHeader(config),
-      Accept: 'application/json',
-    },
-  });
-
-  if (!transitionsResponse.ok) {
-    warn(`Failed to get transitions for ${ticketKey}: ${transitionsResponse.status}`);
+export async function updateLabels(config, ticketKey, { add = [], remove = [] }) {
+  const operations = [
+    ...add.map((label) => ({ add: label })),
+    ...remove.map((label) => ({ remove: label })),
+  ];
+  if (operations.length === 0) return true;
+
+  try {
+    await jiraRequest(config, 'PUT', `issue/${ticketKey}`, { body: { update: { labels: operations } } });
+    return true;
+  } catch (error) {
+    warn(`Failed to update labels on ${ticketKey}: ${error.message}`);
     return false;
   }
+}
 
-  const { transitions } = await transitionsResponse.json();
-  const targetTransition = transitions.find(
-    (t) => t.name.toLowerCase().includes(targetStatusName.toLowerCase())
-  );
-
-  if (!targetTransition) {
-    warn(`No transition matching "${targetStatusName}" found. Available: ${transitions.map((t) => t.name).join(', ')}`);
+/**
+ * Post a Markdown comment, converted to ADF. Non-blocking: warns and returns
+ * false on failure.
+ *
+ * @returns {Promise<boolean>} true if posted successfully
+ */
+export async function addComment(config, ticketKey, markdown) {
+  try {
+    await jiraRequest(config, 'POST', `issue/${ticketKey}/comment`, { body: { body: markdownToAdf(markdown) } });
+    return true;
+  } catch (error) {
+    warn(`Failed to post comment to ${ticketKey}: ${error.message}`);
     return false;
   }
+}
 
-  // Execute transition
-  const response = await fetch(transitionsUrl, {
-    method: 'POST',
-    headers: {
-      Authorization: getAuthHeader(config),
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify({
-      transition: { id: targetTransition.id },
-    }),
-  });
+/**
+ * Shape a configured value the way a field's schema expects it: option and
+ * user fields take `{ value }` / `{ accountId }`, versions, components and the
+ * like take `{ name }`, rich-text fields take ADF. Objects pass through as given.
+ */
+function toFieldValue(meta, value) {
+  const schema = meta.schema || {};
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) return value;
 
-  if (!response.ok) {
-    const text = await response.text();
-    warn(`Failed to transition ${ticketKey}: ${text}`);
-    return false;
+  const single = (type, item) => {
+    if (item !== null && typeof item === 'object') return item;
+    switch (type) {
+      case 'option':
+        return { value: String(item) };
+      case 'user':
+        return { accountId: String(item) };
+      case 'number':
+        return Number(item);
+      case 'priority':
+      case 'resolution':
+      case 'version':
+      case 'component':
+      case 'group':
+        return { name: String(item) };
+      default:
+        return item;
+    }
+  };
+
+  if (schema.type === 'array') {
+    return (Array.isArray(value) ? value : [value]).map((item) => single(schema.items, item));
+  }
+  if (schema.type === 'string' && (schema.custom?.endsWith(':textarea') || ['description', 'environment'].includes(schema.system))) {
+    return markdownToAdf(String(value));
+  }
+  return single(schema.type, value);
+}
+
+/**
+ * Transition a ticket. `transitionName` matches a transition's name (or the
+ * status it leads to) case-insensitively, falling back to a substring match.
+ *
+ * Transitions with a screen can require fields. Required fields without a
+ * default are filled from `fields`, keyed by field id or field name; when one
+ * is still missing the transition is not attempted. Non-blocking: warns and
+ * returns null on failure.
+ *
+ * @param {object} [options] - { fields: { [fieldIdOrName]: value } }
+ * @returns {Promise<{ id: string, name: string, to: string|null }|null>} the transition made
+ */
+export async function transitionTicket(config, ticketKey, transitionName, { fields = {} } = {}) {
+  try {
+    const data = await jiraRequest(config, 'GET', `issue/${ticketKey}/transitions`, {
+      query: { expand: 'transitions.fields' },
+    });
+    const transitions = data?.transitions || [];
+    const wanted = transitionName.toLowerCase();
+    const target = transitions.find((t) => t.name.toLowerCase() === wanted)
+      || transitions.find((t) => t.to?.name?.toLowerCase() === wanted)
+      || transitions.find((t) => t.name.toLowerCase().includes(wanted));
+
+    if (!target) {
+      warn(`No transition matching "${transitionName}" found for ${ticketKey}. Available: ${transitions.map((t) => t.name).join(', ') || 'none'}`);
+      return null;
+    }
+
+    const supplied = new Map(Object.entries(fields).map(([key, value]) => [key.toLowerCase(), value]));
+    const values = {};
+    const missing = [];
+    for (const [fieldId, meta] of Object.entries(target.fields || {})) {
+      const value = supplied.get(fieldId.toLowerCase()) ?? supplied.get(meta.name?.toLowerCase());
+      if (value !== undefined) {
+        values[fieldId] = toFieldValue(meta, value);
+      } else if (meta.required && !meta.hasDefaultValue) {
+        missing.push(meta.name ? `${meta.name} (${fieldId})` : fieldId);
+      }
+    }
+
+    if (missing.length > 0) {
+      warn(`Transition "${target.name}" on ${ticketKey} requires ${missing.join(', ')} — set them in the workflow step's \`fields\` (jira.workflows) or in jira.transitionFields["${target.name}"]`);
+      return null;
+    }
+
+    await jiraRequest(config, 'POST', `issue/${ticketKey}/transitions`, {
+      body: {
+        transition: { id: target.id },
+        ...(Object.keys(values).length > 0 ? { fields: values } : {}),
+      },
+    });
+    log(`Transitioned ${ticketKey} via "${target.name}"`);
+    return { id: target.id, name: target.name, to: target.to?.name || null };
+  } catch (error) {
+    warn(`Failed to transition ${ticketKey} via "${transitionName}": ${error.message}`);
+    return null;
   }
+}
 
-  log(`Transitioned ${ticketKey} to "${targetTransition.name}"`);
-  return true;
+/**
+ * Create or update a remote link on a ticket. JIRA matches links on `globalId`,
+ * so posting the same globalId again updates that link instead of adding another.
+ *
+ * @param {object} link - { globalId, url, title, summary, application: { type, name }, relationship, resolved }
+ * @returns {Promise<number|null>} the link id, or null when it could not be saved
+ */
+export async function upsertRemoteLink(config, ticketKey, { globalId, url, title, summary, application, relationship, resolved = false }) {
+  try {
+    const data = await jiraRequest(config, 'POST', `issue/${ticketKey}/remotelink`, {
+      body: {
+        globalId,
+        application,
+        relationship,
+        object: {
+          url,
+          title,
+          summary,
+          status: { resolved },
+        },
+      },
+    });
+    return data?.id ?? null;
+  } catch (error) {
+    warn(`Failed to save remote link ${globalId} on ${ticketKey}: ${error.message}`);
+    return null;
+  }
 }
 
 export default {
+  jiraRequest,
   getTicketDetails,
   getTicketStatus,
+  getTicketLabels,
+  searchIssues,
+  updateLabels,
+  addComment,
   transitionTicket,
+  upsertRemoteLink,
 };
@@ -1,14 +1,15 @@
 /**
  * Notifications
  *
- * Builds JIRA comments (Markdown for jira-cli.mjs), PR descriptions, and
- * sends Slack notifications. Comment posting is handled by jira-cli.mjs
- * which converts Markdown to ADF automatically.
+ * Builds JIRA comments (Markdown), PR descriptions, and sends Slack
+ * notifications. Comments are posted through jira.js, which converts the
+ * Markdown to ADF (adf.js).
  */
 
 import { execSync } from 'child_process';
 import { log, warn, err } from '../logger.js';
 import { summariseText } from './summariser.js';
+import { formatUsd } from './cost-ledger.js';
 
 
 /**
@@ -69,9 +70,11 @@ export function buildPRDescription(claudeSummary, testResults) {
 
 /**
  * Build a Markdown JIRA comment with PR table and summary.
- * Returns a Markdown string (posted via jira-cli.mjs).
+ * `costs` is the run's cost-ledger breakdown (summarizeRunCosts), rendered as a
+ * service × pass table when present.
+ * Returns a Markdown string (converted to ADF when posted).
  */
-export function buildJiraComment(config, allPRs, allFailures, claudeSummary, logUrl) {
+export function buildJiraComment(config, allPRs, allFailures, claudeSummary, logUrl, costs = null) {
   const azdoBase = config.AZDO_ORG;
   const project = config.AZDO_PROJECT;
 
@@ -116,6 +119,20 @@ export function buildJiraComment(config, allPRs, allFailures, claudeSummary, log
     lines.push('');
   }
 
+  // Cost / turns breakdown
+  if (costs) {
+    lines.push('#### Cost');
+    lines.push('');
+    lines.push('| Service | Pass | Passes | Turns | Tokens in / out | Cost |');
+    lines.push('| --- | --- | --- | --- | --- | --- |');
+    for (const row of costs.rows) {
+      lines.push(`| ${row.service} | ${row.pass} | ${row.passes} | ${row.numTurns} | ${row.inputTokens.toLocaleString('en-US')} / ${row.outputTokens.toLocaleString('en-US')} | ${formatUsd(row)} |`);
+    }
+    const { total } = costs;
+    lines.push(`| **Total** | | ${total.passes} | ${total.numTurns} | ${total.inputTokens.toLocaleString('en-US')} / ${total.outputTokens.toLocaleString('en-US')} | **${formatUsd(total)}** |`);
+    lines.push('');
+  }
+
   // Run log link
   if (logUrl) {
     lines.push(`**Run Log:** [View full run log](${logUrl})`);
@@ -127,7 +144,7 @@ export function buildJiraComment(config, allPRs, allFailures, claudeSummary, log
 /**
  * Build a Markdown comment for the In-Progress transition.
  * Shows what the agent parsed and plans to work on.
- * Returns a Markdown string (posted via jira-cli.mjs).
+ * Returns a Markdown string (converted to ADF when posted).
  */
 export function buildInProgressComment(config, ticket) {
   const lines = [];
@@ -169,10 +186,22 @@ export function buildInProgressComment(config, ticket) {
   return lines.join('\n');
 }
 
+/**
+ * Assigned PR reviewers as one line, e.g. "Jane Lead (required), Backend Team (team)"
+ */
+function formatReviewers(reviewers = []) {
+  return reviewers
+    .map((r) => {
+      const tags = [r.isRequired && 'required', r.isTeam && 'team'].filter(Boolean);
+      return tags.length > 0 ? `${r.name} (${tags.join(', ')})` : r.name;
+    })
+    .join(', ');
+}
+
 /**
  * Build a Markdown comment for the LEAD REVIEW transition.
- * Shows implementation plan, files changed, summary, and PR table.
- * Returns a Markdown string (posted via jira-cli.mjs).
+ * Shows implementation plan, files changed, summary, and PR table (with assigned reviewers).
+ * Returns a Markdown string (converted to ADF when posted).
  */
 export function buildLeadReviewComment(config, allPRs, claudeSummary, planOutput) {
   const azdoBase = config.AZDO_ORG;
@@ -216,18 +245,97 @@ export function buildLeadReviewComment(config, allPRs, claudeSummary, planOutput
 
   // PR table
   if (allPRs.length > 0) {
-    lines.push('| Service | Branch | PR |');
-    lines.push('| --- | --- | --- |');
+    lines.push('| Service | Branch | PR | Reviewers |');
+    lines.push('| --- | --- | --- | --- |');
     for (const pr of allPRs) {
       const repo = pr.service;
       const prUrl = pr.prUrl || `${azdoBase}/${project}/_git/${repo}/pullrequest/${pr.prId}`;
-      lines.push(`| ${repo} | ${pr.baseBranch} | [#${pr.prId}](${prUrl}) |`);
+      lines.push(`| ${repo} | ${pr.baseBranch} | [#${pr.prId}](${prUrl})${pr.draft ? ' (draft)' : ''} | ${formatReviewers(pr.reviewers) || '—'} |`);
     }
   }
 
   return lines.join('\n');
 }
 
+/**
+ * Build a Markdown comment for a run parked on a provider usage limit.
+ * `waiting` lists the { service, baseBranch } tasks that still need the provider.
+ */
+export function buildPausedComment(providerLabel, resumeAt, runId, waiting = []) {
+  const lines = [];
+
+  lines.push(`### Dr. Asthana — Paused (${providerLabel} usage limit)`);
+  lines.push('');
+  lines.push(`This run has **not** failed. It is waiting for the usage limit to reset and resumes automatically at **${resumeAt}**.`);
+  lines.push('');
+
+  if (waiting.length > 0) {
+    lines.push('| Service | Branch |');
+    lines.push('| --- | --- |');
+    for (const task of waiting) {
+      lines.push(`| ${task.service} | ${task.baseBranch || '(master plan)'} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`Run ID: \`${runId}\` — to resume earlier: \`node src/index.js resume ${runId}\``);
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a Markdown comment explaining which spend budget stopped a run.
+ * `trips` lists { service, baseBranch, trip } for every task that was stopped;
+ * `labelKept` says the trigger label stayed on (only the daily budget ran out).
+ */
+export function buildBudgetComment(trips, runId, triggerLabel, { labelKept = false } = {}) {
+  const lines = [];
+
+  lines.push('### Dr. Asthana — Stopped: spend budget reached');
+  lines.push('');
+  lines.push('| Service | Branch | Budget | Limit | Spent |');
+  lines.push('| --- | --- | --- | --- | --- |');
+  for (const { service, baseBranch, trip } of trips) {
+    lines.push(`| ${service} | ${baseBranch} | ${trip.budget} | $${trip.limitUsd.toFixed(2)} | $${trip.spentUsd.toFixed(2)} |`);
+  }
+  lines.push('');
+  lines.push('Nothing was committed or pushed for these branches.');
+  if (labelKept) {
+    lines.push(`The daily budget resets at midnight. The \`${triggerLabel}\` label was kept, so the ticket runs again then.`);
+  } else {
+    lines.push(`The \`${triggerLabel}\` label was removed. Re-add it to run the ticket again after raising the budget.`);
+  }
+  lines.push('');
+  lines.push(`Run ID: \`${runId}\``);
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a Markdown comment for a push that was refused because the feature branch
+ * has commits the agent did not push (see commitAndPush).
+ */
+export function buildPushRefusedComment(service, baseBranch, featureBranch, error, runId, triggerLabel) {
+  const lines = [];
+
+  lines.push(`### Dr. Asthana — Push refused: \`${featureBranch}\``);
+  lines.push('');
+  lines.push(`\`${featureBranch}\` (${service}, based on \`${baseBranch}\`) has commits the agent did not push, so nothing was pushed for it — force-pushing would have overwritten them.`);
+  lines.push('');
+  if (error.remoteSha) {
+    lines.push(`- Remote branch is at \`${error.remoteSha.slice(0, 7)}\``);
+  }
+  lines.push(error.lastPushedSha
+    ? `- The agent last pushed \`${error.lastPushedSha.slice(0, 7)}\``
+    : '- The agent has no record of pushing this branch');
+  lines.push('');
+  lines.push(`Re-add the \`${triggerLabel}\` label to run the ticket again: the next run starts from the commits now on the branch and builds on top of them.`);
+  lines.push('');
+  lines.push(`Run ID: \`${runId}\``);
+
+  return lines.join('\n');
+}
+
 /**
  * Send a Slack DM with all PRs listed (not just the first one).
  */
@@ -251,7 +359,8 @@ export async function notifyAllPRs(config, ticketKey, ticketSummary, allPRs, all
     const prLines = allPRs.map(pr => {
       const repo = pr.service;
       const prUrl = pr.prUrl || `${azdoBase}/${project}/_git/${repo}/pullrequest/${pr.prId}`;
-      return `• <${prUrl}|#${pr.prId}> → ${repo} / \`${pr.baseBranch}\``;
+      const reviewers = formatReviewers(pr.reviewers);
+      return `• <${prUrl}|#${pr.prId}>${pr.draft ? ' _(draft)_' : ''} → ${repo} / \`${pr.baseBranch}\`${reviewers ? ` — reviewers: ${reviewers}` : ''}`;
     });
 
     // Extract brief summary
@@ -311,9 +420,15 @@ export async function notifyAllPRs(config, ticketKey, ticketSummary, allPRs, all
       });
     }
 
+    const draftCount = allPRs.filter(pr => pr.draft).length;
     blocks.push({
       type: 'context',
-      elements: [{ type: 'mrkdwn', text: ':eyes: _Please review the draft PRs before merging_' }],
+      elements: [{
+        type: 'mrkdwn',
+        text: draftCount > 0
+          ? `:eyes: _${draftCount} PR(s) left as draft — please review and publish them before merging_`
+          : ':eyes: _Please review the PRs before merging_',
+      }],
     });
 
     await client.chat.postMessage({
@@ -400,3 +515,66 @@ export async function notifyFailure(config, ticketKey, ticketSummary, errorMessa
     err(`Failed to send Slack failure notification: ${error.message}`);
   }
 }
+
+/**
+ * Send a Slack DM saying a run is paused on a provider usage limit (not failed).
+ */
+export async function notifyPaused(config, ticketKey, ticketSummary, providerLabel, resumeAt, runId) {
+  if (!config.SLACK_BOT_TOKEN || !config.SLACK_USER_ID) {
+    return;
+  }
+
+  const { WebClient } = await import('@slack/web-api');
+  const client = new WebClient(config.SLACK_BOT_TOKEN);
+
+  try {
+    const conversation = await client.conversations.open({
+      users: config.SLACK_USER_ID,
+    });
+    const dmChannelId = conversation.channel.id;
+
+    const blocks = [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: ':hourglass_flowing_sand: Dr. Asthana Paused',
+          emoji: true,
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Ticket:* <${config.JIRA_BASE_URL}/browse/${ticketKey}|${ticketKey}>\n*Summary:* ${ticketSummary}`,
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `${providerLabel} usage limit reached. The run is *paused, not failed* and resumes automatically at *${resumeAt}*.`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Run ID: \`${runId}\``,
+          },
+        ],
+      },
+    ];
+
+    await client.chat.postMessage({
+      channel: dmChannelId,
+      text: `Dr. Asthana paused ${ticketKey} until ${resumeAt} (${providerLabel} usage limit)`,
+      blocks,
+    });
+
+    log(`Slack paused notification sent for ${ticketKey}`);
+  } catch (error) {
+    err(`Failed to send Slack paused notification: ${error.message}`);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Claude Code CLI adapter
+ *
+ * Headless mode: `claude -p <prompt> --output-format stream-json --verbose`.
+ * Standing rules are read from CLAUDE.md in the working directory.
+ */
+
+// The CLI's usage-limit message with a reset time rate-limit.js parses
+// ("You've hit your limit · resets 3pm (Europe/London)"), or the older
+// "Claude AI usage limit reached|<epoch seconds>"
+const LIMIT_MESSAGE = /^\s*(?:You've hit your limit\b.*\bresets?\s+(?:at\s+|in\s+)?\d|Claude AI usage limit reached\|\d{10})/;
+const LIMIT_ERROR = /hit your limit|usage limit|rate limit|\b429\b/i;
+
+/**
+ * Check if a pass ended on a Claude usage limit: the output is the CLI's limit
+ * message, or the CLI failed (error result or non-zero exit) with a limit error
+ * in its output or stderr. A model answer that merely mentions limits or
+ * "resets" is not one.
+ *
+ * @param {string} text - Final output of the pass
+ * @param {object} [cli] - { failed, stderr }
+ */
+function isRateLimited(text, { failed = false, stderr = '' } = {}) {
+  if (text && LIMIT_MESSAGE.test(text)) return true;
+  return failed && LIMIT_ERROR.test(`${text || ''}\n${stderr}`);
+}
+
+/**
+ * Args for an agentic pass (tools enabled, stream-json events on stdout)
+ */
+function buildArgs({ prompt, maxTurns, model }) {
+  return [
+    '-p', prompt,
+    '--max-turns', String(maxTurns),
+    '--output-format', 'stream-json',
+    '--verbose',
+    '--dangerously-skip-permissions',
+    ...(model ? ['--model', model] : []),
+  ];
+}
+
+/**
+ * Args for a one-shot, tool-less question. The answer comes back as a single
+ * JSON result object so its cost and token usage can be recorded.
+ */
+function buildQueryArgs({ prompt, model }) {
+  return [
+    '-p', prompt,
+    '--max-turns', '1',
+    '--output-format', 'json',
+    '--permission-mode', 'default',
+    '--strict-mcp-config',
+    ...(model ? ['--model', model] : []),
+  ];
+}
+
+/**
+ * Token counts from a result event's `usage` block
+ */
+function parseUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+/**
+ * Normalize one stream-json event.
+ * Older CLI versions report `cost_usd`, newer ones `total_cost_usd`.
+ * @returns {Array<{type: 'text', text: string}|{type: 'tool', name: string, detail: string}|{type: 'result', text: string, numTurns: number|null, costUsd: number|null, durationMs: number|null, usage: object|null, isError: boolean}>}
+ */
+function parseEvent(event) {
+  if (event.type === 'assistant' && event.message?.content) {
+    return event.message.content
+      .map((block) => {
+        if (block.type === 'text') return { type: 'text', text: block.text };
+        if (block.type === 'tool_use') return { type: 'tool', name: block.name, detail: block.input?.command || '' };
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  if (event.type === 'result') {
+    return [{
+      type: 'result',
+      text: event.result || '',
+      numTurns: event.num_turns ?? null,
+      costUsd: event.total_cost_usd ?? event.cost_usd ?? null,
+      durationMs: event.duration_ms ?? null,
+      usage: parseUsage(event.usage),
+      isError: event.is_error === true,
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Parse the stdout of a buildQueryArgs() call into the answer text and a
+ * result event. Falls back to the raw stdout when it is not JSON.
+ * @returns {{ text: string, result: object|null }}
+ */
+function parseQueryOutput(stdout) {
+  try {
+    const [result] = parseEvent(JSON.parse(stdout.trim()));
+    if (result?.type === 'result') {
+      return { text: result.text, result };
+    }
+  } catch { /* plain text output */ }
+  return { text: stdout, result: null };
+}
+
+export const claudeProvider = {
+  name: 'claude',
+  label: 'Claude',
+  defaultCommand: 'claude',
+  instructionsFile: 'CLAUDE.md',
+  supportsMaxTurns: true,
+  buildArgs,
+  buildQueryArgs,
+  parseEvent,
+  parseQueryOutput,
+  isRateLimited,
+};
+
+export default claudeProvider;
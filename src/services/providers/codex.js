@@ -0,0 +1,126 @@
+/**
+ * Codex CLI adapter
+ *
+ * Non-interactive mode: `codex exec --json <prompt>`, one JSON event per line.
+ * Handles both the current event shape ({ type: 'item.completed', item }) and
+ * the older one ({ msg: { type: 'agent_message' } }).
+ * Standing rules are read from AGENTS.md in the working directory.
+ *
+ * Codex has no turn limit flag — a pass is bounded by the timeout only, and
+ * numTurns is always null (so maxTurnsReached is never set). It reports token
+ * usage but no cost, so costUsd is always null.
+ */
+
+const LIMIT_ERROR = /usage limit|rate limit reached|too many requests|\b429\b/i;
+
+/**
+ * Check if a pass ended on a Codex / OpenAI usage or rate limit. Only the CLI's
+ * error events and stderr are searched — the model's own text (a summary that
+ * mentions "429" or a rate limit it implemented) never counts.
+ *
+ * @param {string} text - Final output of the pass (not searched)
+ * @param {object} [cli] - { errors, stderr }
+ */
+function isRateLimited(text, { errors = '', stderr = '' } = {}) {
+  return LIMIT_ERROR.test(`${errors}\n${stderr}`);
+}
+
+/**
+ * Args for an agentic pass. The clone is a throwaway sandbox, so approvals and
+ * the Codex sandbox are bypassed the same way Claude runs with skip-permissions.
+ */
+function buildArgs({ prompt, model }) {
+  return [
+    'exec',
+    '--json',
+    '--dangerously-bypass-approvals-and-sandbox',
+    '--skip-git-repo-check',
+    ...(model ? ['--model', model] : []),
+    prompt,
+  ];
+}
+
+/**
+ * Args for a one-shot question answered as plain text on stdout (read-only sandbox)
+ */
+function buildQueryArgs({ prompt, model }) {
+  return [
+    'exec',
+    '--sandbox', 'read-only',
+    '--skip-git-repo-check',
+    ...(model ? ['--model', model] : []),
+    prompt,
+  ];
+}
+
+/**
+ * Normalize one JSON event — same shapes as the Claude adapter.
+ */
+function parseEvent(event) {
+  const item = event.item;
+
+  if (event.type === 'item.completed' && item?.type === 'agent_message') {
+    return [{ type: 'text', text: item.text || '' }];
+  }
+  if (event.type === 'item.started' && item?.type === 'command_execution') {
+    return [{ type: 'tool', name: 'Bash', detail: item.command || '' }];
+  }
+  if (event.type === 'item.completed' && item?.type === 'file_change') {
+    return [{ type: 'tool', name: 'Edit', detail: (item.changes || []).map((c) => c.path).join(', ') }];
+  }
+  if (event.type === 'turn.completed') {
+    // Final text is the last agent message — spawnClaude falls back to it when text is null
+    const usage = event.usage
+      ? {
+          inputTokens: event.usage.input_tokens || 0,
+          outputTokens: event.usage.output_tokens || 0,
+          cacheReadTokens: event.usage.cached_input_tokens || 0,
+          cacheWriteTokens: 0,
+        }
+      : null;
+    return [{ type: 'result', text: null, numTurns: null, costUsd: null, durationMs: null, usage }];
+  }
+  if (event.type === 'turn.failed' || event.type === 'error') {
+    return [{ type: 'error', text: event.error?.message || event.message || 'Codex error' }];
+  }
+
+  // Older event shape
+  const msg = event.msg;
+  if (msg?.type === 'agent_message') {
+    return [{ type: 'text', text: msg.message || '' }];
+  }
+  if (msg?.type === 'exec_command_begin') {
+    return [{ type: 'tool', name: 'Bash', detail: [].concat(msg.command || []).join(' ') }];
+  }
+  if (msg?.type === 'task_complete') {
+    return [{ type: 'result', text: msg.last_agent_message ?? null, numTurns: null, costUsd: null, durationMs: null, usage: null }];
+  }
+  if (msg?.type === 'error') {
+    return [{ type: 'error', text: msg.message || 'Codex error' }];
+  }
+
+  return [];
+}
+
+/**
+ * buildQueryArgs() answers in plain text — no usage to report
+ * @returns {{ text: string, result: null }}
+ */
+function parseQueryOutput(stdout) {
+  return { text: stdout, result: null };
+}
+
+export const codexProvider = {
+  name: 'codex',
+  label: 'Codex',
+  defaultCommand: 'codex',
+  instructionsFile: 'AGENTS.md',
+  supportsMaxTurns: false,
+  buildArgs,
+  buildQueryArgs,
+  parseEvent,
+  parseQueryOutput,
+  isRateLimited,
+};
+
+export default codexProvider;
@@ -0,0 +1,38 @@
+/**
+ * AI provider adapter registry
+ *
+ * Every adapter describes one agent CLI:
+ *   name, label          - config key and human-readable name
+ *   defaultCommand       - executable used when `<provider>.command` is not set
+ *   instructionsFile     - standing-rules file the CLI reads from the working directory
+ *   supportsMaxTurns     - whether buildArgs can enforce maxTurns
+ *   buildArgs(opts)      - argv for an agentic pass ({ prompt, maxTurns, model })
+ *   buildQueryArgs(opts) - argv for a one-shot, tool-less text answer ({ prompt, model })
+ *   parseEvent(event)    - one stdout JSON event → normalized events
+ *                          ({ type: 'text' | 'tool' | 'result' | 'error', ... }); error events are
+ *                          the CLI's own failures, not model text; result events carry
+ *                          numTurns, costUsd, durationMs and usage (token counts) when known,
+ *                          and isError when the CLI reported the pass as failed
+ *   parseQueryOutput(s)  - stdout of a buildQueryArgs() call → { text, result|null }
+ *   isRateLimited(text, cli) - whether a pass ended on a rate limit / quota, from its final
+ *                          text and what the CLI reported ({ failed, errors, stderr })
+ *
+ * The plan → implement → validate engine in claude.js only talks to this interface.
+ */
+
+import { claudeProvider } from './claude.js';
+import { codexProvider } from './codex.js';
+
+export const PROVIDERS = {
+  [claudeProvider.name]: claudeProvider,
+  [codexProvider.name]: codexProvider,
+};
+
+/**
+ * Look up an adapter by name. Returns null for unknown providers.
+ */
+export function getProviderAdapter(name) {
+  return PROVIDERS[String(name || 'claude').toLowerCase()] || null;
+}
+
+export default { PROVIDERS, getProviderAdapter };
@@ -0,0 +1,380 @@
+/**
+ * PR creation and review comments, on the service's SCM (see scm/index.js)
+ *
+ * A re-triggered ticket pushes new code to a branch whose PR is still open. That
+ * PR gets the new title and description, a "Re-run History" changelog (newest
+ * first) and a comment describing what changed since the previous push.
+ */
+
+import crypto from 'crypto';
+import { log, warn, err } from '../logger.js';
+import { summariseText } from './summariser.js';
+import { getServiceScm } from './scm/index.js';
+
+const RERUN_HEADING = '## Re-run History';
+const RERUN_ENTRY = /^- \*\*Re-run #(\d+)\*\*.*$/gm;
+const MAX_RERUN_ENTRIES = 5; // PR descriptions are capped at 4000 characters
+const MAX_CHANGED_FILES = 30;
+const AUTO_COMPLETE_DEFAULTS = { mergeStrategy: 'noFastForward', deleteSourceBranch: true, transitionWorkItems: true };
+const PR_POLICIES = ['auto', 'draft', 'ready'];
+
+/**
+ * Build PR description. `rerunEntries` are the changelog lines of a refreshed PR.
+ */
+function buildPRDescription(config, ticketKey, ticketSummary, claudeSummary, rerunEntries = []) {
+  const changelog = rerunEntries.length > 0 ? `\n\n${RERUN_HEADING}\n${rerunEntries.join('\n')}` : '';
+  return `## Summary
+${ticketSummary}
+
+## Implementation Details
+${claudeSummary}
+
+## JIRA Ticket
+${config.JIRA_BASE_URL}/browse/${ticketKey}${changelog}
+
+---
+*This PR was automatically generated by Dr. Asthana. Please review carefully before merging.*`;
+}
+
+/**
+ * Reviewers configured for a service (`reviewers.required` / `reviewers.optional`),
+ * resolved to ids on its SCM. Entries that cannot be resolved are skipped.
+ *
+ * @returns {Promise<Array<{ id: string, name: string, isTeam: boolean, isRequired: boolean }>>}
+ */
+export async function resolveReviewers(config, serviceConfig) {
+  return getServiceScm(serviceConfig).resolveReviewers(config, serviceConfig);
+}
+
+/**
+ * Completion options for a service's `autoComplete` setting (true or an options
+ * object), or null when auto-complete is off
+ */
+function getAutoCompleteOptions(serviceConfig) {
+  const setting = serviceConfig?.autoComplete;
+  if (!setting) return null;
+  return { ...AUTO_COMPLETE_DEFAULTS, ...(typeof setting === 'object' ? setting : {}) };
+}
+
+/**
+ * Whether a PR should be opened (or kept) as a draft. The service's `prPolicy`
+ * overrides azureDevOps.prPolicy:
+ *   auto  - draft until external tests passed and the review found no blocking findings
+ *   draft - always a draft
+ *   ready - published unless tests failed or the provider hit max turns
+ * Failed tests and a provider cut off at max turns keep the PR a draft under every policy.
+ *
+ * @param {object} signals - { testResults, review: runReview() result or null, maxTurnsReached }
+ * @returns {{ draft: boolean, reason: string }}
+ */
+export function decidePRDraft(config, serviceConfig, { testResults = null, review = null, maxTurnsReached = false } = {}) {
+  let policy = serviceConfig?.prPolicy || config.AZDO_PR_POLICY || 'auto';
+  if (!PR_POLICIES.includes(policy)) {
+    warn(`Unknown prPolicy "${policy}"${serviceConfig?.name ? ` for ${serviceConfig.name}` : ''} — using "auto"`);
+    policy = 'auto';
+  }
+
+  if (policy === 'draft') return { draft: true, reason: 'prPolicy is draft' };
+  if (maxTurnsReached) return { draft: true, reason: 'the provider hit max turns' };
+  if (testResults && !testResults.skipped && !testResults.passed) return { draft: true, reason: 'tests failed' };
+  if (policy === 'ready') return { draft: false, reason: 'prPolicy is ready' };
+
+  if (!testResults || testResults.skipped) return { draft: true, reason: 'no external test run' };
+  if (!review) return { draft: true, reason: 'the changes were not reviewed' };
+  const blocking = review.findings.filter((f) => f.severity === 'blocking').length;
+  if (blocking > 0) return { draft: true, reason: `${blocking} blocking review finding(s)` };
+  return { draft: false, reason: 'external tests passed and the review found no blockers' };
+}
+
+/**
+ * Turn on auto-complete (merge once policies / pipelines pass). Non-blocking.
+ */
+async function enableAutoComplete(config, serviceConfig, pr, completionOptions) {
+  try {
+    await getServiceScm(serviceConfig).enableAutoComplete(config, serviceConfig, pr, completionOptions);
+    log(`Auto-complete enabled on PR #${pr.id} (${completionOptions.mergeStrategy})`);
+    return true;
+  } catch (error) {
+    warn(`Failed to enable auto-complete on PR #${pr.id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Point a PR back at its JIRA ticket: a label with the ticket key (shown in PR
+ * lists and searchable), plus whatever else the SCM supports (see its adapter).
+ * Idempotent, so re-runs simply re-apply it. Non-blocking.
+ */
+async function linkTicket(config, serviceConfig, pr, ticketKey) {
+  try {
+    await getServiceScm(serviceConfig).linkTicket(config, serviceConfig, pr, ticketKey);
+    return true;
+  } catch (error) {
+    warn(`Failed to link PR #${pr.id} to ${ticketKey}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Reviewer summary for notifications: [{ name, isRequired, isTeam }]
+ */
+function toReviewerSummary(reviewers) {
+  return reviewers.map(({ name, isRequired, isTeam }) => ({ name, isRequired, isTeam }));
+}
+
+/**
+ * One-line description of a push, e.g. "`abc1234` (previously `def5678`) — 2 files changed, 5 insertions(+)"
+ */
+function describePush(push) {
+  if (!push?.sha) return 'pushed';
+  const shas = push.previousSha
+    ? `\`${push.sha.slice(0, 7)}\` (previously \`${push.previousSha.slice(0, 7)}\`)`
+    : `\`${push.sha.slice(0, 7)}\``;
+  return push.changes ? `${shas} — ${push.changes.shortstat}` : shas;
+}
+
+/**
+ * PR comment for a re-run: what changed since the previous push, and a nudge for
+ * reviewers whose votes were cast on the previous code
+ */
+function buildRerunComment(rerun, targetBranch, push, reviewers = [], { draft = true, draftReason = null } = {}) {
+  const lines = [`**Dr. Asthana — Re-run #${rerun}**`, ''];
+  lines.push(push?.builtOnRemote
+    ? `The ticket was re-triggered and new work was committed on top of the commits already on this branch: ${describePush(push)}.`
+    : `The ticket was re-triggered and this branch was rebuilt on \`${targetBranch}\`: ${describePush(push)}.`);
+
+  const files = push?.changes?.files || [];
+  if (files.length > 0) {
+    lines.push('', 'Changed since the previous push:');
+    files.slice(0, MAX_CHANGED_FILES).forEach((f) => lines.push(`- \`${f.status}\` ${f.path}`));
+    if (files.length > MAX_CHANGED_FILES) {
+      lines.push(`- … and ${files.length - MAX_CHANGED_FILES} more`);
+    }
+  } else if (!push?.changes) {
+    lines.push('', 'The previous push could not be compared — see the branch history.');
+  }
+
+  const voted = reviewers.filter((r) => r.voted && r.mention);
+  if (voted.length > 0) {
+    lines.push('', `${voted.map((r) => r.mention).join(' ')} — your vote was cast on the previous code, please take another look.`);
+  }
+
+  const reason = draftReason ? ` — ${draftReason}` : '';
+  lines.push('', draft ? `Kept as a draft${reason}.` : `Ready for review${reason}.`);
+  lines.push('', 'The description has been updated with the new summary and test results.');
+  return lines.join('\n');
+}
+
+/**
+ * Refresh an open PR after a re-run: new title and description with the
+ * changelog carried over, plus a comment on what changed. The draft flag follows
+ * `draft` (see decidePRDraft), so a re-run that fixes the tests publishes the PR.
+ * Non-blocking: returns the re-run number, or null when the PR could not be updated.
+ */
+export async function refreshExistingPR(config, serviceConfig, prId, { title, ticketKey, ticketSummary, claudeSummary, targetBranch, push = null, reviewers = [], autoComplete = null, draft = true, draftReason = null }) {
+  const scm = getServiceScm(serviceConfig);
+  try {
+    const current = await scm.getPullRequest(config, serviceConfig, prId);
+    const previousEntries = (current.description || '').match(RERUN_ENTRY) || [];
+    const previousRuns = previousEntries.map((entry) => parseInt(entry.match(/#(\d+)/)[1], 10));
+    const rerun = previousRuns.length > 0 ? Math.max(...previousRuns) + 1 : 1;
+
+    const date = new Date().toISOString().slice(0, 16).replace('T', ' ');
+    const entries = [`- **Re-run #${rerun}** — ${date} UTC — ${describePush(push)}`, ...previousEntries].slice(0, MAX_RERUN_ENTRIES);
+    const description = buildPRDescription(config, ticketKey, ticketSummary, claudeSummary, entries);
+
+    const changes = { title, description };
+    if (current.draft !== draft) changes.draft = draft;
+    await scm.updatePullRequest(config, serviceConfig, current, changes);
+    log(`Updated PR #${prId} title and description (re-run #${rerun})`);
+    if (changes.draft === false) {
+      log(`PR #${prId} published — ${draftReason || 'ready for review'}`);
+    } else if (changes.draft === true) {
+      log(`PR #${prId} moved back to draft — ${draftReason || 'policy'}`);
+    }
+
+    // Reviewers added to the service config since the PR was opened
+    const onPR = new Set(current.reviewers.map((r) => String(r.id)));
+    const added = reviewers.filter((r) => !onPR.has(String(r.id)));
+    if (added.length > 0) {
+      try {
+        await scm.addReviewers(config, serviceConfig, current, added);
+        log(`Added reviewer(s) ${added.map((r) => r.name).join(', ')} to PR #${prId}`);
+      } catch (error) {
+        warn(`Failed to add reviewers to PR #${prId}: ${error.message}`);
+      }
+    }
+    if (autoComplete && !draft && !current.autoComplete) {
+      await enableAutoComplete(config, serviceConfig, current, autoComplete);
+    }
+
+    try {
+      await scm.addComment(config, serviceConfig, prId, buildRerunComment(rerun, targetBranch, push, current.reviewers, { draft, draftReason }));
+    } catch (error) {
+      warn(`Failed to post re-run comment on PR #${prId}: ${error.message}`);
+    }
+
+    return rerun;
+  } catch (error) {
+    warn(`Failed to refresh existing PR #${prId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Create a PR on the service's SCM. When an open PR for the branch already exists
+ * (re-trigger), that PR is refreshed instead (see refreshExistingPR).
+ *
+ * The PR is a draft unless `options.draft` is false (see decidePRDraft). It is
+ * linked back to the ticket (see linkTicket), the service's configured reviewers
+ * are added, its work items linked (Azure DevOps), and auto-complete turned on
+ * for published PRs when the service asks for it.
+ *
+ * @param {object} serviceConfig - getServiceConfig() result (scm, repo, reviewers, autoComplete, workItemIds)
+ * @param {object} [options] - { push: commitAndPush() result of this run — previousSha, sha, changes,
+ *                               draft: boolean (default true), draftReason: string }
+ * @returns {Promise<{ prId, prUrl, alreadyExists?, rerun?, draft: boolean, reviewers: Array<{ name, isRequired, isTeam }>, autoComplete: boolean }|null>}
+ */
+export async function createPR(config, serviceConfig, sourceBranch, targetBranch, ticketKey, ticketSummary, claudeSummary, options = {}) {
+  const prefix = `[${ticketKey}] `;
+  const maxSummaryChars = Math.max(20, 200 - prefix.length);
+  const summarisedTitle = summariseText(ticketSummary || '', {
+    mode: 'pr-title',
+    maxChars: maxSummaryChars,
+    style: 'concise',
+    extra: 'Keep the actionable technical scope and relevant version identifiers.',
+    label: 'pr-title',
+  });
+  const title = `${prefix}${summarisedTitle}`;
+  const description = buildPRDescription(config, ticketKey, ticketSummary, claudeSummary);
+  const scm = getServiceScm(serviceConfig);
+  const reviewers = await resolveReviewers(config, serviceConfig);
+  const autoComplete = getAutoCompleteOptions(serviceConfig);
+  const draft = options.draft ?? true;
+  const draftReason = options.draftReason || null;
+
+  log(`Creating PR: ${sourceBranch} → ${targetBranch}`);
+
+  try {
+    const pr = await scm.createPullRequest(config, serviceConfig, {
+      sourceBranch,
+      targetBranch,
+      title,
+      description,
+      draft,
+      reviewers,
+    });
+
+    const prId = pr.id;
+    log(`Created ${draft ? 'draft ' : ''}${scm.label} PR #${prId}${reviewers.length > 0 ? ` with ${reviewers.length} reviewer(s)` : ''}`);
+    await linkTicket(config, serviceConfig, pr, ticketKey);
+    if (draftReason) log(`PR #${prId} ${draft ? 'kept as a draft' : 'ready for review'} — ${draftReason}`);
+    if (autoComplete && draft) log(`Auto-complete on PR #${prId} waits until the PR is published`);
+    const autoCompleteSet = autoComplete && !draft ? await enableAutoComplete(config, serviceConfig, pr, autoComplete) : false;
+    return {
+      prId,
+      prUrl: pr.url,
+      draft,
+      reviewers: toReviewerSummary(reviewers),
+      autoComplete: autoCompleteSet,
+    };
+  } catch (error) {
+    if (error.alreadyExists) {
+      log(`PR already exists for branch ${sourceBranch}, looking up existing PR...`);
+      const existing = await findExistingPR(config, serviceConfig, sourceBranch);
+      if (existing) {
+        existing.rerun = await refreshExistingPR(config, serviceConfig, existing.prId, {
+          title, ticketKey, ticketSummary, claudeSummary, targetBranch, push: options.push || null, reviewers, autoComplete, draft, draftReason,
+        });
+        await linkTicket(config, serviceConfig, { id: existing.prId }, ticketKey);
+        if (existing.rerun) existing.draft = draft;
+        existing.reviewers = toReviewerSummary(reviewers);
+        existing.autoComplete = Boolean(autoComplete) && !existing.draft;
+      }
+      return existing;
+    }
+
+    err(`Failed to create PR: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Look up an existing open PR for a source branch.
+ * Returns { prId, prUrl, alreadyExists: true, draft } or null if not found.
+ */
+async function findExistingPR(config, serviceConfig, sourceBranch) {
+  try {
+    const pr = await getServiceScm(serviceConfig).findOpenPullRequest(config, serviceConfig, sourceBranch);
+    if (pr) {
+      log(`Found existing PR #${pr.id}`);
+      return { prId: pr.id, prUrl: pr.url, alreadyExists: true, draft: pr.draft };
+    }
+
+    warn(`No open PR found for ${sourceBranch}`);
+    return null;
+  } catch (e) {
+    warn(`Failed to look up existing PR: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Identity of a review finding across re-runs: severity, file and message. The
+ * line is left out — it moves when the branch is rebuilt.
+ */
+export function findingKey(finding) {
+  return crypto.createHash('sha1')
+    .update([finding.severity, finding.file || '', finding.message].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Post review findings on a PR, one comment per finding — anchored to its file
+ * (and line) when known. Findings beyond `maxComments` are folded into a single
+ * summary comment. Findings whose findingKey() is in `options.alreadyPosted` (an
+ * earlier run posted them on this PR) are skipped.
+ * Non-blocking: returns the keys of the findings it posted.
+ *
+ * @param {object} [options] - { alreadyPosted: Set<string> }
+ * @returns {Promise<string[]>}
+ */
+export async function addPRComments(config, serviceConfig, prId, findings, maxComments = 20, { alreadyPosted = new Set() } = {}) {
+  const fresh = (findings || []).filter((f) => !alreadyPosted.has(findingKey(f)));
+  if (fresh.length < (findings || []).length) {
+    log(`Skipping ${findings.length - fresh.length} review finding(s) already posted on PR #${prId}`);
+  }
+  if (fresh.length === 0) return [];
+
+  const scm = getServiceScm(serviceConfig);
+  const comments = fresh.slice(0, maxComments).map((f) => ({
+    content: `**Dr. Asthana review — ${f.severity}**\n\n${f.message}`,
+    file: f.file || null,
+    line: f.line || null,
+    findings: [f],
+  }));
+  const overflow = fresh.slice(maxComments);
+  if (overflow.length > 0) {
+    comments.push({
+      content: `**Dr. Asthana review — ${overflow.length} more finding(s)**\n\n` +
+        overflow.map((f) => `- [${f.severity}] ${f.file ? `\`${f.file}${f.line ? `:${f.line}` : ''}\`` : '(general)'} — ${f.message}`).join('\n'),
+      findings: overflow,
+    });
+  }
+
+  const posted = [];
+  for (const { content, file = null, line = null, findings: covered } of comments) {
+    try {
+      await scm.addComment(config, serviceConfig, prId, content, { file, line });
+      posted.push(...covered.map(findingKey));
+    } catch (error) {
+      warn(`Failed to post review comment on PR #${prId}: ${error.message}`);
+    }
+  }
+
+  log(`Posted ${posted.length}/${fresh.length} review finding(s) on PR #${prId}`);
+  return posted;
+}
+
+export default { createPR, refreshExistingPR, resolveReviewers, decidePRDraft, findingKey, addPRComments };
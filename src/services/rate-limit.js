@@ -0,0 +1,116 @@
+/**
+ * Rate-limit reset time parsing
+ *
+ * Extracts when a provider's quota window reopens from its rate-limit message:
+ *   "Claude AI usage limit reached|1760000000"       (epoch seconds)
+ *   "You've hit your limit · resets 3pm (Europe/London)"
+ *   "resets at 2026-10-19T15:00:00Z"
+ *   "Try again in 2 hours 5 minutes" / "try again in 45s"
+ */
+
+const DURATION_UNITS = {
+  d: 86400, day: 86400, days: 86400,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+};
+
+/**
+ * Minutes since midnight of `date` as seen on a wall clock in `timeZone`
+ * (local time when no zone is given or the zone is unknown)
+ */
+function wallClockMinutes(date, timeZone) {
+  if (timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+        .formatToParts(date);
+      const hour = Number(parts.find((p) => p.type === 'hour').value);
+      const minute = Number(parts.find((p) => p.type === 'minute').value);
+      return hour * 60 + minute;
+    } catch {
+      // Unknown time zone — fall back to local time
+    }
+  }
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Next time a wall clock in `timeZone` shows hour:minute
+ */
+function nextClockTime(hour, minute, timeZone, now) {
+  const current = wallClockMinutes(now, timeZone);
+  let diff = hour * 60 + minute - current;
+  if (diff <= 0) diff += 24 * 60;
+  const resetAt = new Date(now.getTime() + diff * 60 * 1000);
+  resetAt.setSeconds(0, 0);
+  return resetAt;
+}
+
+/**
+ * Sum a duration phrase like "2 hours 5 minutes" or "1h30m" into seconds
+ */
+function parseDurationSeconds(phrase) {
+  let total = 0;
+  for (const match of phrase.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/gi)) {
+    const unit = DURATION_UNITS[match[2].toLowerCase()];
+    if (unit) total += parseFloat(match[1]) * unit;
+  }
+  return total;
+}
+
+/**
+ * Parse when the rate limit resets.
+ *
+ * @param {string} text - Provider output containing the rate-limit message
+ * @param {Date} [now]
+ * @returns {Date|null} Reset time, or null if the message carries none
+ */
+export function parseResetTime(text, now = new Date()) {
+  if (!text) return null;
+
+  const epoch = text.match(/\|(\d{10})\b/);
+  if (epoch) {
+    return new Date(Number(epoch[1]) * 1000);
+  }
+
+  const iso = text.match(/resets?\s+(?:at\s+)?(\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)/i);
+  if (iso) {
+    const date = new Date(iso[1]);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+
+  const clock = text.match(/resets?\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)(?:\s*\(([^)]+)\))?/i);
+  if (clock) {
+    let hour = Number(clock[1]) % 12;
+    if (clock[3].toLowerCase() === 'pm') hour += 12;
+    return nextClockTime(hour, Number(clock[2] || 0), clock[4]?.trim(), now);
+  }
+
+  const relative = text.match(/(?:try again|resets?)\s+in\s+([^.\n]+)/i);
+  if (relative) {
+    const seconds = parseDurationSeconds(relative[1]);
+    if (seconds > 0) return new Date(now.getTime() + seconds * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * When a parked run should resume: the parsed reset time, or
+ * agent.rateLimitDefaultWaitMinutes from now when the message carried none.
+ *
+ * @param {object} config
+ * @param {string|Date|null} resetAt
+ * @returns {string} ISO timestamp
+ */
+export function resolveResumeAt(config, resetAt, now = new Date()) {
+  if (resetAt) {
+    const date = new Date(resetAt);
+    // A reset time already in the past (stale message) would resume straight into the limit again
+    if (date.getTime() > now.getTime()) return date.toISOString();
+  }
+  const waitMinutes = config.RATE_LIMIT_DEFAULT_WAIT_MINUTES || 60;
+  return new Date(now.getTime() + waitMinutes * 60 * 1000).toISOString();
+}
+
+export default { parseResetTime, resolveResumeAt };
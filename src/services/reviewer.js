@@ -0,0 +1,348 @@
+/**
+ * Pre-PR review
+ *
+ * Read-only second look at a clone's changes (`git diff` against origin/<base>)
+ * before tests, commit and PR. Produces structured findings:
+ *   { severity: 'blocking'|'warning'|'info', file, line, message, source: 'rules'|'provider' }
+ *
+ * Two sources:
+ *   rules    - deterministic checks for the agent-rules restrictions (Dockerfile FROM
+ *              edits, package-lock.json edited without package.json, fdescribe/fit)
+ *   provider - a one-shot, tool-less provider call over the diff (runProviderQuery)
+ *
+ * Blocking findings get one fix pass (an agentic provider pass limited to those
+ * findings), then the diff is reviewed again. Whatever is left is posted on the PR.
+ *
+ * Non-blocking: a review that cannot run only warns and returns no findings.
+ */
+
+import { execSync } from 'child_process';
+import { log, warn } from '../logger.js';
+import { runProviderQuery, getProviderSpawnOptions } from './ai-provider.js';
+import { spawnClaude } from './claude.js';
+import { buildPrompt } from './prompt-builder.js';
+import { checkBudget, describeBudgetTrip } from './budget.js';
+
+const GIT_TIMEOUT = 60 * 1000;
+const SEVERITIES = ['blocking', 'warning', 'info'];
+
+function git(args, cwd) {
+  return execSync(`git ${args}`, { cwd, stdio: 'pipe', timeout: GIT_TIMEOUT, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * Diff of the working tree (including new files) against the point the branch
+ * forked from origin/<baseBranch>, without the injected provider instructions
+ * file. Commits that landed on the base since are not part of the diff.
+ *
+ * @returns {string|null} null when the diff cannot be computed
+ */
+export function getReviewDiff(tmpDir, baseBranch, instructionFile = 'CLAUDE.md') {
+  const exclude = `":(exclude)${instructionFile}"`;
+  try {
+    // Intent-to-add makes untracked files show up in `git diff`; commitAndPush stages everything anyway
+    git(`add -A -N -- . ${exclude}`, tmpDir);
+    const mergeBase = git(`merge-base "origin/${baseBranch}" HEAD`, tmpDir).trim();
+    return git(`diff ${mergeBase} -- . ${exclude}`, tmpDir);
+  } catch (error) {
+    warn(`Could not diff against origin/${baseBranch}: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Split a unified diff into files with their added/removed lines.
+ * Line numbers are on the new side; removed lines carry the new-side position they were removed at.
+ *
+ * @returns {Array<{ file: string, oldFile: string|null, deleted: boolean, lines: Array<{ kind: '+'|'-', line: number, text: string }> }>}
+ */
+export function parseDiff(diff) {
+  const files = [];
+  let current = null;
+  let newLine = 0;
+
+  for (const raw of (diff || '').split('\n')) {
+    if (raw.startsWith('diff --git ')) {
+      current = { file: null, oldFile: null, deleted: false, lines: [] };
+      files.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    if (raw.startsWith('--- ')) {
+      current.oldFile = raw === '--- /dev/null' ? null : raw.slice(4).replace(/^a\//, '');
+    } else if (raw.startsWith('+++ ')) {
+      current.deleted = raw === '+++ /dev/null';
+      current.file = current.deleted ? current.oldFile : raw.slice(4).replace(/^b\//, '');
+    } else if (raw.startsWith('@@')) {
+      const match = raw.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+      newLine = match ? parseInt(match[1], 10) : 0;
+    } else if (raw.startsWith('+')) {
+      current.lines.push({ kind: '+', line: newLine, text: raw.slice(1) });
+      newLine++;
+    } else if (raw.startsWith('-')) {
+      current.lines.push({ kind: '-', line: newLine, text: raw.slice(1) });
+    } else if (raw.startsWith(' ')) {
+      newLine++;
+    } else if (raw.startsWith('rename to ')) {
+      current.file = raw.slice('rename to '.length);
+    }
+  }
+
+  return files.filter((f) => f.file);
+}
+
+/**
+ * Deterministic checks for the agent-rules restrictions
+ */
+export function runRuleChecks(files) {
+  const findings = [];
+  const changed = new Set(files.map((f) => f.file));
+  const dirOf = (file) => (file.includes('/') ? file.slice(0, file.lastIndexOf('/') + 1) : '');
+
+  for (const f of files) {
+    const name = f.file.split('/').pop();
+
+    // A new or deleted Dockerfile is not an edit of an existing FROM line
+    if (/^Dockerfile/.test(name) && f.oldFile && !f.deleted) {
+      const fromEdit = f.lines.find((l) => /^\s*FROM\s/i.test(l.text));
+      if (fromEdit) {
+        findings.push({
+          severity: 'blocking',
+          file: f.file,
+          line: fromEdit.line || null,
+          message: 'The FROM line was changed. Dockerfile FROM lines must not be edited — base images are managed by the base-tag step.',
+        });
+      }
+    }
+
+    if (name === 'package-lock.json' && !changed.has(`${dirOf(f.file)}package.json`)) {
+      findings.push({
+        severity: 'blocking',
+        file: f.file,
+        line: null,
+        message: 'package-lock.json changed without a matching package.json change — it looks hand-edited. Restore it, or change dependencies through npm so both files update.',
+      });
+    }
+
+    for (const l of f.lines) {
+      const focused = l.kind === '+' && l.text.match(/(?<![\w.$])(fdescribe|fit)\s*\(/);
+      if (focused) {
+        findings.push({
+          severity: 'blocking',
+          file: f.file,
+          line: l.line,
+          message: `Focused test \`${focused[1]}(\` left in — it silently skips every other test. Use \`${focused[1].slice(1)}(\`.`,
+        });
+      }
+    }
+  }
+
+  return findings.map((finding) => ({ ...finding, source: 'rules' }));
+}
+
+/**
+ * Normalize the findings array from a provider answer. Returns null when the
+ * answer holds no parseable JSON.
+ */
+export function parseProviderFindings(text) {
+  const cleaned = (text || '').replace(/```(?:json)?\s*/g, '').replace(/```/g, '').trim();
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(parsed.findings)) return null;
+
+  return parsed.findings
+    .filter((f) => f && typeof f.message === 'string' && f.message.trim())
+    .map((f) => ({
+      severity: SEVERITIES.includes(String(f.severity).toLowerCase()) ? String(f.severity).toLowerCase() : 'warning',
+      file: typeof f.file === 'string' && f.file.trim() ? f.file.trim().replace(/^\/+/, '') : null,
+      line: Number.isInteger(f.line) && f.line > 0 ? f.line : null,
+      message: f.message.trim(),
+      source: 'provider',
+    }));
+}
+
+function buildReviewPrompt(ticketKey, ticketSummary, diff, maxDiffChars) {
+  const shownDiff = diff.length > maxDiffChars
+    ? `${diff.slice(0, maxDiffChars)}\n... (diff truncated — ${diff.length - maxDiffChars} more characters not shown)`
+    : diff;
+
+  return `You are reviewing an automated change for JIRA ticket ${ticketKey} ("${ticketSummary}") before it is raised as a pull request.
+
+Review ONLY the diff below against the base branch. Look for:
+- Violations of the repository rules: no edits to a Dockerfile FROM line, no hand edits to package-lock.json, no focused tests (fdescribe/fit), no deployment or git tooling changes
+- Bugs that will break the build, the tests or runtime behaviour
+- Security problems (secrets, injection, disabled checks)
+- Changes unrelated to the ticket
+
+Severity:
+- "blocking": must be fixed before the PR is raised (rule violations, definite bugs, security problems)
+- "warning": a reviewer should look at it
+- "info": minor remark
+
+Do not report style preferences. Use file paths exactly as they appear in the diff and line numbers from the new version of the file (null when not applicable).
+
+## Diff
+${shownDiff}
+
+Respond with ONLY a JSON object in this exact format, no other text:
+{"findings": [{"severity": "blocking", "file": "src/app.js", "line": 42, "message": "what is wrong and how to fix it"}]}
+
+Return {"findings": []} when there is nothing to report.`;
+}
+
+function findingKey(finding) {
+  return `${finding.file || ''}:${finding.line || ''}:${finding.message}`;
+}
+
+/**
+ * One-line rendering of a finding, e.g. "[blocking] Dockerfile:1 — message"
+ */
+export function formatFinding(finding) {
+  const location = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}` : '(general)';
+  return `[${finding.severity}] ${location} — ${finding.message}`;
+}
+
+/**
+ * Review the clone's changes once.
+ *
+ * @param {object} config
+ * @param {string} tmpDir
+ * @param {object} opts - { ticketKey, ticketSummary, baseBranch, instructionFile, service }
+ * @returns {Promise<{ findings: Array<object>, providerReviewed: boolean }>}
+ */
+export async function reviewChanges(config, tmpDir, { ticketKey, ticketSummary, baseBranch, instructionFile, service = null }) {
+  const diff = getReviewDiff(tmpDir, baseBranch, instructionFile);
+  if (!diff || !diff.trim()) {
+    if (diff !== null) log('Review: no changes against the base branch');
+    return { findings: [], providerReviewed: false };
+  }
+
+  const findings = runRuleChecks(parseDiff(diff));
+  log(`Review: ${findings.length} rule finding(s)`);
+
+  const trip = checkBudget(config, { ticketKey, service });
+  if (trip) {
+    warn(`${describeBudgetTrip(trip)}. Skipping the provider review.`);
+    return { findings, providerReviewed: false };
+  }
+
+  let providerReviewed = false;
+  try {
+    const { text, rateLimited } = await runProviderQuery(config, {
+      prompt: buildReviewPrompt(ticketKey, ticketSummary, diff, config.REVIEW_MAX_DIFF_CHARS),
+      label: 'review',
+      timeoutMs: config.REVIEW_TIMEOUT_MINUTES * 60 * 1000,
+      ticketKey,
+      service,
+      baseBranch,
+      cwd: tmpDir,
+    });
+
+    const providerFindings = parseProviderFindings(text);
+    if (providerFindings) {
+      const seen = new Set(findings.map(findingKey));
+      findings.push(...providerFindings.filter((f) => !seen.has(findingKey(f))));
+      providerReviewed = true;
+      log(`Review: ${providerFindings.length} provider finding(s)`);
+    } else if (rateLimited) {
+      warn('Provider review hit the usage limit — continuing with rule findings only');
+    } else {
+      warn(`Provider review returned no findings JSON: "${(text || '').substring(0, 200)}"`);
+    }
+  } catch (error) {
+    warn(`Provider review failed: ${error.message}`);
+  }
+
+  return { findings, providerReviewed };
+}
+
+/**
+ * Agentic pass that fixes the given blocking findings and nothing else
+ */
+async function runFixPass(config, tmpDir, ticket, blocking, { nvmBinDir, service, baseBranch }) {
+  const prompt = buildPrompt(ticket.key, ticket.summary, ticket.description, ticket.comments) +
+    '\n\n## Review Findings\n' + blocking.map((f) => `- ${formatFinding(f)}`).join('\n') +
+    '\n\nAn automated review of the changes already made for this ticket found the blocking issues above. ' +
+    'Fix ONLY these issues — do not make unrelated changes and do not redo completed work. ' +
+    'Where a finding says a file must not be edited, restore its original content from the base branch version.' +
+    '\n\nWhen finished, you MUST end with this exact format:\n' +
+    '**FILES CHANGED:** list of files\n' +
+    '**SUMMARY:** what was fixed (1-2 sentences)';
+
+  return spawnClaude({
+    tmpDir,
+    prompt,
+    maxTurns: config.REVIEW_FIX_TURNS,
+    timeout: config.REVIEW_TIMEOUT_MINUTES * 60 * 1000,
+    label: 'review-fix',
+    logDir: config.LOG_DIR,
+    ticketKey: ticket.key,
+    nvmBinDir,
+    ...getProviderSpawnOptions(config),
+    costContext: { stateDir: config.STATE_DIR, service, baseBranch },
+  });
+}
+
+/**
+ * Review → [fix pass → review again] for one clone.
+ *
+ * @param {object} config
+ * @param {string} tmpDir
+ * @param {object} ticket - parsed ticket ({ key, summary, description, comments })
+ * @param {object} opts - { baseBranch, instructionFile, nvmBinDir, service }
+ * @returns {Promise<{ findings: Array<object>, fixPass: boolean, fixed: number }>} findings still open
+ */
+export async function runReview(config, tmpDir, ticket, { baseBranch, instructionFile, nvmBinDir = null, service = null }) {
+  const reviewOpts = { ticketKey: ticket.key, ticketSummary: ticket.summary, baseBranch, instructionFile, service };
+  const first = await reviewChanges(config, tmpDir, reviewOpts);
+  const blocking = first.findings.filter((f) => f.severity === 'blocking');
+
+  if (blocking.length === 0 || !config.REVIEW_FIX_PASS) {
+    return { findings: first.findings, fixPass: false, fixed: 0 };
+  }
+
+  const trip = checkBudget(config, { ticketKey: ticket.key, service });
+  if (trip) {
+    warn(`${describeBudgetTrip(trip)}. Skipping the review fix pass.`);
+    return { findings: first.findings, fixPass: false, fixed: 0 };
+  }
+
+  log(`═══ Review fix (${blocking.length} blocking finding(s)) ═══`);
+  try {
+    const fixResult = await runFixPass(config, tmpDir, ticket, blocking, { nvmBinDir, service, baseBranch });
+    if (fixResult.rateLimited) {
+      warn('Review fix pass hit the usage limit — findings stay open');
+    }
+  } catch (error) {
+    warn(`Review fix pass failed: ${error.message}`);
+    return { findings: first.findings, fixPass: false, fixed: 0 };
+  }
+
+  const second = await reviewChanges(config, tmpDir, reviewOpts);
+  // A second review that could not reach the provider only re-checks the rules —
+  // keep the first review's provider findings rather than dropping them
+  const findings = second.providerReviewed || !first.providerReviewed
+    ? second.findings
+    : [...second.findings, ...first.findings.filter((f) => f.source === 'provider')];
+  const stillBlocking = findings.filter((f) => f.severity === 'blocking').length;
+
+  return { findings, fixPass: true, fixed: Math.max(0, blocking.length - stillBlocking) };
+}
+
+export default {
+  getReviewDiff,
+  parseDiff,
+  runRuleChecks,
+  parseProviderFindings,
+  formatFinding,
+  reviewChanges,
+  runReview,
+};
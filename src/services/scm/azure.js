@@ -0,0 +1,221 @@
+/**
+ * Azure DevOps SCM adapter (REST, see azure-client.js)
+ *
+ * Reviewers are resolved through the identity service (users) and the project's
+ * teams API (`{ team: <name> }`). A PR is linked to its ticket with a label and
+ * `Jira.IssueKey` / `Jira.IssueUrl` properties, and gets the service's `workItemIds`.
+ * Review threads count as open while active or pending; a reply whose change was
+ * pushed marks the thread fixed.
+ */
+
+import { log, warn } from '../../logger.js';
+import {
+  createPullRequest, getPullRequest, updatePullRequest, listPullRequests, listPullRequestsBySourceBranch, addReviewer,
+  addPullRequestLabel, setPullRequestProperties, findIdentity, getTeam, createThread, addThreadComment, updateThread,
+  listThreads, getPullRequestUrl,
+} from '../azure-client.js';
+
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const OPEN_THREAD_STATUSES = ['active', 'pending', 1, 6];
+const THREAD_STATUS = { active: 1, fixed: 2, closed: 4 };
+
+// Configured reviewer → resolved { id, name, isTeam } (null when nobody matched), per process
+const reviewerCache = new Map();
+
+/**
+ * Normalized PR (see scm/index.js) from a REST response
+ */
+function toPR(config, repoName, pr) {
+  return {
+    id: pr.pullRequestId,
+    url: pr.repository?.webUrl
+      ? `${pr.repository.webUrl}/pullrequest/${pr.pullRequestId}`
+      : getPullRequestUrl(config, repoName, pr.pullRequestId),
+    draft: Boolean(pr.isDraft),
+    description: pr.description || '',
+    autoComplete: Boolean(pr.autoCompleteSetBy),
+    createdBy: pr.createdBy ? { id: pr.createdBy.id } : null,
+    reviewers: (pr.reviewers || []).map((r) => ({
+      id: r.id,
+      name: r.displayName || r.id,
+      voted: Boolean(r.vote),
+      mention: `@<${r.id}>`,
+    })),
+  };
+}
+
+function toBranchName(refName) {
+  return (refName || '').replace(/^refs\/heads\//, '');
+}
+
+/**
+ * Normalized review thread (see scm/index.js): deleted threads are closed, and
+ * only the text comments are kept (no system messages)
+ */
+function toThread(thread) {
+  const ctx = thread.threadContext;
+  return {
+    id: thread.id,
+    open: !thread.isDeleted && OPEN_THREAD_STATUSES.includes(thread.status),
+    file: ctx?.filePath ? ctx.filePath.replace(/^\//, '') : null,
+    line: ctx?.rightFileStart?.line || null,
+    comments: (thread.comments || [])
+      .filter((c) => !c.isDeleted && (c.commentType === 'text' || c.commentType === 1))
+      .map((c) => ({ id: c.id, author: { id: c.author?.id || null, name: c.author?.displayName || null }, content: c.content })),
+  };
+}
+
+/**
+ * Resolve one configured reviewer: an id, a user email / unique name, or { team: <name> }
+ */
+async function resolveReviewer(config, entry) {
+  const isTeam = Boolean(entry && typeof entry === 'object' && entry.team);
+  const name = isTeam ? String(entry.team) : String(entry);
+  const cacheKey = `${isTeam ? 'team' : 'user'}:${name}`;
+  if (reviewerCache.has(cacheKey)) return reviewerCache.get(cacheKey);
+
+  let reviewer = null;
+  try {
+    if (GUID.test(name)) {
+      reviewer = { id: name, name, isTeam };
+    } else if (isTeam) {
+      const team = await getTeam(config, name);
+      reviewer = { id: team.id, name: team.name, isTeam };
+    } else {
+      const identity = await findIdentity(config, name);
+      reviewer = identity ? { id: identity.id, name: identity.displayName, isTeam } : null;
+      if (!identity) warn(`No Azure DevOps identity matches reviewer "${name}" — skipping`);
+    }
+  } catch (error) {
+    // Not cached — a failed lookup is retried for the next PR
+    warn(`Could not resolve reviewer "${name}": ${error.message}`);
+    return null;
+  }
+
+  reviewerCache.set(cacheKey, reviewer);
+  return reviewer;
+}
+
+export const azureScm = {
+  name: 'azure',
+  label: 'Azure DevOps',
+  requiredConfig: ['azureDevOps.org', 'azureDevOps.project', 'azureDevOps.repoBaseUrl'],
+  remoteLinkApplication: { type: 'com.microsoft.azure.devops', name: 'Azure DevOps' },
+
+  getRepoUrl(config, service) {
+    return `${config.AZDO_REPO_BASE_URL}/${service.repo}`;
+  },
+
+  async resolveReviewers(config, service) {
+    const { required = [], optional = [] } = service?.reviewers || {};
+    const reviewers = [];
+    for (const [entries, isRequired] of [[required, true], [optional, false]]) {
+      for (const entry of entries) {
+        const reviewer = await resolveReviewer(config, entry);
+        if (reviewer && !reviewers.some((r) => r.id === reviewer.id)) {
+          reviewers.push({ ...reviewer, isRequired });
+        }
+      }
+    }
+    return reviewers;
+  },
+
+  async createPullRequest(config, service, { sourceBranch, targetBranch, title, description, draft, reviewers = [] }) {
+    const workItemIds = service.workItemIds || [];
+    try {
+      const pr = await createPullRequest(config, service.repo, {
+        sourceBranch, targetBranch, title, description, isDraft: draft, reviewers, workItemIds,
+      });
+      if (workItemIds.length > 0) log(`PR #${pr.pullRequestId} linked to work item(s) ${workItemIds.join(', ')}`);
+      return toPR(config, service.repo, pr);
+    } catch (error) {
+      // An active PR for this source/target pair already exists (TF401179)
+      if (error.typeKey === 'GitPullRequestExistsException' || error.message.includes('TF401179')) {
+        error.alreadyExists = true;
+      }
+      throw error;
+    }
+  },
+
+  async findOpenPullRequest(config, service, sourceBranch) {
+    const prs = await listPullRequestsBySourceBranch(config, service.repo, sourceBranch, 'active');
+    return prs.length > 0 ? toPR(config, service.repo, prs[0]) : null;
+  },
+
+  async getPullRequest(config, service, prId) {
+    return toPR(config, service.repo, await getPullRequest(config, service.repo, prId));
+  },
+
+  async updatePullRequest(config, service, pr, { title, description, draft }) {
+    const changes = { title, description };
+    if (draft !== undefined) changes.isDraft = draft;
+    await updatePullRequest(config, service.repo, pr.id, changes);
+  },
+
+  async addReviewers(config, service, pr, reviewers) {
+    for (const reviewer of reviewers) {
+      await addReviewer(config, service.repo, pr.id, reviewer.id, reviewer.isRequired);
+    }
+  },
+
+  // Auto-complete is set by the PR's creator (the PAT's user)
+  async enableAutoComplete(config, service, pr, completionOptions) {
+    await updatePullRequest(config, service.repo, pr.id, {
+      autoCompleteSetBy: { id: pr.createdBy.id },
+      completionOptions,
+    });
+  },
+
+  // Findings with a file are anchored to it (and to the line when known)
+  async addComment(config, service, prId, content, { file = null, line = null, resolved = false } = {}) {
+    const thread = {
+      comments: [{ parentCommentId: 0, commentType: 1, content }],
+      status: resolved ? THREAD_STATUS.closed : THREAD_STATUS.active,
+    };
+    if (file) {
+      thread.threadContext = { filePath: `/${file}` };
+      if (line) {
+        thread.threadContext.rightFileStart = { line, offset: 1 };
+        thread.threadContext.rightFileEnd = { line, offset: 1 };
+      }
+    }
+    await createThread(config, service.repo, prId, thread);
+  },
+
+  async linkTicket(config, service, pr, ticketKey) {
+    await addPullRequestLabel(config, service.repo, pr.id, ticketKey);
+    await setPullRequestProperties(config, service.repo, pr.id, {
+      'Jira.IssueKey': ticketKey,
+      'Jira.IssueUrl': `${config.JIRA_BASE_URL}/browse/${ticketKey}`,
+    });
+  },
+
+  async listOpenPullRequests(config, service) {
+    const prs = await listPullRequests(config, service.repo, { status: 'active' });
+    return prs.map((pr) => ({
+      ...toPR(config, service.repo, pr),
+      title: pr.title,
+      sourceBranch: toBranchName(pr.sourceRefName),
+      targetBranch: toBranchName(pr.targetRefName),
+      conflicts: pr.mergeStatus === 'conflicts',
+      targetSha: pr.lastMergeTargetCommit?.commitId || null,
+    }));
+  },
+
+  async listThreads(config, service, prId) {
+    return (await listThreads(config, service.repo, prId)).map(toThread);
+  },
+
+  async replyToThread(config, service, prId, thread, content, { resolve = false } = {}) {
+    await addThreadComment(config, service.repo, prId, thread.id, {
+      parentCommentId: thread.comments[0]?.id || 0,
+      content,
+      commentType: 1,
+    });
+    if (resolve) {
+      await updateThread(config, service.repo, prId, thread.id, { status: THREAD_STATUS.fixed });
+    }
+  },
+};
+
+export default azureScm;
@@ -0,0 +1,248 @@
+/**
+ * GitHub SCM adapter (REST v3, plus GraphQL for draft state and auto-merge)
+ *
+ * Authenticated with a token (github.token, or the GITHUB_TOKEN environment
+ * variable). Repositories live under `github.owner`, or the service's own `owner`.
+ * Reviewers are logins, or `{ team: <slug> }` for teams; GitHub has no per-PR
+ * required reviewers (branch protection decides), so required and optional
+ * reviewers are requested the same way. A PR is linked to its ticket with a label.
+ * `workItemIds` are Azure-only and ignored.
+ *
+ * Failed calls throw an Error carrying `status` (HTTP status).
+ */
+
+import { logApi, warn } from '../../logger.js';
+
+const REQUEST_TIMEOUT = 60 * 1000;
+const MERGE_METHODS = { squash: 'SQUASH', rebase: 'REBASE', rebaseMerge: 'REBASE', noFastForward: 'MERGE' };
+
+function getOwner(config, service) {
+  return service.owner || config.GITHUB_OWNER;
+}
+
+/**
+ * Clone URL under the same owner the API calls use. github.repoBaseUrl ends in
+ * github.owner; for a service with its own owner that part is swapped.
+ */
+function cloneUrl(config, service) {
+  const owner = getOwner(config, service);
+  const base = config.GITHUB_REPO_BASE_URL;
+  if (owner === config.GITHUB_OWNER) return `${base}/${service.repo}.git`;
+  if (!base.endsWith(config.GITHUB_OWNER)) {
+    throw new Error(`github.repoBaseUrl (${base}) does not end in github.owner — set repoUrl on service ${service.name}`);
+  }
+  return `${base.slice(0, -config.GITHUB_OWNER.length)}${owner}/${service.repo}.git`;
+}
+
+function repoPath(config, service) {
+  return `repos/${encodeURIComponent(getOwner(config, service))}/${encodeURIComponent(service.repo)}`;
+}
+
+/**
+ * Send one REST request (`path` relative to github.apiUrl), or a GraphQL query
+ * when `path` is null.
+ *
+ * @returns {Promise<object|null>} parsed JSON body (null for empty responses)
+ */
+async function githubRequest(config, method, path, { query = {}, body } = {}) {
+  const token = config.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('GitHub token is not configured (github.token or GITHUB_TOKEN)');
+  }
+
+  const url = new URL(path ? `${config.GITHUB_API_URL}/${path}` : config.GITHUB_GRAPHQL_URL);
+  for (const [key, value] of Object.entries(query)) {
+    if (value != null) url.searchParams.set(key, value);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+  } catch (error) {
+    logApi(method, url.pathname, 0, Date.now() - startTime);
+    throw new Error(`GitHub ${method} ${url.pathname} failed: ${error.message}`);
+  }
+  logApi(method, url.pathname, response.status, Date.now() - startTime);
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok || data?.errors?.length) {
+    const details = data?.errors?.map((e) => e.message).filter(Boolean).join('; ');
+    const message = [data?.message, details].filter(Boolean).join(': ') || text.substring(0, 300) || response.statusText;
+    const error = new Error(`GitHub ${method} ${url.pathname} (${response.status}): ${message}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+async function graphql(config, query, variables) {
+  return githubRequest(config, 'POST', null, { body: { query, variables } });
+}
+
+/**
+ * Normalized PR (see scm/index.js). `reviews` marks the reviewers who already reviewed.
+ */
+function toPR(pr, reviews = []) {
+  const reviewers = new Map();
+  for (const user of pr.requested_reviewers || []) {
+    reviewers.set(user.login, { id: user.login, name: user.login, voted: false, mention: `@${user.login}` });
+  }
+  for (const team of pr.requested_teams || []) {
+    reviewers.set(team.slug, { id: team.slug, name: team.name || team.slug, voted: false, mention: `@${team.slug}` });
+  }
+  for (const review of reviews) {
+    const login = review.user?.login;
+    if (login && review.state !== 'PENDING') {
+      reviewers.set(login, { id: login, name: login, voted: true, mention: `@${login}` });
+    }
+  }
+
+  return {
+    id: pr.number,
+    url: pr.html_url,
+    draft: Boolean(pr.draft),
+    description: pr.body || '',
+    autoComplete: Boolean(pr.auto_merge),
+    createdBy: pr.user ? { id: pr.user.login } : null,
+    reviewers: [...reviewers.values()],
+    nodeId: pr.node_id,
+  };
+}
+
+export const githubScm = {
+  name: 'github',
+  label: 'GitHub',
+  requiredConfig: ['github.owner'],
+  remoteLinkApplication: { type: 'com.github', name: 'GitHub' },
+
+  getRepoUrl(config, service) {
+    return cloneUrl(config, service);
+  },
+
+  async resolveReviewers(config, service) {
+    const { required = [], optional = [] } = service?.reviewers || {};
+    const reviewers = [];
+    for (const [entries, isRequired] of [[required, true], [optional, false]]) {
+      for (const entry of entries) {
+        const isTeam = Boolean(entry && typeof entry === 'object' && entry.team);
+        const id = isTeam ? String(entry.team) : String(entry);
+        if (!reviewers.some((r) => r.id === id)) {
+          reviewers.push({ id, name: id, isTeam, isRequired });
+        }
+      }
+    }
+    return reviewers;
+  },
+
+  async createPullRequest(config, service, { sourceBranch, targetBranch, title, description, draft, reviewers = [] }) {
+    let pr;
+    try {
+      pr = await githubRequest(config, 'POST', `${repoPath(config, service)}/pulls`, {
+        body: { head: sourceBranch, base: targetBranch, title, body: description, draft },
+      });
+    } catch (error) {
+      if (error.status === 422 && /already exists/i.test(error.message)) {
+        error.alreadyExists = true;
+      }
+      throw error;
+    }
+
+    const created = toPR(pr);
+    if (reviewers.length > 0) {
+      try {
+        await githubScm.addReviewers(config, service, created, reviewers);
+      } catch (error) {
+        warn(`Failed to request reviewers on PR #${created.id}: ${error.message}`);
+      }
+    }
+    return created;
+  },
+
+  async findOpenPullRequest(config, service, sourceBranch) {
+    const prs = await githubRequest(config, 'GET', `${repoPath(config, service)}/pulls`, {
+      query: { head: `${getOwner(config, service)}:${sourceBranch}`, state: 'open' },
+    });
+    return prs?.length > 0 ? toPR(prs[0]) : null;
+  },
+
+  async getPullRequest(config, service, prId) {
+    const pr = await githubRequest(config, 'GET', `${repoPath(config, service)}/pulls/${prId}`);
+    let reviews = [];
+    try {
+      reviews = await githubRequest(config, 'GET', `${repoPath(config, service)}/pulls/${prId}/reviews`) || [];
+    } catch (error) {
+      warn(`Could not read reviews of PR #${prId}: ${error.message}`);
+    }
+    return toPR(pr, reviews);
+  },
+
+  // The draft flag can only be changed through GraphQL
+  async updatePullRequest(config, service, pr, { title, description, draft }) {
+    await githubRequest(config, 'PATCH', `${repoPath(config, service)}/pulls/${pr.id}`, { body: { title, body: description } });
+    if (draft === undefined || draft === pr.draft) return;
+
+    const mutation = draft ? 'convertPullRequestToDraft' : 'markPullRequestReadyForReview';
+    await graphql(config, `mutation($id: ID!) { ${mutation}(input: { pullRequestId: $id }) { pullRequest { isDraft } } }`, { id: pr.nodeId });
+  },
+
+  async addReviewers(config, service, pr, reviewers) {
+    await githubRequest(config, 'POST', `${repoPath(config, service)}/pulls/${pr.id}/requested_reviewers`, {
+      body: {
+        reviewers: reviewers.filter((r) => !r.isTeam).map((r) => r.id),
+        team_reviewers: reviewers.filter((r) => r.isTeam).map((r) => r.id),
+      },
+    });
+  },
+
+  // Auto-merge must be allowed in the repository settings
+  async enableAutoComplete(config, service, pr, completionOptions) {
+    const mergeMethod = MERGE_METHODS[completionOptions.mergeStrategy] || 'MERGE';
+    await graphql(config,
+      'mutation($id: ID!, $method: PullRequestMergeMethod!) { enablePullRequestAutoMerge(input: { pullRequestId: $id, mergeMethod: $method }) { clientMutationId } }',
+      { id: pr.nodeId, method: mergeMethod });
+  },
+
+  // Anchored comments go on the diff of the PR's head commit; a line GitHub
+  // rejects (outside the diff) falls back to a conversation comment
+  async addComment(config, service, prId, content, { file = null, line = null } = {}) {
+    if (file) {
+      try {
+        const pr = await githubRequest(config, 'GET', `${repoPath(config, service)}/pulls/${prId}`);
+        await githubRequest(config, 'POST', `${repoPath(config, service)}/pulls/${prId}/comments`, {
+          body: line
+            ? { body: content, commit_id: pr.head.sha, path: file, line, side: 'RIGHT' }
+            : { body: content, commit_id: pr.head.sha, path: file, subject_type: 'file' },
+        });
+        return;
+      } catch (error) {
+        if (error.status !== 422) throw error;
+        content = `\`${file}${line ? `:${line}` : ''}\`\n\n${content}`;
+      }
+    }
+    await githubRequest(config, 'POST', `${repoPath(config, service)}/issues/${prId}/comments`, { body: { body: content } });
+  },
+
+  async linkTicket(config, service, pr, ticketKey) {
+    await githubRequest(config, 'POST', `${repoPath(config, service)}/issues/${pr.id}/labels`, { body: { labels: [ticketKey] } });
+  },
+};
+
+export default githubScm;
@@ -0,0 +1,270 @@
+/**
+ * GitLab SCM adapter (REST v4, merge requests)
+ *
+ * Authenticated with a token (gitlab.token, or the GITLAB_TOKEN environment
+ * variable). Projects live under `gitlab.group`, or the service's own `group`.
+ * Reviewers are usernames; GitLab has no team reviewers, so `{ team: ... }`
+ * entries are skipped. Drafts use the "Draft: " title prefix, auto-complete is
+ * "merge when the pipeline succeeds", and an MR is linked to its ticket with a
+ * label. `workItemIds` are Azure-only and ignored.
+ *
+ * PR ids are merge request iids. Failed calls throw an Error carrying `status`.
+ */
+
+import { logApi, warn } from '../../logger.js';
+
+const REQUEST_TIMEOUT = 60 * 1000;
+const DRAFT_PREFIX = /^(draft:|\[draft\]|\(draft\))\s*/i;
+
+// Username → user id (null when nobody matched), per process
+const userCache = new Map();
+
+function getGroup(config, service) {
+  return service.group || config.GITLAB_GROUP;
+}
+
+/**
+ * Clone URL under the same group the API calls use. gitlab.repoBaseUrl ends in
+ * gitlab.group; for a service with its own group that part is swapped.
+ */
+function cloneUrl(config, service) {
+  const group = getGroup(config, service);
+  const base = config.GITLAB_REPO_BASE_URL;
+  if (group === config.GITLAB_GROUP) return `${base}/${service.repo}.git`;
+  if (!base.endsWith(config.GITLAB_GROUP)) {
+    throw new Error(`gitlab.repoBaseUrl (${base}) does not end in gitlab.group — set repoUrl on service ${service.name}`);
+  }
+  return `${base.slice(0, -config.GITLAB_GROUP.length)}${group}/${service.repo}.git`;
+}
+
+function projectPath(config, service) {
+  return `projects/${encodeURIComponent(`${getGroup(config, service)}/${service.repo}`)}`;
+}
+
+/**
+ * Send one request to the REST API (`path` relative to gitlab.apiUrl)
+ *
+ * @returns {Promise<object|null>} parsed JSON body (null for empty responses)
+ */
+async function gitlabRequest(config, method, path, { query = {}, body } = {}) {
+  const token = config.GITLAB_TOKEN;
+  if (!token) {
+    throw new Error('GitLab token is not configured (gitlab.token or GITLAB_TOKEN)');
+  }
+
+  const url = new URL(`${config.GITLAB_API_URL}/${path}`);
+  for (const [key, value] of Object.entries(query)) {
+    if (value != null) url.searchParams.set(key, value);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        'PRIVATE-TOKEN': token,
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+  } catch (error) {
+    logApi(method, url.pathname, 0, Date.now() - startTime);
+    throw new Error(`GitLab ${method} ${url.pathname} failed: ${error.message}`);
+  }
+  logApi(method, url.pathname, response.status, Date.now() - startTime);
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok) {
+    const detail = data?.message || data?.error;
+    const message = (Array.isArray(detail) ? detail.join('; ') : detail && typeof detail === 'object' ? JSON.stringify(detail) : detail)
+      || text.substring(0, 300) || response.statusText;
+    const error = new Error(`GitLab ${method} ${url.pathname} (${response.status}): ${message}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function withDraft(title, draft) {
+  const bare = title.replace(DRAFT_PREFIX, '');
+  return draft ? `Draft: ${bare}` : bare;
+}
+
+/**
+ * Normalized PR (see scm/index.js). `approvals` marks the reviewers who approved.
+ */
+function toPR(mr, approvals = null) {
+  const approvedBy = new Set((approvals?.approved_by || []).map((a) => a.user?.username));
+  return {
+    id: mr.iid,
+    url: mr.web_url,
+    draft: Boolean(mr.draft ?? mr.work_in_progress),
+    description: mr.description || '',
+    autoComplete: Boolean(mr.merge_when_pipeline_succeeds),
+    createdBy: mr.author ? { id: mr.author.id } : null,
+    reviewers: (mr.reviewers || []).map((r) => ({
+      id: r.id,
+      name: r.name || r.username,
+      voted: approvedBy.has(r.username),
+      mention: `@${r.username}`,
+    })),
+  };
+}
+
+/**
+ * Resolve a configured username (or numeric id) to a user id
+ */
+async function resolveUser(config, username) {
+  if (/^\d+$/.test(username)) return Number(username);
+  if (userCache.has(username)) return userCache.get(username);
+
+  try {
+    const users = await gitlabRequest(config, 'GET', 'users', { query: { username } });
+    const id = users?.[0]?.id ?? null;
+    if (id === null) warn(`No GitLab user matches reviewer "${username}" — skipping`);
+    userCache.set(username, id);
+    return id;
+  } catch (error) {
+    // Not cached — a failed lookup is retried for the next MR
+    warn(`Could not resolve reviewer "${username}": ${error.message}`);
+    return null;
+  }
+}
+
+export const gitlabScm = {
+  name: 'gitlab',
+  label: 'GitLab',
+  requiredConfig: ['gitlab.group'],
+  remoteLinkApplication: { type: 'com.gitlab', name: 'GitLab' },
+
+  getRepoUrl(config, service) {
+    return cloneUrl(config, service);
+  },
+
+  async resolveReviewers(config, service) {
+    const { required = [], optional = [] } = service?.reviewers || {};
+    const reviewers = [];
+    for (const [entries, isRequired] of [[required, true], [optional, false]]) {
+      for (const entry of entries) {
+        if (entry && typeof entry === 'object') {
+          warn(`GitLab has no team reviewers — skipping ${JSON.stringify(entry)}`);
+          continue;
+        }
+        const id = await resolveUser(config, String(entry));
+        if (id !== null && !reviewers.some((r) => r.id === id)) {
+          reviewers.push({ id, name: String(entry), isTeam: false, isRequired });
+        }
+      }
+    }
+    return reviewers;
+  },
+
+  async createPullRequest(config, service, { sourceBranch, targetBranch, title, description, draft, reviewers = [] }) {
+    try {
+      const mr = await gitlabRequest(config, 'POST', `${projectPath(config, service)}/merge_requests`, {
+        body: {
+          source_branch: sourceBranch,
+          target_branch: targetBranch,
+          title: withDraft(title, draft),
+          description,
+          reviewer_ids: reviewers.map((r) => r.id),
+        },
+      });
+      return toPR(mr);
+    } catch (error) {
+      // "Another open merge request already exists for this source branch"
+      if (error.status === 409) error.alreadyExists = true;
+      throw error;
+    }
+  },
+
+  async findOpenPullRequest(config, service, sourceBranch) {
+    const mrs = await gitlabRequest(config, 'GET', `${projectPath(config, service)}/merge_requests`, {
+      query: { source_branch: sourceBranch, state: 'opened' },
+    });
+    return mrs?.length > 0 ? toPR(mrs[0]) : null;
+  },
+
+  async getPullRequest(config, service, prId) {
+    const mr = await gitlabRequest(config, 'GET', `${projectPath(config, service)}/merge_requests/${prId}`);
+    let approvals = null;
+    try {
+      approvals = await gitlabRequest(config, 'GET', `${projectPath(config, service)}/merge_requests/${prId}/approvals`);
+    } catch (error) {
+      warn(`Could not read approvals of MR !${prId}: ${error.message}`);
+    }
+    return toPR(mr, approvals);
+  },
+
+  async updatePullRequest(config, service, pr, { title, description, draft }) {
+    await gitlabRequest(config, 'PUT', `${projectPath(config, service)}/merge_requests/${pr.id}`, {
+      body: { title: withDraft(title, draft ?? pr.draft), description },
+    });
+  },
+
+  async addReviewers(config, service, pr, reviewers) {
+    const ids = [...new Set([...pr.reviewers.map((r) => r.id), ...reviewers.map((r) => r.id)])];
+    await gitlabRequest(config, 'PUT', `${projectPath(config, service)}/merge_requests/${pr.id}`, {
+      body: { reviewer_ids: ids },
+    });
+  },
+
+  // Merges once the pipeline passes; only `deleteSourceBranch` and a squash
+  // `mergeStrategy` carry over from the Azure-style completion options
+  async enableAutoComplete(config, service, pr, completionOptions) {
+    await gitlabRequest(config, 'PUT', `${projectPath(config, service)}/merge_requests/${pr.id}/merge`, {
+      body: {
+        merge_when_pipeline_succeeds: true,
+        should_remove_source_branch: Boolean(completionOptions.deleteSourceBranch),
+        squash: completionOptions.mergeStrategy === 'squash',
+      },
+    });
+  },
+
+  // Anchored comments become diff discussions on the MR's latest version; a
+  // position GitLab rejects (or a diff not computed yet) falls back to a plain note
+  async addComment(config, service, prId, content, { file = null, line = null } = {}) {
+    const base = `${projectPath(config, service)}/merge_requests/${prId}`;
+    const mr = file && line ? await gitlabRequest(config, 'GET', base) : null;
+    if (mr?.diff_refs) {
+      try {
+        await gitlabRequest(config, 'POST', `${base}/discussions`, {
+          body: {
+            body: content,
+            position: {
+              position_type: 'text',
+              base_sha: mr.diff_refs.base_sha,
+              start_sha: mr.diff_refs.start_sha,
+              head_sha: mr.diff_refs.head_sha,
+              new_path: file,
+              new_line: line,
+            },
+          },
+        });
+        return;
+      } catch (error) {
+        if (error.status !== 400) throw error;
+      }
+    }
+    if (file) content = `\`${file}${line ? `:${line}` : ''}\`\n\n${content}`;
+    await gitlabRequest(config, 'POST', `${base}/notes`, { body: { body: content } });
+  },
+
+  async linkTicket(config, service, pr, ticketKey) {
+    await gitlabRequest(config, 'PUT', `${projectPath(config, service)}/merge_requests/${pr.id}`, {
+      body: { add_labels: ticketKey },
+    });
+  },
+};
+
+export default gitlabScm;
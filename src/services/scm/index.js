@@ -0,0 +1,72 @@
+/**
+ * Source-control (SCM) adapter registry
+ *
+ * Every adapter describes one hosting service (`services.<name>.scm`, default azure):
+ *   name, label            - config key and human-readable name
+ *   requiredConfig         - config fields that must be set when a service uses it
+ *   remoteLinkApplication  - `application` of the JIRA remote link to its PRs
+ *   getRepoUrl(config, service)                     - clone URL
+ *   resolveReviewers(config, service)               - `reviewers.required` / `reviewers.optional`
+ *                                                     → [{ id, name, isTeam, isRequired }]
+ *   createPullRequest(config, service, opts)        - { sourceBranch, targetBranch, title, description,
+ *                                                     draft, reviewers } → PR; an error for an already
+ *                                                     open PR carries `alreadyExists`
+ *   findOpenPullRequest(config, service, branch)    - open PR from a source branch, or null
+ *   getPullRequest(config, service, prId)           - PR
+ *   updatePullRequest(config, service, pr, changes) - { title, description, draft? }
+ *   addReviewers(config, service, pr, reviewers)
+ *   enableAutoComplete(config, service, pr, options) - merge once policies / pipelines pass
+ *   addComment(config, service, prId, content, { file, line, resolved }) - anchored when the file is
+ *                                                     known; `resolved` posts it closed where threads have a status
+ *   linkTicket(config, service, pr, ticketKey)      - point the PR back at the ticket
+ *
+ * PR follow-up (watch-prs) — optional; services whose adapter lacks it are not watched:
+ *   listOpenPullRequests(config, service)           - open PRs, each a PR plus { title, sourceBranch,
+ *                                                     targetBranch, conflicts, targetSha }
+ *   listThreads(config, service, prId)              - review threads → [{ id, open, file, line,
+ *                                                     comments: [{ id, author: { id, name }, content }] }]
+ *                                                     with only the text comments, oldest first
+ *   replyToThread(config, service, prId, thread, content, { resolve }) - reply, then mark it fixed
+ *
+ * A PR is normalized to { id, url, draft, description, autoComplete, createdBy,
+ * reviewers: [{ id, name, voted, mention }] }; `mention` notifies the reviewer in a comment.
+ * Failed calls throw. pull-requests.js, pr-watcher.js and rebaser.js only talk to this interface.
+ */
+
+import { azureScm } from './azure.js';
+import { githubScm } from './github.js';
+import { gitlabScm } from './gitlab.js';
+
+export const SCM_PROVIDERS = {
+  [azureScm.name]: azureScm,
+  [githubScm.name]: githubScm,
+  [gitlabScm.name]: gitlabScm,
+};
+
+/**
+ * Look up an adapter by name. Returns null for unknown SCMs.
+ */
+export function getScmAdapter(name) {
+  return SCM_PROVIDERS[String(name || 'azure').toLowerCase()] || null;
+}
+
+/**
+ * Adapter for a service config (`scm`, default azure). Throws for unknown SCMs —
+ * loadConfig() rejects them up front.
+ */
+export function getServiceScm(serviceConfig) {
+  const adapter = getScmAdapter(serviceConfig?.scm);
+  if (!adapter) {
+    throw new Error(`Unknown scm "${serviceConfig.scm}" for service ${serviceConfig.name || ''}`.trim());
+  }
+  return adapter;
+}
+
+/**
+ * Whether an adapter implements the PR follow-up operations watch-prs needs
+ */
+export function supportsPrWatch(adapter) {
+  return ['listOpenPullRequests', 'listThreads', 'replyToThread'].every((fn) => typeof adapter?.[fn] === 'function');
+}
+
+export default { SCM_PROVIDERS, getScmAdapter, getServiceScm, supportsPrWatch };
@@ -216,12 +216,15 @@ function runCommand(cmd, tmpDir, customEnv = null) {
  * Check if the changes made by the provider require running tests.
  * Only source code changes need tests — dependency updates, docs, config, and
  * Docker/CI changes don't.
+ *
+ * @param {string} [since] - commit the changes are measured from (default HEAD;
+ *                           the branch's start commit when phases were committed)
  */
-export function shouldRunTests(tmpDir) {
+export function shouldRunTests(tmpDir, since = 'HEAD') {
   let changedFiles;
   try {
-    // Get list of all modified/added/deleted files (unstaged + staged)
-    changedFiles = execSync('git diff --name-only HEAD', {
+    // Get list of all modified/added/deleted files (committed since `since` + staged + unstaged)
+    changedFiles = execSync(`git diff --name-only ${since}`, {
       cwd: tmpDir,
       encoding: 'utf-8',
       stdio: 'pipe',
@@ -258,6 +261,7 @@ export function shouldRunTests(tmpDir) {
     /^azure-pipelines/,
     /^CLAUDE\.md$/,
     /^CODEX\.md$/,
+    /^AGENTS\.md$/,
     /^\.cursor/,
   ];
 
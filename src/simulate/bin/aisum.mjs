@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Fake aisum (linked as `aisum` on PATH by the harness): reads the text from
+ * stdin and hard-truncates it to --max-chars, so summariser.js has a CLI to
+ * call without a model behind it.
+ */
+
+const args = process.argv.slice(2);
+const maxIndex = args.indexOf('--max-chars');
+const maxChars = maxIndex >= 0 ? Number(args[maxIndex + 1]) : null;
+
+let input = '';
+process.stdin.setEncoding('utf-8');
+process.stdin.on('data', (chunk) => { input += chunk; });
+process.stdin.on('end', () => {
+  const output = maxChars && input.length > maxChars ? `${input.substring(0, maxChars - 3)}...` : input;
+  process.stdout.write(output);
+});
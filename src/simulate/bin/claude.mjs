@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Claude Code CLI
+ *
+ * Replays recorded stream-json transcripts instead of calling a model. The
+ * transcripts file (SIMULATE_TRANSCRIPTS) holds [{ name, match, events }]; the
+ * first transcript whose `match` regex matches the -p prompt is replayed:
+ *   - `--output-format stream-json`: every event is printed as one line, and the
+ *     Write / Edit / MultiEdit tool_use inputs are applied to the working
+ *     directory, so the recorded edits really happen in the clone. Absolute
+ *     paths are taken relative to the `cwd` of the transcript's system init event.
+ *   - `--output-format json`: only the transcript's result event is printed.
+ * A result event is synthesized when the transcript has none.
+ *
+ * Every call is appended to SIMULATE_CALL_LOG as { transcript, prompt, outputFormat }
+ * (transcript null when nothing matched). An unmatched prompt exits 1.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+}
+
+function resolveTarget(filePath, recordedCwd) {
+  if (!path.isAbsolute(filePath)) return path.resolve(filePath);
+  if (recordedCwd && filePath.startsWith(`${recordedCwd}/`)) return path.resolve(path.relative(recordedCwd, filePath));
+  throw new Error(`Cannot map recorded path ${filePath} into the working directory`);
+}
+
+function applyToolUse(block, recordedCwd) {
+  const { name, input = {} } = block;
+  if (!['Write', 'Edit', 'MultiEdit'].includes(name)) return;
+
+  const target = resolveTarget(input.file_path, recordedCwd);
+  if (name === 'Write') {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, input.content ?? '');
+    return;
+  }
+
+  let content = fs.readFileSync(target, 'utf-8');
+  for (const edit of name === 'MultiEdit' ? input.edits || [] : [input]) {
+    if (!content.includes(edit.old_string)) {
+      throw new Error(`${name} on ${input.file_path}: old_string not found`);
+    }
+    content = edit.replace_all
+      ? content.split(edit.old_string).join(edit.new_string)
+      : content.replace(edit.old_string, () => edit.new_string);
+  }
+  fs.writeFileSync(target, content);
+}
+
+function buildResult(events) {
+  const texts = events
+    .filter((e) => e.type === 'assistant')
+    .flatMap((e) => e.message?.content || [])
+    .filter((block) => block.type === 'text');
+  return {
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    result: texts.length > 0 ? texts[texts.length - 1].text : '',
+    num_turns: events.filter((e) => e.type === 'assistant').length,
+    total_cost_usd: 0,
+    duration_ms: 0,
+    usage: { input_tokens: 0, output_tokens: 0 },
+  };
+}
+
+const args = process.argv.slice(2);
+const prompt = option(args, '-p') || '';
+const outputFormat = option(args, '--output-format') || 'text';
+
+const transcripts = JSON.parse(fs.readFileSync(process.env.SIMULATE_TRANSCRIPTS, 'utf-8'));
+const transcript = transcripts.find((t) => new RegExp(t.match).test(prompt)) || null;
+
+if (process.env.SIMULATE_CALL_LOG) {
+  fs.appendFileSync(process.env.SIMULATE_CALL_LOG, JSON.stringify({
+    transcript: transcript?.name ?? null,
+    prompt: prompt.substring(0, 500),
+    outputFormat,
+  }) + '\n');
+}
+
+if (!transcript) {
+  console.error(`No recorded transcript matches this prompt: ${prompt.substring(0, 200)}`);
+  process.exit(1);
+}
+
+const events = transcript.events || [];
+const result = events.find((e) => e.type === 'result') || buildResult(events);
+
+if (outputFormat === 'json') {
+  console.log(JSON.stringify(result));
+  process.exit(0);
+}
+
+const recordedCwd = events.find((e) => e.type === 'system' && e.subtype === 'init')?.cwd || null;
+try {
+  for (const event of events) {
+    if (event.type === 'assistant') {
+      for (const block of event.message?.content || []) {
+        if (block.type === 'tool_use') applyToolUse(block, recordedCwd);
+      }
+    }
+    process.stdout.write(JSON.stringify(event) + '\n');
+  }
+  if (!events.some((e) => e.type === 'result')) {
+    process.stdout.write(JSON.stringify(result) + '\n');
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+/**
+ * Fake pixelbin-upload (linked as ~/.local/bin/pixelbin-upload by the harness):
+ * "uploads" a log file by answering with a file:// URL to it, in the --json
+ * shape notifications.js reads.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const file = process.argv.slice(2).find((arg) => !arg.startsWith('--') && arg !== 'raw');
+if (!file) {
+  console.error('Usage: pixelbin-upload <file> --json');
+  process.exit(1);
+}
+console.log(JSON.stringify({ url: pathToFileURL(path.resolve(file)).href }));
@@ -0,0 +1,227 @@
+/**
+ * Fake Azure DevOps server
+ *
+ * In-memory stand-in for the REST endpoints used by azure-client.js, so PR
+ * creation, lookup, updates, reviewers and comment threads can be exercised without
+ * a real organization. Point `azureDevOps.apiUrl` at it (any non-empty PAT is
+ * accepted); it also answers identity lookups, so `identityUrl` can stay unset.
+ * Everything posted through the API is authored by the agent's identity; push
+ * threads into `state.threads` directly to play a human reviewer.
+ *
+ *   node src/simulate/fake-azure.js [port]
+ *
+ * Routes (under /<project>/_apis/git/repositories/<repo>):
+ *   POST  /pullrequests                 - create (409 GitPullRequestExistsException for a duplicate active PR)
+ *   GET   /pullrequests?searchCriteria.* - list by sourceRefName / status
+ *   GET   /pullrequests/<id>            - get
+ *   PATCH /pullrequests/<id>            - update
+ *   PUT   /pullrequests/<id>/reviewers/<reviewerId> - add reviewer
+ *   POST  /pullrequests/<id>/threads    - add thread
+ *   GET   /pullrequests/<id>/threads    - list threads
+ *   PATCH /pullrequests/<id>/threads/<threadId>          - update thread (status)
+ *   POST  /pullrequests/<id>/threads/<threadId>/comments - reply in thread
+ *   POST  /pullrequests/<id>/labels     - add label
+ *   PATCH /pullrequests/<id>/properties - JSON-patch properties (add / replace / remove)
+ * Plus:
+ *   GET   /_apis/identities?filterValue=<name>       - users passed as `identities`
+ *   GET   /_apis/projects/<project>/teams/<team>     - teams passed as `teams`
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+const ROUTE = /^\/([^/]+)\/_apis\/git\/repositories\/([^/]+)\/pullrequests(?:\/(\d+)(?:\/(threads|reviewers|labels|properties)(?:\/([^/]+)(?:\/(comments))?)?)?)?\/?$/;
+const TEAM_ROUTE = /^\/_apis\/projects\/([^/]+)\/teams\/([^/]+)\/?$/;
+const AGENT_IDENTITY = { id: '00000000-0000-0000-0000-0000000a9e17', displayName: 'Dr. Asthana' };
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function azureError(res, status, typeKey, message) {
+  send(res, status, { $id: '1', innerException: null, message, typeName: `Microsoft.TeamFoundation.Git.Server.${typeKey}`, typeKey, errorCode: 0 });
+}
+
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Start the server.
+ *
+ * @param {object} [opts] - { port: 0 picks a free port, host,
+ *                           identities: [{ id, displayName, mail }], teams: [{ id, name }] }
+ * @returns {Promise<{ url: string, agentIdentity: object, state: { pullRequests: object[], threads: Map<number, object[]>, requests: object[] }, close: () => Promise<void> }>}
+ */
+export async function startFakeAzure({ port = 0, host = '127.0.0.1', identities = [], teams = [] } = {}) {
+  const state = { pullRequests: [], threads: new Map(), requests: [] };
+  let nextPrId = 1;
+  let nextThreadId = 1;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fake-azure');
+    state.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (!/^Basic /.test(req.headers.authorization || '')) {
+      send(res, 401, { message: 'TF400813: The user is not authorized to access this resource.' });
+      return;
+    }
+
+    if (url.pathname === '/_apis/identities') {
+      const filterValue = (url.searchParams.get('filterValue') || '').toLowerCase();
+      const value = identities
+        .filter((i) => [i.mail, i.displayName, i.id].some((field) => String(field || '').toLowerCase() === filterValue))
+        .map((i) => ({ id: i.id, providerDisplayName: i.displayName, properties: { Mail: { $value: i.mail } } }));
+      send(res, 200, { count: value.length, value });
+      return;
+    }
+
+    const teamMatch = url.pathname.match(TEAM_ROUTE);
+    if (teamMatch) {
+      const wanted = decodeURIComponent(teamMatch[2]).toLowerCase();
+      const team = teams.find((t) => t.name.toLowerCase() === wanted || t.id === wanted);
+      if (team) {
+        send(res, 200, team);
+      } else {
+        send(res, 404, { message: `TF400499: The team ${wanted} does not exist.` });
+      }
+      return;
+    }
+
+    const match = url.pathname.match(ROUTE);
+    if (!match) {
+      send(res, 404, { message: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    const [, project, repoName, idParam, sub, subId, subAction] = match.map((part) => (part ? decodeURIComponent(part) : part));
+    const webUrl = `http://${req.headers.host}/${encodeURIComponent(project)}/_git/${encodeURIComponent(repoName)}`;
+    const inRepo = (pr) => pr.repository.name === repoName;
+
+    try {
+      if (!idParam && req.method === 'POST') {
+        const body = await readBody(req);
+        const duplicate = state.pullRequests.find((pr) => inRepo(pr) && pr.status === 'active'
+          && pr.sourceRefName === body.sourceRefName && pr.targetRefName === body.targetRefName);
+        if (duplicate) {
+          azureError(res, 409, 'GitPullRequestExistsException',
+            `TF401179: An active pull request for the source and target branch already exists.`);
+          return;
+        }
+        const pr = {
+          pullRequestId: nextPrId++,
+          status: 'active',
+          isDraft: false,
+          creationDate: new Date().toISOString(),
+          createdBy: AGENT_IDENTITY,
+          ...body,
+          reviewers: (body.reviewers || []).map((r) => ({ ...r, vote: 0 })),
+          labels: [],
+          properties: {},
+          repository: { name: repoName, project: { name: project }, webUrl },
+        };
+        state.pullRequests.push(pr);
+        state.threads.set(pr.pullRequestId, []);
+        send(res, 201, pr);
+        return;
+      }
+
+      if (!idParam && req.method === 'GET') {
+        const sourceRefName = url.searchParams.get('searchCriteria.sourceRefName');
+        const status = url.searchParams.get('searchCriteria.status') || 'active';
+        const value = state.pullRequests.filter((pr) => inRepo(pr)
+          && (!sourceRefName || pr.sourceRefName === sourceRefName)
+          && (status === 'all' || pr.status === status));
+        send(res, 200, { value, count: value.length });
+        return;
+      }
+
+      const pr = state.pullRequests.find((p) => inRepo(p) && p.pullRequestId === Number(idParam));
+      if (!pr) {
+        azureError(res, 404, 'GitPullRequestNotFoundException', `TF401180: The requested pull request was not found.`);
+        return;
+      }
+
+      if (sub === 'reviewers' && subId && req.method === 'PUT') {
+        const reviewer = { id: subId, vote: 0, ...(await readBody(req)) };
+        pr.reviewers = [...(pr.reviewers || []).filter((r) => r.id !== subId), reviewer];
+        send(res, 200, reviewer);
+      } else if (sub === 'threads' && !subId && req.method === 'POST') {
+        const body = await readBody(req);
+        const thread = {
+          id: nextThreadId++,
+          publishedDate: new Date().toISOString(),
+          ...body,
+          comments: (body.comments || []).map((c, i) => ({ id: i + 1, author: AGENT_IDENTITY, ...c })),
+        };
+        state.threads.get(pr.pullRequestId).push(thread);
+        send(res, 200, thread);
+      } else if (sub === 'threads' && subId) {
+        const thread = state.threads.get(pr.pullRequestId).find((t) => t.id === Number(subId));
+        if (!thread) {
+          send(res, 404, { message: `Thread ${subId} not found` });
+        } else if (subAction === 'comments' && req.method === 'POST') {
+          const comment = { id: thread.comments.length + 1, author: AGENT_IDENTITY, publishedDate: new Date().toISOString(), ...(await readBody(req)) };
+          thread.comments.push(comment);
+          send(res, 200, comment);
+        } else if (!subAction && req.method === 'PATCH') {
+          Object.assign(thread, await readBody(req));
+          send(res, 200, thread);
+        } else {
+          send(res, 405, { message: `${req.method} not supported on ${url.pathname}` });
+        }
+      } else if (sub === 'threads' && !subId && req.method === 'GET') {
+        const value = state.threads.get(pr.pullRequestId);
+        send(res, 200, { value, count: value.length });
+      } else if (sub === 'labels' && req.method === 'POST') {
+        const { name } = await readBody(req);
+        let label = pr.labels.find((l) => l.name.toLowerCase() === String(name).toLowerCase());
+        if (!label) {
+          label = { id: `label-${pr.labels.length + 1}`, name, active: true };
+          pr.labels.push(label);
+        }
+        send(res, 200, label);
+      } else if (sub === 'properties' && req.method === 'PATCH') {
+        for (const op of await readBody(req)) {
+          const name = op.path.replace(/^\//, '');
+          if (op.op === 'remove') delete pr.properties[name];
+          else pr.properties[name] = op.value;
+        }
+        const value = Object.fromEntries(Object.entries(pr.properties).map(([name, v]) => [name, { $type: 'System.String', $value: v }]));
+        send(res, 200, { count: Object.keys(value).length, value });
+      } else if (!sub && req.method === 'GET') {
+        send(res, 200, pr);
+      } else if (!sub && req.method === 'PATCH') {
+        Object.assign(pr, await readBody(req));
+        send(res, 200, pr);
+      } else {
+        send(res, 405, { message: `${req.method} not supported on ${url.pathname}` });
+      }
+    } catch (error) {
+      send(res, 400, { message: error.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const address = server.address();
+
+  return {
+    url: `http://${host}:${address.port}`,
+    agentIdentity: AGENT_IDENTITY,
+    state,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+// Run standalone: node src/simulate/fake-azure.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2]) || 8788;
+  startFakeAzure({ port }).then(({ url }) => {
+    console.log(`Fake Azure DevOps listening on ${url} — set azureDevOps.apiUrl to this URL`);
+  });
+}
+
+export default { startFakeAzure };
@@ -0,0 +1,249 @@
+/**
+ * Fake JIRA server
+ *
+ * In-memory stand-in for the JIRA Cloud REST endpoints used by jira.js, so a
+ * ticket can be read, searched, claimed, commented, labelled, transitioned and
+ * linked without a real site. Point `jira.baseUrl`
+ * at it; any Basic credentials are accepted. Issues are raw REST shapes
+ * ({ key, fields }) as returned by GET /rest/api/3/issue/<key>.
+ *
+ *   node src/simulate/fake-jira.js [port] [issues.json]
+ *
+ * Routes (under /rest/api/3):
+ *   GET  /issue/<key>?fields=a,b        - issue (all fields, or only the listed ones)
+ *   PUT  /issue/<key>                   - edit: fields.labels, update.labels [{ add }, { remove }]
+ *   GET  /issue/<key>/comment           - paginated comments (startAt, maxResults)
+ *   POST /issue/<key>/comment           - add comment
+ *   GET  /issue/<key>/transitions       - transitions passed as `transitions` (screen fields
+ *                                         with expand=transitions.fields)
+ *   POST /issue/<key>/transitions       - transition (moves the issue to the transition's status,
+ *                                         after `delayMs` when set); rejected when a required
+ *                                         screen field is missing
+ *   GET  /issue/<key>/remotelink        - remote links
+ *   POST /issue/<key>/remotelink        - create, or update the link with the same globalId
+ *   GET  /search/jql?jql=...            - issues, paged with nextPageToken; only
+ *                                         `labels = <label>` clauses filter
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+const ISSUE_ROUTE = /^\/rest\/api\/3\/issue\/([^/]+)(?:\/(comment|transitions|remotelink))?\/?$/;
+const AGENT_USER = { accountId: 'dr-asthana', displayName: 'Dr. Asthana' };
+
+// The transitions jira-transitions.js asks for, and the statuses they lead to.
+// A transition may also carry screen `fields`: { <fieldId>: { name, required, schema } },
+// and `delayMs` before the new status shows (as a slow workflow post-function would).
+const DEFAULT_TRANSITIONS = [
+  { id: '11', name: 'Dev Started', to: 'In Progress' },
+  { id: '21', name: 'Dev Testing', to: 'Dev Testing' },
+  { id: '31', name: 'EM Review', to: 'Lead Review' },
+];
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function jiraError(res, status, message) {
+  send(res, status, { errorMessages: [message], errors: {} });
+}
+
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+const INLINE_CONTAINERS = ['paragraph', 'heading', 'tableCell', 'tableHeader'];
+
+/**
+ * Plain text of an ADF document (or a plain string body): one line per block,
+ * table cells separated by ` | `
+ */
+export function adfToText(body) {
+  if (!body) return '';
+  if (typeof body === 'string') return body;
+  const walk = (node) => {
+    if (node.type === 'text') return node.text || '';
+    if (node.type === 'hardBreak') return '\n';
+    const separator = INLINE_CONTAINERS.includes(node.type) ? '' : node.type === 'tableRow' ? ' | ' : '\n';
+    return (node.content || []).map(walk).join(separator);
+  };
+  return walk(body);
+}
+
+/**
+ * Start the server.
+ *
+ * @param {object} [opts] - { port: 0 picks a free port, host, issues: [{ key, fields }],
+ *                           transitions: [{ id, name, to, fields, delayMs }] }
+ * @returns {Promise<{ url: string, state: { issues: Map<string, object>, comments: Map<string, object[]>, remoteLinks: Map<string, object[]>, transitions: object[], labelChanges: object[], requests: object[] }, close: () => Promise<void> }>}
+ */
+export async function startFakeJira({ port = 0, host = '127.0.0.1', issues = [], transitions = DEFAULT_TRANSITIONS } = {}) {
+  const state = {
+    issues: new Map(),
+    comments: new Map(),
+    remoteLinks: new Map(),
+    transitions: [],
+    labelChanges: [],
+    requests: [],
+  };
+  let nextId = 10000;
+
+  for (const issue of issues) {
+    const { comment, ...fields } = structuredClone(issue.fields || {});
+    state.issues.set(issue.key, {
+      id: String(nextId++),
+      key: issue.key,
+      fields: { labels: [], status: { name: 'To Do' }, ...fields },
+    });
+    state.comments.set(issue.key, (comment?.comments || []).map((c) => ({ id: String(nextId++), ...c })));
+    state.remoteLinks.set(issue.key, []);
+  }
+
+  function setLabels(issue, labels) {
+    const before = new Set(issue.fields.labels);
+    const after = new Set(labels);
+    for (const label of after) if (!before.has(label)) state.labelChanges.push({ key: issue.key, op: 'add', label });
+    for (const label of before) if (!after.has(label)) state.labelChanges.push({ key: issue.key, op: 'remove', label });
+    issue.fields.labels = [...after];
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fake-jira');
+    state.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (!/^Basic /.test(req.headers.authorization || '')) {
+      jiraError(res, 401, 'Client must be authenticated to access this resource.');
+      return;
+    }
+
+    try {
+      if (url.pathname === '/rest/api/3/search/jql' && req.method === 'GET') {
+        const wanted = [...(url.searchParams.get('jql') || '').matchAll(/labels\s*=\s*"?([^"\s)]+)"?/gi)].map((m) => m[1]);
+        const maxResults = Number(url.searchParams.get('maxResults')) || 50;
+        const startAt = Number(url.searchParams.get('nextPageToken')) || 0;
+        const matched = [...state.issues.values()].filter((issue) => wanted.every((label) => issue.fields.labels.includes(label)));
+        const page = matched.slice(startAt, startAt + maxResults);
+        const isLast = startAt + page.length >= matched.length;
+        send(res, 200, { issues: page, isLast, ...(isLast ? {} : { nextPageToken: String(startAt + page.length) }) });
+        return;
+      }
+
+      const match = url.pathname.match(ISSUE_ROUTE);
+      if (!match) {
+        jiraError(res, 404, `No route for ${req.method} ${url.pathname}`);
+        return;
+      }
+
+      const [, key, sub] = match.map((part) => (part ? decodeURIComponent(part) : part));
+      const issue = state.issues.get(key);
+      if (!issue) {
+        jiraError(res, 404, 'Issue does not exist or you do not have permission to see it.');
+        return;
+      }
+
+      if (!sub && req.method === 'GET') {
+        const comments = state.comments.get(key);
+        const all = { ...issue.fields, comment: { comments, total: comments.length, startAt: 0, maxResults: comments.length } };
+        const wanted = url.searchParams.get('fields');
+        const fields = wanted
+          ? Object.fromEntries(wanted.split(',').filter((f) => f in all).map((f) => [f, all[f]]))
+          : all;
+        send(res, 200, { id: issue.id, key, fields });
+      } else if (!sub && req.method === 'PUT') {
+        const body = await readBody(req);
+        if (body.fields?.labels) setLabels(issue, body.fields.labels);
+        if (body.update?.labels) {
+          const labels = new Set(issue.fields.labels);
+          for (const op of body.update.labels) {
+            if (op.add) labels.add(op.add);
+            if (op.remove) labels.delete(op.remove);
+          }
+          setLabels(issue, [...labels]);
+        }
+        const { labels, ...otherFields } = body.fields || {};
+        Object.assign(issue.fields, otherFields);
+        send(res, 204);
+      } else if (sub === 'comment' && req.method === 'GET') {
+        const comments = state.comments.get(key);
+        const startAt = Number(url.searchParams.get('startAt')) || 0;
+        const maxResults = Number(url.searchParams.get('maxResults')) || 50;
+        send(res, 200, { startAt, maxResults, total: comments.length, comments: comments.slice(startAt, startAt + maxResults) });
+      } else if (sub === 'comment' && req.method === 'POST') {
+        const { body } = await readBody(req);
+        const now = new Date().toISOString();
+        const comment = { id: String(nextId++), author: AGENT_USER, body, created: now, updated: now };
+        state.comments.get(key).push(comment);
+        send(res, 201, comment);
+      } else if (sub === 'transitions' && req.method === 'GET') {
+        const expandFields = (url.searchParams.get('expand') || '').includes('transitions.fields');
+        send(res, 200, {
+          transitions: transitions.map(({ id, name, to, fields = {} }) => ({
+            id, name, to: { name: to }, ...(expandFields ? { fields } : {}),
+          })),
+        });
+      } else if (sub === 'transitions' && req.method === 'POST') {
+        const { transition, fields = {} } = await readBody(req);
+        const target = transitions.find((t) => t.id === String(transition?.id));
+        if (!target) {
+          jiraError(res, 400, `Transition id '${transition?.id}' is not valid for this issue.`);
+          return;
+        }
+        const missing = Object.entries(target.fields || {}).filter(([fieldId, meta]) => meta.required && !meta.hasDefaultValue && fields[fieldId] == null);
+        if (missing.length > 0) {
+          send(res, 400, { errorMessages: [], errors: Object.fromEntries(missing.map(([fieldId, meta]) => [fieldId, `${meta.name || fieldId} is required.`])) });
+          return;
+        }
+        state.transitions.push({ key, name: target.name, from: issue.fields.status.name, to: target.to, fields });
+        Object.assign(issue.fields, fields);
+        if (target.delayMs) {
+          setTimeout(() => { issue.fields.status = { name: target.to }; }, target.delayMs).unref();
+        } else {
+          issue.fields.status = { name: target.to };
+        }
+        send(res, 204);
+      } else if (sub === 'remotelink' && req.method === 'GET') {
+        send(res, 200, state.remoteLinks.get(key));
+      } else if (sub === 'remotelink' && req.method === 'POST') {
+        const body = await readBody(req);
+        const links = state.remoteLinks.get(key);
+        const existing = body.globalId ? links.find((l) => l.globalId === body.globalId) : null;
+        if (existing) {
+          Object.assign(existing, body);
+          send(res, 200, { id: existing.id, self: `http://${req.headers.host}${url.pathname}/${existing.id}` });
+        } else {
+          const link = { id: nextId++, ...body };
+          links.push(link);
+          send(res, 201, { id: link.id, self: `http://${req.headers.host}${url.pathname}/${link.id}` });
+        }
+      } else {
+        jiraError(res, 405, `${req.method} not supported on ${url.pathname}`);
+      }
+    } catch (error) {
+      jiraError(res, 400, error.message);
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const address = server.address();
+
+  return {
+    url: `http://${host}:${address.port}`,
+    state,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+// Run standalone: node src/simulate/fake-jira.js [port] [issues.json]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2]) || 8789;
+  const issues = process.argv[3] ? JSON.parse(fs.readFileSync(process.argv[3], 'utf-8')) : [];
+  startFakeJira({ port, issues }).then(({ url }) => {
+    console.log(`Fake JIRA listening on ${url} with ${issues.length} issue(s) — set jira.baseUrl to this URL`);
+  });
+}
+
+export default { startFakeJira, adfToText };
@@ -0,0 +1,490 @@
+/**
+ * Offline simulation harness
+ *
+ * Runs processTicket (and the PR watcher) end-to-end against local stand-ins
+ * for everything they talk to, then checks what they did:
+ *   - JIRA: fake-jira.js (REST)
+ *   - Azure DevOps: fake-azure.js (the agent uses REST only, there are no `az` calls)
+ *   - git remotes: bare repositories seeded from the scenario's files
+ *   - Claude: bin/claude.mjs replaying the scenario's stream-json transcripts
+ *   - aisum and pixelbin-upload: bin/aisum.mjs and bin/pixelbin-upload.mjs
+ *
+ * Each scenario gets its own workspace (config.json, logs, state, .tmp, remotes,
+ * HOME). Every run is a child process (run-ticket.js) with that workspace as its
+ * working directory — module-level paths in config.js and git.js are resolved
+ * at import time, so they cannot be switched in-process. Runs of one scenario
+ * share the workspace and the fake servers, so a later run sees the state
+ * (journals, labels, PRs, branches) the earlier ones left.
+ *
+ * A scenario is a JSON file (see scenarios/):
+ *   name, description
+ *   issues        - raw JIRA issues ({ key, fields }) served by the fake JIRA
+ *   ticket        - key of the issue to process
+ *   jiraTransitions - [{ id, name, to, fields }] offered by the fake JIRA (default: fake-jira.js's)
+ *   repos         - { <repo>: { files: { <path>: <content> }, branches: [...] } }
+ *   config        - merged over the generated config.json (services, review, ...)
+ *   transcripts   - [{ name, match, events }] for the fake Claude
+ *   steps         - what happens, in order (default: one { run: 'ticket' }):
+ *     { run: 'ticket' | 'resume' | 'watch-prs' }  a run (see run-ticket.js)
+ *     { push: { repo, branch, files: { <path>: <content> }, message } }
+ *                   a human commit on the first remote branch matching the `branch` regex
+ *     { reviewThread: { repo, id, content, file, line } }
+ *                   a human review thread on the repo's first PR
+ *     { comment: <text> }                        a human comment on the ticket
+ *     { labels: { add: [...], remove: [...] } }  a human label change on the ticket
+ *   timeoutSeconds - per run
+ *   expect        - checked after the last step:
+ *     result        { <field>: <value> } compared with the last run's return value
+ *     results       [{ <field>: <value> }] the same, for every run in order
+ *     runs          [{ <field>: <value> }] compared with the ticket's run journals
+ *                   (state/runs) in creation order, e.g. status, kind, reason
+ *     transitions   names of the transitions made, in order
+ *     transitionFields { <transition>: { <fieldId>: regex } } on the screen fields sent
+ *     labels        { present: [regex], absent: [regex] } on the ticket afterwards
+ *     comments      [regex] each matched by a comment the agent posted during the scenario
+ *     remoteLinks   number of remote links on the ticket
+ *     pullRequests  [{ repo, targetBranch, draft, title, description, labels, comments: [regex],
+ *                   files: { <path>: regex }, commits: [regex], resolvedThreads }], one per PR
+ *                   created (title, description, comment threads, file contents and commit
+ *                   subjects on the source branch are matched as regexes; resolvedThreads
+ *                   counts the threads marked fixed)
+ *     providerCalls transcript names in call order
+ *   A provider call no transcript matches always fails the scenario.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn, execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startFakeJira, adfToText } from './fake-jira.js';
+import { startFakeAzure } from './fake-azure.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BIN_DIR = path.join(__dirname, 'bin');
+const DEFAULT_TIMEOUT_SECONDS = 180;
+
+const HUMAN_REVIEWER = { id: 'sim-reviewer', displayName: 'Sim Reviewer' };
+const HUMAN_JIRA_USER = { accountId: 'sim-reviewer', displayName: 'Sim Reviewer' };
+
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'Dr. Asthana',
+  GIT_AUTHOR_EMAIL: 'dr-asthana@example.com',
+  GIT_COMMITTER_NAME: 'Dr. Asthana',
+  GIT_COMMITTER_EMAIL: 'dr-asthana@example.com',
+};
+
+const HUMAN_GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'Sim Reviewer',
+  GIT_AUTHOR_EMAIL: 'reviewer@example.com',
+  GIT_COMMITTER_NAME: 'Sim Reviewer',
+  GIT_COMMITTER_EMAIL: 'reviewer@example.com',
+};
+
+function git(args, cwd, identity = GIT_IDENTITY) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: 'pipe', env: { ...process.env, ...identity } }).trim();
+}
+
+function isPlainObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Read a scenario file
+ */
+export function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return { name: path.basename(file, '.json'), ...scenario, file };
+}
+
+/**
+ * Create one bare remote per repo, with every branch pointing at a single
+ * commit of the repo's files
+ */
+function createRemotes(workspace, repos) {
+  const remotesDir = path.join(workspace, 'remotes');
+  for (const [name, { files = {}, branches = ['main'] }] of Object.entries(repos || {})) {
+    const seedDir = path.join(workspace, 'seed', name);
+    fs.mkdirSync(seedDir, { recursive: true });
+    git(['init', '--quiet', '--initial-branch', branches[0]], seedDir);
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(seedDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(seedDir, file), content);
+    }
+    git(['add', '-A'], seedDir);
+    git(['commit', '--quiet', '--allow-empty', '-m', 'Initial commit'], seedDir);
+    for (const branch of branches.slice(1)) git(['branch', branch], seedDir);
+
+    git(['init', '--quiet', '--bare', path.join(remotesDir, name)], workspace);
+    git(['push', '--quiet', path.join(remotesDir, name), ...branches.map((b) => `${b}:${b}`)], seedDir);
+  }
+  fs.rmSync(path.join(workspace, 'seed'), { recursive: true, force: true });
+  return remotesDir;
+}
+
+/**
+ * Put the fake executables where the agent looks for them: claude is the
+ * configured command, aisum on PATH and pixelbin-upload under ~/.local/bin.
+ */
+function installFakeBinaries(workspace) {
+  const pathDir = path.join(workspace, 'bin');
+  const localBin = path.join(workspace, 'home', '.local', 'bin');
+  fs.mkdirSync(pathDir, { recursive: true });
+  fs.mkdirSync(localBin, { recursive: true });
+  fs.symlinkSync(path.join(BIN_DIR, 'aisum.mjs'), path.join(pathDir, 'aisum'));
+  fs.symlinkSync(path.join(BIN_DIR, 'pixelbin-upload.mjs'), path.join(localBin, 'pixelbin-upload'));
+  return { pathDir, home: path.join(workspace, 'home') };
+}
+
+function buildConfig(scenario, { jiraUrl, azureUrl, remotesDir }) {
+  const base = {
+    jira: { baseUrl: jiraUrl, email: 'simulate@example.com', apiToken: 'simulate', label: 'dr-asthana' },
+    azureDevOps: { org: azureUrl, project: 'simulate', repoBaseUrl: remotesDir, pat: 'simulate' },
+    provider: 'claude',
+    claude: { command: path.join(BIN_DIR, 'claude.mjs'), runTests: false },
+    agent: { logDir: './logs', stateDir: './state' },
+    infra: { enabled: false },
+    services: Object.fromEntries(Object.keys(scenario.repos || {}).map((repo) => [repo, { repo }])),
+  };
+  return deepMerge(base, scenario.config);
+}
+
+/**
+ * Run one `run` step in a child process. Resolves with its return value, or
+ * { success: false, reason: 'simulate_error' } when it crashed or timed out.
+ * The output of every run is appended to output.log.
+ */
+function runChild(workspace, mode, ticketKey, index, env, timeoutMs) {
+  const resultFile = path.join(workspace, `result-${index + 1}.json`);
+  const output = fs.openSync(path.join(workspace, 'output.log'), 'a');
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'run-ticket.js'), mode, ticketKey, resultFile], {
+      cwd: workspace,
+      env,
+      stdio: ['ignore', output, output],
+    });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGTERM');
+    }, timeoutMs);
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      fs.closeSync(output);
+      if (fs.existsSync(resultFile)) {
+        resolve(JSON.parse(fs.readFileSync(resultFile, 'utf-8')));
+      } else {
+        const why = signal ? `killed by ${signal}${signal === 'SIGTERM' ? ` after ${timeoutMs / 1000}s` : ''}` : `exit code ${code}`;
+        resolve({ success: false, reason: 'simulate_error', error: `run-ticket.js ended without a result (${why})` });
+      }
+    });
+  });
+}
+
+/**
+ * Commit files on top of a remote branch as a human would (not the agent's identity)
+ */
+function pushCommit(workspace, remotesDir, { repo, branch, files = {}, message = 'Human change' }) {
+  const remote = path.join(remotesDir, repo);
+  const branches = git(['--git-dir', remote, 'for-each-ref', '--format=%(refname:short)', 'refs/heads']).split('\n');
+  const target = branches.find((b) => new RegExp(branch).test(b));
+  if (!target) throw new Error(`push: no branch of ${repo} matches /${branch}/ (branches: ${branches.join(', ')})`);
+
+  const cloneDir = fs.mkdtempSync(path.join(workspace, 'human-'));
+  try {
+    git(['clone', '--quiet', '--branch', target, remote, cloneDir], workspace);
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(cloneDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(cloneDir, file), content);
+    }
+    git(['add', '-A'], cloneDir);
+    git(['commit', '--quiet', '-m', message], cloneDir, HUMAN_GIT_IDENTITY);
+    git(['push', '--quiet', 'origin', target], cloneDir);
+  } finally {
+    fs.rmSync(cloneDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Open a thread on the repo's first PR as a human reviewer
+ */
+function addReviewThread(azure, { repo, id, content, file = null, line = null }) {
+  const pr = azure.state.pullRequests.find((p) => p.repository.name === repo);
+  if (!pr) throw new Error(`reviewThread: ${repo} has no PR`);
+  const now = new Date().toISOString();
+  azure.state.threads.get(pr.pullRequestId).push({
+    id,
+    status: 1,
+    publishedDate: now,
+    ...(file ? { threadContext: { filePath: `/${file}`, rightFileStart: { line, offset: 1 }, rightFileEnd: { line, offset: 1 } } } : {}),
+    comments: [{ id: 1, parentCommentId: 0, commentType: 1, author: HUMAN_REVIEWER, content, publishedDate: now }],
+  });
+}
+
+/**
+ * Change the ticket the way a person in JIRA would between runs
+ */
+function editTicket(jira, key, step) {
+  const issue = jira.state.issues.get(key);
+  if (step.comment) {
+    const comments = jira.state.comments.get(key);
+    const now = new Date().toISOString();
+    comments.push({ id: `sim-${comments.length + 1}`, author: HUMAN_JIRA_USER, body: step.comment, created: now, updated: now });
+  }
+  if (step.labels) {
+    const labels = new Set(issue.fields.labels);
+    for (const label of step.labels.add || []) labels.add(label);
+    for (const label of step.labels.remove || []) labels.delete(label);
+    issue.fields.labels = [...labels];
+  }
+}
+
+function readRunJournals(workspace, ticketKey) {
+  const runsDir = path.join(workspace, 'state', 'runs');
+  if (!fs.existsSync(runsDir)) return [];
+  return fs.readdirSync(runsDir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(runsDir, f), 'utf-8')))
+    .filter((state) => state.ticketKey === ticketKey)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function matchFields(actual, wanted) {
+  return Object.entries(wanted)
+    .filter(([field, value]) => JSON.stringify(actual?.[field]) !== JSON.stringify(value))
+    .map(([field, value]) => `${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual?.[field])}`);
+}
+
+function readProviderCalls(callLog) {
+  if (!fs.existsSync(callLog)) return [];
+  return fs.readFileSync(callLog, 'utf-8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+/**
+ * Compare what the run did with the scenario's expectations
+ *
+ * @returns {string[]} one message per failed expectation
+ */
+function checkExpectations(scenario, { results, jira, azure, remotesDir, providerCalls, commentsBefore, journals }) {
+  const expect = scenario.expect || {};
+  const failures = [];
+  const key = scenario.ticket;
+
+  for (const call of providerCalls.filter((c) => !c.transcript)) {
+    failures.push(`provider call matched no transcript: ${call.prompt.substring(0, 120).replace(/\s+/g, ' ')}...`);
+  }
+
+  const result = results.at(-1) || {};
+  for (const [field, wanted] of Object.entries(expect.result || {})) {
+    if (JSON.stringify(result[field]) !== JSON.stringify(wanted)) {
+      failures.push(`result.${field}: expected ${JSON.stringify(wanted)}, got ${JSON.stringify(result[field])}${result.error ? ` (${result.error})` : ''}`);
+    }
+  }
+
+  if (expect.results) {
+    if (results.length !== expect.results.length) failures.push(`results: expected ${expect.results.length} run(s), got ${results.length}`);
+    expect.results.forEach((wanted, i) => {
+      for (const mismatch of matchFields(results[i], wanted)) failures.push(`results[${i}].${mismatch}`);
+    });
+  }
+
+  if (expect.runs) {
+    if (journals.length !== expect.runs.length) {
+      failures.push(`runs: expected ${expect.runs.length} journal(s), got ${journals.length} (${journals.map((j) => j.kind || j.status).join(', ')})`);
+    }
+    expect.runs.forEach((wanted, i) => {
+      for (const mismatch of matchFields(journals[i], wanted)) failures.push(`runs[${i}].${mismatch}`);
+    });
+  }
+
+  if (expect.transitions) {
+    const made = jira.state.transitions.filter((t) => t.key === key).map((t) => t.name);
+    if (JSON.stringify(made) !== JSON.stringify(expect.transitions)) {
+      failures.push(`transitions: expected ${JSON.stringify(expect.transitions)}, got ${JSON.stringify(made)}`);
+    }
+  }
+
+  for (const [name, fields] of Object.entries(expect.transitionFields || {})) {
+    const made = jira.state.transitions.find((t) => t.key === key && t.name === name);
+    for (const [fieldId, pattern] of Object.entries(fields)) {
+      const value = made?.fields?.[fieldId];
+      const text = value?.type === 'doc' ? adfToText(value) : value?.value ?? JSON.stringify(value);
+      if (!new RegExp(pattern).test(text ?? '')) failures.push(`transitionFields: ${name} ${fieldId} ${text ?? 'not set'} does not match /${pattern}/`);
+    }
+  }
+
+  const labels = jira.state.issues.get(key)?.fields.labels || [];
+  for (const pattern of expect.labels?.present || []) {
+    if (!labels.some((l) => new RegExp(pattern).test(l))) failures.push(`labels: none matches /${pattern}/ (labels: ${labels.join(', ') || 'none'})`);
+  }
+  for (const pattern of expect.labels?.absent || []) {
+    const found = labels.find((l) => new RegExp(pattern).test(l));
+    if (found) failures.push(`labels: ${found} should not match /${pattern}/`);
+  }
+
+  const posted = (jira.state.comments.get(key) || []).slice(commentsBefore)
+    .filter((c) => c.author?.accountId !== HUMAN_JIRA_USER.accountId)
+    .map((c) => adfToText(c.body));
+  for (const pattern of expect.comments || []) {
+    if (!posted.some((text) => new RegExp(pattern).test(text))) {
+      failures.push(`comments: none of the ${posted.length} posted comment(s) matches /${pattern}/`);
+    }
+  }
+
+  if (expect.remoteLinks !== undefined) {
+    const count = (jira.state.remoteLinks.get(key) || []).length;
+    if (count !== expect.remoteLinks) failures.push(`remoteLinks: expected ${expect.remoteLinks}, got ${count}`);
+  }
+
+  if (expect.pullRequests) {
+    const prs = azure.state.pullRequests;
+    if (prs.length !== expect.pullRequests.length) {
+      failures.push(`pullRequests: expected ${expect.pullRequests.length}, got ${prs.length}`);
+    }
+    for (const wanted of expect.pullRequests) {
+      const where = `${wanted.repo} → ${wanted.targetBranch}`;
+      const pr = prs.find((p) => p.repository.name === wanted.repo && p.targetRefName === `refs/heads/${wanted.targetBranch}`);
+      if (!pr) {
+        failures.push(`pullRequests: no PR for ${where}`);
+        continue;
+      }
+      if (wanted.draft !== undefined && Boolean(pr.isDraft) !== wanted.draft) {
+        failures.push(`pullRequests: ${where} draft is ${Boolean(pr.isDraft)}, expected ${wanted.draft}`);
+      }
+      if (wanted.title && !new RegExp(wanted.title).test(pr.title)) {
+        failures.push(`pullRequests: ${where} title "${pr.title}" does not match /${wanted.title}/`);
+      }
+      if (wanted.description && !new RegExp(wanted.description).test(pr.description || '')) {
+        failures.push(`pullRequests: ${where} description does not match /${wanted.description}/`);
+      }
+      for (const label of wanted.labels || []) {
+        if (!pr.labels.some((l) => l.name === label)) failures.push(`pullRequests: ${where} has no label ${label}`);
+      }
+      const threads = azure.state.threads.get(pr.pullRequestId) || [];
+      const contents = threads.flatMap((t) => t.comments.map((c) => c.content));
+      for (const pattern of wanted.comments || []) {
+        if (!contents.some((content) => new RegExp(pattern).test(content))) {
+          failures.push(`pullRequests: no comment on ${where} matches /${pattern}/`);
+        }
+      }
+      if (wanted.resolvedThreads !== undefined) {
+        const resolved = threads.filter((t) => t.status === 2 || t.status === 'fixed').length;
+        if (resolved !== wanted.resolvedThreads) failures.push(`pullRequests: ${where} has ${resolved} resolved thread(s), expected ${wanted.resolvedThreads}`);
+      }
+      const branch = pr.sourceRefName.replace(/^refs\/heads\//, '');
+      if (wanted.commits) {
+        const gitDir = path.join(remotesDir, wanted.repo);
+        const subjects = git(['--git-dir', gitDir, 'log', '--format=%s', `${wanted.targetBranch}..${branch}`]).split('\n');
+        for (const pattern of wanted.commits) {
+          if (!subjects.some((subject) => new RegExp(pattern).test(subject))) {
+            failures.push(`pullRequests: no commit on ${branch} matches /${pattern}/ (commits: ${subjects.join(' | ')})`);
+          }
+        }
+      }
+      for (const [file, pattern] of Object.entries(wanted.files || {})) {
+        let content;
+        try {
+          content = git(['--git-dir', path.join(remotesDir, wanted.repo), 'show', `${branch}:${file}`]);
+        } catch {
+          failures.push(`pullRequests: ${file} is missing on ${branch}`);
+          continue;
+        }
+        if (!new RegExp(pattern).test(content)) failures.push(`pullRequests: ${file} on ${branch} does not match /${pattern}/`);
+      }
+    }
+  }
+
+  if (expect.providerCalls) {
+    const names = providerCalls.map((c) => c.transcript);
+    if (JSON.stringify(names) !== JSON.stringify(expect.providerCalls)) {
+      failures.push(`providerCalls: expected ${JSON.stringify(expect.providerCalls)}, got ${JSON.stringify(names)}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Run one scenario end-to-end.
+ *
+ * The workspace is removed afterwards, unless the scenario failed or `keep` is set.
+ *
+ * @param {object} scenario - see loadScenario()
+ * @param {object} [opts] - { keep }
+ * @returns {Promise<{ name: string, passed: boolean, failures: string[], result: object, workspace: string|null, durationMs: number }>}
+ */
+export async function runScenario(scenario, { keep = false } = {}) {
+  const startTime = Date.now();
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), `dr-asthana-sim-${scenario.name}-`));
+  const jira = await startFakeJira({ issues: scenario.issues || [], transitions: scenario.jiraTransitions });
+  const azure = await startFakeAzure();
+
+  let result;
+  let failures;
+  try {
+    const remotesDir = createRemotes(workspace, scenario.repos);
+    const { pathDir, home } = installFakeBinaries(workspace);
+    const config = buildConfig(scenario, { jiraUrl: jira.url, azureUrl: azure.url, remotesDir });
+    fs.writeFileSync(path.join(workspace, 'config.json'), JSON.stringify(config, null, 2));
+
+    const transcriptsFile = path.join(workspace, 'transcripts.json');
+    fs.writeFileSync(transcriptsFile, JSON.stringify(scenario.transcripts || []));
+    const callLog = path.join(workspace, 'provider-calls.jsonl');
+    const commentsBefore = (jira.state.comments.get(scenario.ticket) || []).length;
+
+    const env = {
+      ...process.env,
+      ...GIT_IDENTITY,
+      HOME: home,
+      PATH: `${pathDir}${path.delimiter}${process.env.PATH}`,
+      SIMULATE_TRANSCRIPTS: transcriptsFile,
+      SIMULATE_CALL_LOG: callLog,
+      AZDO_PAT: 'simulate',
+    };
+    const timeoutMs = (scenario.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+    const results = [];
+    for (const step of scenario.steps || [{ run: 'ticket' }]) {
+      if (step.run) {
+        results.push(await runChild(workspace, step.run, scenario.ticket, results.length, env, timeoutMs));
+      } else if (step.push) {
+        pushCommit(workspace, remotesDir, step.push);
+      } else if (step.reviewThread) {
+        addReviewThread(azure, step.reviewThread);
+      } else if (step.comment || step.labels) {
+        editTicket(jira, scenario.ticket, step);
+      } else {
+        throw new Error(`unknown step ${JSON.stringify(step)}`);
+      }
+    }
+    result = results.at(-1) || {};
+
+    failures = checkExpectations(scenario, {
+      results, jira, azure, remotesDir, providerCalls: readProviderCalls(callLog), commentsBefore,
+      journals: readRunJournals(workspace, scenario.ticket),
+    });
+    for (const crashed of results.filter((r) => r.reason === 'simulate_error')) failures.unshift(crashed.error);
+  } catch (error) {
+    result = { success: false, reason: 'simulate_error', error: error.message };
+    failures = [`harness: ${error.message}`];
+  } finally {
+    await jira.close();
+    await azure.close();
+  }
+
+  const passed = failures.length === 0;
+  const kept = keep || !passed;
+  if (!kept) fs.rmSync(workspace, { recursive: true, force: true });
+
+  return { name: scenario.name, passed, failures, result, workspace: kept ? workspace : null, durationMs: Date.now() - startTime };
+}
+
+export default { loadScenario, runScenario };
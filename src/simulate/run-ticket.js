@@ -0,0 +1,45 @@
+/**
+ * Child process of the simulation harness: loads config.json from the working
+ * directory (the scenario's workspace), runs one step of the scenario and writes
+ * its return value to a JSON file.
+ *
+ *   node src/simulate/run-ticket.js <ticket|resume|watch-prs> <KEY> <result.json>
+ *
+ *   ticket    - processTicket(KEY)
+ *   resume    - processTicket(KEY) resuming the ticket's newest run journal
+ *   watch-prs - one pollPullRequests() over every service (KEY is unused)
+ */
+
+import fs from 'fs';
+import { loadConfig } from '../config.js';
+import { processTicket } from '../agent/processor.js';
+import { pollPullRequests } from '../agent/pr-watcher.js';
+import { listRunStates } from '../agent/run-state.js';
+
+const [mode, ticketKey, resultFile] = process.argv.slice(2);
+
+async function run(config) {
+  switch (mode) {
+    case 'ticket':
+      return processTicket(config, ticketKey);
+    case 'resume': {
+      const last = listRunStates(config).find((state) => state.ticketKey === ticketKey && !state.kind);
+      if (!last) return { success: false, reason: 'error', error: `No run of ${ticketKey} to resume` };
+      return processTicket(config, ticketKey, { resumeRunId: last.runId });
+    }
+    case 'watch-prs':
+      return pollPullRequests(config);
+    default:
+      return { success: false, reason: 'error', error: `Unknown mode: ${mode}` };
+  }
+}
+
+try {
+  const result = await run(loadConfig());
+  fs.writeFileSync(resultFile, JSON.stringify(result, null, 2));
+} catch (error) {
+  fs.writeFileSync(resultFile, JSON.stringify({ success: false, reason: 'error', error: error.message }, null, 2));
+}
+
+// Nothing may keep a simulated run alive after the ticket is done
+process.exit(0);
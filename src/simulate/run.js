@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Simulation runner
+ *
+ * Runs scenarios through the offline harness (harness.js) and exits non-zero
+ * when any expectation fails, so processor.js orchestration can be checked in CI
+ * without JIRA, Azure DevOps, Claude or the other external tools.
+ *
+ *   node src/simulate/run.js [--keep] [scenario ...]
+ *
+ * Scenarios are names from src/simulate/scenarios/ or paths to scenario files;
+ * with none given, every scenario runs. --keep leaves each workspace (config,
+ * logs, remotes, agent output) in place; failed scenarios always keep theirs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadScenario, runScenario } from './harness.js';
+import { log, ok, err } from '../logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+
+function resolveScenarioFile(arg) {
+  if (fs.existsSync(arg)) return path.resolve(arg);
+  const named = path.join(SCENARIO_DIR, arg.endsWith('.json') ? arg : `${arg}.json`);
+  if (fs.existsSync(named)) return named;
+  throw new Error(`Scenario not found: ${arg}`);
+}
+
+async function main(args) {
+  const keep = args.includes('--keep');
+  const names = args.filter((arg) => arg !== '--keep');
+  const files = names.length > 0
+    ? names.map(resolveScenarioFile)
+    : fs.readdirSync(SCENARIO_DIR).filter((f) => f.endsWith('.json')).sort().map((f) => path.join(SCENARIO_DIR, f));
+
+  let failed = 0;
+  for (const file of files) {
+    const scenario = loadScenario(file);
+    log(`▶ ${scenario.name}${scenario.description ? ` — ${scenario.description}` : ''}`);
+    const outcome = await runScenario(scenario, { keep });
+    const seconds = (outcome.durationMs / 1000).toFixed(1);
+
+    if (outcome.passed) {
+      ok(`${scenario.name} passed (${seconds}s)`);
+    } else {
+      failed++;
+      err(`${scenario.name} failed (${seconds}s):`);
+      outcome.failures.forEach((failure) => err(`  - ${failure}`));
+    }
+    if (outcome.workspace) {
+      log(`  workspace: ${outcome.workspace} (agent output in output.log)`);
+    }
+  }
+
+  if (failed > 0) {
+    err(`${failed} of ${files.length} scenario(s) failed`);
+    process.exit(1);
+  }
+  ok(`All ${files.length} scenario(s) passed`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  err(error.message);
+  process.exit(1);
+});
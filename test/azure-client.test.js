@@ -0,0 +1,142 @@
+/**
+ * azure-client.js against the in-memory fake Azure DevOps server (src/simulate/fake-azure.js)
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeAzure } from '../src/simulate/fake-azure.js';
+import {
+  createPullRequest, getPullRequest, updatePullRequest, listPullRequests, listPullRequestsBySourceBranch,
+  createThread, addThreadComment, updateThread, listThreads,
+} from '../src/services/azure-client.js';
+import { azureScm } from '../src/services/scm/azure.js';
+
+const REPO = 'orders-service';
+
+describe('azure-client', () => {
+  let fake;
+  let config;
+
+  before(async () => {
+    fake = await startFakeAzure();
+    config = { AZDO_API_URL: fake.url, AZDO_PROJECT: 'Platform', AZDO_PAT: 'test-pat', AZDO_API_VERSION: '7.1' };
+  });
+
+  after(() => fake.close());
+
+  beforeEach(() => {
+    fake.state.pullRequests.length = 0;
+    fake.state.threads.clear();
+  });
+
+  function openPR(sourceBranch = 'feature/JCP-1-fix', targetBranch = 'master', extra = {}) {
+    return createPullRequest(config, REPO, { sourceBranch, targetBranch, title: 'JCP-1: Fix', description: 'Body', ...extra });
+  }
+
+  describe('createPullRequest', () => {
+    it('sends refs, reviewers and work items', async () => {
+      const pr = await openPR('feature/JCP-1-fix', 'master', {
+        isDraft: true,
+        reviewers: [{ id: 'reviewer-1', isRequired: true }, { id: 'reviewer-2' }],
+        workItemIds: [42],
+      });
+
+      assert.equal(pr.pullRequestId, 1);
+      assert.equal(pr.sourceRefName, 'refs/heads/feature/JCP-1-fix');
+      assert.equal(pr.targetRefName, 'refs/heads/master');
+      assert.equal(pr.isDraft, true);
+      assert.deepEqual(pr.reviewers.map(({ id, isRequired }) => ({ id, isRequired })), [
+        { id: 'reviewer-1', isRequired: true },
+        { id: 'reviewer-2', isRequired: false },
+      ]);
+      assert.deepEqual(pr.workItemRefs, [{ id: '42' }]);
+    });
+
+    it('throws with status and typeKey for a duplicate active PR (TF401179)', async () => {
+      await openPR();
+      await assert.rejects(openPR(), (error) => {
+        assert.equal(error.status, 409);
+        assert.equal(error.typeKey, 'GitPullRequestExistsException');
+        assert.match(error.message, /TF401179/);
+        return true;
+      });
+    });
+
+    it('is flagged alreadyExists by the Azure DevOps adapter', async () => {
+      const service = { name: 'orders', repo: REPO };
+      const request = { sourceBranch: 'feature/JCP-1-fix', targetBranch: 'master', title: 'JCP-1: Fix', description: 'Body' };
+      await azureScm.createPullRequest(config, service, request);
+      await assert.rejects(azureScm.createPullRequest(config, service, request), (error) => error.alreadyExists === true);
+    });
+  });
+
+  describe('getPullRequest', () => {
+    it('returns the PR', async () => {
+      const { pullRequestId } = await openPR();
+      const pr = await getPullRequest(config, REPO, pullRequestId);
+      assert.equal(pr.title, 'JCP-1: Fix');
+      assert.equal(pr.repository.name, REPO);
+    });
+
+    it('throws with status and typeKey for an unknown PR', async () => {
+      await assert.rejects(getPullRequest(config, REPO, 99), (error) => {
+        assert.equal(error.status, 404);
+        assert.equal(error.typeKey, 'GitPullRequestNotFoundException');
+        return true;
+      });
+    });
+  });
+
+  describe('updatePullRequest', () => {
+    it('applies the changes', async () => {
+      const { pullRequestId } = await openPR();
+      await updatePullRequest(config, REPO, pullRequestId, { title: 'JCP-1: Fix (v2)', isDraft: false });
+
+      const pr = await getPullRequest(config, REPO, pullRequestId);
+      assert.equal(pr.title, 'JCP-1: Fix (v2)');
+      assert.equal(pr.isDraft, false);
+    });
+  });
+
+  describe('listPullRequestsBySourceBranch', () => {
+    it('lists only PRs from that branch with the given status', async () => {
+      const first = await openPR('feature/JCP-1-fix', 'master');
+      await openPR('feature/JCP-1-fix', 'release/1.2');
+      await openPR('feature/JCP-2-other', 'master');
+      await updatePullRequest(config, REPO, first.pullRequestId, { status: 'abandoned' });
+
+      const active = await listPullRequestsBySourceBranch(config, REPO, 'feature/JCP-1-fix');
+      assert.deepEqual(active.map((pr) => pr.targetRefName), ['refs/heads/release/1.2']);
+
+      const all = await listPullRequestsBySourceBranch(config, REPO, 'feature/JCP-1-fix', 'all');
+      assert.equal(all.length, 2);
+
+      assert.equal((await listPullRequests(config, REPO)).length, 2);
+    });
+  });
+
+  describe('threads', () => {
+    it('creates, replies in, resolves and lists threads', async () => {
+      const { pullRequestId } = await openPR();
+      const thread = await createThread(config, REPO, pullRequestId, {
+        comments: [{ parentCommentId: 0, commentType: 1, content: 'Null check missing' }],
+        status: 1,
+        threadContext: { filePath: '/src/orders.js', rightFileStart: { line: 12, offset: 1 }, rightFileEnd: { line: 12, offset: 1 } },
+      });
+
+      await addThreadComment(config, REPO, pullRequestId, thread.id, { parentCommentId: 1, content: 'Added it', commentType: 1 });
+      await updateThread(config, REPO, pullRequestId, thread.id, { status: 2 });
+
+      const [listed] = await listThreads(config, REPO, pullRequestId);
+      assert.equal(listed.id, thread.id);
+      assert.equal(listed.status, 2);
+      assert.equal(listed.threadContext.filePath, '/src/orders.js');
+      assert.deepEqual(listed.comments.map((c) => c.content), ['Null check missing', 'Added it']);
+      assert.equal(listed.comments[1].parentCommentId, 1);
+    });
+  });
+
+  it('refuses to call the API without a PAT', async () => {
+    await assert.rejects(getPullRequest({ ...config, AZDO_PAT: '' }, REPO, 1), /PAT is not configured/);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Provider adapters: rate-limit detection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { claudeProvider } from '../src/services/providers/claude.js';
+import { codexProvider } from '../src/services/providers/codex.js';
+
+describe('claude isRateLimited', () => {
+  it('detects the CLI limit message with its reset time', () => {
+    assert.equal(claudeProvider.isRateLimited("You've hit your limit · resets 3pm (Europe/London)"), true);
+    assert.equal(claudeProvider.isRateLimited("You've hit your limit · resets at 2099-01-01T00:00:00Z"), true);
+    assert.equal(claudeProvider.isRateLimited('Claude AI usage limit reached|1760000000'), true);
+  });
+
+  it('ignores model output that mentions limits or resets', () => {
+    for (const text of [
+      'The connection pool resets every 5 minutes, so I added a retry.',
+      "The log said \"You've hit your limit · resets 3pm\" — unrelated to this change.",
+      'SUMMARY: added a rate limit of 100 requests per minute',
+    ]) {
+      assert.equal(claudeProvider.isRateLimited(text), false, text);
+    }
+  });
+
+  it('detects a limit reported by a failed CLI', () => {
+    assert.equal(claudeProvider.isRateLimited('', { failed: true, stderr: 'API Error: 429 rate limit exceeded' }), true);
+    assert.equal(claudeProvider.isRateLimited('', { failed: false, stderr: 'API Error: 429 rate limit exceeded' }), false);
+    assert.equal(claudeProvider.isRateLimited('', { failed: true, stderr: 'ENOENT: no such file' }), false);
+  });
+});
+
+describe('codex isRateLimited', () => {
+  it('detects a limit in the CLI error events or stderr', () => {
+    const [error] = codexProvider.parseEvent({ type: 'error', message: "You've hit your usage limit. Try again in 2 hours." });
+    assert.equal(error.type, 'error');
+    assert.equal(codexProvider.isRateLimited('', { errors: error.text }), true);
+    assert.equal(codexProvider.isRateLimited('', { stderr: 'ERROR: 429 Too Many Requests' }), true);
+  });
+
+  it('ignores the model summary', () => {
+    assert.equal(codexProvider.isRateLimited('Return 429 when the rate limit is reached (usage limit per key).'), false);
+    assert.equal(codexProvider.isRateLimited('Added a 429 handler', { errors: '', stderr: 'warning: deprecated flag' }), false);
+  });
+});
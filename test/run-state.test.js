@@ -0,0 +1,57 @@
+/**
+ * run-state.js journal files under a temporary state directory
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isValidRunId, branchScope, createRunState, loadRunState, listRunStates, setRunStatus, markStep, findPostedFindings } from '../src/agent/run-state.js';
+
+describe('run-state', () => {
+  let config;
+
+  before(() => {
+    config = { STATE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'dr-asthana-run-state-')) };
+  });
+
+  after(() => fs.rmSync(config.STATE_DIR, { recursive: true, force: true }));
+
+  it('accepts run IDs made by initRun', () => {
+    assert.equal(isValidRunId('2025-01-31_14-02-11_JCP-123'), true);
+    assert.equal(isValidRunId('2025-01-31_14-02-11_batch'), true);
+  });
+
+  it('rejects anything that could name another file', () => {
+    for (const runId of ['../config', '..%2F..%2Fconfig', '2025-01-31_14-02-11_JCP-1/../../config', '2025-01-31_14-02-11_..', 'C:\\config', '', null]) {
+      assert.equal(isValidRunId(runId), false, String(runId));
+    }
+  });
+
+  it('refuses to load a journal by a path', () => {
+    fs.writeFileSync(path.join(config.STATE_DIR, 'config.json'), '{"secret":"x"}');
+    assert.throws(() => loadRunState(config, '../config'), /Invalid run ID/);
+  });
+
+  it('round-trips a journal and skips stray files when listing', () => {
+    const runId = '2025-01-31_14-02-11_JCP-123';
+    const state = createRunState(config, runId, 'JCP-123');
+    setRunStatus(state, 'completed');
+    fs.writeFileSync(path.join(config.STATE_DIR, 'runs', 'notes.json'), '{}');
+
+    assert.equal(loadRunState(config, runId).status, 'completed');
+    assert.deepEqual(listRunStates(config).map((s) => s.runId), [runId]);
+  });
+
+  it('collects the findings earlier runs posted on the same PR', () => {
+    const first = createRunState(config, '2025-02-01_09-00-00_JCP-7', 'JCP-7');
+    markStep(first, branchScope('api', 'main'), 'prComments', { prId: 42, findings: ['a', 'b'] });
+    const second = createRunState(config, '2025-02-02_09-00-00_JCP-7', 'JCP-7');
+    markStep(second, branchScope('worker', 'main'), 'prComments', { prId: 42, findings: ['c'] });
+    markStep(second, branchScope('api', 'release'), 'prComments', { prId: 43, findings: ['d'] });
+
+    assert.deepEqual([...findPostedFindings(config, 'JCP-7', [branchScope('api', 'main'), branchScope('worker', 'main')], '42')].sort(), ['a', 'b', 'c']);
+    assert.equal(findPostedFindings(config, 'JCP-8', branchScope('api', 'main'), 42).size, 0);
+  });
+});